@@ -5,6 +5,8 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { StandaloneConfluenceGenerator } from './standalone-generator.js';
 import { generateOpenApiSpec } from '@confytome/core/utils/generate-openapi-spec.js';
+import { watchStandaloneGenerator } from '@confytome/core/utils/watch-mode.js';
+import { resolveSpecPath, isLocalSpec } from '@confytome/core/utils/spec-loader.js';
 
 const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
@@ -16,31 +18,46 @@ program
 program
   .command('generate')
   .description('Generate Confluence-ready Markdown from OpenAPI spec')
-  .option('-s, --spec <path>', 'Path to OpenAPI spec file', './confytome/api-spec.json')
+  .option('-s, --spec <path>', 'OpenAPI spec: JSON/YAML file, "-" for stdin or http(s) URL', './confytome/api-spec.json')
   .option('-c, --config <path>', 'Server config JSON file (for generating spec from JSDoc)')
   .option('-f, --files <files...>', 'JSDoc files to process (will generate OpenAPI spec if no --spec provided)')
   .option('-o, --output <path>', 'Output directory for generated files', './confytome')
   .option('--no-brand', 'Exclude confytome branding from generated documentation')
   .option('--no-url-encode', 'Disable URL encoding for anchor links (preserve original anchor format)')
   .option('--no-clipboard', 'Skip copying markdown to clipboard')
+  .option('--changelog-from <spec>', 'Add an "API Changes" section comparing against this spec file, "<revision>:<path>" or git revision')
+  .option('-w, --watch', 'Watch the spec and JSDoc files and regenerate on change')
   .action(async(options) => {
     try {
+      const runGenerator = (specPath) => new StandaloneConfluenceGenerator(options.output, {
+        specPath: resolveSpecPath(specPath),
+        excludeBrand: !options.brand,
+        urlEncodeAnchors: options.urlEncode !== false,
+        changelogFrom: options.changelogFrom
+      }).generate({
+        copyToClipboard: options.clipboard !== false
+      });
+
+      if (options.watch) {
+        const watchedSpec = options.config ? path.join(options.output, 'api-spec.json') : options.spec;
+        await watchStandaloneGenerator({
+          specPath: watchedSpec,
+          outputDir: options.output,
+          config: options.config,
+          files: options.files,
+          run: () => runGenerator(watchedSpec)
+        });
+        return;
+      }
+
       let specPath = options.spec;
 
-      if (!fs.existsSync(specPath) && options.config) {
+      if (options.config && isLocalSpec(specPath) && !fs.existsSync(specPath)) {
         console.log('🔧 No OpenAPI spec found, generating from JSDoc files...');
         specPath = await generateOpenApiSpec(options.config, options.files, options.output);
       }
 
-      const generator = new StandaloneConfluenceGenerator(options.output, {
-        specPath: path.resolve(specPath),
-        excludeBrand: !options.brand,
-        urlEncodeAnchors: options.urlEncode !== false
-      });
-
-      const result = await generator.generate({
-        copyToClipboard: options.clipboard !== false
-      });
+      const result = await runGenerator(specPath);
 
       if (result.success) {
         console.log('✅ Confluence Markdown generation completed successfully');
@@ -61,11 +78,11 @@ program
 program
   .command('validate')
   .description('Validate OpenAPI spec file')
-  .option('-s, --spec <path>', 'Path to OpenAPI spec file', './api-spec.json')
+  .option('-s, --spec <path>', 'OpenAPI spec: JSON/YAML file, "-" for stdin or http(s) URL', './api-spec.json')
   .action(async(options) => {
     try {
       const generator = new StandaloneConfluenceGenerator('./', {
-        specPath: path.resolve(options.spec)
+        specPath: resolveSpecPath(options.spec)
       });
 
       const result = await generator.validate();
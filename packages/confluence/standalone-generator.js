@@ -3,27 +3,82 @@
  *
  * Cross-platform JavaScript equivalent of md2confluence.ps1
  * Generates clean Pandoc-style markdown and copies to clipboard for Confluence
+ *
+ * Writes confluence-docs.md so registry runs don't overwrite the Markdown
+ * generator's api-docs.md. The clipboard is only used when copyToClipboard is
+ * set, which the standalone CLI does unless --no-clipboard is given.
  */
 
 import fs from 'node:fs';
+import path from 'node:path';
+import { StandaloneBase } from '@confytome/core/utils/StandaloneBase.js';
+import { GeneratorTypes } from '@confytome/core/interfaces/IGenerator.js';
+import { OUTPUT_FILES } from '@confytome/core/constants.js';
 import { writeClipboard } from './utils/clipboard.js';
 
-export class StandaloneConfluenceGenerator {
+const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+export class StandaloneConfluenceGenerator extends StandaloneBase {
   constructor(outputDir = './confytome', options = {}) {
-    this.outputDir = outputDir;
-    this.options = {
-      excludeBrand: false,
-      ...options
-    };
+    super(outputDir, options);
   }
 
   static getMetadata() {
     return {
       name: 'confluence',
-      description: 'Pandoc-style Markdown generator for Confluence'
+      type: GeneratorTypes.SPEC_CONSUMER,
+      className: 'StandaloneConfluenceGenerator',
+      description: 'Pandoc-style Markdown generator for Confluence',
+      version: pkg.version,
+      packageName: '@confytome/confluence',
+      cliCommand: 'confytome-confluence',
+      inputs: ['api-spec.json'],
+      outputs: [OUTPUT_FILES.CONFLUENCE_DOCS],
+      features: ['pandoc-style-markdown', 'clipboard-integration']
+    };
+  }
+
+  /**
+   * Validate generator prerequisites (extends base validation)
+   * @param {Object} options - Validation options
+   * @returns {Promise<ValidationResult>} Validation result
+   */
+  async validate(options = {}) {
+    const baseValidation = await super.validate(options);
+
+    if (this.options.specPath) {
+      try {
+        await this.loadSpecSource();
+      } catch (error) {
+        baseValidation.errors.push(error.message);
+      }
+    }
+
+    return {
+      valid: baseValidation.errors.length === 0,
+      success: baseValidation.errors.length === 0,
+      errors: baseValidation.errors,
+      warnings: baseValidation.warnings
     };
   }
 
+  /**
+   * Initialize the generator (extends base initialization)
+   * Falls back to the spec in the output directory when no input source is set,
+   * which is how the generator registry runs it after OpenAPI generation.
+   * @param {Object} options - Initialization options
+   * @returns {Promise<ValidationResult>} Initialization result
+   */
+  async initialize(options = {}) {
+    const baseInit = await super.initialize(options);
+
+    if (!this.options.specPath && !this.options.markdownPath) {
+      this.options.specPath = path.join(this.outputDir, 'api-spec.json');
+    }
+
+    return baseInit;
+  }
+
 
   /**
    * Simple logging method
@@ -50,12 +105,15 @@ export class StandaloneConfluenceGenerator {
           specPath: this.options.specPath,
           excludeBrand: this.options.excludeBrand,
           urlEncodeAnchors: this.options.urlEncodeAnchors,
-          tagOrder: this.options.tagOrder
+          tagOrder: this.options.tagOrder,
+          outputFile: this.options.outputFile || OUTPUT_FILES.CONFLUENCE_DOCS,
+          templateDir: this.options.templateDir,
+          changelogFrom: this.options.changelogFrom
         });
 
         const result = await markdownGenerator.generate();
         if (!result.success) {
-          throw new Error(`Markdown generation failed: ${result.error}`);
+          throw new Error(`Markdown generation failed: ${result.stats?.error || result.error}`);
         }
         markdownPath = result.outputPath;
         this.log(`✅ Markdown generated: ${markdownPath}`);
@@ -65,8 +123,6 @@ export class StandaloneConfluenceGenerator {
         throw new Error('No input source specified. Provide either specPath or markdownPath.');
       }
 
-      // Read and copy markdown to clipboard
-      this.log(`📋 Copying clean markdown to clipboard: ${markdownPath}`);
       if (!fs.existsSync(markdownPath)) {
         throw new Error(`Markdown file not found: ${markdownPath}`);
       }
@@ -76,7 +132,8 @@ export class StandaloneConfluenceGenerator {
 
       // Copy to clipboard
       let clipboardSuccess = false;
-      if (options.copyToClipboard !== false) {
+      if (options.copyToClipboard ?? this.options.copyToClipboard) {
+        this.log(`📋 Copying clean markdown to clipboard: ${markdownPath}`);
         try {
           await writeClipboard(markdownContent);
           clipboardSuccess = true;
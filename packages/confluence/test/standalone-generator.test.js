@@ -62,6 +62,16 @@ describe('StandaloneConfluenceGenerator', () => {
       expect(result.clipboardSuccess).toBe(false);
     });
 
+    test('writes confluence-docs.md so the Markdown generator output is kept', async() => {
+      const specPath = path.join(testDir, 'spec.json');
+      fs.writeFileSync(specPath, JSON.stringify(minimalSpec));
+      fs.writeFileSync(path.join(testDir, 'api-docs.md'), '# Markdown generator output');
+      generator.options.specPath = specPath;
+      const result = await generator.generate();
+      expect(result.outputPath).toBe(path.join(testDir, 'confluence-docs.md'));
+      expect(fs.readFileSync(path.join(testDir, 'api-docs.md'), 'utf8')).toBe('# Markdown generator output');
+    });
+
     test('succeeds from markdownPath with copyToClipboard disabled', async() => {
       const mdPath = path.join(testDir, 'api-docs.md');
       fs.writeFileSync(mdPath, '# Test Docs\n\nSome content.');
@@ -84,13 +94,25 @@ describe('StandaloneConfluenceGenerator', () => {
       expect(result.error).toContain('No input source specified');
     });
 
-    test('attempts clipboard copy by default', async() => {
+    test('does not touch the clipboard unless copyToClipboard is set', async() => {
+      const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const mdPath = path.join(testDir, 'api-docs.md');
+      fs.writeFileSync(mdPath, '# Docs');
+      generator.options.markdownPath = mdPath;
+      const result = await generator.generate();
+      expect(result.success).toBe(true);
+      expect(result.clipboardSuccess).toBe(false);
+      expect(spy.mock.calls.flat().join('\n')).not.toContain('clipboard');
+      spy.mockRestore();
+    });
+
+    test('attempts clipboard copy when copyToClipboard is set', async() => {
       if (process.platform === 'win32') return;
       const mdPath = path.join(testDir, 'api-docs.md');
       fs.writeFileSync(mdPath, '# Docs');
       generator.options.markdownPath = mdPath;
       // clipboard may succeed or fail in the test environment — both are valid outcomes
-      const result = await generator.generate();
+      const result = await generator.generate({ copyToClipboard: true });
       expect(result.success).toBe(true);
       expect(typeof result.clipboardSuccess).toBe('boolean');
     }, 15000);
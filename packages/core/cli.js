@@ -9,26 +9,70 @@
 
 import { program } from 'commander';
 import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
 import { CliValidator } from './utils/cli-validator.js';
 import { ConfigMerger } from './utils/config-merger.js';
+import { ConfytomeConfig } from './utils/confytome-config.js';
+import { readConfig, resolveConfigPath } from './utils/config-loader.js';
 import {
   generateOpenAPI,
-  generateFromConfytomeConfig
+  generateFromConfytomeConfig,
+  listRouteFiles,
+  generateMergedSpec,
+  writeSpec,
+  reportGeneratorResults
 } from './utils/cli-helpers.js';
-import { getOutputDir, DEFAULT_OUTPUT_DIR, DEFAULT_CONFIG_FILES, OUTPUT_FILES } from './constants.js';
+import { watchConfytomeConfig, watchOpenAPI } from './utils/watch-mode.js';
+import { DocsServer } from './utils/docs-server.js';
+import { MockServer } from './utils/mock-server.js';
+import { ContractTester } from './utils/contract-tester.js';
+import { SpecLinter } from './utils/spec-linter.js';
+import { JsonSourceMap, YamlSourceMap } from './utils/json-source-map.js';
+import { SpecDiff } from './utils/spec-diff.js';
+import { normalizeMergeSources, applySourceMappings } from './utils/spec-merger.js';
+import { loadSpec, parseSpecText, readSpecSource, resolveSpecPath } from './utils/spec-loader.js';
+import { splitSpec, SPLIT_FORMATS } from './utils/spec-splitter.js';
+import { validateSpecFormat } from './utils/spec-format.js';
+import {
+  getOutputDir,
+  DEFAULT_OUTPUT_DIR,
+  OUTPUT_FILES,
+  SERVE_DEFAULTS,
+  MOCK_DEFAULTS
+} from './constants.js';
 
 // Simplified helper functions - no complex plugin system initialization needed
 // All generators are dynamically discovered by the plugin registry system
 
+// Where the confytome config is looked up without --config
+const configSearchDesc = 'default: confytome.config.js/.mjs, confytome.yaml/.yml, confytome.json or the "confytome" key of package.json';
+
 // Common CLI options to reduce duplication
 const commonOptions = {
   output: '-o, --output <dir>',
   outputDir: '-o, --output-dir <dir>',
   outputDesc: `output directory (default: ${DEFAULT_OUTPUT_DIR})`,
+  config: '-c, --config <path>',
+  configDesc: `confytome config file listing external plugins (${configSearchDesc})`,
   json: '--json',
   jsonDesc: 'output in JSON format',
   noBrand: '--no-brand',
-  noBrandDesc: 'exclude confytome branding from output'
+  noBrandDesc: 'exclude confytome branding from output',
+  watch: '-w, --watch',
+  watchDesc: 'watch input files and regenerate on change',
+  format: '--format <format>',
+  formatDesc: `spec format: json (${OUTPUT_FILES.OPENAPI_SPEC}), yaml (${OUTPUT_FILES.OPENAPI_SPEC_YAML}) or both (default: json)`,
+  target: '--target <version>',
+  targetDesc: 'OpenAPI version to emit: 3.0 (3.0.3) or 3.1 (3.1.0) (default: the "openapi" field of the server config)',
+  overlay: '--overlay <files...>',
+  overlayDesc: 'OpenAPI Overlay files applied to the spec before it is written (default: "overlays" from confytome.json)',
+  offline: '--offline',
+  offlineDesc: 'use cached network route files instead of fetching them',
+  noSourceLocations: '--no-source-locations',
+  noSourceLocationsDesc: 'leave the file and line of each operation ("x-confytome-source") out of the spec',
+  sourceUrl: '--source-url <template>',
+  sourceUrlDesc: 'link source locations to your repository, e.g. "https://github.com/acme/api/blob/main/{file}#L{line}"'
 };
 
 program
@@ -36,7 +80,7 @@ program
   .description(`
 🔌 Plugin-based API documentation generator with OpenAPI-first architecture
 
-confytome generates OpenAPI 3.0.3 specifications from JSDoc-annotated code.
+confytome generates OpenAPI 3.0 and 3.1 specifications from JSDoc-annotated code.
 Use individual generator packages for other formats:
 • @confytome/markdown - Confluence-friendly Markdown docs
 • @confytome/swagger - Interactive Swagger UI
@@ -47,6 +91,9 @@ Quick Start:
   1. confytome init                   # Set up project structure
   2. Edit confytome.json              # Configure routes and servers
   3. confytome generate               # Generate OpenAPI spec
+  4. confytome build                  # Spec plus every configured format
+  5. confytome serve                  # Browse docs locally with live reload
+  6. confytome lint                   # Check the spec before publishing
 
 Traditional approach:
   confytome openapi -c serverConfig.json -f *.js
@@ -68,28 +115,65 @@ Generate documentation using confytome.json configuration (plugin system)
 
 Uses a simple confytome.json file to specify server config and route files.
 Supports server overrides for specific route files (useful for auth routes).
+After the OpenAPI spec is written, every discovered spec consumer generator
+(HTML, Markdown, Swagger UI, Postman, Confluence) runs on it, unless --spec-only.
 
 Examples:
   confytome generate
   confytome generate --config ./my-confytome.json
   confytome generate --output ./api-docs
+  confytome generate --format both     # Also write ${OUTPUT_FILES.OPENAPI_SPEC_YAML}
+  confytome generate --overlay public.overlay.yaml
+  confytome generate --watch           # Regenerate on every save
+  confytome generate --list-files      # Show the route files the patterns match
+  confytome generate --spec-only       # Write only the OpenAPI spec
+  confytome generate --offline         # Use cached network route files
+  confytome generate --no-source-locations   # Leave "x-confytome-source" out of the spec
 `)
-  .option('-c, --config <path>', `confytome config file (default: ${DEFAULT_CONFIG_FILES.CONFYTOME})`)
+  .option('-c, --config <path>', `confytome config file (${configSearchDesc})`)
   .option(commonOptions.output, commonOptions.outputDesc)
   .option('--no-brand', 'exclude confytome branding from generated documentation')
+  .option(commonOptions.format, commonOptions.formatDesc)
+  .option(commonOptions.target, commonOptions.targetDesc)
+  .option(commonOptions.overlay, commonOptions.overlayDesc)
+  .option(commonOptions.watch, commonOptions.watchDesc)
+  .option(commonOptions.offline, commonOptions.offlineDesc)
+  .option(commonOptions.noSourceLocations, commonOptions.noSourceLocationsDesc)
+  .option(commonOptions.sourceUrl, commonOptions.sourceUrlDesc)
+  .option('--list-files', 'print the route files matched by "routeFiles" and exit without generating')
+  .option('--spec-only', 'write only the OpenAPI spec, without running the spec consumer generators')
   .action(async(options) => {
     try {
-      const configPath = options.config || DEFAULT_CONFIG_FILES.CONFYTOME;
+      const configPath = resolveConfigPath(options.config);
       const outputDir = getOutputDir(options.output);
 
       // Extract and clean CLI options
       const cliOptions = ConfigMerger.extractCliOptions(options);
 
+      if (options.listFiles) {
+        listRouteFiles(await ConfigMerger.mergeWithConfig(configPath, cliOptions));
+        return;
+      }
+
+      if (options.watch) {
+        await watchConfytomeConfig(configPath, outputDir, {
+          cliOptions,
+          excludeBrand: options.brand === false ? true : undefined,
+          specOnly: options.specOnly
+        });
+        return;
+      }
+
       // Merge CLI options with config file - returns config object directly
-      const mergedConfig = ConfigMerger.mergeWithConfig(configPath, cliOptions);
+      const mergedConfig = await ConfigMerger.mergeWithConfig(configPath, cliOptions);
+
+      // Generate the spec, then run the configured (or all) spec consumers on it
+      const results = await generateFromConfytomeConfig(mergedConfig, outputDir, {
+        excludeBrand: options.brand === false ? true : undefined,
+        specOnly: options.specOnly
+      });
 
-      // Generate using the merged configuration object
-      await generateFromConfytomeConfig(mergedConfig, outputDir);
+      reportGeneratorResults(results);
 
     } catch (error) {
       console.error('❌ Generate failed:', error.message);
@@ -97,21 +181,575 @@ Examples:
     }
   });
 
+program
+  .command('build')
+  .description(`
+Build the OpenAPI spec and every configured documentation format in one run
+
+Reads confytome.json, generates ${OUTPUT_FILES.OPENAPI_SPEC}, then runs the generators
+listed in its "generators" section with their per-generator options:
+
+  "generators": {
+    "markdown": { "tagOrder": ["Users", "Orders"], "urlEncodeAnchors": false },
+    "html": { "outputFile": "index.html", "excludeBrand": true },
+    "confluence": { "clipboard": true },
+    "swagger": true
+  }
+
+Without a "generators" section every discovered spec consumer runs.
+
+Examples:
+  confytome build
+  confytome build --config ./my-confytome.json --output ./api-docs
+  confytome build --only markdown html
+`)
+  .option('-c, --config <path>', `confytome config file (${configSearchDesc})`)
+  .option(commonOptions.output, 'output directory (default: "outputDir" from confytome.json, then ./confytome)')
+  .option('--only <generators...>', 'run only the named generators')
+  .option('--fail-fast', 'stop on first generator failure')
+  .option('--no-brand', 'exclude confytome branding from every generator')
+  .option(commonOptions.format, commonOptions.formatDesc)
+  .option(commonOptions.target, commonOptions.targetDesc)
+  .option(commonOptions.overlay, commonOptions.overlayDesc)
+  .option(commonOptions.offline, commonOptions.offlineDesc)
+  .option(commonOptions.noSourceLocations, commonOptions.noSourceLocationsDesc)
+  .option(commonOptions.sourceUrl, commonOptions.sourceUrlDesc)
+  .action(async(options) => {
+    const startTime = Date.now();
+
+    try {
+      const configPath = resolveConfigPath(options.config);
+      const cliOptions = ConfigMerger.extractCliOptions(options);
+      const confytomeConfig = ConfigMerger.mergeConfigurations(await ConfytomeConfig.load(configPath, { offline: options.offline }), cliOptions);
+      const outputDir = getOutputDir(confytomeConfig.outputDir);
+
+      console.log(`🏗️  Building documentation into ${outputDir}`);
+
+      const results = await generateFromConfytomeConfig(confytomeConfig, outputDir, {
+        excludeBrand: options.brand === false ? true : undefined,
+        failFast: options.failFast,
+        only: options.only
+      });
+
+      reportGeneratorResults(results);
+      console.log(`🎉 Build completed in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error('❌ Build failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description(`
+Serve the generated documentation locally with live reload
+
+Builds ${OUTPUT_FILES.OPENAPI_SPEC} plus the HTML, Swagger UI and Markdown outputs (or the
+"generators" section of confytome.json) into the output directory and serves it:
+• /                     Index page linking every artifact
+• /${OUTPUT_FILES.OPENAPI_SPEC}        Raw spec - Swagger UI loads it by URL
+Open pages reload automatically whenever a watched file is saved.
+
+Examples:
+  confytome serve
+  confytome serve --port 8080 --output ./api-docs
+  confytome serve --no-watch
+`)
+  .option('-c, --config <path>', `confytome config file (${configSearchDesc})`)
+  .option(commonOptions.output, commonOptions.outputDesc)
+  .option('-p, --port <port>', `port to listen on (default: ${SERVE_DEFAULTS.PORT})`)
+  .option('--host <host>', `host to bind (default: ${SERVE_DEFAULTS.HOST})`)
+  .option('--no-watch', 'build once and serve without watching for changes')
+  .option('--no-brand', 'exclude confytome branding from generated documentation')
+  .action(async(options) => {
+    try {
+      const configPath = resolveConfigPath(options.config);
+      const outputDir = getOutputDir(options.output);
+      const cliOptions = ConfigMerger.extractCliOptions(options);
+      const generationOptions = {
+        excludeBrand: options.brand === false ? true : undefined,
+        defaultGenerators: SERVE_DEFAULTS.GENERATORS,
+        generatorDefaults: { swagger: { specUrl: OUTPUT_FILES.OPENAPI_SPEC } }
+      };
+
+      const server = new DocsServer(outputDir, { liveReload: options.watch !== false });
+      const url = await server.start(Number(options.port || SERVE_DEFAULTS.PORT), options.host || SERVE_DEFAULTS.HOST);
+
+      if (options.watch === false) {
+        const mergedConfig = await ConfigMerger.mergeWithConfig(configPath, cliOptions);
+        reportGeneratorResults(await generateFromConfytomeConfig(mergedConfig, outputDir, generationOptions));
+      } else {
+        await watchConfytomeConfig(configPath, outputDir, {
+          cliOptions,
+          ...generationOptions,
+          onRebuild: () => server.reload()
+        });
+      }
+
+      console.log(`🌐 Serving ${outputDir} at ${url}`);
+    } catch (error) {
+      console.error('❌ Serve failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mock')
+  .description(`
+Start a mock API server answering every operation in the OpenAPI spec
+
+Responses use the declared examples, falling back to examples generated from
+the response schema. Path templates such as /users/{id} are matched, and
+request bodies are validated against their schemas (400 on mismatch).
+
+Choose a response per request with the Prefer header:
+  Prefer: code=404              # Respond with the declared 404 response
+  Prefer: example=adminUser     # Respond with a named example
+
+Examples:
+  confytome mock
+  confytome mock --spec ./api-docs/${OUTPUT_FILES.OPENAPI_SPEC} --port 8080
+  curl -H "Prefer: code=404" http://localhost:${MOCK_DEFAULTS.PORT}/users/42
+`)
+  .option('-s, --spec <path>', `OpenAPI spec to mock (default: ${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC})`)
+  .option('-p, --port <port>', `port to listen on (default: ${MOCK_DEFAULTS.PORT})`)
+  .option('--host <host>', `host to bind (default: ${MOCK_DEFAULTS.HOST})`)
+  .option('--no-validate', 'skip request body validation')
+  .action(async(options) => {
+    try {
+      const specPath = options.spec || path.join(DEFAULT_OUTPUT_DIR, OUTPUT_FILES.OPENAPI_SPEC);
+      if (!fs.existsSync(specPath)) {
+        throw new Error(`OpenAPI spec not found: ${specPath}. Run "confytome generate" first or pass --spec`);
+      }
+
+      const spec = await loadSpec(specPath);
+      const server = new MockServer(spec, { validateRequests: options.validate !== false });
+      const url = await server.start(Number(options.port || MOCK_DEFAULTS.PORT), options.host || MOCK_DEFAULTS.HOST);
+
+      const operationCount = server.routes.reduce((count, route) =>
+        count + Object.keys(route.pathItem).filter(key => key !== 'parameters' && key !== 'servers').length, 0);
+      console.log(`🎭 Mocking ${spec.info?.title || 'API'} (${operationCount} operations) at ${url}`);
+      console.log('💡 Use "Prefer: code=404" or "Prefer: example=<name>" to pick a response');
+    } catch (error) {
+      console.error('❌ Mock server failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('test')
+  .description(`
+Run contract tests for every operation against a running server
+
+Sends one request per operation using the documented parameter and request
+body examples (the same data as the generated curl samples), then checks the
+status code, response headers and response body against the spec.
+
+Examples:
+  confytome test --base-url http://localhost:3000
+  confytome test --base-url http://localhost:3000/api -H "Authorization: Bearer $TOKEN"
+  confytome test --base-url http://localhost:3000 --reporter junit --report-file reports/contract.xml
+`)
+  .requiredOption('--base-url <url>', 'base URL of the running server')
+  .option('-s, --spec <path>', `OpenAPI spec to test against (default: ${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC})`)
+  .option('-H, --header <header...>', 'extra request header, e.g. "Authorization: Bearer <token>"')
+  .option('--tag <tags...>', 'only test operations with these tags')
+  .option('--timeout <ms>', 'request timeout in milliseconds', '10000')
+  .option('--reporter <format>', 'report format: junit or json')
+  .option('--report-file <path>', 'write the report to a file instead of stdout')
+  .action(async(options) => {
+    try {
+      if (options.reporter && !['junit', 'json'].includes(options.reporter)) {
+        throw new Error(`Unknown reporter "${options.reporter}" (expected junit or json)`);
+      }
+
+      const specPath = options.spec || path.join(DEFAULT_OUTPUT_DIR, OUTPUT_FILES.OPENAPI_SPEC);
+      if (!fs.existsSync(specPath)) {
+        throw new Error(`OpenAPI spec not found: ${specPath}. Run "confytome generate" first or pass --spec`);
+      }
+
+      const headers = {};
+      for (const header of options.header || []) {
+        const separator = header.indexOf(':');
+        if (separator === -1) {
+          throw new Error(`Invalid header "${header}" (expected "Name: value")`);
+        }
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+      }
+
+      const spec = await loadSpec(specPath);
+      const tester = new ContractTester(spec, {
+        baseUrl: options.baseUrl,
+        headers,
+        tags: options.tag,
+        timeout: Number(options.timeout)
+      });
+
+      console.log(`🧪 Testing ${spec.info?.title || 'API'} against ${options.baseUrl}`);
+      const summary = await tester.run(result => {
+        const status = result.status === null ? '' : ` → ${result.status}`;
+        console.log(`${result.errors.length === 0 ? '✅' : '❌'} ${result.name}${status} (${result.durationMs}ms)`);
+        result.errors.forEach(error => console.log(`   - ${error}`));
+      });
+
+      console.log('');
+      console.log(`📊 ${summary.passed} passed, ${summary.failed} failed, ${summary.total} total (${summary.durationMs}ms)`);
+
+      if (options.reporter) {
+        const report = options.reporter === 'junit' ? ContractTester.toJUnitXml(summary) : ContractTester.toJson(summary);
+        if (options.reportFile) {
+          fs.mkdirSync(path.dirname(path.resolve(options.reportFile)), { recursive: true });
+          fs.writeFileSync(options.reportFile, report);
+          console.log(`📄 Report written to ${options.reportFile}`);
+        } else {
+          console.log(report);
+        }
+      }
+
+      if (summary.failed > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('❌ Contract tests failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('lint')
+  .description(`
+Lint the OpenAPI spec against the OpenAPI 3.0/3.1 schema and built-in rules
+
+Built-in rules: openapi-schema, operation-tags, operation-operationId,
+no-unused-components, operation-error-responses, operation-examples.
+Set severities ("error", "warn" or "off") and add custom rule modules in the
+"lint" section of confytome.json:
+
+  "lint": {
+    "rules": { "operation-examples": "off" },
+    "customRules": ["./lint/require-summary.js"]
+  }
+
+Exits with code 1 when any error is found (or warnings exceed --max-warnings).
+
+Examples:
+  confytome lint
+  confytome lint --spec ./api-docs/${OUTPUT_FILES.OPENAPI_SPEC} --format json
+  confytome lint --max-warnings 0
+  confytome lint --list-rules
+`)
+  .option('-s, --spec <path>', `OpenAPI spec to lint, JSON or YAML (default: ${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC})`)
+  .option(commonOptions.config, `confytome config with a "lint" section (${configSearchDesc})`)
+  .option('--format <format>', 'output format: text or json', 'text')
+  .option('--max-warnings <count>', 'fail when there are more warnings than this')
+  .option('--list-rules', 'list every rule with its effective severity')
+  .action(async(options) => {
+    try {
+      if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected text or json)`);
+      }
+
+      const configPath = resolveConfigPath(options.config);
+      const config = await ConfigMerger.mergeWithConfig(configPath, {});
+      const linter = await SpecLinter.fromConfig(config.lint, path.dirname(path.resolve(configPath)));
+
+      if (options.listRules) {
+        linter.listRules().forEach(rule => console.log(`${rule.name.padEnd(28)} ${rule.severity.padEnd(5)}  ${rule.description}`));
+        return;
+      }
+
+      const specPath = options.spec || path.join(DEFAULT_OUTPUT_DIR, OUTPUT_FILES.OPENAPI_SPEC);
+      if (!fs.existsSync(specPath)) {
+        throw new Error(`OpenAPI spec not found: ${specPath}. Run "confytome generate" first or pass --spec`);
+      }
+
+      const text = fs.readFileSync(specPath, 'utf8');
+      const spec = parseSpecText(text, specPath);
+      const sourceMap = /^\s*[{[]/.test(text) ? new JsonSourceMap(text) : new YamlSourceMap(text);
+      const problems = SpecLinter.locate(await linter.lint(spec), sourceMap);
+      const { errorCount, warningCount } = SpecLinter.summarize(problems);
+
+      if (options.format === 'json') {
+        console.log(SpecLinter.formatJson(problems, specPath));
+      } else if (problems.length === 0) {
+        console.log(`✅ ${specPath}: no problems found`);
+      } else {
+        console.log(SpecLinter.formatText(problems, specPath));
+        console.log('');
+        console.log(`${errorCount > 0 ? '❌' : '⚠️ '} ${errorCount} error(s), ${warningCount} warning(s)`);
+      }
+
+      const maxWarnings = options.maxWarnings === undefined ? Infinity : Number(options.maxWarnings);
+      if (errorCount > 0 || warningCount > maxWarnings) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('❌ Lint failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff <old> [new]')
+  .description(`
+Compare two OpenAPI specs and classify every change
+
+Paths, operations, parameters, request bodies, responses and the schemas
+they use are compared. Each change is breaking (e.g. a removed endpoint, a
+newly required parameter, a narrowed enum or a changed type), non-breaking
+or informational.
+
+<old> and [new] are spec files, "<revision>:<path>" references to a spec
+committed at a git revision, or a bare git revision: that revision is checked
+out into a temporary git worktree and its spec is generated there from the
+confytome config and JSDoc committed at it.
+[new] defaults to ${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC}.
+
+Examples:
+  confytome diff old-spec.json new-spec.json
+  confytome diff main                          # Against the spec generated from main
+  confytome diff main:docs/api-spec.json docs/api-spec.json --format markdown
+  confytome diff v1.2.0 --fail-on-breaking     # Gate a release in CI
+`)
+  .option('--format <format>', 'output format: text, json or markdown', 'text')
+  .option('--output <file>', 'write the report to a file instead of stdout')
+  .option('--fail-on-breaking', 'exit with code 1 when breaking changes are found')
+  .action((oldSource, newSource, options) => {
+    try {
+      if (!['text', 'json', 'markdown'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected text, json or markdown)`);
+      }
+
+      const defaultSpec = path.join(DEFAULT_OUTPUT_DIR, OUTPUT_FILES.OPENAPI_SPEC);
+      const newPath = newSource || defaultSpec;
+      const result = new SpecDiff(
+        readSpecSource(oldSource, fs.existsSync(newPath) ? newPath : defaultSpec),
+        readSpecSource(newPath, defaultSpec)
+      ).compare();
+
+      const formatters = { text: 'toText', json: 'toJson', markdown: 'toMarkdown' };
+      const report = SpecDiff[formatters[options.format]](result);
+
+      if (options.output) {
+        fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+        fs.writeFileSync(options.output, report);
+        console.log(`📄 Diff written to ${options.output} (${result.summary.breaking} breaking change(s))`);
+      } else {
+        console.log(report);
+      }
+
+      if (options.failOnBreaking && result.summary.breaking > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('❌ Diff failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('merge [specs...]')
+  .description(`
+Merge several OpenAPI specs into one gateway spec
+
+Writes ${OUTPUT_FILES.OPENAPI_SPEC} to the output directory, ready for every documentation
+generator. Specs may be JSON or YAML files, Swagger 2.0 or http(s) URLs. Each
+source is named after its file (billing.json → billing):
+• --path-prefix billing=/billing    Prefix every path of a source
+• --tag-prefix billing="Billing "   Prefix every tag of a source
+• Same-named components that differ are renamed (User → User_billing) with
+  their $refs updated, or fail the merge with --on-conflict fail
+• Servers and security of later sources move onto their operations
+
+Without specs, the "merge" section of confytome.json is used.
+
+Examples:
+  confytome merge billing.json auth.yaml
+  confytome merge billing.json auth.json --path-prefix billing=/billing auth=/auth
+  confytome merge billing.json auth.json --tag-prefix billing="Billing " --on-conflict fail
+  confytome merge --config ./confytome.json --output ./gateway-docs
+`)
+  .option('-c, --config <path>', `confytome config file with a "merge" section, used without specs (${configSearchDesc})`)
+  .option(commonOptions.output, commonOptions.outputDesc)
+  .option('--path-prefix <mappings...>', 'path prefix per source as <source>=<prefix>')
+  .option('--tag-prefix <mappings...>', 'tag prefix per source as <source>=<prefix>')
+  .option('--on-conflict <mode>', 'differing same-named components: rename or fail (default: rename)')
+  .option('--title <title>', 'title of the merged spec (default: the first spec\'s)')
+  .option(commonOptions.format, commonOptions.formatDesc)
+  .option(commonOptions.target, commonOptions.targetDesc)
+  .option(commonOptions.overlay, commonOptions.overlayDesc)
+  .action(async(specs, options) => {
+    try {
+      let mergeConfig = {};
+      let config = {};
+      if (specs.length > 0) {
+        mergeConfig.sources = specs;
+      } else {
+        const configPath = resolveConfigPath(options.config);
+        config = await ConfigMerger.mergeWithConfig(configPath, {});
+        if (!config.merge) {
+          throw new Error(`No specs given and ${configPath} has no "merge" section`);
+        }
+        mergeConfig = config.merge;
+      }
+
+      const sources = normalizeMergeSources(mergeConfig);
+      applySourceMappings(sources, options.pathPrefix, 'pathPrefix');
+      applySourceMappings(sources, options.tagPrefix, 'tagPrefix');
+
+      const result = await generateMergedSpec(sources, getOutputDir(options.output || config.outputDir), {
+        onConflict: options.onConflict || mergeConfig.onConflict,
+        info: options.title ? { ...mergeConfig.info, title: options.title } : mergeConfig.info,
+        servers: mergeConfig.servers,
+        specFormat: options.format || config.specFormat,
+        openapiTarget: options.target || config.openapiTarget,
+        overlays: options.overlay || config.overlays
+      });
+      if (!result.success) {
+        throw new Error(result.stats.error);
+      }
+
+      const { paths = {} } = result.stats.spec;
+      console.log(`🔗 Merged ${sources.length} specs: ${Object.keys(paths).length} paths`);
+    } catch (error) {
+      console.error('❌ Merge failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('bundle <spec>')
+  .description(`
+Bundle a spec that $refs other files into a single ${OUTPUT_FILES.OPENAPI_SPEC}
+
+Relative-file and URL $refs (./schemas/User.yaml, common.yaml#/Error) are
+resolved into the spec's components. Every generator does this when it reads
+--spec, so bundling is only needed to hand one file to other tools.
+
+Examples:
+  confytome bundle openapi/openapi.yaml
+  confytome bundle openapi/openapi.yaml --output ./api-docs --format both
+`)
+  .option(commonOptions.output, commonOptions.outputDesc)
+  .option(commonOptions.format, commonOptions.formatDesc)
+  .option(commonOptions.target, commonOptions.targetDesc)
+  .action(async(source, options) => {
+    try {
+      validateSpecFormat(options.format);
+      const spec = await loadSpec(resolveSpecPath(source));
+      writeSpec(spec, getOutputDir(options.output), {
+        specFormat: options.format,
+        openapiTarget: options.target
+      }, 'Bundled OpenAPI spec created');
+    } catch (error) {
+      console.error('❌ Bundle failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('split [spec]')
+  .description(`
+Split a spec into one file per path and per component
+
+Writes openapi.yaml with $refs to paths/*.yaml and components/<type>/*.yaml,
+for teams that maintain the spec by hand. Generators read the split spec
+directly (--spec openapi/openapi.yaml); "confytome bundle" joins it again.
+[spec] defaults to ${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC}.
+
+Examples:
+  confytome split
+  confytome split api-spec.json --output ./openapi --format json
+`)
+  .option('-o, --output <dir>', 'directory for the split files (default: ./openapi)')
+  .option('--format <format>', `file format: ${SPLIT_FORMATS.join(' or ')} (default: yaml)`)
+  .action(async(source, options) => {
+    try {
+      const specPath = source || path.join(DEFAULT_OUTPUT_DIR, OUTPUT_FILES.OPENAPI_SPEC);
+      const outputDir = options.output || './openapi';
+      const files = splitSpec(await loadSpec(resolveSpecPath(specPath)), { format: options.format });
+
+      for (const file of files) {
+        const filePath = path.join(outputDir, file.path);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.content);
+      }
+      console.log(`✂️  Split ${specPath} into ${files.length} files in ${outputDir} (root: ${path.join(outputDir, files[0].path)})`);
+    } catch (error) {
+      console.error('❌ Split failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Inspect the confytome configuration');
+
+configCommand
+  .command('print')
+  .description(`
+Print the resolved confytome configuration
+
+Finds the config the way every command does (confytome.config.js/.mjs,
+confytome.yaml/.yml, confytome.json, then the "confytome" key of package.json),
+merges the configs it "extends" and expands \${VAR}s. Functions exported by a
+JS config are shown as [Function name].
+
+Examples:
+  confytome config print
+  confytome config print --config ./packages/billing/confytome.yaml --format yaml
+`)
+  .option('-c, --config <path>', `confytome config file (${configSearchDesc})`)
+  .option('--format <format>', 'output format: json or yaml (default: json)')
+  .action(async(options) => {
+    try {
+      const format = options.format || 'json';
+      if (!['json', 'yaml'].includes(format)) {
+        throw new Error(`Unknown format '${format}': expected json or yaml`);
+      }
+
+      const { config } = await readConfig(resolveConfigPath(options.config));
+      const printable = JSON.parse(JSON.stringify(config, (_key, value) =>
+        typeof value === 'function' ? `[Function ${value.name || 'anonymous'}]` : value));
+
+      console.log(format === 'yaml'
+        ? yaml.dump(printable, { lineWidth: -1, noRefs: true }).trimEnd()
+        : JSON.stringify(printable, null, 2));
+    } catch (error) {
+      console.error('❌ Config print failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('openapi')
   .description(`
-Generate OpenAPI 3.0.3 specification from JSDoc comments
+Generate an OpenAPI 3.x specification from JSDoc comments
 
 Creates ${OUTPUT_FILES.OPENAPI_SPEC} from your @swagger JSDoc annotations.
 This is the foundation for all other documentation formats.
+Use --format yaml or --format both for ${OUTPUT_FILES.OPENAPI_SPEC_YAML}, with multi-line
+descriptions written as readable block scalars. --target 3.0 converts 3.1
+syntax (type: [x, "null"], schema examples, webhooks) for tools that only accept 3.0.
 
 Examples:
   confytome openapi -c serverConfig.json -f router.js
   confytome openapi -c config.json -f src/**/*.js --output ./api-docs
+  confytome openapi -c config.json -f router.js --format yaml
+  confytome openapi -c config.json -f router.js --target 3.0
+  confytome openapi -c config.json -f router.js --overlay public.overlay.yaml
+  confytome openapi -c config.json -f router.js --source-url "https://github.com/acme/api/blob/main/{file}#L{line}"
+  confytome openapi -c config.json -f router.js --watch
 `)
   .option('-c, --config <path>', 'server config JSON file (required)')
   .option('-f, --files <files...>', 'JSDoc files to process (required)')
   .option(commonOptions.output, commonOptions.outputDesc)
+  .option(commonOptions.format, commonOptions.formatDesc)
+  .option(commonOptions.target, commonOptions.targetDesc)
+  .option(commonOptions.overlay, commonOptions.overlayDesc)
+  .option(commonOptions.noSourceLocations, commonOptions.noSourceLocationsDesc)
+  .option(commonOptions.sourceUrl, commonOptions.sourceUrlDesc)
+  .option(commonOptions.watch, commonOptions.watchDesc)
   .action(async(options) => {
     const files = options.files || [];
     if (!options.config || files.length === 0) {
@@ -126,8 +764,24 @@ Examples:
       // Validate config file exists
       fs.readFileSync(options.config, 'utf8');
 
+      const generationOptions = {
+        specFormat: options.format,
+        openapiTarget: options.target,
+        overlays: options.overlay,
+        sourceLocations: options.sourceLocations,
+        sourceUrl: options.sourceUrl
+      };
+
+      if (options.watch) {
+        await watchOpenAPI(options.config, files, outputDir, generationOptions);
+        return;
+      }
+
       // Generate using direct parameters - simplified approach
-      await generateOpenAPI(options.config, files, outputDir);
+      const result = await generateOpenAPI(options.config, files, outputDir, generationOptions);
+      if (!result.success) {
+        throw new Error(result.stats?.error || 'OpenAPI spec generation failed');
+      }
 
     } catch (error) {
       console.error('❌ OpenAPI generation failed:', error.message);
@@ -144,7 +798,7 @@ Initialize complete confytome project structure
 
 Sets up everything you need to start generating documentation:
 • Creates confytome/ directory (or custom --output location)
-• Generates serverConfig.json template with OpenAPI 3.0.3 structure
+• Generates serverConfig.json template with OpenAPI 3.1.0 structure
 • Creates confytome.json for simplified project configuration
 • Creates example-router.js with JSDoc best practices
 • Sets up templates/ for Markdown customization
@@ -286,7 +940,7 @@ Examples:
       console.log('\n🎉 Demo OpenAPI specification generated successfully!');
       console.log('');
       console.log(`Generated demo files in ${outputDir}:`);
-      console.log(`- ${OUTPUT_FILES.OPENAPI_SPEC} (OpenAPI 3.0.3 specification)`);
+      console.log(`- ${OUTPUT_FILES.OPENAPI_SPEC} (OpenAPI specification)`);
       console.log('');
       console.log('📝 To generate additional formats, use standalone generators:');
       console.log(`- confytome-markdown generate --spec ${outputDir}/${OUTPUT_FILES.OPENAPI_SPEC}`);
@@ -324,11 +978,16 @@ List all available generators from plugin registry
 Shows all generators found in the workspace and external plugins,
 including their availability, compatibility, and dependency status.
 
+External plugins are confytome-plugin-* packages, packages declaring a
+"confytome" field in package.json, and modules listed under "plugins"
+in confytome.json. They are marked (external).
+
 Examples:
   confytome generators              # List all generators
   confytome generators --json       # JSON output for scripting
 `)
   .option(commonOptions.json, commonOptions.jsonDesc)
+  .option(commonOptions.config, commonOptions.configDesc)
   .action(listGenerators);
 
 program
@@ -344,6 +1003,7 @@ Examples:
   confytome info generate-markdown  # Show Markdown generator details
 `)
   .option(commonOptions.json, commonOptions.jsonDesc)
+  .option(commonOptions.config, commonOptions.configDesc)
   .action(showGeneratorInfo);
 
 program
@@ -359,6 +1019,7 @@ Examples:
   confytome recommended --json      # JSON output
 `)
   .option(commonOptions.json, commonOptions.jsonDesc)
+  .option(commonOptions.config, commonOptions.configDesc)
   .action(showRecommendedGenerators);
 
 program
@@ -375,6 +1036,7 @@ Examples:
   confytome validate generate-html generate-markdown
 `)
   .option(commonOptions.json, commonOptions.jsonDesc)
+  .option(commonOptions.config, commonOptions.configDesc)
   .action(validateGenerators);
 
 program
@@ -393,6 +1055,7 @@ Examples:
   .option(commonOptions.outputDir, commonOptions.outputDesc)
   .option('--fail-fast', 'stop on first generator failure')
   .option(commonOptions.noBrand, commonOptions.noBrandDesc)
+  .option(commonOptions.config, commonOptions.configDesc)
   .action(executeGenerators);
 
 program
@@ -410,6 +1073,7 @@ Examples:
   .option(commonOptions.outputDir, commonOptions.outputDesc)
   .option('--fail-fast', 'stop on first generator failure')
   .option(commonOptions.noBrand, commonOptions.noBrandDesc)
+  .option(commonOptions.config, commonOptions.configDesc)
   .action(executeAllSpecConsumers);
 
 program.parse();
@@ -50,8 +50,10 @@ export const DEFAULT_CONFIG_FILES = {
  */
 export const OUTPUT_FILES = {
   OPENAPI_SPEC: 'api-spec.json',
+  OPENAPI_SPEC_YAML: 'api-spec.yaml',
   HTML_DOCS: 'api-docs.html',
   MARKDOWN_DOCS: 'api-docs.md',
+  CONFLUENCE_DOCS: 'confluence-docs.md',
   SWAGGER_UI: 'api-swagger.html',
   POSTMAN_COLLECTION: 'postman-collection.json',
   POSTMAN_ENVIRONMENT: 'postman-env.json'
@@ -65,6 +67,26 @@ export const TEMPLATE_DIRS = {
   MUSTACHE: 'templates'
 };
 
+/**
+ * Defaults for the local docs server (confytome serve)
+ * @type {Object}
+ */
+export const SERVE_DEFAULTS = {
+  PORT: 3000,
+  HOST: 'localhost',
+  GENERATORS: ['html', 'swagger', 'markdown'],
+  RELOAD_PATH: '/__confytome/reload'
+};
+
+/**
+ * Defaults for the mock API server (confytome mock)
+ * @type {Object}
+ */
+export const MOCK_DEFAULTS = {
+  PORT: 4010,
+  HOST: 'localhost'
+};
+
 /**
  * Environment configuration
  * @type {Object}
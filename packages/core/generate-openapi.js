@@ -10,11 +10,22 @@ import path from 'node:path';
 import { OpenAPIGeneratorBase } from './utils/base-generator.js';
 import { MetadataFactory } from './interfaces/IGenerator.js';
 import { FileManager } from './utils/file-manager.js';
+import { serializeSpec, validateSpecFormat } from './utils/spec-format.js';
+import { convertSpecVersion, resolveOpenAPITarget } from './utils/spec-version.js';
+import { hasExternalRefs, bundleSpec } from './utils/spec-bundler.js';
+import { applyOverlayFiles } from './utils/spec-overlay.js';
+import { mergeSpecs } from './utils/spec-merger.js';
+import { routeFilePath, hasRouteFileOptions, applyRouteFileOptions } from './utils/route-file-options.js';
+import { diagnoseSwaggerFiles, formatDiagnostics } from './utils/swagger-diagnostics.js';
+import { annotateSourceLocations, validateSourceUrl } from './utils/source-locations.js';
 import { OUTPUT_FILES } from './constants.js';
 
+// How swagger-jsdoc's own report of broken @swagger YAML starts
+const SWAGGER_JSDOC_REPORTS = ['Not all input has been taken into account', 'Here\'s the report:'];
+
 class OpenAPIGenerator extends OpenAPIGeneratorBase {
-  constructor() {
-    super('generate-openapi', 'Generating OpenAPI spec (JSDoc → OpenAPI)');
+  constructor(outputDir, services = null) {
+    super('generate-openapi', 'Generating OpenAPI spec (JSDoc → OpenAPI)', outputDir, services);
   }
 
   /**
@@ -26,7 +37,7 @@ class OpenAPIGenerator extends OpenAPIGeneratorBase {
       'core',
       'OpenAPI 3.1.0 specification generator from JSDoc comments',
       'OpenAPIGenerator',
-      ['api-spec.json']
+      ['api-spec.json', 'api-spec.yaml']
     );
   }
 
@@ -39,7 +50,7 @@ class OpenAPIGenerator extends OpenAPIGeneratorBase {
 
     // Check if JSDoc files are provided and exist
     if (options.jsdocFiles) {
-      const missingFiles = options.jsdocFiles.filter(file =>
+      const missingFiles = options.jsdocFiles.map(routeFilePath).filter(file =>
         !require('fs').existsSync(file)
       );
       if (missingFiles.length > 0) {
@@ -78,58 +89,108 @@ class OpenAPIGenerator extends OpenAPIGeneratorBase {
     }
   }
 
+  /**
+   * Generate the OpenAPI spec
+   * @param {Object} options - Generation options
+   * @param {string} options.serverConfigPath - Server config file
+   * @param {string} options.serverConfigSource - File the server config was copied from, named in messages
+   * @param {Array<string|Object>} options.jsdocFiles - JSDoc files to process, or routeFiles entries with per-file options
+   * @param {boolean} options.failOnErrors - Fail instead of skipping @swagger blocks with YAML errors
+   * @param {string} options.specFormat - 'json' (default), 'yaml' or 'both'
+   * @param {string} options.openapiTarget - Convert the spec to OpenAPI '3.0' or '3.1' (default: as written)
+   * @param {Array<string>} options.overlays - OpenAPI Overlay files applied before the spec is written
+   * @param {boolean} options.sourceLocations - Record the file and line of operations and components as "x-confytome-source" (default: true)
+   * @param {string} options.sourceUrl - Link template for those locations ({file}, {line})
+   * @returns {Promise<Object>} Generation result
+   */
   async generate(options = {}) {
-    const { serverConfigPath, jsdocFiles } = options;
+    const { serverConfigPath, serverConfigSource, failOnErrors = false, specFormat = 'json', openapiTarget, overlays = [], sourceLocations = true, sourceUrl } = options;
+    const routeFiles = options.jsdocFiles;
+    const jsdocFiles = routeFiles.map(routeFilePath);
 
     try {
+      validateSpecFormat(specFormat);
+      if (openapiTarget) {
+        resolveOpenAPITarget(openapiTarget);
+      }
+      if (sourceUrl !== undefined) {
+        validateSourceUrl(sourceUrl);
+      }
+
       // Load and validate server configuration
-      const serverConfig = this.loadServerConfig(serverConfigPath);
+      const serverConfig = this.loadServerConfig(serverConfigPath, serverConfigSource);
 
       // Process JSDoc files with enhanced error context
       console.log(`📖 Processing ${jsdocFiles.length} JSDoc files...`);
       console.log(`📁 Files: ${jsdocFiles.join(', ')}`);
       console.log('📖 Processing JSDoc comments...');
 
-      const swaggerOptions = {
-        definition: serverConfig,
-        apis: jsdocFiles
-      };
+      // Every @swagger block is checked first, so all broken ones are reported with their exact position
+      const problems = diagnoseSwaggerFiles(jsdocFiles);
+      if (problems.length > 0) {
+        const report = `${problems.length} @swagger block(s) with YAML errors:\n\n${formatDiagnostics(problems)}`;
+        if (failOnErrors) {
+          throw new Error(report);
+        }
+        console.warn(`⚠️  Skipping ${report}\n`);
+      }
 
       // Generate OpenAPI spec with enhanced error handling
-      let openApiSpec;
+      let sources;
       try {
-        openApiSpec = swaggerJSDoc(swaggerOptions);
+        sources = this.readRouteFiles(serverConfig, routeFiles, { failOnErrors, quiet: problems.length > 0, sourceLocations, sourceUrl });
       } catch (jsdocError) {
         // Enhance JSDoc parsing error with file context
         const enhancedError = this.enhanceJSDocError(jsdocError, jsdocFiles);
         throw enhancedError;
       }
 
+      // Two files documenting the same operation, or same-named components that differ, fail the merge
+      let openApiSpec = sources.length === 1
+        ? sources[0].spec
+        : mergeSpecs(sources, { onConflict: 'fail', prefixOption: 'basePath' }).spec;
+
       if (!openApiSpec || Object.keys(openApiSpec).length === 0) {
         const fileList = jsdocFiles.map(f => `  - ${f}`).join('\n');
         throw new Error(`Failed to generate OpenAPI spec. Check JSDoc comments in your files:\n${fileList}\n\nEnsure files contain valid @swagger JSDoc annotations.`);
       }
 
-      // Write the OpenAPI spec
-      const outputPath = path.join(this.outputDir, OUTPUT_FILES.OPENAPI_SPEC);
-      const specContent = JSON.stringify(openApiSpec, null, 2);
+      // $refs to schema files resolve from the working directory, like routeFiles
+      if (hasExternalRefs(openApiSpec)) {
+        const { spec, files } = await bundleSpec(openApiSpec, path.join(process.cwd(), OUTPUT_FILES.OPENAPI_SPEC));
+        openApiSpec = spec;
+        console.log(`📎 Bundled $refs from ${files.length} external file(s) into components`);
+      }
 
-      FileManager.writeFile(
-        outputPath,
-        specContent,
-        this.name,
-        'OpenAPI spec created'
-      );
+      openApiSpec = applyOverlayFiles(openApiSpec, overlays);
+
+      if (openapiTarget) {
+        const { spec, dropped } = convertSpecVersion(openApiSpec, openapiTarget);
+        openApiSpec = spec;
+        console.log(`🎯 Targeting OpenAPI ${openApiSpec.openapi}`);
+        if (dropped.length > 0) {
+          console.log(`⚠️  Dropped JSON Schema keywords OpenAPI 3.0 cannot express: ${dropped.join(', ')}`);
+        }
+      }
+
+      // Write the OpenAPI spec in every requested format
+      const specFiles = serializeSpec(openApiSpec, specFormat);
+      const outputs = specFiles.map(({ fileName, content }) => {
+        const filePath = path.join(this.outputDir, fileName);
+        FileManager.writeFile(filePath, content, this.name, 'OpenAPI spec created');
+        return filePath;
+      });
+      const specContent = specFiles[0].content;
 
       // Calculate statistics
       this.calculateStats(openApiSpec, specContent);
 
       return {
         success: true,
-        outputs: [outputPath],
+        outputs,
         stats: {
           spec: openApiSpec,
-          outputPath,
+          outputPath: outputs[0],
           fileSize: Buffer.byteLength(specContent, 'utf8'),
           ...this.stats
         }
@@ -143,6 +204,87 @@ class OpenAPIGenerator extends OpenAPIGeneratorBase {
     }
   }
 
+  /**
+   * Generate a spec from each group of route files
+   * Consecutive plain files are read together, as one swagger-jsdoc run
+   * would; each file with options is read on its own so the options only
+   * apply to what it documents. The paths of the server config go into the
+   * first spec only.
+   * @param {Object} serverConfig - OpenAPI definition from the server config
+   * @param {Array<string|Object>} routeFiles - Route files and routeFiles entries with options
+   * @param {Object} options - Options
+   * @param {boolean} options.failOnErrors - Throw on broken @swagger YAML instead of writing a partial spec
+   * @param {boolean} options.quiet - Broken YAML has already been reported
+   * @param {boolean} options.sourceLocations - Record "x-confytome-source" locations
+   * @param {string} options.sourceUrl - Link template for those locations
+   * @returns {Array<{spec: Object, name: string}>} Specs in routeFiles order, as mergeSpecs sources
+   */
+  readRouteFiles(serverConfig, routeFiles, { failOnErrors, quiet, sourceLocations, sourceUrl }) {
+    const groups = [];
+    for (const entry of routeFiles) {
+      const last = groups[groups.length - 1];
+      if (!hasRouteFileOptions(entry) && last && !last.entry) {
+        last.files.push(entry);
+      } else {
+        groups.push({ entry: hasRouteFileOptions(entry) ? entry : null, files: [routeFilePath(entry)] });
+      }
+    }
+    if (groups.length === 0 || groups[0].entry) {
+      groups.unshift({ entry: null, files: [] });
+    }
+
+    const { paths: _paths, ...sharedDefinition } = serverConfig;
+    return groups.map(({ entry, files }, index) => {
+      const spec = this.runSwaggerJSDoc({
+        definition: index === 0 ? serverConfig : sharedDefinition,
+        apis: files,
+        failOnErrors
+      }, quiet);
+
+      // Locations are keyed by the paths as written, so they are recorded before basePath moves them
+      if (sourceLocations) {
+        annotateSourceLocations(spec, files, { sourceUrl });
+      }
+      if (entry) {
+        applyRouteFileOptions(spec, entry);
+      }
+
+      const name = files.length === 0 ? 'server config' : files.length === 1 ? files[0] : `${files[0]} (+${files.length - 1} files)`;
+      return { spec, name };
+    });
+  }
+
+  /**
+   * Run swagger-jsdoc
+   * @param {Object} swaggerOptions - swagger-jsdoc options
+   * @param {boolean} quiet - Drop swagger-jsdoc's own report of broken YAML,
+   *   when diagnoseSwaggerFiles has already reported it with positions
+   * @returns {Object} OpenAPI spec
+   */
+  runSwaggerJSDoc(swaggerOptions, quiet = false) {
+    if (!quiet) {
+      return swaggerJSDoc(swaggerOptions);
+    }
+
+    // swagger-jsdoc has no option to silence that report and prints it with
+    // console.info and console.error. It runs synchronously, so the wrappers
+    // only see its own output, and they pass on anything but the report.
+    const { error, info } = console;
+    const filter = print => (...args) => {
+      if (!(typeof args[0] === 'string' && SWAGGER_JSDOC_REPORTS.some(report => args[0].startsWith(report)))) {
+        print(...args);
+      }
+    };
+    console.error = filter(error);
+    console.info = filter(info);
+    try {
+      return swaggerJSDoc(swaggerOptions);
+    } finally {
+      console.error = error;
+      console.info = info;
+    }
+  }
+
   /**
    * Enhance JSDoc parsing errors with file context
    * @param {Error} error - Original swagger-jsdoc error
@@ -11,9 +11,10 @@ import { getOutputDir } from '../constants.js';
 export class GeneratorFactory {
   /**
    * Initialize the factory and discover all available generators
+   * @param {Object} options - Discovery options passed to the registry (e.g. { plugins })
    */
-  static async initialize() {
-    await generatorRegistry.initialize();
+  static async initialize(options = {}) {
+    await generatorRegistry.initialize(options);
   }
 
   /**
@@ -99,7 +100,8 @@ export class GeneratorFactory {
     return {
       metadata,
       validation,
-      available: validation.valid
+      available: validation.valid,
+      isExternal: generatorRegistry.getGenerator(generatorName)?.isExternal === true
     };
   }
 
@@ -187,6 +189,16 @@ export class GeneratorFactory {
       // Generate output (required by interface)
       const result = await generator.generate(options);
 
+      // Generators report their own failures instead of throwing
+      if (result && result.success === false) {
+        return {
+          success: false,
+          generatorName,
+          error: result.error || result.stats?.error || 'Generation failed',
+          result
+        };
+      }
+
       return {
         success: true,
         generatorName,
@@ -220,7 +232,9 @@ export class GeneratorFactory {
     const results = [];
 
     for (const name of generatorNames) {
-      const result = await this.executeGenerator(name, outputDir, options);
+      // Per-generator options (from the confytome.json "generators" section) win over shared ones
+      const generatorOptions = { ...options, ...(options.generatorOptions?.[name] || {}) };
+      const result = await this.executeGenerator(name, outputDir, generatorOptions);
       results.push(result);
 
       // Stop on first failure if failFast option is enabled
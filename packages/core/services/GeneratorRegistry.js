@@ -7,9 +7,9 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import { glob } from 'glob';
-import { getOutputDir } from '../constants.js';
+import { getOutputDir, PACKAGE_INFO } from '../constants.js';
 import { GeneratorValidator } from '../interfaces/IGenerator.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -18,13 +18,17 @@ const __dirname = path.dirname(__filename);
 export class GeneratorRegistry {
   constructor() {
     this.generators = new Map();
+    this.loadedFiles = new Set();
     this.initialized = false;
   }
 
   /**
    * Initialize the registry by discovering interface-compliant generators
+   * @param {Object} options - Discovery options
+   * @param {Array<string>} options.plugins - Explicit plugin modules from confytome.json
+   * @param {string} options.baseDir - Directory to resolve plugins and node_modules from (default: cwd)
    */
-  async initialize() {
+  async initialize(options = {}) {
     if (this.initialized) {
       return;
     }
@@ -34,17 +38,29 @@ export class GeneratorRegistry {
     // Discover workspace generators via interface discovery
     await this.discoverWorkspaceGenerators();
 
+    // Discover @confytome/* generator packages installed alongside core
+    await this.discoverInstalledGenerators();
+
+    // Discover third-party plugins from node_modules and confytome.json
+    await this.discoverExternalPlugins(options);
+
     this.initialized = true;
     console.log(`✅ Discovered ${this.generators.size} generators`);
   }
 
   /**
    * Discover generators in workspace packages by loading generator files
+   * Matches both the core generate-*.js files and the StandaloneBase-derived
+   * standalone-generator.js entry points of the generator packages.
    */
   async discoverWorkspaceGenerators() {
     try {
       const packagesRoot = path.resolve(__dirname, '../../../');
-      const generatorFiles = await glob('packages/*/generate-*.js', { cwd: packagesRoot });
+      const generatorFiles = await glob(
+        ['packages/*/generate-*.js', 'packages/*/standalone-generator.js'],
+        { cwd: packagesRoot }
+      );
+      generatorFiles.sort();
 
       console.log(`   Found ${generatorFiles.length} generator files`);
 
@@ -58,26 +74,205 @@ export class GeneratorRegistry {
   }
 
   /**
-   * Discover external generator plugins (placeholder for future expansion)
+   * Discover installed @confytome/* generator packages
+   * Looks next to this core package (node_modules/@confytome when installed)
+   * and in the project's own node_modules/@confytome directory.
    */
-  async discoverExternalPlugins() {
-    // Future: Scan node_modules for packages with generate-*.js files that implement IGenerator
-    // This would allow third-party plugins while maintaining interface compliance
+  async discoverInstalledGenerators() {
+    const scopeDirs = [
+      path.resolve(__dirname, '../..'),
+      path.resolve(process.cwd(), 'node_modules', PACKAGE_INFO.NAMESPACE)
+    ];
+
+    for (const scopeDir of scopeDirs) {
+      if (!fs.existsSync(scopeDir)) {
+        continue;
+      }
+
+      try {
+        for (const entry of fs.readdirSync(scopeDir).sort()) {
+          const entryPoint = this.getPackageEntryPoint(path.join(scopeDir, entry));
+          if (entryPoint) {
+            await this.loadGeneratorFromFile(entryPoint);
+          }
+        }
+      } catch (error) {
+        console.warn(`Warning: Could not discover installed generators in ${scopeDir}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Resolve the main entry point of a generator package directory
+   * @param {string} packageDir - Package directory
+   * @returns {string|null} Absolute entry point path, or null if not a generator package
+   */
+  getPackageEntryPoint(packageDir) {
+    const packageJsonPath = path.join(packageDir, 'package.json');
+    if (!fs.existsSync(packageJsonPath)) {
+      return null;
+    }
+
+    const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    if (!pkg.main || !/(^|\/)(standalone-generator|generate-[^/]+)\.js$/.test(pkg.main)) {
+      return null;
+    }
+
+    const entryPoint = path.join(packageDir, pkg.main);
+    return fs.existsSync(entryPoint) ? entryPoint : null;
+  }
+
+  /**
+   * Discover external generator plugins
+   * Explicitly configured plugins load first, then node_modules is scanned for
+   * confytome-plugin-* packages and packages declaring a generator in their
+   * "confytome" field. A "confytome" object without "generator" is project
+   * config (see config-loader), so those packages are never imported.
+   * @param {Object} options - Discovery options
+   * @param {Array<string>} options.plugins - Plugin module names or paths
+   * @param {string} options.baseDir - Directory to resolve plugins from (default: cwd)
+   */
+  async discoverExternalPlugins(options = {}) {
+    const baseDir = options.baseDir || process.cwd();
+
+    for (const plugin of options.plugins || []) {
+      const entryPoint = this.resolvePluginEntry(plugin, baseDir);
+      if (!entryPoint) {
+        console.warn(`Warning: Plugin not found: ${plugin}`);
+        continue;
+      }
+      await this.loadGeneratorFromFile(entryPoint, { isExternal: true });
+    }
+
+    const nodeModulesDir = path.join(baseDir, 'node_modules');
+    if (!fs.existsSync(nodeModulesDir)) {
+      return;
+    }
+
+    try {
+      for (const packageDir of this.listPackageDirs(nodeModulesDir)) {
+        const pkg = this.readPackageJson(packageDir);
+        const packageName = pkg?.name || path.basename(packageDir);
+        const isPluginName = /^(@[^/]+\/)?confytome-plugin-/.test(packageName);
+
+        if (pkg && (isPluginName || this.getDeclaredGenerator(pkg))) {
+          const entryPoint = this.getPluginEntryPoint(packageDir, pkg);
+          if (entryPoint) {
+            await this.loadGeneratorFromFile(entryPoint, { isExternal: true });
+          }
+        }
+      }
+    } catch (error) {
+      console.warn('Warning: Could not discover external plugins:', error.message);
+    }
+  }
+
+  /**
+   * List package directories in node_modules, including scoped packages
+   * @param {string} nodeModulesDir - node_modules directory
+   * @returns {Array<string>} Package directories
+   */
+  listPackageDirs(nodeModulesDir) {
+    const packageDirs = [];
+
+    for (const entry of fs.readdirSync(nodeModulesDir).sort()) {
+      if (entry.startsWith('.') || entry === PACKAGE_INFO.NAMESPACE) {
+        continue;
+      }
+
+      const entryPath = path.join(nodeModulesDir, entry);
+      if (entry.startsWith('@')) {
+        for (const scopedEntry of fs.readdirSync(entryPath).sort()) {
+          packageDirs.push(path.join(entryPath, scopedEntry));
+        }
+      } else {
+        packageDirs.push(entryPath);
+      }
+    }
+
+    return packageDirs;
+  }
+
+  /**
+   * Read a package.json, returning null when missing or invalid
+   * @param {string} packageDir - Package directory
+   * @returns {Object|null} Parsed package.json
+   */
+  readPackageJson(packageDir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the generator module a package declares in its "confytome" field
+   * @param {Object} pkg - Parsed package.json
+   * @returns {string|undefined} Path from "confytome": path or { "generator": path }
+   */
+  getDeclaredGenerator(pkg) {
+    const declared = typeof pkg.confytome === 'string' ? pkg.confytome : pkg.confytome?.generator;
+    return typeof declared === 'string' ? declared : undefined;
+  }
+
+  /**
+   * Resolve the generator entry point of a plugin package
+   * The "confytome" package.json field may be a path or { "generator": path };
+   * otherwise the package "main" (or index.js) is used.
+   * @param {string} packageDir - Package directory
+   * @param {Object} pkg - Parsed package.json
+   * @returns {string|null} Absolute entry point path
+   */
+  getPluginEntryPoint(packageDir, pkg) {
+    const entryPoint = path.join(packageDir, this.getDeclaredGenerator(pkg) || pkg.main || 'index.js');
+    return fs.existsSync(entryPoint) ? entryPoint : null;
+  }
+
+  /**
+   * Resolve a plugin listed in confytome.json to its entry point
+   * @param {string} plugin - Package name, or path to a package directory or generator file
+   * @param {string} baseDir - Directory to resolve from
+   * @returns {string|null} Absolute entry point path
+   */
+  resolvePluginEntry(plugin, baseDir) {
+    const isPath = plugin.startsWith('.') || path.isAbsolute(plugin);
+    const target = isPath ? path.resolve(baseDir, plugin) : path.join(baseDir, 'node_modules', plugin);
+
+    if (!fs.existsSync(target)) {
+      return null;
+    }
+
+    if (fs.statSync(target).isFile()) {
+      return target;
+    }
+
+    const pkg = this.readPackageJson(target);
+    return pkg ? this.getPluginEntryPoint(target, pkg) : null;
   }
 
   /**
    * Load a generator from its file using interface introspection
+   * @param {string} generatorPath - Path to the generator module
+   * @param {Object} options - Load options
+   * @param {boolean} options.isExternal - Whether the generator is a third-party plugin
    */
-  async loadGeneratorFromFile(generatorPath) {
+  async loadGeneratorFromFile(generatorPath, { isExternal = false } = {}) {
     try {
       if (!fs.existsSync(generatorPath)) {
         console.warn(`Generator file not found: ${generatorPath}`);
         return;
       }
 
+      // Workspace packages are symlinked into node_modules - load each file once
+      const realPath = fs.realpathSync(generatorPath);
+      if (this.loadedFiles.has(realPath)) {
+        return;
+      }
+      this.loadedFiles.add(realPath);
+
       // Load the generator module
-      const fileUrl = `file://${generatorPath}`;
-      const module = await import(fileUrl);
+      const module = await import(pathToFileURL(realPath).href);
 
       // Find generator class (look for default export or named exports)
       const GeneratorClass = this.findGeneratorClass(module);
@@ -98,15 +293,21 @@ export class GeneratorRegistry {
       // Get metadata from the class
       const metadata = GeneratorClass.getMetadata();
 
+      if (this.generators.has(metadata.name)) {
+        console.warn(`   ⚠️  Skipping duplicate generator '${metadata.name}' from ${generatorPath}`);
+        return;
+      }
+
       // Register the generator
       this.registerGenerator(metadata.name, {
         class: GeneratorClass,
         metadata,
         module,
-        filePath: generatorPath
+        filePath: realPath,
+        isExternal
       });
 
-      console.log(`   ✓ Loaded ${metadata.name} generator`);
+      console.log(`   ✓ Loaded ${metadata.name} generator${isExternal ? ' (external)' : ''}`);
 
       // Log warnings if any
       if (validation.warnings.length > 0) {
@@ -146,11 +347,26 @@ export class GeneratorRegistry {
     this.generators.set(name, generatorInfo);
   }
 
+  /**
+   * Resolve a generator name, accepting the legacy 'generate-<name>' form
+   * @param {string} name - Generator name as given on the command line
+   * @returns {string} Registered generator name (or the input if unknown)
+   */
+  resolveName(name) {
+    if (!this.generators.has(name) && typeof name === 'string' && name.startsWith('generate-')) {
+      const shortName = name.slice('generate-'.length);
+      if (this.generators.has(shortName)) {
+        return shortName;
+      }
+    }
+    return name;
+  }
+
   /**
    * Get a generator by name
    */
   getGenerator(name) {
-    return this.generators.get(name);
+    return this.generators.get(this.resolveName(name));
   }
 
   /**
@@ -173,7 +389,7 @@ export class GeneratorRegistry {
    * Get generator metadata
    */
   getMetadata(name) {
-    const generatorInfo = this.generators.get(name);
+    const generatorInfo = this.getGenerator(name);
     return generatorInfo?.metadata;
   }
 
@@ -182,7 +398,7 @@ export class GeneratorRegistry {
    */
   createGenerator(name, outputDir, services = null) {
     outputDir = getOutputDir(outputDir);
-    const generatorInfo = this.generators.get(name);
+    const generatorInfo = this.getGenerator(name);
     if (!generatorInfo) {
       throw new Error(`Generator '${name}' not found`);
     }
@@ -198,7 +414,7 @@ export class GeneratorRegistry {
    * Check if generator exists
    */
   hasGenerator(name) {
-    return this.generators.has(name);
+    return this.generators.has(this.resolveName(name));
   }
 
   /**
@@ -207,6 +423,7 @@ export class GeneratorRegistry {
   listGenerators() {
     return Array.from(this.generators.values()).map(info => ({
       ...info.metadata,
+      isExternal: info.isExternal === true,
       filePath: info.filePath
     }));
   }
@@ -216,7 +433,7 @@ export class GeneratorRegistry {
    * Validate generator availability (simplified validation)
    */
   validateGenerator(name) {
-    const generator = this.generators.get(name);
+    const generator = this.getGenerator(name);
 
     if (!generator) {
       return {
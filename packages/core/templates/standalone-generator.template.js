@@ -86,7 +86,7 @@ export class Standalone{{GENERATOR_CLASS}}Generator extends StandaloneBase {
 
     try {
       // Load and parse OpenAPI spec using base class method
-      const spec = this.loadOpenAPISpec();
+      const spec = await this.loadSpecSource();
 
       // Process the specification
       const processedData = this.processOpenAPISpec(spec, options);
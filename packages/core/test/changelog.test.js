@@ -0,0 +1,66 @@
+/**
+ * API Changelog Tests
+ *
+ * Tests the "API Changes" data OpenApiProcessor builds from a previous spec
+ */
+
+import { OpenApiProcessor } from '../utils/OpenApiProcessor.js';
+
+function createSpec(version) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Store API', version },
+    paths: {
+      '/orders': {
+        get: { summary: 'List orders', tags: ['orders'], responses: { 200: { description: 'OK' } } }
+      },
+      '/users': {
+        get: {
+          summary: 'List users',
+          tags: ['users'],
+          parameters: [{ name: 'page', in: 'query', schema: { type: 'integer' } }],
+          responses: { 200: { description: 'OK' } }
+        }
+      }
+    }
+  };
+}
+
+describe('OpenApiProcessor changelog', () => {
+  test('is omitted without a previous spec', () => {
+    expect(new OpenApiProcessor().process(createSpec('1.0.0')).changelog).toBeNull();
+  });
+
+  test('groups added, removed, deprecated and changed endpoints by tag', () => {
+    const previousSpec = createSpec('1.0.0');
+    previousSpec.paths['/orders/export'] = { get: { summary: 'Export orders', tags: ['orders'], responses: { 200: { description: 'OK' } } } };
+
+    const spec = createSpec('1.1.0');
+    spec.paths['/orders'].get.deprecated = true;
+    spec.paths['/orders'].post = { summary: 'Create order', tags: ['orders'], responses: { 201: { description: 'Created' } } };
+    spec.paths['/users'].get.parameters[0].required = true;
+
+    const processor = new OpenApiProcessor({ previousSpec, tagOrder: ['users'] });
+    const changelog = processor.process(spec).changelog;
+
+    expect(changelog).toMatchObject({ from: '1.0.0', to: '1.1.0', hasChanges: true, breakingCount: 2 });
+    expect(changelog.resources.map(resource => resource.name)).toEqual(['Users', 'Orders']);
+
+    const [users, orders] = changelog.resources;
+    expect(users.changed).toEqual([expect.objectContaining({
+      method: 'GET',
+      path: '/users',
+      anchor: processor.createAnchor('get', '/users', 'List users'),
+      changes: [{ message: 'query parameter "page" is now required', breaking: true }]
+    })]);
+    expect(orders.added.map(endpoint => endpoint.summary)).toEqual(['Create order']);
+    expect(orders.removed).toEqual([expect.objectContaining({ path: '/orders/export', summary: 'Export orders', anchor: '' })]);
+    expect(orders.deprecated.map(endpoint => endpoint.path)).toEqual(['/orders']);
+  });
+
+  test('reports no changes for identical specs', () => {
+    const changelog = new OpenApiProcessor({ previousSpec: createSpec('1.0.0') }).process(createSpec('1.0.0')).changelog;
+
+    expect(changelog).toMatchObject({ hasChanges: false, resources: [] });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Configuration Loader Tests
+ *
+ * Tests finding confytome.config.js, confytome.yaml, confytome.json and the
+ * package.json "confytome" key, "extends" chains, routeFiles glob patterns and
+ * the published JSON Schema
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { findConfigFile, readConfig, mergeConfigObjects } from '../utils/config-loader.js';
+import { ConfytomeConfig } from '../utils/confytome-config.js';
+import { SchemaValidator } from '../utils/schema-validator.js';
+
+describe('config loader', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function write(file, content) {
+    const filePath = path.join(tempDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  }
+
+  test('finds the config file in order, then the package.json key', () => {
+    write('package.json', { name: 'api' });
+    expect(findConfigFile(tempDir)).toBeNull();
+
+    write('package.json', { name: 'api', confytome: { serverConfig: 'serverConfig.json' } });
+    expect(findConfigFile(tempDir)).toBe(path.join(tempDir, 'package.json'));
+
+    write('confytome.json', {});
+    write('confytome.yaml', 'outputDir: ./docs\n');
+    expect(findConfigFile(tempDir)).toBe(path.join(tempDir, 'confytome.yaml'));
+
+    write('confytome.config.mjs', 'export default {};\n');
+    expect(findConfigFile(tempDir)).toBe(path.join(tempDir, 'confytome.config.mjs'));
+  });
+
+  test('merges "extends" chains from paths and packages underneath the config', async() => {
+    write('node_modules/@acme/confytome-base/confytome.json', {
+      generators: { html: { excludeBrand: true }, markdown: true },
+      lint: { rules: { 'operation-summary': 'error' } }
+    });
+    write('base.yaml', [
+      'extends: "@acme/confytome-base/confytome.json"',
+      'routeFiles: [shared.js]',
+      'lint:',
+      '  rules:',
+      '    operation-operationId: "off"'
+    ].join('\n'));
+    const configPath = write('packages/billing/confytome.yaml', [
+      'extends: ../../base.yaml',
+      'serverConfig: ./serverConfig.json',
+      'routeFiles: [billing.js]',
+      'generators:',
+      '  html: {outputFile: billing.html}'
+    ].join('\n'));
+
+    const { config, files } = await readConfig(configPath);
+
+    expect(config).toEqual({
+      generators: { html: { excludeBrand: true, outputFile: 'billing.html' }, markdown: true },
+      lint: { rules: { 'operation-summary': 'error', 'operation-operationId': 'off' } },
+      routeFiles: ['billing.js'],
+      serverConfig: './serverConfig.json'
+    });
+    expect(files).toEqual([
+      configPath,
+      path.join(tempDir, 'base.yaml'),
+      path.join(tempDir, 'node_modules/@acme/confytome-base/confytome.json')
+    ]);
+  });
+
+  test('reads the package.json "confytome" key with ${VAR}s expanded', async() => {
+    const configPath = write('package.json', { name: 'api', confytome: { outputDir: './docs/${CONFYTOME_TEST_STAGE:-local}' } });
+
+    expect((await readConfig(configPath)).config).toEqual({ outputDir: './docs/local' });
+  });
+
+  test('rejects circular and missing base configs', async() => {
+    write('a.json', { extends: './b.json' });
+    write('b.json', { extends: './a.json' });
+    await expect(readConfig(path.join(tempDir, 'a.json'))).rejects.toThrow('Circular "extends"');
+
+    write('c.json', { extends: './missing.json' });
+    await expect(readConfig(path.join(tempDir, 'c.json'))).rejects.toThrow('Base config not found');
+
+    write('d.yaml', '- not\n- an object\n');
+    await expect(readConfig(path.join(tempDir, 'd.yaml'))).rejects.toThrow('must contain a configuration object');
+  });
+
+  test('replaces arrays instead of concatenating them', () => {
+    expect(mergeConfigObjects({ routeFiles: ['a.js'], merge: { onConflict: 'fail' } }, { routeFiles: ['b.js'], merge: { sources: ['x.json'] } }))
+      .toEqual({ routeFiles: ['b.js'], merge: { onConflict: 'fail', sources: ['x.json'] } });
+  });
+
+  test('ConfytomeConfig.load reads a YAML config', async() => {
+    const serverConfig = write('serverConfig.json', { openapi: '3.0.3', info: { title: 'API', version: '1.0.0' }, servers: [] });
+    const router = write('router.js', '');
+    const configPath = write('confytome.yaml', `serverConfig: ${serverConfig}\nrouteFiles: [${router}]\n`);
+
+    const config = await ConfytomeConfig.load(configPath);
+
+    expect(config.routeFiles).toEqual([router]);
+  });
+
+  test('expands routeFiles globs in order, without negated and excluded files', () => {
+    ['users.js', 'users.test.js', 'admin/roles.js', 'admin/audit.js', 'legacy/old.js', 'node_modules/lib/index.js']
+      .forEach(file => write(`routes/${file}`, ''));
+    const routes = path.join(tempDir, 'routes');
+
+    const files = ConfytomeConfig.expandRouteFiles([
+      `${routes}/users.js`,
+      `${routes}/**/*.js`,
+      `!${routes}/**/*.test.js`,
+      'https://example.com/router.js'
+    ], [`${routes}/legacy/**`]);
+
+    expect(files).toEqual([
+      `${routes}/users.js`,
+      `${routes}/admin/audit.js`,
+      `${routes}/admin/roles.js`,
+      'https://example.com/router.js'
+    ]);
+  });
+
+  test('passes the options of routeFiles objects to the files they match', () => {
+    ['users.js', 'admin/roles.js', 'admin/audit.js'].forEach(file => write(`routes/${file}`, ''));
+    const routes = path.join(tempDir, 'routes');
+
+    expect(ConfytomeConfig.expandRouteFiles([
+      `${routes}/**/*.js`,
+      { path: `${routes}/admin/*.js`, basePath: '/admin', tags: ['Admin'] }
+    ])).toEqual([
+      { path: `${routes}/admin/audit.js`, basePath: '/admin', tags: ['Admin'] },
+      { path: `${routes}/admin/roles.js`, basePath: '/admin', tags: ['Admin'] },
+      `${routes}/users.js`
+    ]);
+    expect(() => ConfytomeConfig.expandRouteFiles([{ path: 'a.js', prefix: '/a' }])).toThrow('routeFiles[0] has unknown option(s) prefix');
+  });
+
+  test('reports route file patterns that match nothing', async() => {
+    expect(() => ConfytomeConfig.expandRouteFiles([`${tempDir}/src/**/*.js`])).toThrow('No route files matched');
+
+    write('router.js', '');
+    await expect(ConfytomeConfig.resolveRouteFiles([`${tempDir}/router.js`, `${tempDir}/missing.js`]))
+      .rejects.toThrow(`Local route files not found: ${tempDir}/missing.js`);
+  });
+});
+
+describe('confytome.schema.json', () => {
+  const schema = JSON.parse(fs.readFileSync(new URL('../schemas/confytome.schema.json', import.meta.url), 'utf8'));
+  const validator = new SchemaValidator(schema);
+
+  test('accepts the init template and a full configuration', () => {
+    const template = JSON.parse(fs.readFileSync(new URL('../templates/confytome.template.json', import.meta.url), 'utf8'));
+
+    expect(validator.validate(schema, template, 'config')).toEqual([]);
+    expect(validator.validate(schema, {
+      $schema: 'https://unpkg.com/@confytome/core/schemas/confytome.schema.json',
+      extends: ['../confytome.base.json'],
+      outputDir: './docs',
+      specFormat: 'both',
+      openapiTarget: '3.0',
+      generators: { markdown: { tagOrder: ['Users'] }, postman: false },
+      routeFiles: ['src/routes/**/*.js', '!src/routes/**/*.test.js', { path: 'src/auth.js', basePath: '/auth', security: [] }],
+      exclude: ['src/routes/legacy/**'],
+      specs: [{ name: 'public', overlays: ['public.yaml'], exclude: [] }],
+      merge: { sources: ['a.json', { spec: 'b.json', pathPrefix: '/b' }], onConflict: 'rename' },
+      lint: { rules: { 'operation-operationId': 'off' }, customRules: ['./lint/summary.js'] }
+    }, 'config')).toEqual([]);
+  });
+
+  test('reports invalid values', () => {
+    expect(validator.validate(schema, { routeFiles: [{ path: 'a.js', basePath: 'a' }] }, 'config')[0]).toMatch(/^config\.routeFiles\[0\]/);
+    expect(validator.validate(schema, { specFormat: 'xml', specs: [{}], lint: { rules: { x: 'fatal' } } }, 'config')).toEqual([
+      'config.specFormat: must be one of "json", "yaml", "both"',
+      'config.specs[0].name: is required',
+      'config.lint.rules.x: must be one of "error", "warn", "off"'
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Configuration Merger Tests
+ *
+ * Tests CLI option merging, the confytome.json "generators" section,
+ * "specs" entries and ${VAR} interpolation
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ConfigMerger } from '../utils/config-merger.js';
+import { ConfytomeConfig } from '../utils/confytome-config.js';
+import { interpolateEnv } from '../utils/env-interpolation.js';
+
+describe('ConfigMerger', () => {
+  describe('mergeConfigurations()', () => {
+    test('maps CLI options onto config properties', () => {
+      const merged = ConfigMerger.mergeConfigurations(
+        { serverConfig: 'server.json', outputDir: './docs' },
+        { output: './api-docs', brand: false }
+      );
+
+      expect(merged.outputDir).toBe('./api-docs');
+      expect(merged.excludeBrand).toBe(true);
+      expect(merged.serverConfig).toBe('server.json');
+    });
+
+    test('--offline switches the network section to the cache', () => {
+      const merged = ConfigMerger.mergeConfigurations({ network: { cacheTtl: 600 } }, { offline: true });
+
+      expect(ConfytomeConfig.getNetworkOptions(merged)).toEqual({ timeout: 30000, ttl: 600, offline: true });
+      expect(() => ConfytomeConfig.getNetworkOptions({ network: { timeout: '10s' } })).toThrow('network.timeout must be a number');
+    });
+
+    test('--no-source-locations and --source-url override the config file', () => {
+      const sourceUrl = 'https://github.com/acme/api/blob/main/{file}#L{line}';
+
+      expect(ConfigMerger.mergeConfigurations({ sourceLocations: false }, { sourceLocations: true }).sourceLocations).toBe(false);
+      expect(ConfigMerger.mergeConfigurations({ sourceUrl: 'https://example.com/{file}' }, { sourceLocations: false, sourceUrl }))
+        .toEqual({ sourceLocations: false, sourceUrl });
+    });
+  });
+
+  describe('resolveGenerators()', () => {
+    test('returns null when no generators section is configured', () => {
+      expect(ConfigMerger.resolveGenerators({ routeFiles: [] })).toBeNull();
+    });
+
+    test('accepts an array of generator names', () => {
+      const resolved = ConfigMerger.resolveGenerators({ generators: ['markdown', 'html'] });
+      expect(resolved.names).toEqual(['markdown', 'html']);
+      expect(resolved.options).toEqual({ markdown: {}, html: {} });
+    });
+
+    test('keeps per-generator options in configured order and skips disabled generators', () => {
+      const resolved = ConfigMerger.resolveGenerators({
+        generators: {
+          markdown: { tagOrder: ['Users'], urlEncodeAnchors: false },
+          postman: false,
+          html: { outputFile: 'index.html', excludeBrand: true },
+          swagger: true
+        }
+      });
+
+      expect(resolved.names).toEqual(['markdown', 'html', 'swagger']);
+      expect(resolved.options.markdown).toEqual({ tagOrder: ['Users'], urlEncodeAnchors: false });
+      expect(resolved.options.html).toEqual({ outputFile: 'index.html', excludeBrand: true });
+    });
+
+    test('maps the clipboard option to copyToClipboard', () => {
+      const resolved = ConfigMerger.resolveGenerators({ generators: { confluence: { clipboard: false } } });
+      expect(resolved.options.confluence).toEqual({ copyToClipboard: false });
+    });
+
+    test('--no-brand overrides every generator', () => {
+      const resolved = ConfigMerger.resolveGenerators(
+        { generators: { html: { excludeBrand: false }, markdown: true } },
+        { excludeBrand: true }
+      );
+
+      expect(resolved.options.html.excludeBrand).toBe(true);
+      expect(resolved.options.markdown.excludeBrand).toBe(true);
+    });
+
+    test('rejects invalid generator options', () => {
+      expect(() => ConfigMerger.resolveGenerators({ generators: { html: 'yes' } }))
+        .toThrow('Invalid options for generator \'html\'');
+    });
+  });
+
+  describe('ConfytomeConfig.getSpecEntries()', () => {
+    test('returns null without a specs array', () => {
+      expect(ConfytomeConfig.getSpecEntries({ serverConfig: 'a.json', routeFiles: [] }, './docs')).toBeNull();
+    });
+
+    test('merges each entry over the top-level settings', () => {
+      const entries = ConfytomeConfig.getSpecEntries({
+        outputDir: './docs',
+        serverConfig: 'shared.json',
+        excludeBrand: true,
+        generators: ['html'],
+        specs: [
+          { name: 'billing', routeFiles: ['billing.js'] },
+          { name: 'auth', serverConfig: 'auth.json', routeFiles: ['auth.js'], generators: ['markdown'], outputDir: './auth-docs' }
+        ]
+      }, './docs');
+
+      expect(entries.map(entry => entry.name)).toEqual(['billing', 'auth']);
+      expect(entries[0].outputDir).toBe(path.join('./docs', 'billing'));
+      expect(entries[0].config).toEqual({ serverConfig: 'shared.json', excludeBrand: true, generators: ['html'], routeFiles: ['billing.js'] });
+      expect(entries[1].outputDir).toBe('./auth-docs');
+      expect(entries[1].config.serverConfig).toBe('auth.json');
+      expect(entries[1].config.generators).toEqual(['markdown']);
+    });
+
+    test('rejects empty, unnamed, duplicate and incomplete entries', () => {
+      expect(() => ConfytomeConfig.getSpecEntries({ specs: [] }, './docs')).toThrow('specs must be a non-empty array');
+      expect(() => ConfytomeConfig.getSpecEntries({ specs: [{ name: '../up' }] }, './docs')).toThrow('specs[0] needs a "name"');
+      expect(() => ConfytomeConfig.getSpecEntries({
+        serverConfig: 'a.json',
+        routeFiles: [],
+        specs: [{ name: 'a' }, { name: 'a' }]
+      }, './docs')).toThrow('Duplicate spec name "a"');
+      expect(() => ConfytomeConfig.getSpecEntries({ specs: [{ name: 'a', routeFiles: [] }] }, './docs'))
+        .toThrow('serverConfig is required for spec "a"');
+    });
+  });
+
+  describe('interpolateEnv()', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-env-'));
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'billing-api', version: '2.4.1' }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('expands variables, defaults and npm_package_* fields in every string', () => {
+      const config = {
+        info: { title: 'Billing (${STAGE:-dev})', version: '${npm_package_version}', contact: { email: '${CONTACT}' } },
+        servers: [{ url: '${API_URL:-http://localhost:3000}/v1' }],
+        port: 3000,
+        note: 'Use $${TOKEN} in requests'
+      };
+
+      expect(interpolateEnv(config, { env: { CONTACT: 'api@example.com', STAGE: '' }, cwd: tempDir })).toEqual({
+        info: { title: 'Billing (dev)', version: '2.4.1', contact: { email: 'api@example.com' } },
+        servers: [{ url: 'http://localhost:3000/v1' }],
+        port: 3000,
+        note: 'Use ${TOKEN} in requests'
+      });
+      expect(interpolateEnv(config.info.version, { env: { npm_package_version: '3.0.0-rc.1' }, cwd: tempDir })).toBe('3.0.0-rc.1');
+    });
+
+    test('keeps empty values for ${VAR} and only replaces them with the :- default', () => {
+      const config = { prefix: '${PREFIX}', stage: '${STAGE:-dev}', version: '${npm_package_version}' };
+
+      expect(interpolateEnv(config, { env: { PREFIX: '', STAGE: '', npm_package_version: '' }, cwd: tempDir }))
+        .toEqual({ prefix: '', stage: 'dev', version: '' });
+    });
+
+    test('names the unset variable and where it is used', () => {
+      expect(() => interpolateEnv({ servers: [{ url: '${API_URL}' }] }, { env: {}, cwd: tempDir, source: 'serverConfig.json' }))
+        .toThrow('Environment variable API_URL is not set (serverConfig.json: servers[0].url)');
+    });
+
+    test('applies to confytome.json read by mergeWithConfig', async() => {
+      const configPath = path.join(tempDir, 'confytome.json');
+      fs.writeFileSync(configPath, JSON.stringify({ outputDir: './docs/${CONFYTOME_TEST_STAGE:-local}' }));
+
+      expect((await ConfigMerger.mergeWithConfig(configPath, {})).outputDir).toBe('./docs/local');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Contract Tester Tests
+ *
+ * Runs `confytome test` contract checks against a small HTTP server that
+ * drifts from the spec in known ways
+ */
+
+import http from 'node:http';
+import { ContractTester } from '../utils/contract-tester.js';
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Orders API', version: '1.0.0' },
+  paths: {
+    '/orders': {
+      get: {
+        tags: ['Orders'],
+        parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: ['open', 'closed'] } }],
+        responses: {
+          200: {
+            description: 'Orders',
+            headers: { 'X-Total-Count': { required: true, schema: { type: 'integer' } } },
+            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Order' } } } }
+          }
+        }
+      },
+      post: {
+        tags: ['Orders'],
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } },
+        responses: { 201: { description: 'Created' } }
+      }
+    },
+    '/orders/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', example: 7 } }],
+      get: {
+        tags: ['Orders'],
+        responses: {
+          200: { description: 'Order', content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } }
+        }
+      },
+      delete: {
+        tags: ['Admin'],
+        responses: { 204: { description: 'Deleted' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Order: {
+        type: 'object',
+        required: ['id', 'total'],
+        properties: {
+          id: { type: 'integer', example: 7 },
+          total: { type: 'number', example: 9.5 }
+        }
+      }
+    }
+  }
+};
+
+describe('ContractTester', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async() => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => body += chunk);
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, body, headers: request.headers });
+
+        if (request.method === 'GET' && request.url.startsWith('/orders?')) {
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify([{ id: 1, total: 3 }]));
+        } else if (request.method === 'POST') {
+          response.writeHead(201);
+          response.end();
+        } else if (request.method === 'GET') {
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ id: '7' }));
+        } else {
+          response.writeHead(500);
+          response.end();
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async() => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('sends documented examples and reports drift per operation', async() => {
+    const tester = new ContractTester(spec, { baseUrl, headers: { Authorization: 'Bearer test' } });
+    const summary = await tester.run();
+    const byName = Object.fromEntries(summary.results.map(result => [result.name, result]));
+
+    expect(summary.total).toBe(4);
+    expect(summary.passed).toBe(1);
+
+    expect(byName['GET /orders'].url).toBe(`${baseUrl}/orders?status=open`);
+    expect(byName['GET /orders'].errors).toEqual(['Missing required response header X-Total-Count']);
+
+    expect(byName['POST /orders'].errors).toEqual([]);
+    const post = requests.find(request => request.method === 'POST');
+    expect(JSON.parse(post.body)).toEqual({ id: 7, total: 9.5 });
+    expect(post.headers.authorization).toBe('Bearer test');
+
+    expect(byName['GET /orders/{id}'].url).toBe(`${baseUrl}/orders/7`);
+    expect(byName['GET /orders/{id}'].errors).toEqual([
+      'body.total: is required',
+      'body.id: expected integer but got string'
+    ]);
+
+    expect(byName['DELETE /orders/{id}'].errors).toEqual(['Undocumented status 500 (documented: 204)']);
+  });
+
+  test('filters operations by tag', () => {
+    const tester = new ContractTester(spec, { baseUrl, tags: ['Admin'] });
+    expect(tester.getOperations().map(entry => `${entry.method} ${entry.path}`)).toEqual(['delete /orders/{id}']);
+  });
+
+  test('reports connection failures', async() => {
+    const tester = new ContractTester(spec, { baseUrl: 'http://127.0.0.1:1', tags: ['Admin'], timeout: 2000 });
+    const summary = await tester.run();
+    expect(summary.failed).toBe(1);
+    expect(summary.results[0].errors[0]).toMatch(/^Request failed:/);
+  });
+
+  test('formats JUnit XML and JSON reports', () => {
+    const summary = {
+      title: 'Orders API',
+      baseUrl,
+      total: 2,
+      passed: 1,
+      failed: 1,
+      durationMs: 1500,
+      results: [
+        { name: 'GET /orders', tag: 'Orders', url: `${baseUrl}/orders`, durationMs: 20, errors: [] },
+        { name: 'DELETE /orders/{id}', tag: 'Admin', url: `${baseUrl}/orders/7`, durationMs: 30, errors: ['Undocumented status 500 <none>'] }
+      ]
+    };
+
+    const xml = ContractTester.toJUnitXml(summary);
+    expect(xml).toContain('<testsuites name="confytome contract tests" tests="2" failures="1" time="1.500">');
+    expect(xml).toContain('<testcase classname="Orders" name="GET /orders" time="0.020"/>');
+    expect(xml).toContain('<failure message="Undocumented status 500 &lt;none&gt;">');
+
+    expect(JSON.parse(ContractTester.toJson(summary)).failed).toBe(1);
+  });
+
+  test('requires a base URL', () => {
+    expect(() => new ContractTester(spec, {})).toThrow('A base URL is required');
+  });
+});
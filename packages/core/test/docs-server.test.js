@@ -0,0 +1,106 @@
+/**
+ * Docs Server Tests
+ *
+ * Tests the local documentation server behind `confytome serve`
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import http from 'node:http';
+import { DocsServer } from '../utils/docs-server.js';
+import { SERVE_DEFAULTS } from '../constants.js';
+
+describe('DocsServer', () => {
+  let outputDir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-serve-'));
+    fs.writeFileSync(path.join(outputDir, 'api-spec.json'), JSON.stringify({
+      openapi: '3.0.3',
+      info: { title: 'Pets API', version: '2.0.0' },
+      paths: {}
+    }));
+    fs.writeFileSync(path.join(outputDir, 'api-docs.html'), '<html><body><h1>Pets</h1></body></html>');
+    fs.writeFileSync(path.join(outputDir, 'api-docs.md'), '# Pets');
+    fs.writeFileSync(path.join(outputDir, '.confytome-server-config.json'), '{}');
+
+    server = new DocsServer(outputDir);
+    baseUrl = await server.start(0, '127.0.0.1');
+  });
+
+  afterEach(async() => {
+    await server.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('index page links every generated artifact', async() => {
+    const response = await fetch(`${baseUrl}/`);
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(html).toContain('<title>Pets API v2.0.0</title>');
+    expect(html).toContain('href="/api-docs.html"');
+    expect(html).toContain('href="/api-docs.md"');
+    expect(html).toContain('href="/api-spec.json"');
+    expect(html).not.toContain('.confytome-server-config.json');
+  });
+
+  test('serves the raw spec as JSON for Swagger UI to load by URL', async() => {
+    const response = await fetch(`${baseUrl}/api-spec.json`);
+
+    expect(response.headers.get('content-type')).toContain('application/json');
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect((await response.json()).info.title).toBe('Pets API');
+  });
+
+  test('injects the live reload client into HTML pages only', async() => {
+    const html = await (await fetch(`${baseUrl}/api-docs.html`)).text();
+    const markdown = await (await fetch(`${baseUrl}/api-docs.md`)).text();
+
+    expect(html).toContain(`new EventSource('${SERVE_DEFAULTS.RELOAD_PATH}')`);
+    expect(html.indexOf('EventSource')).toBeLessThan(html.indexOf('</body>'));
+    expect(markdown).toBe('# Pets');
+  });
+
+  test('does not serve files outside the output directory', async() => {
+    const response = await fetch(`${baseUrl}/%2e%2e/${path.basename(outputDir)}/api-docs.md`);
+    expect(response.status).toBe(404);
+    expect((await fetch(`${baseUrl}/missing.html`)).status).toBe(404);
+  });
+
+  test('rejects malformed percent-encoding without stopping the server', async() => {
+    const response = await fetch(`${baseUrl}/%E0%A4%A`);
+
+    expect(response.status).toBe(400);
+    expect(await response.text()).toBe('Malformed URL: /%E0%A4%A');
+    expect((await fetch(`${baseUrl}/api-docs.md`)).status).toBe(200);
+  });
+
+  test('notifies connected pages when reload() is called', async() => {
+    const received = new Promise((resolve, reject) => {
+      http.get(`${baseUrl}${SERVE_DEFAULTS.RELOAD_PATH}`, (response) => {
+        let data = '';
+        response.on('data', (chunk) => {
+          data += chunk;
+          if (data.includes('data: reload')) {
+            response.destroy();
+            resolve(data);
+          } else {
+            server.reload();
+          }
+        });
+      }).on('error', reject);
+    });
+
+    await expect(received).resolves.toContain('data: reload');
+  });
+
+  test('reports a port that is already in use', async() => {
+    const port = new URL(baseUrl).port;
+    const second = new DocsServer(outputDir);
+    await expect(second.start(Number(port), '127.0.0.1')).rejects.toThrow(`Port ${port} is already in use`);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Generator Registry Tests
+ *
+ * Tests discovery of the standalone generator packages and their execution
+ * through the GeneratorFactory pipeline
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { jest } from '@jest/globals';
+import { GeneratorRegistry } from '../services/GeneratorRegistry.js';
+import { GeneratorFactory } from '../services/GeneratorFactory.js';
+import { GeneratorTypes } from '../interfaces/IGenerator.js';
+
+describe('GeneratorRegistry', () => {
+  let registry;
+
+  beforeAll(async() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registry = new GeneratorRegistry();
+    await registry.initialize();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('discovers the core OpenAPI generator', () => {
+    expect(registry.hasGenerator('core')).toBe(true);
+    expect(registry.getMetadata('core').type).toBe(GeneratorTypes.OPENAPI_GENERATOR);
+  });
+
+  test.each(['html', 'markdown', 'swagger', 'postman', 'confluence'])(
+    'discovers the standalone %s generator as a spec consumer',
+    (name) => {
+      expect(registry.hasGenerator(name)).toBe(true);
+      expect(registry.getMetadata(name).type).toBe(GeneratorTypes.SPEC_CONSUMER);
+      expect(registry.validateGenerator(name).valid).toBe(true);
+    }
+  );
+
+  test('loads each generator file only once', () => {
+    const filePaths = registry.listGenerators().map(gen => gen.filePath);
+    expect(new Set(filePaths).size).toBe(filePaths.length);
+  });
+
+  test('resolves legacy generate-<name> aliases', () => {
+    expect(registry.resolveName('generate-html')).toBe('html');
+    expect(registry.hasGenerator('generate-markdown')).toBe(true);
+    expect(registry.resolveName('generate-unknown')).toBe('generate-unknown');
+  });
+
+  test('creates standalone generator instances for the output directory', () => {
+    const generator = registry.createGenerator('markdown', './custom-out');
+    expect(generator.outputDir).toBe('./custom-out');
+    expect(typeof generator.generate).toBe('function');
+  });
+});
+
+describe('GeneratorFactory with standalone generators', () => {
+  let testDir;
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Registry API', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com' }],
+    tags: [{ name: 'Users' }],
+    paths: {
+      '/users': {
+        get: {
+          summary: 'List users',
+          tags: ['Users'],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['id'],
+          properties: { id: { type: 'integer' }, name: { type: 'string' } }
+        }
+      }
+    }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    testDir = path.join(os.tmpdir(), `registry-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('runs every spec consumer against the spec in the output directory', async() => {
+    fs.writeFileSync(path.join(testDir, 'api-spec.json'), JSON.stringify(spec));
+
+    const consumers = await GeneratorFactory.getGeneratorsByGeneratorType(GeneratorTypes.SPEC_CONSUMER);
+    const names = consumers.map(gen => gen.name);
+    const results = await GeneratorFactory.executeGenerators(names, testDir, { excludeBrand: true });
+
+    results.forEach(result => expect(result).toMatchObject({ success: true }));
+    expect(fs.existsSync(path.join(testDir, 'api-docs.html'))).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'api-docs.md'))).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'confluence-docs.md'))).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'swagger-ui.html'))).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'postman-collection.json'))).toBe(true);
+  });
+
+  test('reports generator failures returned as results', async() => {
+    const result = await GeneratorFactory.executeGenerator('markdown', testDir);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('OpenAPI specification not found');
+  });
+});
+
+describe('GeneratorRegistry external plugins', () => {
+  let projectDir;
+
+  const pluginSource = (name) => `
+export class ${name}Generator {
+  static getMetadata() {
+    return {
+      name: '${name.toLowerCase()}',
+      type: 'spec-consumer',
+      description: '${name} output format',
+      className: '${name}Generator'
+    };
+  }
+  async validate() { return { valid: true, errors: [], warnings: [] }; }
+  async initialize() {}
+  async generate() { return { success: true, outputPath: '${name.toLowerCase()}.txt' }; }
+}
+`;
+
+  const createPackage = (dir, pkg, files) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(pkg));
+    for (const [fileName, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, fileName), content);
+    }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectDir = path.join(os.tmpdir(), `registry-plugins-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    const nodeModules = path.join(projectDir, 'node_modules');
+
+    createPackage(path.join(nodeModules, 'confytome-plugin-asciidoc'),
+      { name: 'confytome-plugin-asciidoc', type: 'module', main: 'index.js' },
+      { 'index.js': pluginSource('Asciidoc') });
+    createPackage(path.join(nodeModules, '@acme', 'docs-format'),
+      { name: '@acme/docs-format', type: 'module', confytome: { generator: 'generator.js' } },
+      { 'generator.js': pluginSource('Acme') });
+    createPackage(path.join(nodeModules, 'confytome-plugin-broken'),
+      { name: 'confytome-plugin-broken', type: 'module', main: 'index.js' },
+      { 'index.js': 'export class Broken { static getMetadata() { return { name: \'broken\' }; } }' });
+    createPackage(path.join(nodeModules, 'shared-api-config'),
+      { name: 'shared-api-config', type: 'module', main: 'index.js', confytome: { routeFiles: ['./routes.js'] } },
+      { 'index.js': `import fs from 'node:fs';\nfs.writeFileSync(${JSON.stringify(path.join(projectDir, 'imported.txt'))}, '');\n${pluginSource('Shared')}` });
+    createPackage(path.join(nodeModules, 'unrelated'),
+      { name: 'unrelated', type: 'module', main: 'index.js' },
+      { 'index.js': pluginSource('Unrelated') });
+    createPackage(path.join(projectDir, 'plugins'),
+      { name: 'in-house', type: 'module' },
+      { 'inhouse.js': pluginSource('Inhouse') });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('discovers confytome-plugin-* packages and packages with a confytome field', async() => {
+    const registry = new GeneratorRegistry();
+    await registry.initialize({ baseDir: projectDir });
+
+    expect(registry.hasGenerator('asciidoc')).toBe(true);
+    expect(registry.hasGenerator('acme')).toBe(true);
+    expect(registry.hasGenerator('unrelated')).toBe(false);
+  });
+
+  test('does not import packages whose confytome field only holds config', async() => {
+    const registry = new GeneratorRegistry();
+    await registry.initialize({ baseDir: projectDir });
+
+    expect(registry.hasGenerator('shared')).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, 'imported.txt'))).toBe(false);
+  });
+
+  test('skips plugins that do not implement the generator interface', async() => {
+    const registry = new GeneratorRegistry();
+    await registry.initialize({ baseDir: projectDir });
+
+    expect(registry.hasGenerator('broken')).toBe(false);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('does not implement IGenerator interface'));
+  });
+
+  test('loads plugins listed in the plugins config key', async() => {
+    const registry = new GeneratorRegistry();
+    await registry.initialize({ baseDir: projectDir, plugins: ['./plugins/inhouse.js', 'unrelated', './missing.js'] });
+
+    expect(registry.hasGenerator('inhouse')).toBe(true);
+    expect(registry.hasGenerator('unrelated')).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith('Warning: Plugin not found: ./missing.js');
+  });
+
+  test('marks external plugins in the generator listing', async() => {
+    const registry = new GeneratorRegistry();
+    await registry.initialize({ baseDir: projectDir });
+
+    const listed = registry.listGenerators();
+    expect(listed.find(gen => gen.name === 'asciidoc').isExternal).toBe(true);
+    expect(listed.find(gen => gen.name === 'html').isExternal).toBe(false);
+  });
+});
@@ -43,6 +43,31 @@ describe('confytome integration pipeline', () => {
     expect(spec.openapi).toBe('3.1.0');
   });
 
+  test('openapi --format yaml writes api-spec.yaml', async() => {
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+
+    const result = testEnv.runConfytome('openapi -c serverConfig.json -f test-router.js --format yaml');
+    expect(result.success).toBe(true);
+    expect(testEnv.fileExists(`${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC}`)).toBe(false);
+
+    const specContent = testEnv.readFile(`${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC_YAML}`);
+    expect(specContent).toContain('openapi: 3.1.0');
+    expect(specContent).toContain('/api/users:');
+  });
+
+  test('openapi --target 3.0 emits an OpenAPI 3.0.3 spec', async() => {
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+
+    const result = testEnv.runConfytome('openapi -c serverConfig.json -f test-router.js --target 3.0');
+    expect(result.success).toBe(true);
+
+    const spec = JSON.parse(testEnv.readFile(`${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(spec.openapi).toBe('3.0.3');
+    expect(isValidOpenAPISpec(spec)).toBe(true);
+  });
+
   test('pipeline handles missing dependencies gracefully', async() => {
     // Setup minimal config without required fields
     testEnv.createFile('serverConfig.json', JSON.stringify({
@@ -101,6 +126,263 @@ describe('confytome integration pipeline', () => {
     }
   });
 
+  test('build runs the generators configured in confytome.json', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['test-router.js'],
+      outputDir: 'built-docs',
+      generators: {
+        markdown: { outputFile: 'reference.md' },
+        html: { excludeBrand: true }
+      }
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+
+    const result = testEnv.runConfytome('build');
+    expect(result.success).toBe(true);
+
+    expect(testEnv.fileExists(`built-docs/${OUTPUT_FILES.OPENAPI_SPEC}`)).toBe(true);
+    expect(testEnv.fileExists('built-docs/reference.md')).toBe(true);
+    expect(testEnv.fileExists(`built-docs/${OUTPUT_FILES.HTML_DOCS}`)).toBe(true);
+    expect(testEnv.readFile(`built-docs/${OUTPUT_FILES.HTML_DOCS}`)).not.toContain('confytome/html');
+    expect(testEnv.fileExists(`built-docs/${OUTPUT_FILES.POSTMAN_COLLECTION}`)).toBe(false);
+  });
+
+  test('build writes one spec and its docs per "specs" entry', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      outputDir: 'built-docs',
+      generators: ['markdown'],
+      specs: [
+        { name: 'billing', serverConfig: 'serverConfig.json', routeFiles: ['billing-router.js'] },
+        { name: 'auth', serverConfig: 'serverConfig.json', routeFiles: ['test-router.js'], generators: ['html'] }
+      ]
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+    testEnv.createFile('billing-router.js', `
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: List invoices
+ *     tags: [Invoices]
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+    `);
+
+    const result = testEnv.runConfytome('build');
+    expect(result.success).toBe(true);
+    expect(result.stdout).toContain('📦 billing (1 endpoints, 1 paths)');
+
+    const billingSpec = JSON.parse(testEnv.readFile(`built-docs/billing/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(Object.keys(billingSpec.paths)).toEqual(['/api/invoices']);
+    expect(testEnv.fileExists(`built-docs/billing/${OUTPUT_FILES.MARKDOWN_DOCS}`)).toBe(true);
+
+    const authSpec = JSON.parse(testEnv.readFile(`built-docs/auth/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(authSpec.paths).toHaveProperty('/api/users');
+    expect(testEnv.fileExists(`built-docs/auth/${OUTPUT_FILES.HTML_DOCS}`)).toBe(true);
+    expect(testEnv.fileExists(`built-docs/auth/${OUTPUT_FILES.MARKDOWN_DOCS}`)).toBe(false);
+    expect(testEnv.fileExists(`built-docs/${OUTPUT_FILES.OPENAPI_SPEC}`)).toBe(false);
+  });
+
+  test('config print shows a JS config merged with the config it extends', async() => {
+    testEnv.createFile('confytome.base.yaml', 'outputDir: ./api-docs\ngenerators:\n  markdown: {tagOrder: [Users]}\n');
+    testEnv.createFile('confytome.config.mjs', `
+export default async function config() {
+  return {
+    extends: './confytome.base.yaml',
+    serverConfig: 'serverConfig.json',
+    routeFiles: ['test-router.js'],
+    generators: { markdown: { urlEncodeAnchors: false } }
+  };
+}
+`);
+
+    const result = testEnv.runConfytome('config print');
+    expect(result.success).toBe(true);
+    expect(JSON.parse(result.stdout)).toEqual({
+      outputDir: './api-docs',
+      generators: { markdown: { tagOrder: ['Users'], urlEncodeAnchors: false } },
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['test-router.js']
+    });
+  });
+
+  test('generate --list-files prints the route files matched by globs', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['routes/**/*.js', '!routes/**/*.spec.js'],
+      exclude: ['routes/drafts/**']
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('routes/users.js', SAMPLE_ROUTER_JS);
+    testEnv.createFile('routes/admin/roles.js', SAMPLE_ROUTER_JS);
+    testEnv.createFile('routes/users.spec.js', '');
+    testEnv.createFile('routes/drafts/orders.js', '');
+
+    const result = testEnv.runConfytome('generate --list-files');
+    expect(result.success).toBe(true);
+    expect(result.stdout).toContain('2 route file(s)\n   routes/admin/roles.js\n   routes/users.js\n');
+    expect(testEnv.fileExists(`confytome/${OUTPUT_FILES.OPENAPI_SPEC}`)).toBe(false);
+  });
+
+  test('generate --spec-only writes the spec without running spec consumers', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['test-router.js']
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+
+    const result = testEnv.runConfytome('generate --spec-only');
+    expect(result.success).toBe(true);
+    expect(testEnv.fileExists(`confytome/${OUTPUT_FILES.OPENAPI_SPEC}`)).toBe(true);
+    expect(testEnv.fileExists(`confytome/${OUTPUT_FILES.MARKDOWN_DOCS}`)).toBe(false);
+    expect(testEnv.fileExists(`confytome/${OUTPUT_FILES.HTML_DOCS}`)).toBe(false);
+  });
+
+  test('generate names the server config when one of its variables is not set', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['test-router.js']
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify({
+      ...SAMPLE_SERVER_CONFIG,
+      servers: [{ url: '${CONFYTOME_TEST_UNSET_URL}' }]
+    }, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+
+    const result = testEnv.runConfytome('generate --spec-only');
+    expect(result.success).toBe(false);
+    expect(result.stderr).toContain('Environment variable CONFYTOME_TEST_UNSET_URL is not set (serverConfig.json: servers[0].url)');
+    expect(result.stdout).toContain('Server config loaded from: serverConfig.json');
+  });
+
+  test('build applies basePath, tags and security from routeFiles objects', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['test-router.js', { path: 'routes/auth.js', basePath: '/auth', tags: ['Auth'], security: [] }],
+      generators: []
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+    testEnv.createFile('routes/auth.js', [
+      '/**',
+      ' * @swagger',
+      ' * /login:',
+      ' *   post:',
+      ' *     summary: Log in',
+      ' *     responses:',
+      ' *       200:',
+      ' *         description: Logged in',
+      ' */'
+    ].join('\n'));
+
+    const result = testEnv.runConfytome('build');
+    expect(result.success).toBe(true);
+
+    const spec = JSON.parse(testEnv.readFile(`${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(spec.paths['/login']).toBeUndefined();
+    expect(spec.paths['/auth/login'].post).toMatchObject({ summary: 'Log in', tags: ['Auth'], security: [] });
+    expect(spec.paths['/api/users'].get.tags).toEqual(['Users']);
+  });
+
+  test('build keeps the same relative path of routers with different base paths apart', async() => {
+    const router = (name) => [
+      '/**',
+      ' * @swagger',
+      ' * /{id}:',
+      ' *   get:',
+      ` *     summary: Get ${name}`,
+      ' *     parameters:',
+      ' *       - {name: id, in: path, required: true, schema: {type: string}}',
+      ' *     responses:',
+      ' *       200:',
+      ` *         description: The ${name}`,
+      ' */'
+    ].join('\n');
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('routes/users.js', router('user'));
+    testEnv.createFile('routes/orders.js', router('order'));
+    const writeConfig = ordersBasePath => testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: [
+        { path: 'routes/users.js', basePath: '/users', tags: ['Users'] },
+        { path: 'routes/orders.js', basePath: ordersBasePath, tags: ['Orders'] }
+      ],
+      generators: []
+    }, null, 2));
+
+    writeConfig('/orders');
+    expect(testEnv.runConfytome('build').success).toBe(true);
+
+    const spec = JSON.parse(testEnv.readFile(`${DEFAULT_OUTPUT_DIR}/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(spec.paths['/{id}']).toBeUndefined();
+    expect(spec.paths['/users/{id}'].get).toMatchObject({ summary: 'Get user', tags: ['Users'] });
+    expect(spec.paths['/orders/{id}'].get).toMatchObject({ summary: 'Get order', tags: ['Orders'] });
+    expect(spec.paths['/orders/{id}'].get['x-confytome-source']).toEqual({ file: 'routes/orders.js', line: 4 });
+
+    writeConfig('/users');
+    const conflict = testEnv.runConfytome('build');
+    expect(conflict.success).toBe(false);
+    expect(conflict.stdout + conflict.stderr).toContain('Operation GET /users/{id} is defined by more than one source (routes/orders.js and an earlier one); set a basePath');
+  });
+
+  test('build applies "overlays" to make variants of the same spec', async() => {
+    testEnv.createFile('confytome.json', JSON.stringify({
+      serverConfig: 'serverConfig.json',
+      routeFiles: ['test-router.js'],
+      generators: [],
+      specs: [
+        { name: 'internal' },
+        { name: 'public', overlays: ['public.overlay.yaml'] }
+      ]
+    }, null, 2));
+    testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
+    testEnv.createFile('test-router.js', SAMPLE_ROUTER_JS);
+    testEnv.createFile('public.overlay.yaml', [
+      'overlay: 1.0.0',
+      'info: {title: Public API, version: 1.0.0}',
+      'actions:',
+      '  - target: $.servers',
+      '    remove: true',
+      '  - target: $',
+      '    update:',
+      '      servers: [{url: "https://api.example.com"}]'
+    ].join('\n'));
+
+    const result = testEnv.runConfytome('build');
+    expect(result.success).toBe(true);
+    expect(result.stdout).toContain('🧩 Applied overlay public.overlay.yaml (Public API): 2 action(s)');
+
+    const publicSpec = JSON.parse(testEnv.readFile(`${DEFAULT_OUTPUT_DIR}/public/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    const internalSpec = JSON.parse(testEnv.readFile(`${DEFAULT_OUTPUT_DIR}/internal/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(publicSpec.servers).toEqual([{ url: 'https://api.example.com' }]);
+    expect(internalSpec.servers).toEqual(SAMPLE_SERVER_CONFIG.servers);
+    expect(isValidOpenAPISpec(publicSpec)).toBe(true);
+  });
+
+  test('merge combines specs with path prefixes into one api-spec.json', async() => {
+    const createSpec = (title, route) => JSON.stringify({
+      openapi: '3.0.3',
+      info: { title, version: '1.0.0' },
+      paths: { [route]: { get: { tags: [title], responses: { 200: { description: 'OK' } } } } }
+    });
+    testEnv.createFile('billing.json', createSpec('Billing', '/invoices'));
+    testEnv.createFile('auth.json', createSpec('Auth', '/sessions'));
+
+    const result = testEnv.runConfytome('merge billing.json auth.json --path-prefix auth=/auth --title Gateway --output gateway');
+    expect(result.success).toBe(true);
+
+    const spec = JSON.parse(testEnv.readFile(`gateway/${OUTPUT_FILES.OPENAPI_SPEC}`));
+    expect(spec.info.title).toBe('Gateway');
+    expect(Object.keys(spec.paths)).toEqual(['/invoices', '/auth/sessions']);
+    expect(isValidOpenAPISpec(spec)).toBe(true);
+  });
+
   test('pipeline works with multiple JSDoc files', async() => {
     testEnv.createFile('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG, null, 2));
     testEnv.createFile('router1.js', `
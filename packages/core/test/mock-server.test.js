@@ -0,0 +1,151 @@
+/**
+ * Mock Server Tests
+ *
+ * Tests `confytome mock` responses, Prefer handling and request validation
+ */
+
+import { MockServer } from '../utils/mock-server.js';
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Users API', version: '1.0.0' },
+  servers: [{ url: 'https://api.example.com/v1' }],
+  paths: {
+    '/users': {
+      get: {
+        responses: {
+          200: {
+            description: 'Users',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/User' } }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+        },
+        responses: { 201: { description: 'Created', headers: { Location: { schema: { type: 'string', example: '/users/1' } } } } }
+      }
+    },
+    '/users/me': {
+      get: { responses: { 200: { description: 'Me', content: { 'application/json': { example: { id: 0, name: 'me' } } } } } }
+    },
+    '/users/{id}': {
+      get: {
+        responses: {
+          200: {
+            description: 'User',
+            content: {
+              'application/json': {
+                examples: {
+                  regular: { value: { id: 1, name: 'Ada' } },
+                  admin: { $ref: '#/components/examples/Admin' }
+                }
+              }
+            }
+          },
+          404: {
+            description: 'Not found',
+            content: { 'application/json': { example: { error: 'USER_NOT_FOUND' } } }
+          }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      User: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          id: { type: 'integer', readOnly: true },
+          name: { type: 'string', example: 'Grace' }
+        }
+      }
+    },
+    examples: {
+      Admin: { value: { id: 2, name: 'Root', admin: true } }
+    }
+  }
+};
+
+describe('MockServer', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async() => {
+    server = new MockServer(spec, { log: () => {} });
+    baseUrl = await server.start(0, '127.0.0.1');
+  });
+
+  afterAll(async() => {
+    await server.close();
+  });
+
+  test('generates a body from the response schema when no example is declared', async() => {
+    const response = await fetch(`${baseUrl}/users`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual([{ id: 0, name: 'Grace' }]);
+  });
+
+  test('matches path templates and prefers literal paths', async() => {
+    expect(await (await fetch(`${baseUrl}/users/42`)).json()).toEqual({ id: 1, name: 'Ada' });
+    expect(await (await fetch(`${baseUrl}/users/me`)).json()).toEqual({ id: 0, name: 'me' });
+  });
+
+  test('accepts paths prefixed with the server base path', async() => {
+    expect((await fetch(`${baseUrl}/v1/users/42`)).status).toBe(200);
+  });
+
+  test('honours Prefer: code and Prefer: example', async() => {
+    const notFound = await fetch(`${baseUrl}/users/42`, { headers: { Prefer: 'code=404' } });
+    expect(notFound.status).toBe(404);
+    expect(await notFound.json()).toEqual({ error: 'USER_NOT_FOUND' });
+
+    const admin = await fetch(`${baseUrl}/users/42`, { headers: { Prefer: 'example=admin' } });
+    expect(await admin.json()).toEqual({ id: 2, name: 'Root', admin: true });
+
+    const undeclared = await fetch(`${baseUrl}/users/42`, { headers: { Prefer: 'code=418' } });
+    expect(undeclared.status).toBe(400);
+  });
+
+  test('validates request bodies against the schema', async() => {
+    const invalid = await fetch(`${baseUrl}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 7 })
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toEqual(['body.name: expected string but got integer']);
+
+    const missing = await fetch(`${baseUrl}/users`, { method: 'POST' });
+    expect((await missing.json()).details).toEqual(['body: request body is required']);
+
+    const created = await fetch(`${baseUrl}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Linus' })
+    });
+    expect(created.status).toBe(201);
+    expect(created.headers.get('location')).toBe('/users/1');
+  });
+
+  test('answers unknown paths with 404 and undeclared methods with 405', async() => {
+    expect((await fetch(`${baseUrl}/orders`)).status).toBe(404);
+
+    const response = await fetch(`${baseUrl}/users/42`, { method: 'DELETE' });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET');
+  });
+
+  test('answers path parameters with a malformed escape with 400', async() => {
+    const response = await fetch(`${baseUrl}/users/%E0%A4%A`);
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Malformed URL: /users/%E0%A4%A' });
+  });
+});
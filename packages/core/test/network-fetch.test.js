@@ -0,0 +1,132 @@
+/**
+ * Network Fetch Tests
+ *
+ * Tests redirects, timeouts, credentials from the environment, ETag/TTL
+ * caching, offline mode and sha256 pinning for network route files
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import { getAuthHeaders, requestUrl, fetchToCache, getCachePaths, sha256 } from '../utils/network-fetch.js';
+import { ConfytomeConfig } from '../utils/confytome-config.js';
+
+const ROUTER = '/** @swagger\n * /ping:\n *   get:\n *     responses: {200: {description: OK}}\n */\n';
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('network fetch', () => {
+  let cacheDir;
+  let origin;
+  let other;
+  let requests;
+
+  beforeEach(async() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-network-'));
+    requests = [];
+    other = await listen((request, response) => {
+      response.end(request.headers.authorization || 'no credentials');
+    });
+    origin = await listen((request, response) => {
+      requests.push(request);
+      if (request.url === '/router.js') {
+        if (request.headers['if-none-match'] === '"v1"') {
+          response.writeHead(304);
+          response.end();
+          return;
+        }
+        response.writeHead(200, { ETag: '"v1"' });
+        response.end(ROUTER);
+      } else if (request.url === '/moved.js') {
+        response.writeHead(302, { Location: '/router.js' });
+        response.end();
+      } else if (request.url === '/loop.js') {
+        response.writeHead(301, { Location: '/loop.js' });
+        response.end();
+      } else if (request.url === '/elsewhere.js') {
+        response.writeHead(307, { Location: `${other.url}/auth.js` });
+        response.end();
+      } else if (request.url === '/private.js') {
+        response.writeHead(request.headers.authorization === 'Bearer secret' ? 200 : 401);
+        response.end(ROUTER);
+      } else if (request.url === '/slow.js') {
+        // Never answers
+      } else {
+        response.writeHead(404);
+        response.end();
+      }
+    });
+  });
+
+  afterEach(async() => {
+    origin.server.closeAllConnections();
+    await new Promise(resolve => origin.server.close(resolve));
+    await new Promise(resolve => other.server.close(resolve));
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('reads bearer and basic credentials, host-specific ones first', () => {
+    const url = 'https://raw.githubusercontent.com/acme/api/main/routes.js';
+
+    expect(getAuthHeaders(url, {})).toEqual({});
+    expect(getAuthHeaders(url, { CONFYTOME_FETCH_USERNAME: 'ci', CONFYTOME_FETCH_PASSWORD: 'pw' }))
+      .toEqual({ Authorization: `Basic ${Buffer.from('ci:pw').toString('base64')}` });
+    expect(getAuthHeaders(url, { CONFYTOME_FETCH_TOKEN: 'generic', CONFYTOME_FETCH_TOKEN_RAW_GITHUBUSERCONTENT_COM: 'github' }))
+      .toEqual({ Authorization: 'Bearer github' });
+  });
+
+  test('follows redirects and only sends credentials to the requested host', async() => {
+    const env = { CONFYTOME_FETCH_TOKEN: 'secret' };
+
+    expect((await requestUrl(`${origin.url}/moved.js`)).body).toBe(ROUTER);
+    expect((await requestUrl(`${origin.url}/private.js`, { env })).statusCode).toBe(200);
+    expect((await requestUrl(`${origin.url}/elsewhere.js`, { env })).body).toBe('no credentials');
+    await expect(requestUrl(`${origin.url}/loop.js`)).rejects.toThrow('Too many redirects');
+    await expect(requestUrl(`${origin.url}/slow.js`, { timeout: 100 })).rejects.toThrow('No response within 100 ms');
+  });
+
+  test('revalidates the cache with its ETag and skips requests within the TTL', async() => {
+    const url = `${origin.url}/router.js`;
+
+    const file = await fetchToCache(url, { cacheDir });
+    expect(file).toBe(getCachePaths(url, cacheDir).file);
+    expect(fs.readFileSync(file, 'utf8')).toBe(ROUTER);
+
+    await fetchToCache(url, { cacheDir });
+    expect(requests.map(request => request.headers['if-none-match'])).toEqual([undefined, '"v1"']);
+
+    await fetchToCache(url, { cacheDir, ttl: 60 });
+    await fetchToCache(url, { cacheDir, offline: true });
+    expect(requests).toHaveLength(2);
+
+    await expect(fetchToCache(`${origin.url}/moved.js`, { cacheDir, offline: true })).rejects.toThrow('not cached; run once without --offline');
+  });
+
+  test('fails when a pinned sha256 does not match', async() => {
+    const url = `${origin.url}/router.js`;
+
+    await expect(fetchToCache(url, { cacheDir, sha256: sha256(ROUTER) })).resolves.toBeDefined();
+    await expect(fetchToCache(url, { cacheDir, sha256: sha256('changed'), offline: true }))
+      .rejects.toThrow(`Integrity check failed for ${url}: expected sha256 ${sha256('changed')}`);
+  });
+
+  test('resolveRouteFiles downloads URLs and keeps their route options', async() => {
+    const cwd = process.cwd();
+    process.chdir(cacheDir);
+    try {
+      const url = `${origin.url}/router.js`;
+      const [file] = await ConfytomeConfig.resolveRouteFiles([{ path: url, sha256: sha256(ROUTER), basePath: '/v1' }]);
+
+      expect(file).toEqual({ basePath: '/v1', path: getCachePaths(url).file });
+      await expect(ConfytomeConfig.resolveRouteFiles([`${origin.url}/private.js`]))
+        .rejects.toThrow(`Failed to fetch network file ${origin.url}/private.js: HTTP 401`);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Per-Route-File Options Tests
+ *
+ * Tests base paths and default tags, security and servers from routeFiles objects
+ */
+
+import { applyRouteFileOptions, joinBasePath, validateRouteFileEntry } from '../utils/route-file-options.js';
+
+const operation = (extra = {}) => ({ responses: { 200: { description: 'OK' } }, ...extra });
+
+describe('route file options', () => {
+  test('joins base paths without doubled or missing slashes', () => {
+    expect(joinBasePath('/auth', '/login')).toBe('/auth/login');
+    expect(joinBasePath('/auth/', '/login')).toBe('/auth/login');
+    expect(joinBasePath('/auth', '/')).toBe('/auth');
+    expect(joinBasePath('/', '/')).toBe('/');
+  });
+
+  test('moves the file\'s operations under the base path and keeps the path order', () => {
+    const spec = {
+      paths: {
+        '/login': { post: operation({ tags: ['Session'] }), parameters: [{ name: 'lang', in: 'query' }] },
+        '/logout': { post: operation() },
+        '/': { get: operation() }
+      }
+    };
+
+    applyRouteFileOptions(spec, { path: 'auth.js', basePath: '/auth', tags: ['Auth'], security: [] });
+
+    expect(Object.keys(spec.paths)).toEqual(['/auth/login', '/auth/logout', '/auth']);
+    expect(spec.paths['/auth/login'].post).toEqual(operation({ tags: ['Session'], security: [] }));
+    expect(spec.paths['/auth/login'].parameters).toEqual([{ name: 'lang', in: 'query' }]);
+    expect(spec.paths['/auth/logout'].post).toEqual(operation({ tags: ['Auth'], security: [] }));
+  });
+
+  test('keeps declared servers and paths without a base path', () => {
+    const spec = {
+      paths: {
+        '/status': {
+          get: operation({ servers: [{ url: 'https://status.example.com' }] }),
+          post: operation()
+        }
+      }
+    };
+
+    applyRouteFileOptions(spec, { path: 'status.js', tags: ['Status'], servers: [{ url: 'https://api.example.com' }] });
+
+    expect(spec.paths['/status']).toEqual({
+      get: operation({ servers: [{ url: 'https://status.example.com' }], tags: ['Status'] }),
+      post: operation({ servers: [{ url: 'https://api.example.com' }], tags: ['Status'] })
+    });
+  });
+
+  test('rejects malformed entries', () => {
+    expect(() => validateRouteFileEntry({ basePath: '/a' }, 'routeFiles[0]')).toThrow('must be a path or an object with a "path"');
+    expect(() => validateRouteFileEntry({ path: 'a.js', basePath: 'a' }, 'routeFiles[0]')).toThrow('"basePath" must be a path starting with "/"');
+    expect(() => validateRouteFileEntry({ path: 'a.js', tags: 'Auth' }, 'routeFiles[0]')).toThrow('"tags" must be an array');
+    expect(() => validateRouteFileEntry({ path: 'a.js', servers: ['https://a'] }, 'routeFiles[0]')).toThrow('"servers" must be an array of servers');
+  });
+});
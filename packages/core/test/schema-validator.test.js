@@ -0,0 +1,72 @@
+/**
+ * Schema Validator Tests
+ *
+ * Tests validation of values against OpenAPI schema objects
+ */
+
+import { SchemaValidator } from '../utils/schema-validator.js';
+
+describe('SchemaValidator', () => {
+  const spec = {
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['id', 'email'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string', enum: ['admin', 'member'] },
+            nickname: { type: 'string', nullable: true, maxLength: 5 },
+            tags: { type: 'array', items: { type: 'string' }, minItems: 1 }
+          }
+        }
+      }
+    }
+  };
+  const validator = new SchemaValidator(spec);
+  const userRef = { $ref: '#/components/schemas/User' };
+
+  test('accepts a valid value through a $ref', () => {
+    expect(validator.validate(userRef, { id: 1, email: 'a@b.co', role: 'admin', tags: ['x'] })).toEqual([]);
+  });
+
+  test('reports missing, mistyped and unexpected properties with their path', () => {
+    const errors = validator.validate(userRef, { id: 'one', role: 'owner', extra: true, tags: [] });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'body.email: is required',
+      'body.id: expected integer but got string',
+      'body.role: must be one of "admin", "member"',
+      'body.extra: is not allowed',
+      'body.tags: must contain at least 1 items'
+    ]));
+  });
+
+  test('ignores readOnly properties in requests', () => {
+    expect(validator.validate(userRef, { email: 'a@b.co' }, 'body', { direction: 'request' })).toEqual([]);
+    expect(validator.validate(userRef, { email: 'a@b.co' })).toContain('body.id: is required');
+  });
+
+  test('supports nullable (3.0) and type arrays (3.1)', () => {
+    expect(validator.validate(userRef, { id: 1, email: 'a@b.co', nickname: null })).toEqual([]);
+    expect(validator.validate({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validator.validate({ type: 'string' }, null)).toEqual(['body: expected string but got null']);
+  });
+
+  test('checks string, number and format constraints', () => {
+    expect(validator.validate({ type: 'string', format: 'email' }, 'nope', 'email')).toEqual(['email: must be a valid email']);
+    expect(validator.validate({ type: 'integer', minimum: 1, maximum: 10 }, 11, 'limit')).toEqual(['limit: must be <= 10']);
+    expect(validator.validate({ type: 'string', pattern: '^[A-Z]{2}$' }, 'abc', 'code')).toEqual(['code: must match pattern ^[A-Z]{2}$']);
+  });
+
+  test('evaluates oneOf, anyOf and allOf', () => {
+    const oneOf = { oneOf: [{ type: 'string' }, { type: 'integer' }] };
+    expect(validator.validate(oneOf, 5)).toEqual([]);
+    expect(validator.validate(oneOf, true)).toEqual(['body: must match exactly one schema in oneOf (matched 0)']);
+
+    const allOf = { allOf: [{ type: 'object', required: ['a'] }, { type: 'object', required: ['b'] }] };
+    expect(validator.validate(allOf, { a: 1 })).toEqual(['body.b: is required']);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Source Location Tests
+ *
+ * Tests that operations and components generated from JSDoc record the file
+ * and line of their @swagger block as "x-confytome-source"
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import swaggerJSDoc from 'swagger-jsdoc';
+import { annotateSourceLocations, findSourceLocation, formatSourceUrl, validateSourceUrl } from '../utils/source-locations.js';
+
+const ROUTER = [
+  '/**',
+  ' * @swagger',
+  ' * /users:',
+  ' *   get:',
+  ' *     summary: List users',
+  ' *     responses:',
+  ' *       200: {description: OK}',
+  ' *   post:',
+  ' *     responses: {201: {description: Created}}',
+  ' * "/users/{id}":',
+  ' *   delete: {responses: {204: {description: Deleted}}}',
+  ' */',
+  '',
+  '/**',
+  ' * @openapi',
+  ' * components:',
+  ' *   schemas:',
+  ' *     User:',
+  ' *       type: object',
+  ' *     Users:',
+  ' *       $ref: "#/components/schemas/User"',
+  ' */',
+  ''
+].join('\n');
+
+const SPEC_FILE = [
+  'paths:',
+  '  /health:',
+  '    get:',
+  '      responses: {200: {description: OK}}',
+  ''
+].join('\n');
+
+describe('source locations', () => {
+  let tempDir;
+  let cwd;
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-sources-'));
+    process.chdir(tempDir);
+    fs.mkdirSync('src');
+    fs.writeFileSync('src/users.js', ROUTER);
+    fs.writeFileSync('src/health.yaml', SPEC_FILE);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function generate(files) {
+    return swaggerJSDoc({ definition: { openapi: '3.0.3', info: { title: 'API', version: '1.0.0' } }, apis: files });
+  }
+
+  test('records the line of every operation and component', () => {
+    const files = ['src/users.js', 'src/health.yaml'];
+    const spec = generate(files);
+
+    expect(annotateSourceLocations(spec, files)).toBe(5);
+    expect(spec.paths['/users'].get['x-confytome-source']).toEqual({ file: 'src/users.js', line: 4 });
+    expect(spec.paths['/users'].post['x-confytome-source']).toEqual({ file: 'src/users.js', line: 8 });
+    expect(spec.paths['/users/{id}'].delete['x-confytome-source']).toEqual({ file: 'src/users.js', line: 11 });
+    expect(spec.paths['/health'].get['x-confytome-source']).toEqual({ file: 'src/health.yaml', line: 3 });
+    expect(spec.components.schemas.User['x-confytome-source']).toEqual({ file: 'src/users.js', line: 18 });
+    expect(spec.components.schemas.Users['x-confytome-source']).toBeUndefined();
+  });
+
+  test('links locations with the sourceUrl template', () => {
+    const spec = generate(['src/users.js']);
+    annotateSourceLocations(spec, ['src/users.js'], { sourceUrl: 'https://github.com/acme/api/blob/main/{file}#L{line}' });
+
+    expect(spec.paths['/users'].get['x-confytome-source'].url).toBe('https://github.com/acme/api/blob/main/src/users.js#L4');
+    expect(formatSourceUrl('https://example.com/{file}', { file: 'src/my routes.js', line: 1 })).toBe('https://example.com/src/my%20routes.js');
+    expect(() => validateSourceUrl('https://example.com/#L{line}')).toThrow('sourceUrl must be a URL template containing {file}');
+  });
+
+  test('finds the closest recorded location of a value', () => {
+    const spec = generate(['src/users.js']);
+    annotateSourceLocations(spec, ['src/users.js']);
+
+    expect(findSourceLocation(spec, ['paths', '/users', 'get', 'responses', '200'])).toEqual({ file: 'src/users.js', line: 4 });
+    expect(findSourceLocation(spec, ['paths', '/users'])).toBeNull();
+  });
+});
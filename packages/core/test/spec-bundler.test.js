@@ -0,0 +1,147 @@
+/**
+ * Spec Bundler and Splitter Tests
+ *
+ * Tests resolving relative-file $refs into components and `confytome split`,
+ * whose output must bundle back to the original spec
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import SwaggerParser from '@apidevtools/swagger-parser';
+import { bundleSpec, hasExternalRefs } from '../utils/spec-bundler.js';
+import { splitSpec } from '../utils/spec-splitter.js';
+import { loadSpec } from '../utils/spec-loader.js';
+
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Users', version: '1.0.0' },
+    paths: {
+      '/users/{id}': {
+        parameters: [{ $ref: '#/components/parameters/UserId' }],
+        get: {
+          responses: {
+            200: { description: 'User', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+            404: { $ref: '#/components/responses/NotFound' }
+          }
+        }
+      },
+      '/': { get: { responses: { 200: { description: 'Index' } } } }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          properties: { id: { type: 'integer' }, address: { $ref: '#/components/schemas/Address' } },
+          example: { $ref: 'not-a-ref-just-data' }
+        },
+        Address: { type: 'object', properties: { city: { type: 'string' } } }
+      },
+      parameters: { UserId: { name: 'id', in: 'path', required: true, schema: { type: 'integer' } } },
+      responses: { NotFound: { description: 'Not found' } },
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } }
+    }
+  };
+}
+
+describe('spec bundler', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-bundle-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function write(file, content) {
+    const filePath = path.join(tempDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  test('resolves file refs and their own local refs into components', async() => {
+    write('schemas/common.yaml', 'User:\n  type: object\n  properties:\n    address:\n      $ref: "#/Address"\nAddress:\n  type: object\n');
+    write('schemas/Error.json', JSON.stringify({ type: 'object', properties: { message: { type: 'string' } } }));
+    const specPath = write('openapi.yaml', [
+      'openapi: 3.0.3',
+      'info: {title: Hand, version: 1.0.0}',
+      'paths:',
+      '  /users:',
+      '    get:',
+      '      responses:',
+      '        "200":',
+      '          description: ok',
+      '          content:',
+      '            application/json:',
+      '              schema: {type: array, items: {$ref: "./schemas/common.yaml#/User"}}',
+      '        "400":',
+      '          $ref: "./responses.yaml#/BadRequest"'
+    ].join('\n'));
+    write('responses.yaml', 'BadRequest:\n  description: Bad request\n  content:\n    application/json:\n      schema: {$ref: "schemas/Error.json"}\n');
+
+    const spec = await loadSpec(specPath);
+
+    expect(hasExternalRefs(spec)).toBe(false);
+    expect(spec.paths['/users'].get.responses['200'].content['application/json'].schema.items.$ref).toBe('#/components/schemas/User');
+    expect(spec.paths['/users'].get.responses['400'].$ref).toBe('#/components/responses/BadRequest');
+    expect(spec.components.schemas.User.properties.address.$ref).toBe('#/components/schemas/Address');
+    expect(Object.keys(spec.components.schemas)).toEqual(['Address', 'User', 'Error']);
+    await expect(SwaggerParser.validate(spec)).resolves.toBeDefined();
+  });
+
+  test('gives clashing component names a numeric suffix', async() => {
+    write('a/User.yaml', 'type: object\nproperties: {a: {type: string}}\n');
+    write('b/User.yaml', 'type: object\nproperties: {b: {type: string}}\n');
+    const spec = createSpec();
+    spec.paths['/a'] = { get: { responses: { 200: { description: 'A', content: { 'application/json': { schema: { $ref: 'a/User.yaml' } } } } } } };
+    spec.paths['/b'] = { get: { responses: { 200: { description: 'B', content: { 'application/json': { schema: { $ref: 'b/User.yaml' } } } } } } };
+
+    const { spec: bundled, files } = await bundleSpec(spec, path.join(tempDir, 'api-spec.json'));
+
+    expect(files).toHaveLength(2);
+    expect(bundled.components.schemas.User2.properties).toHaveProperty('a');
+    expect(bundled.components.schemas.User3.properties).toHaveProperty('b');
+    expect(bundled.components.schemas.User.properties).toHaveProperty('id');
+  });
+
+  test('reports refs to missing files', async() => {
+    const spec = createSpec();
+    spec.components.schemas.Address = { $ref: './missing.yaml' };
+
+    await expect(bundleSpec(spec, path.join(tempDir, 'api-spec.json')))
+      .rejects.toThrow('Cannot resolve $ref "./missing.yaml"');
+  });
+
+  test('split files bundle back to the original spec', async() => {
+    const spec = createSpec();
+    const files = splitSpec(spec);
+
+    expect(files.map(file => file.path)).toEqual([
+      'openapi.yaml',
+      'paths/users_{id}.yaml',
+      'paths/root.yaml',
+      'components/schemas/User.yaml',
+      'components/schemas/Address.yaml',
+      'components/parameters/UserId.yaml',
+      'components/responses/NotFound.yaml'
+    ]);
+    expect(files[0].content).toContain('$ref: ./paths/root.yaml');
+    expect(files[0].content).toContain('bearer:');
+    expect(files.find(file => file.path === 'components/schemas/User.yaml').content).toContain('$ref: ./Address.yaml');
+
+    files.forEach(file => write(file.path, file.content));
+    expect(await loadSpec(path.join(tempDir, 'openapi.yaml'))).toEqual(spec);
+  });
+
+  test('splits into JSON files', () => {
+    const files = splitSpec(createSpec(), { format: 'json' });
+
+    expect(files[0].path).toBe('openapi.json');
+    expect(JSON.parse(files[1].content).parameters[0].$ref).toBe('../components/parameters/UserId.json');
+    expect(() => splitSpec(createSpec(), { format: 'xml' })).toThrow('Unknown split format \'xml\'');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Spec Diff Tests
+ *
+ * Tests change detection and breaking/non-breaking classification for `confytome diff`
+ */
+
+import { SpecDiff, CHANGE_LEVELS } from '../utils/spec-diff.js';
+
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Users API', version: '1.0.0' },
+    paths: {
+      '/users': {
+        get: {
+          tags: ['Users'],
+          parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+          responses: {
+            200: {
+              description: 'Users',
+              content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/User' } } } }
+            }
+          }
+        },
+        post: {
+          tags: ['Users'],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+          },
+          responses: {
+            201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } }
+          }
+        }
+      },
+      '/users/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        delete: { tags: ['Users'], responses: { 204: { description: 'Deleted' } } }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: { type: 'string' },
+            role: { type: 'string', enum: ['admin', 'member', 'guest'] }
+          }
+        }
+      }
+    }
+  };
+}
+
+function diff(mutate) {
+  const oldSpec = createSpec();
+  const newSpec = createSpec();
+  mutate(newSpec);
+  return new SpecDiff(oldSpec, newSpec).compare();
+}
+
+function messages(result, level) {
+  return result.changes.filter(change => change.level === level).map(change => change.message);
+}
+
+describe('SpecDiff', () => {
+  test('reports no changes for identical specs', () => {
+    const result = diff(() => {});
+
+    expect(result.changes).toEqual([]);
+    expect(result.summary).toEqual({ breaking: 0, nonBreaking: 0, info: 0 });
+  });
+
+  test('classifies removed and added endpoints', () => {
+    const result = diff(spec => {
+      delete spec.paths['/users/{id}'].delete;
+      spec.paths['/users/{id}'].get = { tags: ['Users'], responses: { 200: { description: 'User' } } };
+    });
+
+    expect(messages(result, CHANGE_LEVELS.BREAKING)).toEqual(['Removed endpoint DELETE /users/{id}']);
+    expect(messages(result, CHANGE_LEVELS.NON_BREAKING)).toEqual(['Added endpoint GET /users/{id}']);
+    expect(result.changes[0]).toMatchObject({ type: 'endpoint-removed', operations: [{ method: 'DELETE', path: '/users/{id}', tags: ['Users'] }] });
+  });
+
+  test('matches path templates whose parameter names changed', () => {
+    const result = diff(spec => {
+      spec.paths['/users/{userId}'] = spec.paths['/users/{id}'];
+      spec.paths['/users/{userId}'].parameters = [{ name: 'userId', in: 'path', required: true, schema: { type: 'integer' } }];
+      delete spec.paths['/users/{id}'];
+    });
+
+    expect(result.summary.breaking).toBe(0);
+  });
+
+  test('treats newly required parameters as breaking and relaxed ones as non-breaking', () => {
+    const result = diff(spec => {
+      spec.paths['/users'].get.parameters[0].required = true;
+      spec.paths['/users'].get.parameters.push({ name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } });
+      spec.paths['/users'].get.parameters.push({ name: 'q', in: 'query', schema: { type: 'string' } });
+    });
+
+    expect(messages(result, CHANGE_LEVELS.BREAKING)).toEqual([
+      'GET /users: query parameter "limit" is now required',
+      'GET /users: added required header parameter "X-Tenant"'
+    ]);
+    expect(messages(result, CHANGE_LEVELS.NON_BREAKING)).toEqual(['GET /users: added optional query parameter "q"']);
+  });
+
+  test('classifies type changes by direction', () => {
+    const result = diff(spec => {
+      spec.paths['/users'].get.parameters[0].schema = { type: 'string' };
+      spec.paths['/users'].post.responses[201].content['application/json'].schema = { type: 'array', items: { type: 'string' } };
+      spec.paths['/users/{id}'].parameters[0].schema = { type: 'integer', nullable: true };
+    });
+
+    expect(messages(result, CHANGE_LEVELS.BREAKING)).toEqual([
+      'GET /users: query parameter "limit" type changed from integer to string',
+      'POST /users: response 201 type changed from object to array'
+    ]);
+    expect(messages(result, CHANGE_LEVELS.NON_BREAKING)).toEqual([
+      'DELETE /users/{id}: path parameter "id" type changed from integer to integer | null'
+    ]);
+  });
+
+  test('reports shared component changes once with every affected operation', () => {
+    const result = diff(spec => {
+      spec.components.schemas.User.properties.role.enum = ['admin', 'member'];
+    });
+
+    const requestChange = result.changes.find(change => change.level === CHANGE_LEVELS.BREAKING);
+    expect(requestChange).toMatchObject({ message: 'User.role enum values removed: "guest"', shared: true });
+    expect(requestChange.operations.map(operation => `${operation.method} ${operation.path}`)).toEqual(['POST /users']);
+
+    const responseChanges = result.changes.filter(change => change.level === CHANGE_LEVELS.NON_BREAKING);
+    expect(responseChanges).toHaveLength(1);
+    expect(responseChanges[0].operations.map(operation => `${operation.method} ${operation.path}`)).toEqual(['GET /users', 'POST /users']);
+  });
+
+  test('classifies property and required changes', () => {
+    const result = diff(spec => {
+      const user = spec.components.schemas.User;
+      delete user.properties.role;
+      user.properties.name = { type: 'string' };
+      user.required = ['name'];
+    });
+
+    const breaking = messages(result, CHANGE_LEVELS.BREAKING);
+    expect(breaking).toEqual(expect.arrayContaining([
+      'User property "role" was removed',
+      'User added required property "name"',
+      'User property "email" is no longer always present'
+    ]));
+  });
+
+  test('reports request body, response and deprecation changes', () => {
+    const result = diff(spec => {
+      spec.paths['/users'].get.deprecated = true;
+      delete spec.paths['/users'].post.responses[201];
+      spec.paths['/users'].post.responses[400] = { description: 'Bad request' };
+      spec.paths['/users/{id}'].delete.requestBody = { required: true, content: { 'application/json': { schema: { type: 'object' } } } };
+    });
+
+    expect(messages(result, CHANGE_LEVELS.BREAKING)).toEqual([
+      'POST /users: response 201 was removed',
+      'DELETE /users/{id}: added required request body'
+    ]);
+    expect(messages(result, CHANGE_LEVELS.NON_BREAKING)).toEqual(['POST /users: added response 400']);
+    expect(result.changes.find(change => change.type === 'endpoint-deprecated').message).toBe('Deprecated endpoint GET /users');
+  });
+
+  test('formats text, JSON and Markdown reports', () => {
+    const result = diff(spec => {
+      spec.info.version = '2.0.0';
+      delete spec.paths['/users/{id}'];
+    });
+
+    expect(SpecDiff.toText(result)).toContain('📊 Users API: 1.0.0 → 2.0.0');
+    expect(SpecDiff.toText(result)).toContain('💥 Breaking changes (1)\n  - Removed endpoint DELETE /users/{id}');
+    expect(JSON.parse(SpecDiff.toJson(result)).summary).toEqual({ breaking: 1, nonBreaking: 0, info: 0 });
+    expect(SpecDiff.toMarkdown(result)).toContain('### 💥 Breaking changes\n\n- Removed endpoint DELETE /users/{id}');
+  });
+
+  test('names the @swagger block of changed operations and components', () => {
+    const oldSpec = createSpec();
+    const newSpec = createSpec();
+    newSpec.paths['/users'].get['x-confytome-source'] = { file: 'src/routes/users.js', line: 12, url: 'https://example.com/users.js#L12' };
+    newSpec.components.schemas.User['x-confytome-source'] = { file: 'src/models/user.js', line: 3 };
+    newSpec.paths['/users'].get.parameters[0].required = true;
+    newSpec.components.schemas.User.properties.role.enum = ['admin', 'member'];
+
+    const result = new SpecDiff(oldSpec, newSpec).compare();
+
+    expect(result.changes.find(change => change.shared).source).toEqual({ file: 'src/models/user.js', line: 3 });
+    expect(SpecDiff.toText(result)).toContain('  - GET /users: query parameter "limit" is now required\n    ↳ defined in src/routes/users.js:12');
+    expect(SpecDiff.toText(result)).toContain('User.role enum values removed: "guest" (used by POST /users)\n    ↳ defined in src/models/user.js:3');
+    expect(SpecDiff.toMarkdown(result)).toContain('is now required ([`src/routes/users.js:12`](https://example.com/users.js#L12))');
+  });
+});
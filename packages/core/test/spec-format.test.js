@@ -0,0 +1,64 @@
+/**
+ * Spec Format Tests
+ *
+ * Tests the JSON and YAML serialization behind --format / "specFormat"
+ */
+
+import yaml from 'js-yaml';
+import { serializeSpec, withJsonSpec } from '../utils/spec-format.js';
+import { OUTPUT_FILES } from '../constants.js';
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Users API',
+    version: '1.0',
+    description: 'Manage users.\n\nEvery request needs a token.'
+  },
+  paths: {
+    '/flags': {
+      get: {
+        summary: 'Feature flags',
+        responses: {
+          200: {
+            description: 'OK',
+            content: { 'application/json': { example: { beta: 'yes', code: '0123' } } }
+          }
+        }
+      }
+    }
+  }
+};
+
+describe('serializeSpec', () => {
+  test('writes api-spec.json by default', () => {
+    const files = serializeSpec(spec);
+
+    expect(files).toEqual([{ format: 'json', fileName: OUTPUT_FILES.OPENAPI_SPEC, content: JSON.stringify(spec, null, 2) }]);
+  });
+
+  test('writes multi-line descriptions as YAML block scalars', () => {
+    const [file] = serializeSpec(spec, 'yaml');
+
+    expect(file.fileName).toBe(OUTPUT_FILES.OPENAPI_SPEC_YAML);
+    expect(file.content).toContain('  description: |-\n    Manage users.\n\n    Every request needs a token.\n');
+  });
+
+  test('quotes strings that YAML would otherwise read as other types', () => {
+    const [file] = serializeSpec(spec, 'yaml');
+
+    expect(file.content).toContain('version: \'1.0\'');
+    expect(yaml.load(file.content, { schema: yaml.CORE_SCHEMA })).toEqual(spec);
+  });
+
+  test('writes both files for "both" and rejects unknown formats', () => {
+    expect(serializeSpec(spec, 'both').map(file => file.fileName)).toEqual([OUTPUT_FILES.OPENAPI_SPEC, OUTPUT_FILES.OPENAPI_SPEC_YAML]);
+    expect(() => serializeSpec(spec, 'xml')).toThrow('Unknown spec format \'xml\': expected json, yaml, both');
+  });
+
+  test('keeps the JSON spec when documentation generators need it', () => {
+    expect(withJsonSpec('yaml')).toBe('both');
+    expect(withJsonSpec('json')).toBe('json');
+    expect(withJsonSpec(undefined)).toBe('json');
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Spec Linter Tests
+ *
+ * Tests the built-in lint rules, severity configuration, custom rules and
+ * line/column mapping used by `confytome lint`
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { SpecLinter } from '../utils/spec-linter.js';
+import { JsonSourceMap, YamlSourceMap, toJsonPointer, fromJsonPointer } from '../utils/json-source-map.js';
+import { parseSpecText } from '../utils/spec-loader.js';
+
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Users', version: '1.0.0' },
+    paths: {
+      '/users/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', example: 1 } }],
+        get: {
+          operationId: 'getUser',
+          tags: ['Users'],
+          responses: {
+            200: {
+              description: 'User',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+            },
+            404: { description: 'Not found' }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          properties: { name: { type: 'string', example: 'Ada' } }
+        }
+      }
+    }
+  };
+}
+
+async function lint(spec, options) {
+  return new SpecLinter(options).lint(spec);
+}
+
+describe('SpecLinter', () => {
+  test('reports no problems for a clean spec', async() => {
+    expect(await lint(createSpec())).toEqual([]);
+  });
+
+  test('reports OpenAPI schema violations at their location', async() => {
+    const spec = createSpec();
+    delete spec.info.version;
+    spec.paths['/users/{id}'].get.responses[404] = { descripton: 'typo' };
+
+    const problems = (await lint(spec)).filter(problem => problem.rule === 'openapi-schema');
+
+    expect(problems).toEqual(expect.arrayContaining([
+      expect.objectContaining({ severity: 'error', pointer: '/info', message: 'missing required property "version"' }),
+      expect.objectContaining({ pointer: '/paths/~1users~1{id}/get/responses/404', message: 'unexpected property "descripton"' })
+    ]));
+    expect(problems.some(problem => problem.message.includes('$ref'))).toBe(false);
+  });
+
+  test('reports operations without tags or operationId', async() => {
+    const spec = createSpec();
+    delete spec.paths['/users/{id}'].get.tags;
+    delete spec.paths['/users/{id}'].get.operationId;
+
+    const problems = await lint(spec);
+
+    expect(problems).toEqual(expect.arrayContaining([
+      expect.objectContaining({ rule: 'operation-tags', severity: 'error', message: 'GET /users/{id} has no tags' }),
+      expect.objectContaining({ rule: 'operation-operationId', severity: 'warn', message: 'GET /users/{id} has no operationId' })
+    ]));
+  });
+
+  test('reports duplicate operationIds', async() => {
+    const spec = createSpec();
+    spec.paths['/users'] = { get: { ...spec.paths['/users/{id}'].get } };
+
+    const problems = (await lint(spec)).filter(problem => problem.rule === 'operation-operationId');
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toBe('GET /users reuses operationId "getUser" from GET /users/{id}');
+  });
+
+  test('reports unused components and security schemes', async() => {
+    const spec = createSpec();
+    spec.components.schemas.Orphan = { type: 'object', properties: { user: { $ref: '#/components/schemas/Address' } } };
+    spec.components.schemas.Address = { type: 'string' };
+    spec.components.securitySchemes = { bearerAuth: { type: 'http', scheme: 'bearer' } };
+
+    const problems = (await lint(spec)).filter(problem => problem.rule === 'no-unused-components');
+
+    expect(problems.map(problem => problem.pointer)).toEqual([
+      '/components/schemas/Orphan',
+      '/components/securitySchemes/bearerAuth'
+    ]);
+  });
+
+  test('keeps linting when a $ref has a malformed escape', async() => {
+    const spec = createSpec();
+    spec.components.schemas.Orphan = { type: 'object', properties: { user: { $ref: '#/components/schemas/%E0%A4%A' } } };
+
+    const problems = (await lint(spec)).filter(problem => problem.rule === 'no-unused-components');
+
+    expect(problems.map(problem => problem.pointer)).toEqual(['/components/schemas/Orphan']);
+  });
+
+  test('reports operations without error responses and missing examples', async() => {
+    const spec = createSpec();
+    const operation = spec.paths['/users/{id}'].get;
+    delete operation.responses[404];
+    spec.components.schemas.User.properties.email = { type: 'string' };
+    operation.parameters = [{ name: 'fields', in: 'query', schema: { type: 'string' } }];
+
+    const problems = await lint(spec);
+
+    expect(problems).toEqual(expect.arrayContaining([
+      expect.objectContaining({ rule: 'operation-error-responses', message: 'GET /users/{id} documents no error responses' }),
+      expect.objectContaining({ rule: 'operation-examples', message: 'GET /users/{id} parameter "fields" has no example' }),
+      expect.objectContaining({ rule: 'operation-examples', message: 'GET /users/{id} 200 response (application/json) has no example' })
+    ]));
+  });
+
+  test('applies severity overrides and rejects unknown rules or severities', async() => {
+    const spec = createSpec();
+    delete spec.paths['/users/{id}'].get.operationId;
+    delete spec.paths['/users/{id}'].get.tags;
+
+    const problems = await lint(spec, { rules: { 'operation-tags': 'off', 'operation-operationId': 'error' } });
+
+    expect(problems).toEqual([expect.objectContaining({ rule: 'operation-operationId', severity: 'error' })]);
+    expect(() => new SpecLinter({ rules: { 'no-such-rule': 'warn' } })).toThrow('Unknown lint rule \'no-such-rule\'');
+    expect(() => new SpecLinter({ rules: { 'operation-tags': 'fatal' } })).toThrow('Invalid severity \'fatal\'');
+  });
+
+  describe('custom rules', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-lint-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('loads rules from confytome.json and lets their severity be configured', async() => {
+      fs.writeFileSync(path.join(tempDir, 'require-summary.js'), `
+export default {
+  name: 'require-summary',
+  severity: 'warn',
+  check(context) {
+    for (const { label, path, operation } of context.operations()) {
+      if (!operation.summary) context.report({ path, message: label + ' has no summary' });
+    }
+  }
+};
+`);
+
+      const linter = await SpecLinter.fromConfig({
+        rules: { 'require-summary': 'error' },
+        customRules: ['./require-summary.js']
+      }, tempDir);
+
+      expect(await linter.lint(createSpec())).toEqual([
+        expect.objectContaining({ rule: 'require-summary', severity: 'error', message: 'GET /users/{id} has no summary' })
+      ]);
+    });
+
+    test('rejects modules that do not export a rule', async() => {
+      fs.writeFileSync(path.join(tempDir, 'broken.js'), 'export default { name: \'broken\' };\n');
+
+      await expect(SpecLinter.fromConfig({ customRules: ['./broken.js'] }, tempDir))
+        .rejects.toThrow('must export { name, check(context) }');
+      await expect(SpecLinter.fromConfig({ customRules: ['./missing.js'] }, tempDir))
+        .rejects.toThrow('Custom lint rule file not found: ./missing.js');
+    });
+  });
+
+  test('formats located problems with file, line and column', async() => {
+    const spec = createSpec();
+    delete spec.paths['/users/{id}'].get.tags;
+    const text = JSON.stringify(spec, null, 2);
+
+    const problems = SpecLinter.locate(await lint(spec), new JsonSourceMap(text));
+    const report = SpecLinter.formatText(problems, 'api-spec.json');
+
+    const line = text.split('\n').findIndex(row => row.includes('"get": {')) + 1;
+    expect(report).toBe(`api-spec.json:${line}:7  error  GET /users/{id} has no tags  (operation-tags)`);
+    expect(SpecLinter.summarize(problems)).toEqual({ errorCount: 1, warningCount: 0 });
+  });
+
+  test('lints YAML specs and locates problems in the YAML text', async() => {
+    const spec = createSpec();
+    delete spec.paths['/users/{id}'].get.tags;
+    const text = yaml.dump(spec);
+
+    const problems = SpecLinter.locate(await lint(parseSpecText(text, 'api-spec.yaml')), new YamlSourceMap(text));
+
+    const line = text.split('\n').findIndex(row => row === '    get:') + 1;
+    expect(SpecLinter.formatText(problems, 'api-spec.yaml')).toBe(`api-spec.yaml:${line}:5  error  GET /users/{id} has no tags  (operation-tags)`);
+  });
+
+  test('points problems at the @swagger block they come from', async() => {
+    const spec = createSpec();
+    delete spec.paths['/users/{id}'].get.tags;
+    spec.paths['/users/{id}'].get['x-confytome-source'] = { file: 'src/routes/users.js', line: 42 };
+    const text = JSON.stringify(spec, null, 2);
+
+    const problems = SpecLinter.locate(await lint(spec), new JsonSourceMap(text));
+
+    expect(problems[0].source).toEqual({ file: 'src/routes/users.js', line: 42 });
+    expect(SpecLinter.formatText(problems, 'api-spec.json').split('\n')[1]).toMatch(/^ +↳ defined in src\/routes\/users\.js:42$/);
+  });
+});
+
+describe('JsonSourceMap', () => {
+  const text = '{\n  "a": {\n    "b/c": [\n      1,\n      { "d": true }\n    ]\n  }\n}';
+  const sourceMap = new JsonSourceMap(text);
+
+  test('locates object members at their key and array items at their value', () => {
+    expect(sourceMap.locate(['a'])).toEqual({ line: 2, column: 3 });
+    expect(sourceMap.locate(['a', 'b/c', '1', 'd'])).toEqual({ line: 5, column: 9 });
+  });
+
+  test('falls back to the closest existing ancestor', () => {
+    expect(sourceMap.locate(['a', 'b/c', '7'])).toEqual({ line: 3, column: 5 });
+    expect(new JsonSourceMap('not json').locate(['a'])).toEqual({ line: 1, column: 1 });
+  });
+
+  test('encodes and decodes JSON pointers', () => {
+    expect(toJsonPointer(['paths', '/users/{id}', 'get'])).toBe('/paths/~1users~1{id}/get');
+    expect(fromJsonPointer('#/paths/~1users~1%7Bid%7D/get')).toEqual(['paths', '/users/{id}', 'get']);
+    expect(fromJsonPointer('')).toEqual([]);
+  });
+});
+
+describe('YamlSourceMap', () => {
+  const text = [
+    'a:',
+    '  # comment',
+    '  \'b/c\':',
+    '    - 1',
+    '    - d: true',
+    '      e: {f: 1}',
+    '"g h": x'
+  ].join('\n');
+  const sourceMap = new YamlSourceMap(text);
+
+  test('locates mapping keys and sequence items', () => {
+    expect(sourceMap.locate(['a'])).toEqual({ line: 1, column: 1 });
+    expect(sourceMap.locate(['a', 'b/c', '1'])).toEqual({ line: 5, column: 5 });
+    expect(sourceMap.locate(['a', 'b/c', '1', 'e'])).toEqual({ line: 6, column: 7 });
+    expect(sourceMap.locate(['g h'])).toEqual({ line: 7, column: 1 });
+  });
+
+  test('falls back to the key of flow-style values', () => {
+    expect(sourceMap.locate(['a', 'b/c', '1', 'e', 'f'])).toEqual({ line: 6, column: 7 });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Spec Loader Tests
+ *
+ * Tests reading generator input specs from JSON/YAML files and http(s) URLs,
+ * including the on-disk cache used when a URL cannot be reached, and reading
+ * specs to compare against from git revisions
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import http from 'node:http';
+import { execFileSync } from 'node:child_process';
+import {
+  parseSpecText,
+  readLocalSpec,
+  readSpecSource,
+  resolveSpecPath,
+  fetchRemoteSpec,
+  getSpecCachePath
+} from '../utils/spec-loader.js';
+import { SAMPLE_SERVER_CONFIG, SAMPLE_ROUTER_JS } from './test-helpers.js';
+
+describe('parseSpecText', () => {
+  test('parses JSON and YAML by extension, and by content otherwise', () => {
+    expect(parseSpecText('{"openapi": "3.0.3"}', 'spec.json')).toEqual({ openapi: '3.0.3' });
+    expect(parseSpecText('openapi: 3.0.3\ninfo:\n  version: "1.0"\n', 'spec.yaml')).toEqual({ openapi: '3.0.3', info: { version: '1.0' } });
+    expect(parseSpecText('  {"openapi": "3.1.0"}')).toEqual({ openapi: '3.1.0' });
+    expect(parseSpecText('openapi: 3.1.0', 'https://example.com/spec')).toEqual({ openapi: '3.1.0' });
+  });
+
+  test('rejects documents that are not objects', () => {
+    expect(() => parseSpecText('just text')).toThrow('stdin does not contain an OpenAPI document');
+  });
+});
+
+describe('readLocalSpec', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-spec-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('reads YAML files and reports missing or broken ones', () => {
+    fs.writeFileSync(path.join(tempDir, 'api.yml'), 'openapi: 3.0.3\npaths: {}\n');
+    fs.writeFileSync(path.join(tempDir, 'broken.yaml'), 'openapi: [3.0.3\n');
+
+    expect(readLocalSpec(path.join(tempDir, 'api.yml'))).toEqual({ openapi: '3.0.3', paths: {} });
+    expect(() => readLocalSpec(path.join(tempDir, 'missing.yaml'))).toThrow('OpenAPI specification not found');
+    expect(() => readLocalSpec(path.join(tempDir, 'broken.yaml'))).toThrow('Failed to parse OpenAPI specification');
+  });
+
+  test('keeps stdin and URLs when resolving --spec values', () => {
+    expect(resolveSpecPath('-')).toBe('-');
+    expect(resolveSpecPath('https://example.com/api.yaml')).toBe('https://example.com/api.yaml');
+    expect(resolveSpecPath('spec.json')).toBe(path.resolve('spec.json'));
+  });
+});
+
+describe('fetchRemoteSpec', () => {
+  let cacheDir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-spec-cache-'));
+    server = http.createServer((request, response) => {
+      if (request.url === '/api.yaml') {
+        response.writeHead(200, { 'Content-Type': 'application/yaml' });
+        response.end('openapi: 3.0.3\ninfo:\n  title: Remote\n');
+      } else {
+        response.writeHead(404);
+        response.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async() => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('downloads a spec and caches it on disk', async() => {
+    const spec = await fetchRemoteSpec(`${baseUrl}/api.yaml`, { cacheDir });
+
+    expect(spec.info.title).toBe('Remote');
+    expect(fs.readFileSync(getSpecCachePath(`${baseUrl}/api.yaml`, cacheDir), 'utf8')).toContain('title: Remote');
+  });
+
+  test('falls back to the cached copy when the URL fails', async() => {
+    const url = `${baseUrl}/gone.yaml`;
+    fs.writeFileSync(getSpecCachePath(url, cacheDir), 'openapi: 3.0.3\ninfo:\n  title: Cached\n');
+
+    expect((await fetchRemoteSpec(url, { cacheDir })).info.title).toBe('Cached');
+    await expect(fetchRemoteSpec(`${baseUrl}/never-cached.json`, { cacheDir }))
+      .rejects.toThrow('Failed to fetch OpenAPI specification');
+  });
+});
+
+describe('readSpecSource', () => {
+  let cwd;
+  let tempDir;
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { encoding: 'utf8' });
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-diff-'));
+    process.chdir(tempDir);
+    git('init', '-q');
+    fs.writeFileSync('committed.json', JSON.stringify({ openapi: '3.0.3', info: { title: 'Committed', version: '1.0.0' }, paths: {} }));
+    fs.writeFileSync('serverConfig.json', JSON.stringify(SAMPLE_SERVER_CONFIG));
+    fs.writeFileSync('router.js', SAMPLE_ROUTER_JS);
+    fs.writeFileSync('confytome.json', JSON.stringify({ serverConfig: 'serverConfig.json', routeFiles: ['router.js'] }));
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('reads "<revision>:<path>" references from git', () => {
+    expect(readSpecSource('HEAD:committed.json', 'confytome/api-spec.json').info.title).toBe('Committed');
+  });
+
+  test('generates the spec of a bare revision from its JSDoc in a temporary worktree', () => {
+    fs.writeFileSync('router.js', SAMPLE_ROUTER_JS.replaceAll('/api/users', '/api/members'));
+
+    const spec = readSpecSource('HEAD', 'confytome/api-spec.json');
+
+    expect(Object.keys(spec.paths)).toEqual(['/api/users', '/api/users/{id}']);
+    expect(fs.existsSync('confytome/api-spec.json')).toBe(false);
+    expect(git('worktree', 'list').trim().split('\n')).toHaveLength(1);
+  });
+
+  test('explains why a spec cannot be read', () => {
+    git('rm', '-q', 'confytome.json');
+    git('commit', '-q', '-m', 'drop config');
+
+    expect(() => readSpecSource('HEAD', 'confytome/api-spec.json'))
+      .toThrow('Could not generate the spec at HEAD');
+    expect(readSpecSource('HEAD~1', 'confytome/api-spec.json').paths).toHaveProperty('/api/users');
+    expect(() => readSpecSource('HEAD:missing.json', 'confytome/api-spec.json'))
+      .toThrow('Spec not found: HEAD:missing.json is neither a file nor readable from git');
+    expect(() => readSpecSource('missing.json', 'confytome/api-spec.json'))
+      .toThrow('Spec not found: missing.json is neither a file nor a git revision');
+  });
+});
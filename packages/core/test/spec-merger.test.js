@@ -0,0 +1,207 @@
+/**
+ * OpenAPI Spec Merger Tests
+ *
+ * Tests combining specs for `confytome merge` and the "merge" section of confytome.json
+ */
+
+import SwaggerParser from '@apidevtools/swagger-parser';
+import {
+  mergeSpecs,
+  normalizeMergeSources,
+  applySourceMappings,
+  getSourceName
+} from '../utils/spec-merger.js';
+
+function createBillingSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Billing', version: '1.0.0' },
+    servers: [{ url: 'https://billing.example.com' }],
+    security: [{ bearer: [] }],
+    tags: [{ name: 'Invoices', description: 'Invoice operations' }],
+    paths: {
+      '/invoices': {
+        get: {
+          operationId: 'list',
+          tags: ['Invoices'],
+          responses: {
+            200: {
+              description: 'Invoices',
+              content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Invoice' } } } }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: { type: 'object', properties: { id: { type: 'integer' } } },
+        Invoice: { type: 'object', properties: { owner: { $ref: '#/components/schemas/User' } } },
+        Error: { type: 'object', properties: { message: { type: 'string' } } }
+      },
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } }
+    }
+  };
+}
+
+function createAuthSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Auth', version: '2.0.0' },
+    servers: [{ url: 'https://auth.example.com' }],
+    tags: [{ name: 'Sessions' }],
+    paths: {
+      '/sessions': {
+        post: {
+          operationId: 'list',
+          tags: ['Sessions'],
+          responses: {
+            201: {
+              description: 'Session',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Session' } } }
+            },
+            400: {
+              description: 'Error',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: { type: 'object', properties: { name: { type: 'string' } } },
+        Session: { type: 'object', properties: { user: { $ref: '#/components/schemas/User' } } },
+        Error: { type: 'object', properties: { message: { type: 'string' } } }
+      }
+    }
+  };
+}
+
+describe('mergeSpecs()', () => {
+  test('renames differing components and updates their references', async() => {
+    const { spec, renamed } = mergeSpecs([
+      { name: 'billing', spec: createBillingSpec() },
+      { name: 'auth', spec: createAuthSpec(), pathPrefix: '/auth' }
+    ]);
+
+    expect(Object.keys(spec.components.schemas)).toEqual(['User', 'Invoice', 'Error', 'User_auth', 'Session']);
+    expect(spec.components.schemas.Session.properties.user.$ref).toBe('#/components/schemas/User_auth');
+    expect(spec.components.schemas.Invoice.properties.owner.$ref).toBe('#/components/schemas/User');
+    expect(renamed).toEqual([
+      { source: 'auth', type: 'components.schemas', from: 'User', to: 'User_auth' },
+      { source: 'auth', type: 'operationId', from: 'list', to: 'list_auth' }
+    ]);
+
+    await expect(SwaggerParser.validate(spec)).resolves.toBeDefined();
+  });
+
+  test('renames components that refer to a renamed component', () => {
+    const auth = createAuthSpec();
+    auth.components.schemas.Invoice = { type: 'object', properties: { owner: { $ref: '#/components/schemas/User' } } };
+
+    const { spec } = mergeSpecs([
+      { name: 'billing', spec: createBillingSpec() },
+      { name: 'auth', spec: auth }
+    ]);
+
+    expect(spec.components.schemas.Invoice_auth.properties.owner.$ref).toBe('#/components/schemas/User_auth');
+  });
+
+  test('fails on differing components with onConflict "fail"', () => {
+    expect(() => mergeSpecs([
+      { name: 'billing', spec: createBillingSpec() },
+      { name: 'auth', spec: createAuthSpec() }
+    ], { onConflict: 'fail' })).toThrow('Component conflict: components.schemas.User differs between billing and auth');
+  });
+
+  test('applies path and tag prefixes', () => {
+    const { spec } = mergeSpecs([
+      { name: 'billing', spec: createBillingSpec(), pathPrefix: 'billing/' },
+      { name: 'auth', spec: createAuthSpec(), pathPrefix: '/auth', tagPrefix: 'Auth ' }
+    ]);
+
+    expect(Object.keys(spec.paths)).toEqual(['/billing/invoices', '/auth/sessions']);
+    expect(spec.paths['/auth/sessions'].post.tags).toEqual(['Auth Sessions']);
+    expect(spec.tags.map(tag => tag.name)).toEqual(['Invoices', 'Auth Sessions']);
+  });
+
+  test('moves servers and security of later sources onto their operations', () => {
+    const { spec } = mergeSpecs([
+      { name: 'billing', spec: createBillingSpec() },
+      { name: 'auth', spec: createAuthSpec(), pathPrefix: '/auth' }
+    ]);
+
+    expect(spec.servers).toEqual([{ url: 'https://billing.example.com' }]);
+    expect(spec.security).toEqual([{ bearer: [] }]);
+    expect(spec.paths['/invoices'].get.servers).toBeUndefined();
+    expect(spec.paths['/auth/sessions'].post.servers).toEqual([{ url: 'https://auth.example.com' }]);
+    // Auth has no top-level security, so its operations stay public
+    expect(spec.paths['/auth/sessions'].post.security).toEqual([]);
+  });
+
+  test('keeps path-level parameters of a shared path with the operations of their source', () => {
+    const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'integer' } };
+    const tenantParameter = { name: 'X-Tenant', in: 'header', schema: { type: 'string' } };
+    const createUserSpec = (method, parameters) => ({
+      openapi: '3.0.3',
+      info: { title: method, version: '1.0.0' },
+      paths: {
+        '/users/{id}': {
+          parameters,
+          [method]: { operationId: method, responses: { 200: { description: 'OK' } } }
+        }
+      }
+    });
+
+    const { spec } = mergeSpecs([
+      { name: 'read', spec: createUserSpec('get', [idParameter, tenantParameter]) },
+      { name: 'write', spec: createUserSpec('delete', [idParameter]) }
+    ]);
+
+    const pathItem = spec.paths['/users/{id}'];
+    expect(pathItem.parameters).toBeUndefined();
+    expect(pathItem.get.parameters).toEqual([idParameter, tenantParameter]);
+    expect(pathItem.delete.parameters).toEqual([idParameter]);
+  });
+
+  test('rejects the same operation from two sources', () => {
+    expect(() => mergeSpecs([
+      { name: 'a', spec: createBillingSpec() },
+      { name: 'b', spec: createBillingSpec() }
+    ])).toThrow('Operation GET /invoices is defined by more than one source');
+  });
+
+  test('brings mixed OpenAPI versions to 3.1', () => {
+    const auth = createAuthSpec();
+    auth.openapi = '3.1.0';
+    auth.components.schemas.Session.properties.expires = { type: 'string', nullable: true };
+    const billing = createBillingSpec();
+    billing.components.schemas.Invoice.properties.note = { type: 'string', nullable: true };
+
+    const { spec } = mergeSpecs([{ name: 'billing', spec: billing }, { name: 'auth', spec: auth }]);
+
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.components.schemas.Invoice.properties.note).toEqual({ type: ['string', 'null'] });
+  });
+});
+
+describe('merge sources', () => {
+  test('names sources after their file and applies name=value mappings', () => {
+    const sources = normalizeMergeSources({ sources: ['./specs/billing.json', { spec: 'https://example.com/auth.yaml', name: 'auth' }] });
+    applySourceMappings(sources, ['billing=/billing', 'https://example.com/auth.yaml=/auth'], 'pathPrefix');
+
+    expect(getSourceName('https://example.com/specs/payments.yaml')).toBe('payments');
+    expect(sources).toEqual([
+      { spec: './specs/billing.json', name: 'billing', pathPrefix: '/billing' },
+      { spec: 'https://example.com/auth.yaml', name: 'auth', pathPrefix: '/auth' }
+    ]);
+    expect(() => applySourceMappings(sources, ['orders=/orders'], 'pathPrefix')).toThrow('naming one of billing, auth');
+  });
+
+  test('rejects invalid merge sections', () => {
+    expect(() => normalizeMergeSources({ sources: [] })).toThrow('merge.sources must be a non-empty array');
+    expect(() => normalizeMergeSources({ sources: ['a.json'], onConflict: 'skip' })).toThrow('merge.onConflict must be one of rename, fail');
+    expect(() => normalizeMergeSources({ sources: ['a/api.json', 'b/api.json'] })).toThrow('Duplicate merge source name "api"');
+  });
+});
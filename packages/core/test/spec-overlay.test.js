@@ -0,0 +1,142 @@
+/**
+ * OpenAPI Overlay Tests
+ *
+ * Tests JSONPath targets and applying Overlay 1.0 actions to a generated spec
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { queryJsonPath } from '../utils/json-path.js';
+import { applyOverlay, applyOverlayFiles, loadOverlay } from '../utils/spec-overlay.js';
+
+function createSpec() {
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Users', version: '1.0.0' },
+    servers: [{ url: 'https://internal.example.com' }],
+    tags: [{ name: 'Users' }, { name: 'Admin' }],
+    paths: {
+      '/users': {
+        get: { tags: ['Users'], summary: 'List users', responses: { 200: { description: 'OK' } } },
+        delete: { tags: ['Admin'], 'x-internal': true, responses: { 204: { description: 'Deleted' } } }
+      },
+      '/admin/stats': {
+        get: { tags: ['Admin'], 'x-internal': true, deprecated: true, responses: { 200: { description: 'OK' } } }
+      }
+    }
+  };
+}
+
+describe('queryJsonPath()', () => {
+  const keys = (expression) => queryJsonPath(createSpec(), expression).map(node => node.key);
+
+  test('selects names, wildcards, indexes and slices', () => {
+    expect(keys('$.info.title')).toEqual(['title']);
+    expect(keys('$.paths[\'/users\'].*')).toEqual(['get', 'delete']);
+    expect(keys('$.tags[-1]')).toEqual([1]);
+    expect(keys('$.tags[0:1]')).toEqual([0]);
+    expect(keys('$..x-internal')).toEqual(['x-internal', 'x-internal']);
+    expect(keys('$.missing.*')).toEqual([]);
+  });
+
+  test('filters with comparisons, existence and logic', () => {
+    expect(keys('$.paths.*[?@.tags[0] == \'Admin\']')).toEqual(['delete', 'get']);
+    expect(keys('$.paths.*[?(@[\'x-internal\'] == true && !@.deprecated)]')).toEqual(['delete']);
+    expect(keys('$.paths.*[?@.summary || @.deprecated]')).toEqual(['get', 'get']);
+    expect(keys('$.tags[?@.name != \'Users\']')).toEqual([1]);
+  });
+
+  test('reports syntax errors with their position', () => {
+    expect(() => queryJsonPath({}, 'paths')).toThrow('Invalid JSONPath "paths" at position 0');
+    expect(() => queryJsonPath({}, '$.paths[')).toThrow('at position 8');
+  });
+});
+
+describe('applyOverlay()', () => {
+  const overlay = (actions) => ({ overlay: '1.0.0', info: { title: 'Test', version: '1.0.0' }, actions });
+
+  test('deep-merges updates and appends to arrays', () => {
+    const spec = createSpec();
+    const { spec: result, unmatched } = applyOverlay(spec, overlay([
+      { target: '$.info', update: { description: 'Public API', title: 'Users (public)' } },
+      { target: '$.tags', update: { name: 'Partners' } },
+      { target: '$.paths[\'/users\'].get', update: { tags: ['Public'], responses: { 200: { description: 'Users' } } } },
+      { target: '$.webhooks', update: { ping: {} } }
+    ]));
+
+    expect(result.info).toEqual({ title: 'Users (public)', version: '1.0.0', description: 'Public API' });
+    expect(result.tags.map(tag => tag.name)).toEqual(['Users', 'Admin', 'Partners']);
+    expect(result.paths['/users'].get.tags).toEqual(['Users', 'Public']);
+    expect(result.paths['/users'].get.responses[200]).toEqual({ description: 'Users' });
+    expect(unmatched).toEqual(['$.webhooks']);
+    // The input spec is left alone
+    expect(spec.info.description).toBeUndefined();
+  });
+
+  test('removes the selected nodes from objects and arrays', () => {
+    const { spec } = applyOverlay(createSpec(), overlay([
+      { target: '$.paths.*[?@.x-internal == true]', remove: true },
+      { target: '$.tags[?@.name == \'Admin\']', remove: true },
+      { target: '$.servers', remove: true },
+      { target: '$', update: { servers: [{ url: 'https://api.example.com' }] } }
+    ]));
+
+    expect(spec.paths).toEqual({
+      '/users': { get: expect.objectContaining({ summary: 'List users' }) },
+      '/admin/stats': {}
+    });
+    expect(spec.tags).toEqual([{ name: 'Users' }]);
+    expect(spec.servers).toEqual([{ url: 'https://api.example.com' }]);
+  });
+
+  test('rejects invalid overlays and updates', () => {
+    expect(() => applyOverlay(createSpec(), { actions: [] })).toThrow('not an OpenAPI Overlay 1.x document');
+    expect(() => applyOverlay(createSpec(), overlay([{ target: '$.info' }]))).toThrow('actions[0] needs "update" or "remove: true"');
+    expect(() => applyOverlay(createSpec(), overlay([{ target: '$.info.title', update: { x: 1 } }])))
+      .toThrow('must select objects or arrays');
+    expect(() => applyOverlay(createSpec(), overlay([{ target: '$', remove: true }]))).toThrow('cannot remove the document root');
+  });
+});
+
+describe('overlay files', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-overlay-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('applies YAML and JSON overlays in order', () => {
+    const yamlFile = path.join(tempDir, 'public.yaml');
+    fs.writeFileSync(yamlFile, [
+      'overlay: 1.0.0',
+      'info: {title: Public, version: 1.0.0}',
+      'actions:',
+      '  - target: "$.paths.*[?@.x-internal == true]"',
+      '    remove: true'
+    ].join('\n'));
+    const jsonFile = path.join(tempDir, 'branding.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({
+      overlay: '1.0.0',
+      info: { title: 'Branding', version: '1.0.0' },
+      actions: [{ target: '$.info', update: { 'x-logo': { url: 'logo.png' } } }]
+    }));
+
+    const spec = applyOverlayFiles(createSpec(), [yamlFile, jsonFile]);
+
+    expect(Object.keys(spec.paths['/users'])).toEqual(['get']);
+    expect(spec.info['x-logo']).toEqual({ url: 'logo.png' });
+  });
+
+  test('reports missing and malformed overlay files', () => {
+    expect(() => loadOverlay(path.join(tempDir, 'missing.yaml'))).toThrow('Overlay not found');
+
+    const file = path.join(tempDir, 'broken.yaml');
+    fs.writeFileSync(file, 'overlay: 1.0.0\nactions:\n  - update: {}\n');
+    expect(() => loadOverlay(file)).toThrow('actions[0] needs a JSONPath "target"');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * OpenAPI Version Targeting Tests
+ *
+ * Tests the 3.0 <-> 3.1 conversion behind `confytome openapi --target`
+ */
+
+import SwaggerParser from '@apidevtools/swagger-parser';
+import { convertSpecVersion, resolveOpenAPITarget } from '../utils/spec-version.js';
+
+function createSpec31() {
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Users', summary: 'User service', version: '1.0.0', license: { name: 'MIT', identifier: 'MIT' } },
+    paths: {
+      '/users/{id}': {
+        get: {
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', exclusiveMinimum: 0 } }],
+          responses: {
+            200: {
+              description: 'User',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/User' },
+                  examples: { ada: { value: { name: 'Ada', type: ['kept'] } } }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    webhooks: {
+      userCreated: { post: { responses: { 200: { description: 'OK' } } } }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', examples: ['Ada', 'Grace'] },
+            nickname: { type: ['string', 'null'] },
+            kind: { const: 'person' },
+            tags: { type: 'array', items: { type: ['string', 'integer'] } },
+            avatar: { type: 'string', contentEncoding: 'base64' },
+            meta: { type: 'object', unevaluatedProperties: false }
+          }
+        }
+      }
+    }
+  };
+}
+
+describe('convertSpecVersion', () => {
+  test('converts 3.1 schemas to their 3.0 equivalents', () => {
+    const { spec } = convertSpecVersion(createSpec31(), '3.0');
+    const properties = spec.components.schemas.User.properties;
+
+    expect(spec.openapi).toBe('3.0.3');
+    expect(properties.name).toEqual({ type: 'string', example: 'Ada' });
+    expect(properties.nickname).toEqual({ type: 'string', nullable: true });
+    expect(properties.kind).toEqual({ enum: ['person'] });
+    expect(properties.tags.items).toEqual({ anyOf: [{ type: 'string' }, { type: 'integer' }] });
+    expect(properties.avatar).toEqual({ type: 'string', format: 'byte' });
+    expect(spec.paths['/users/{id}'].get.parameters[0].schema).toEqual({ type: 'integer', minimum: 0, exclusiveMinimum: true });
+  });
+
+  test('drops 3.1-only fields and reports unsupported keywords', async() => {
+    const { spec, dropped } = convertSpecVersion(createSpec31(), '3.0.3');
+
+    expect(spec.webhooks).toBeUndefined();
+    expect(spec.info).toEqual({ title: 'Users', version: '1.0.0', license: { name: 'MIT' } });
+    expect(dropped).toEqual(['contentEncoding', 'unevaluatedProperties']);
+    await expect(SwaggerParser.validate(structuredClone(spec))).resolves.toBeDefined();
+  });
+
+  test('leaves example payloads untouched', () => {
+    const { spec } = convertSpecVersion(createSpec31(), '3.0');
+    const media = spec.paths['/users/{id}'].get.responses[200].content['application/json'];
+
+    expect(media.examples.ada.value).toEqual({ name: 'Ada', type: ['kept'] });
+  });
+
+  test('converts 3.0 nullable and exclusive bounds to 3.1', () => {
+    const { spec } = convertSpecVersion({
+      openapi: '3.0.3',
+      info: { title: 'Users', version: '1.0.0' },
+      paths: {},
+      components: {
+        schemas: {
+          Status: { type: 'string', enum: ['on', 'off'], nullable: true },
+          Owner: { allOf: [{ $ref: '#/components/schemas/Status' }], nullable: true },
+          Age: { type: 'integer', minimum: 0, exclusiveMinimum: true, maximum: 150, exclusiveMaximum: false }
+        }
+      }
+    }, '3.1');
+
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.components.schemas).toEqual({
+      Status: { type: ['string', 'null'], enum: ['on', 'off', null] },
+      Owner: { anyOf: [{ allOf: [{ $ref: '#/components/schemas/Status' }] }, { type: 'null' }] },
+      Age: { type: 'integer', exclusiveMinimum: 0, maximum: 150 }
+    });
+  });
+
+  test('rejects unknown targets', () => {
+    expect(resolveOpenAPITarget('3.1.0')).toBe('3.1');
+    expect(() => resolveOpenAPITarget('2.0')).toThrow('Unknown OpenAPI target \'2.0\': expected 3.0, 3.1');
+  });
+});
@@ -108,6 +108,23 @@ describe('StandaloneBase', () => {
       fs.writeFileSync(specPath, 'not-json');
       expect(() => generator.loadOpenAPISpec(specPath)).toThrow('Failed to parse OpenAPI specification');
     });
+
+    test('loads YAML specs', () => {
+      fs.mkdirSync(testDir, { recursive: true });
+      const specPath = path.join(testDir, 'spec.yml');
+      fs.writeFileSync(specPath, 'openapi: 3.0.3\ninfo:\n  title: Pets\n  version: "1.0"\npaths: {}\n');
+      expect(generator.loadOpenAPISpec(specPath).info).toEqual({ title: 'Pets', version: '1.0' });
+    });
+
+    test('reads options.specPath, then api-spec.yaml when no api-spec.json exists', async() => {
+      fs.mkdirSync(testDir, { recursive: true });
+      fs.writeFileSync(path.join(testDir, 'api-spec.yaml'), 'openapi: 3.1.0\n');
+      expect(generator.getSpecSource()).toBe(path.join(testDir, 'api-spec.yaml'));
+      expect((await generator.loadSpecSource()).openapi).toBe('3.1.0');
+
+      const configured = new ConcreteGenerator(testDir, { specPath: path.join(testDir, 'other.json') });
+      expect(configured.getSpecSource()).toBe(path.join(testDir, 'other.json'));
+    });
   });
 
   describe('writeOutputFile()', () => {
@@ -0,0 +1,112 @@
+/**
+ * @swagger Block Diagnostics Tests
+ *
+ * Tests that YAML errors in @swagger blocks are reported with their file,
+ * line and column, every broken block at once, with a code frame
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { extractSwaggerBlocks, diagnoseSwaggerFiles, codeFrame, formatDiagnostics } from '../utils/swagger-diagnostics.js';
+import { OpenAPIGenerator } from '../generate-openapi.js';
+
+const ROUTER = [
+  'const router = {};',
+  '',
+  '/**',
+  ' * List users',
+  ' * @swagger',
+  ' * /users:',
+  ' *   get:',
+  ' *     summary: List users',
+  ' *       responses:',
+  ' *         200: {description: OK}',
+  ' * @private',
+  ' */',
+  '',
+  '  /** @openapi',
+  '   * /roles:',
+  '   *   get:',
+  '   *     tags: [a, b',
+  '   */',
+  '',
+  '/**',
+  ' * @swagger',
+  ' * components:',
+  ' *   responses:',
+  ' *     NotFound: *missing',
+  ' */',
+  ''
+].join('\n');
+
+describe('swagger diagnostics', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-diagnostics-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('extracts each block with a map back to the file', () => {
+    const blocks = extractSwaggerBlocks(ROUTER);
+
+    expect(blocks).toHaveLength(3);
+    expect(blocks[0].yaml).toBe('/users:\n  get:\n    summary: List users\n      responses:\n        200: {description: OK}');
+    expect(blocks[0].locate(0)).toEqual({ line: 6, column: 4 });
+    expect(blocks[0].locate(blocks[0].yaml.indexOf('responses'))).toEqual({ line: 9, column: 10 });
+    expect(blocks[1].locate(blocks[1].yaml.indexOf('tags'))).toEqual({ line: 17, column: 10 });
+  });
+
+  test('reports every broken block with its position, leaving aliases to swagger-jsdoc', () => {
+    const router = path.join(tempDir, 'router.js');
+    const spec = path.join(tempDir, 'spec.yaml');
+    fs.writeFileSync(router, ROUTER);
+    fs.writeFileSync(spec, 'paths:\n  /health:\n    get: [\n');
+
+    const problems = diagnoseSwaggerFiles([router, path.join(tempDir, 'missing.js'), spec]);
+
+    expect(problems.map(({ file, line }) => `${path.basename(file)}:${line}`)).toEqual(['router.js:9', 'router.js:18', 'spec.yaml:4']);
+    expect(problems[0]).toMatchObject({ column: 19, message: 'bad indentation of a mapping entry' });
+  });
+
+  test('formats problems with a code frame', () => {
+    expect(codeFrame('a\nb\nc\nd', 3, 2, 1)).toBe('  2 | b\n> 3 | c\n    |  ^\n  4 | d');
+
+    const router = path.join(tempDir, 'router.js');
+    fs.writeFileSync(router, ROUTER);
+    const report = formatDiagnostics(diagnoseSwaggerFiles([router]));
+
+    expect(report).toContain(`📁 ${router}:9:19\n💥 bad indentation of a mapping entry\n   7 |  *   get:`);
+    expect(report).toContain('>  9 |  *       responses:\n     |                   ^');
+  });
+
+  test('replaces swagger-jsdoc\'s report with its own and leaves the console as it was', async() => {
+    const router = path.join(tempDir, 'router.js');
+    const serverConfig = path.join(tempDir, 'serverConfig.json');
+    // Without the alias block, which swagger-jsdoc cannot resolve
+    fs.writeFileSync(router, ROUTER.slice(0, ROUTER.lastIndexOf('/**')));
+    fs.writeFileSync(serverConfig, JSON.stringify({ openapi: '3.0.3', info: { title: 'Users', version: '1.0.0' }, servers: [{ url: 'http://localhost' }] }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+
+    try {
+      const result = await new OpenAPIGenerator(path.join(tempDir, 'out')).generate({ serverConfigPath: serverConfig, jsdocFiles: [router] });
+
+      expect(result.success).toBe(true);
+      expect(warn.mock.calls.flat().join('\n')).toContain('Skipping 2 @swagger block(s) with YAML errors');
+      expect(error).not.toHaveBeenCalled();
+      expect(info).not.toHaveBeenCalled();
+      expect(console.error).toBe(error);
+      expect(console.info).toBe(info);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
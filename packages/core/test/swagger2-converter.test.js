@@ -0,0 +1,170 @@
+/**
+ * Swagger 2.0 Converter Tests
+ *
+ * Tests the Swagger 2.0 -> OpenAPI 3.0 conversion applied by the spec loader
+ */
+
+import SwaggerParser from '@apidevtools/swagger-parser';
+import { convertSwagger2, isSwagger2 } from '../utils/swagger2-converter.js';
+import { parseSpecText } from '../utils/spec-loader.js';
+
+function createSwagger2Spec() {
+  return {
+    swagger: '2.0',
+    info: { title: 'Pet Store', version: '1.0.0' },
+    host: 'api.example.com',
+    basePath: '/v1',
+    schemes: ['https', 'http'],
+    consumes: ['application/json'],
+    produces: ['application/json', 'application/xml'],
+    tags: [{ name: 'Pets' }],
+    paths: {
+      '/pets': {
+        get: {
+          tags: ['Pets'],
+          parameters: [
+            { name: 'status', in: 'query', type: 'array', items: { type: 'string', enum: ['available', 'sold'] }, collectionFormat: 'multi' },
+            { $ref: '#/parameters/limit' }
+          ],
+          responses: {
+            200: {
+              description: 'Pets',
+              schema: { type: 'array', items: { $ref: '#/definitions/Pet' } },
+              headers: { 'X-Total': { type: 'integer', description: 'Total pets' } },
+              examples: { 'application/json': [{ id: 1, name: 'Rex' }] }
+            },
+            default: { $ref: '#/responses/Error' }
+          }
+        },
+        post: {
+          tags: ['Pets'],
+          security: [{ petstore_auth: ['write:pets'] }],
+          parameters: [{ name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }],
+          responses: { 201: { description: 'Created' } }
+        }
+      },
+      '/pets/{id}/photo': {
+        parameters: [{ name: 'id', in: 'path', required: true, type: 'integer', format: 'int64' }],
+        post: {
+          tags: ['Pets'],
+          consumes: ['multipart/form-data'],
+          parameters: [
+            { name: 'file', in: 'formData', type: 'file', required: true },
+            { name: 'caption', in: 'formData', type: 'string', description: 'Photo caption' }
+          ],
+          responses: { 204: { description: 'Uploaded' } }
+        }
+      }
+    },
+    parameters: {
+      limit: { name: 'limit', in: 'query', type: 'integer', default: 20, 'x-example': 10 }
+    },
+    responses: {
+      Error: { description: 'Error', schema: { $ref: '#/definitions/Error' } }
+    },
+    definitions: {
+      Pet: {
+        type: 'object',
+        required: ['name'],
+        discriminator: 'petType',
+        properties: {
+          id: { type: 'integer', format: 'int64' },
+          name: { type: 'string', example: 'Rex' },
+          owner: { $ref: '#/definitions/Owner', 'x-nullable': true }
+        }
+      },
+      Owner: { type: 'object', properties: { name: { type: 'string' } } },
+      Error: { type: 'object', properties: { message: { type: 'string' } } }
+    },
+    securityDefinitions: {
+      petstore_auth: {
+        type: 'oauth2',
+        flow: 'accessCode',
+        authorizationUrl: 'https://auth.example.com/authorize',
+        tokenUrl: 'https://auth.example.com/token',
+        scopes: { 'write:pets': 'Modify pets' }
+      },
+      basicAuth: { type: 'basic' },
+      apiKey: { type: 'apiKey', name: 'X-API-Key', in: 'header' }
+    }
+  };
+}
+
+describe('convertSwagger2', () => {
+  const spec = convertSwagger2(createSwagger2Spec());
+
+  test('produces a valid OpenAPI 3.0 document', async() => {
+    expect(isSwagger2(createSwagger2Spec())).toBe(true);
+    expect(spec.openapi).toBe('3.0.3');
+    await expect(SwaggerParser.validate(structuredClone(spec))).resolves.toBeDefined();
+  });
+
+  test('builds servers from host, basePath and schemes', () => {
+    expect(spec.servers).toEqual([{ url: 'https://api.example.com/v1' }, { url: 'http://api.example.com/v1' }]);
+  });
+
+  test('moves definitions and shared parameters and responses to components', () => {
+    expect(spec.components.schemas.Pet.properties.owner).toEqual({ $ref: '#/components/schemas/Owner', nullable: true });
+    expect(spec.components.schemas.Pet.discriminator).toEqual({ propertyName: 'petType' });
+    expect(spec.components.parameters.limit).toEqual({ name: 'limit', in: 'query', schema: { type: 'integer', default: 20 }, example: 10 });
+    expect(spec.paths['/pets'].get.responses.default).toEqual({ $ref: '#/components/responses/Error' });
+    expect(spec.components.responses.Error.content['application/xml'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  });
+
+  test('converts query parameters and keys responses by produces', () => {
+    const operation = spec.paths['/pets'].get;
+
+    expect(operation.parameters[0]).toEqual({
+      name: 'status',
+      in: 'query',
+      style: 'form',
+      explode: true,
+      schema: { type: 'array', items: { type: 'string', enum: ['available', 'sold'] } }
+    });
+    expect(Object.keys(operation.responses[200].content)).toEqual(['application/json', 'application/xml']);
+    expect(operation.responses[200].content['application/json'].example).toEqual([{ id: 1, name: 'Rex' }]);
+    expect(operation.responses[200].headers['X-Total']).toEqual({ description: 'Total pets', schema: { type: 'integer' } });
+  });
+
+  test('turns body and formData parameters into request bodies', () => {
+    expect(spec.paths['/pets'].post.requestBody).toEqual({
+      required: true,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+    });
+
+    const upload = spec.paths['/pets/{id}/photo'];
+    expect(upload.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: { type: 'integer', format: 'int64' } }]);
+    expect(upload.post.requestBody.content['multipart/form-data'].schema).toEqual({
+      type: 'object',
+      properties: {
+        file: { type: 'string', format: 'binary' },
+        caption: { type: 'string', description: 'Photo caption' }
+      },
+      required: ['file']
+    });
+  });
+
+  test('converts security definitions to security schemes', () => {
+    expect(spec.components.securitySchemes).toEqual({
+      petstore_auth: {
+        type: 'oauth2',
+        flows: {
+          authorizationCode: {
+            authorizationUrl: 'https://auth.example.com/authorize',
+            tokenUrl: 'https://auth.example.com/token',
+            scopes: { 'write:pets': 'Modify pets' }
+          }
+        }
+      },
+      basicAuth: { type: 'http', scheme: 'basic' },
+      apiKey: { type: 'apiKey', name: 'X-API-Key', in: 'header' }
+    });
+  });
+
+  test('is applied when a spec is loaded', () => {
+    const loaded = parseSpecText(JSON.stringify(createSwagger2Spec()), 'legacy.json');
+
+    expect(loaded.openapi).toBe('3.0.3');
+    expect(loaded.swagger).toBeUndefined();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Watch Mode Tests
+ *
+ * Tests the debounced FileWatcher and how watch mode decides which
+ * outputs a change affects
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { jest } from '@jest/globals';
+import { FileWatcher } from '../utils/file-watcher.js';
+import { getTemplateOnlyGenerators, watchStandaloneGenerator } from '../utils/watch-mode.js';
+import { SAMPLE_SERVER_CONFIG, SAMPLE_ROUTER_JS } from './test-helpers.js';
+
+const waitFor = async(condition, timeoutMs = 3000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for watcher');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('FileWatcher', () => {
+  let tempDir;
+  let watcher;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-watch-'));
+  });
+
+  afterEach(() => {
+    watcher?.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('batches rapid changes into a single debounced run', async() => {
+    const routeFile = path.join(tempDir, 'router.js');
+    const otherFile = path.join(tempDir, 'notes.txt');
+    fs.writeFileSync(routeFile, '// v1');
+
+    const runs = [];
+    watcher = new FileWatcher(async(changed) => runs.push(changed), { debounceMs: 100 });
+    watcher.setPaths([routeFile]);
+
+    fs.writeFileSync(routeFile, '// v2');
+    fs.writeFileSync(routeFile, '// v3');
+    fs.writeFileSync(otherFile, 'not watched');
+
+    await waitFor(() => runs.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toEqual([routeFile]);
+  });
+
+  test('watches every file below a directory target', async() => {
+    const templateDir = path.join(tempDir, 'templates');
+    fs.mkdirSync(templateDir);
+
+    const runs = [];
+    watcher = new FileWatcher(async(changed) => runs.push(changed), { debounceMs: 50 });
+    watcher.setPaths([templateDir]);
+
+    fs.writeFileSync(path.join(templateDir, 'main.mustache'), '{{title}}');
+
+    await waitFor(() => runs.length > 0);
+    expect(runs[0]).toEqual([path.join(templateDir, 'main.mustache')]);
+    expect(watcher.getWatchedPaths()).toEqual([templateDir]);
+  });
+
+  test('keeps running after onChange throws', async() => {
+    const routeFile = path.join(tempDir, 'router.js');
+    fs.writeFileSync(routeFile, '// v1');
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let calls = 0;
+    watcher = new FileWatcher(async() => {
+      calls++;
+      if (calls === 1) {
+        throw new Error('YAML error');
+      }
+    }, { debounceMs: 50 });
+    watcher.setPaths([routeFile]);
+
+    fs.writeFileSync(routeFile, '// broken');
+    await waitFor(() => calls === 1);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.writeFileSync(routeFile, '// fixed');
+    await waitFor(() => calls === 2);
+
+    expect(errorSpy).toHaveBeenCalledWith('❌ YAML error');
+    errorSpy.mockRestore();
+  });
+
+  test('contentHash detects changed contents', () => {
+    const specPath = path.join(tempDir, 'api-spec.json');
+    expect(FileWatcher.contentHash(specPath)).toBeNull();
+
+    fs.writeFileSync(specPath, '{"openapi":"3.0.3"}');
+    const first = FileWatcher.contentHash(specPath);
+    fs.writeFileSync(specPath, '{"openapi":"3.0.3"}');
+    expect(FileWatcher.contentHash(specPath)).toBe(first);
+
+    fs.writeFileSync(specPath, '{"openapi":"3.1.0"}');
+    expect(FileWatcher.contentHash(specPath)).not.toBe(first);
+  });
+});
+
+describe('getTemplateOnlyGenerators()', () => {
+  const templateDirs = new Map([
+    ['markdown', path.resolve('templates/markdown')],
+    ['confluence', path.resolve('templates/confluence')]
+  ]);
+
+  test('returns only the generators owning the changed templates', () => {
+    const changed = [path.resolve('templates/markdown/main.mustache')];
+    expect(getTemplateOnlyGenerators(changed, templateDirs)).toEqual(['markdown']);
+  });
+
+  test('returns null when a spec source changed', () => {
+    const changed = [path.resolve('templates/markdown/main.mustache'), path.resolve('router.js')];
+    expect(getTemplateOnlyGenerators(changed, templateDirs)).toBeNull();
+  });
+
+  test('returns null for the initial run', () => {
+    expect(getTemplateOnlyGenerators([], templateDirs)).toBeNull();
+  });
+});
+
+describe('watchStandaloneGenerator()', () => {
+  let tempDir;
+  let watcher;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-watch-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    watcher?.close();
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('regenerates only the spec and the watched generator from confytome.json', async() => {
+    const routeFile = path.join(tempDir, 'router.js');
+    const configPath = path.join(tempDir, 'confytome.json');
+    const outputDir = path.join(tempDir, 'docs');
+    fs.writeFileSync(path.join(tempDir, 'serverConfig.json'), JSON.stringify(SAMPLE_SERVER_CONFIG));
+    fs.writeFileSync(routeFile, SAMPLE_ROUTER_JS);
+    fs.writeFileSync(configPath, JSON.stringify({
+      serverConfig: path.join(tempDir, 'serverConfig.json'),
+      routeFiles: [routeFile]
+    }));
+
+    const specPath = path.join(outputDir, 'api-spec.json');
+    const runs = [];
+    watcher = await watchStandaloneGenerator({
+      specPath,
+      outputDir,
+      config: configPath,
+      debounceMs: 50,
+      run: async() => {
+        const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+        runs.push(Object.keys(spec.paths));
+        fs.writeFileSync(path.join(outputDir, 'api-docs.md'), spec.info.title);
+        return { success: true, outputPath: path.join(outputDir, 'api-docs.md') };
+      }
+    });
+    expect(runs).toHaveLength(1);
+
+    fs.writeFileSync(routeFile, SAMPLE_ROUTER_JS.replaceAll('/api/users', '/api/members'));
+    await waitFor(() => runs.length === 2, 20000);
+
+    expect(runs[1].every(route => route.startsWith('/api/members'))).toBe(true);
+    expect(fs.readdirSync(outputDir).sort()).toEqual(['api-docs.md', 'api-spec.json']);
+  });
+});
@@ -5,6 +5,9 @@
  * Mustache template rendering with Confluence-friendly output.
  */
 
+import { SpecDiff } from './spec-diff.js';
+import { SOURCE_EXTENSION, formatSourceLocation } from './source-locations.js';
+
 export class OpenApiProcessor {
   constructor(options = {}) {
     this.options = {
@@ -52,6 +55,9 @@ export class OpenApiProcessor {
         endpoints: this.processWithContext('endpoints', () => this.processEndpoints(spec.paths || {})),
         resources: this.processWithContext('resources', () => this.groupEndpointsByResource(spec.paths || {}, spec)),
         schemas: this.processWithContext('schemas', () => this.processSchemas(spec.components?.schemas || {})),
+        changelog: this.options.previousSpec
+          ? this.processWithContext('changelog', () => this.processChangelog(this.options.previousSpec, spec))
+          : null,
         excludeBrand: this.options.excludeBrand,
         version: this.options.version,
         timestamp: new Date().toISOString(),
@@ -147,7 +153,8 @@ export class OpenApiProcessor {
                 method: method.toUpperCase(),
                 path,
                 summary,
-                anchor: this.createAnchor(method, path, summary)
+                anchor: this.createAnchor(method, path, summary),
+                source: this.processSource(operation)
               });
             } catch (error) {
               throw new Error(`📍 Endpoint: ${method.toUpperCase()} ${path}\n💥 Error: ${error.message}`);
@@ -208,7 +215,8 @@ export class OpenApiProcessor {
               queryString: this.buildQueryString(mergedParams),
               hasContentType: !!operation.requestBody,
               headers: this.processHeaders(mergedParams, operation, spec),
-              requestBodyExample: this.getRequestBodyExample(operation.requestBody)
+              requestBodyExample: this.getRequestBodyExample(operation.requestBody),
+              source: this.processSource(operation)
             };
 
             resources.get(resourceName).endpoints.push(endpoint);
@@ -219,32 +227,101 @@ export class OpenApiProcessor {
       }
     }
 
-    const sortedResources = Array.from(resources.values()).sort((a, b) => {
-      const aName = a.name.toLowerCase();
-      const bName = b.name.toLowerCase();
+    return Array.from(resources.values()).sort((a, b) => this.compareResources(a, b));
+  }
+
+  /**
+   * Sort comparator for resources: configured tag order first, then alphabetical
+   * @param {Object} a - Resource with a name
+   * @param {Object} b - Resource with a name
+   * @returns {number} Sort order
+   */
+  compareResources(a, b) {
+    const aName = a.name.toLowerCase();
+    const bName = b.name.toLowerCase();
+
+    // Use configured tag order if provided
+    const tagOrder = (this.options.tagOrder || []).map(tag => tag.toLowerCase());
+
+    const aIndex = tagOrder.indexOf(aName);
+    const bIndex = tagOrder.indexOf(bName);
+
+    // If both are in tagOrder, sort by their position
+    if (aIndex !== -1 && bIndex !== -1) {
+      return aIndex - bIndex;
+    }
+
+    // If only a is in tagOrder, it comes first
+    if (aIndex !== -1) return -1;
+
+    // If only b is in tagOrder, it comes first
+    if (bIndex !== -1) return 1;
 
-      // Use configured tag order if provided
-      const tagOrder = (this.options.tagOrder || []).map(tag => tag.toLowerCase());
+    // Otherwise, sort alphabetically
+    return aName.localeCompare(bName);
+  }
 
-      const aIndex = tagOrder.indexOf(aName);
-      const bIndex = tagOrder.indexOf(bName);
+  /**
+   * Build the "API Changes" section: endpoints added, removed, deprecated or
+   * changed since the previous spec, grouped by first tag like the resources
+   * @param {Object} previousSpec - OpenAPI document of the previous version
+   * @param {Object} spec - Current OpenAPI document
+   * @returns {Object} { from, to, hasChanges, breakingCount, resources }
+   */
+  processChangelog(previousSpec, spec) {
+    const result = new SpecDiff(previousSpec, spec).compare();
+    const resources = new Map();
+    const sections = { 'endpoint-added': 'added', 'endpoint-removed': 'removed', 'endpoint-deprecated': 'deprecated' };
 
-      // If both are in tagOrder, sort by their position
-      if (aIndex !== -1 && bIndex !== -1) {
-        return aIndex - bIndex;
+    const getEntry = (operation, source) => {
+      const tag = operation.tags[0] || 'default';
+      if (!resources.has(tag)) {
+        const pascalName = this.toPascalCase(tag);
+        resources.set(tag, { name: pascalName, anchor: this.createAnchor('', '', pascalName), added: [], removed: [], deprecated: [], changed: [] });
       }
 
-      // If only a is in tagOrder, it comes first
-      if (aIndex !== -1) return -1;
+      const resource = resources.get(tag);
+      const summary = source.paths?.[operation.path]?.[operation.method.toLowerCase()]?.summary || `${operation.method} ${operation.path}`;
+      return {
+        resource,
+        endpoint: {
+          method: operation.method,
+          path: operation.path,
+          summary,
+          anchor: source === spec ? this.createAnchor(operation.method.toLowerCase(), operation.path, summary) : ''
+        }
+      };
+    };
 
-      // If only b is in tagOrder, it comes first
-      if (bIndex !== -1) return 1;
+    for (const change of result.changes) {
+      for (const operation of change.operations) {
+        const section = sections[change.type];
+        const { resource, endpoint } = getEntry(operation, change.type === 'endpoint-removed' ? previousSpec : spec);
 
-      // Otherwise, sort alphabetically
-      return aName.localeCompare(bName);
-    });
+        if (section) {
+          resource[section].push(endpoint);
+          continue;
+        }
+
+        let changed = resource.changed.find(item => item.method === endpoint.method && item.path === endpoint.path);
+        if (!changed) {
+          changed = { ...endpoint, changes: [] };
+          resource.changed.push(changed);
+        }
+        changed.changes.push({
+          message: change.message.replace(`${endpoint.method} ${endpoint.path}: `, ''),
+          breaking: change.level === 'breaking'
+        });
+      }
+    }
 
-    return sortedResources;
+    return {
+      from: previousSpec.info?.version || '',
+      to: spec.info?.version || '',
+      hasChanges: resources.size > 0,
+      breakingCount: result.summary.breaking,
+      resources: Array.from(resources.values()).sort((a, b) => this.compareResources(a, b))
+    };
   }
 
   /**
@@ -260,7 +337,7 @@ export class OpenApiProcessor {
     }
 
     // No fallback - tags are required
-    throw new Error(`Operation ${operation.summary || path} must have at least one tag defined`);
+    throw new Error(`Operation ${operation.summary || path} must have at least one tag defined (run "confytome lint" to list every untagged operation)`);
   }
 
   /**
@@ -747,7 +824,9 @@ export class OpenApiProcessor {
       name,
       description: schema.description || '',
       example: this.generateSchemaExample(schema),
-      properties: this.processSchemaProperties(schema.properties || {})
+      required: schema.required || [],
+      properties: this.processSchemaProperties(schema.properties || {}),
+      source: this.processSource(schema)
     }));
 
     return {
@@ -755,6 +834,19 @@ export class OpenApiProcessor {
     };
   }
 
+  /**
+   * Process the "x-confytome-source" location of an operation or schema
+   * @param {Object} object - Operation or schema
+   * @returns {Object|null} { label: "file:line", url } for a "Defined in" line
+   */
+  processSource(object) {
+    const location = object?.[SOURCE_EXTENSION];
+    if (!location?.file) {
+      return null;
+    }
+    return { label: formatSourceLocation(location), url: location.url || null };
+  }
+
   /**
    * Process schema properties
    * @param {Object} properties - Schema properties
@@ -1189,6 +1281,31 @@ export class OpenApiProcessor {
     return schema;
   }
 
+  /**
+   * Resolve $refs and compositions throughout a schema
+   * generateExampleFromSchema does not follow $refs, so expand first when the
+   * schema may reference components.
+   * @param {Object} schema - Schema object
+   * @param {number} depth - Current recursion depth to prevent stack overflow
+   * @returns {Object} Expanded schema
+   */
+  expandSchema(schema, depth = 0) {
+    const resolved = this.resolveSchemaRef(schema) || {};
+    if (depth >= 10) {
+      return resolved;
+    }
+
+    const expanded = { ...resolved };
+    if (resolved.properties) {
+      expanded.properties = Object.fromEntries(Object.entries(resolved.properties)
+        .map(([name, property]) => [name, this.expandSchema(property, depth + 1)]));
+    }
+    if (resolved.items) {
+      expanded.items = this.expandSchema(resolved.items, depth + 1);
+    }
+    return expanded;
+  }
+
   resolveParameters(params = [], spec) {
     if (!params) return [];
 
@@ -7,6 +7,7 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { loadSpec, readLocalSpec, readSpecSource, isRemoteSpec } from './spec-loader.js';
 
 /**
  * Simple interface for standalone generators
@@ -81,24 +82,64 @@ export class StandaloneBase {
   }
 
   /**
-   * Load OpenAPI specification
-   * @param {string} specPath - Path to OpenAPI spec (optional)
+   * Get the spec this generator reads: options.specPath, else the spec in the
+   * output directory (api-spec.json, or api-spec.yaml when only that exists)
+   * @returns {string} Spec file, "-" for stdin or http(s) URL
+   */
+  getSpecSource() {
+    if (this.options.specPath) {
+      return this.options.specPath;
+    }
+
+    const jsonPath = path.join(this.outputDir, 'api-spec.json');
+    const yamlPath = path.join(this.outputDir, 'api-spec.yaml');
+    return !fs.existsSync(jsonPath) && fs.existsSync(yamlPath) ? yamlPath : jsonPath;
+  }
+
+  /**
+   * Load OpenAPI specification from a local JSON/YAML file or stdin ("-")
+   * @param {string} specPath - Path to OpenAPI spec (optional, defaults to getSpecSource())
    * @returns {Object} Parsed OpenAPI specification
    */
   loadOpenAPISpec(specPath) {
-    const defaultSpecPath = path.join(this.outputDir, 'api-spec.json');
-    const finalSpecPath = specPath || defaultSpecPath;
+    const finalSpecPath = specPath || this.getSpecSource();
 
-    if (!fs.existsSync(finalSpecPath)) {
-      throw new Error(`OpenAPI specification not found: ${finalSpecPath}`);
+    if (isRemoteSpec(finalSpecPath)) {
+      throw new Error(`Remote OpenAPI specification ${finalSpecPath} must be loaded with loadSpecSource()`);
     }
+    return readLocalSpec(finalSpecPath);
+  }
 
-    try {
-      const content = fs.readFileSync(finalSpecPath, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      throw new Error(`Failed to parse OpenAPI specification: ${error.message}`);
+  /**
+   * Load OpenAPI specification from any source: a JSON/YAML file, stdin ("-")
+   * or an http(s) URL (cached on disk, with the cached copy used when offline)
+   * @param {string} specPath - Spec source (optional, defaults to getSpecSource())
+   * @returns {Promise<Object>} Parsed OpenAPI specification
+   */
+  async loadSpecSource(specPath) {
+    return loadSpec(specPath || this.getSpecSource());
+  }
+
+  /**
+   * Load the spec the "API Changes" section compares against
+   * options.changelogFrom is a spec file, "<revision>:<path>" or a git revision
+   * (which generates this generator's spec from the JSDoc of that revision).
+   * @returns {Object|null} Previous OpenAPI document, or null when no changelog is requested
+   */
+  loadPreviousSpec() {
+    if (!this.options.changelogFrom) {
+      return null;
     }
+    return readSpecSource(this.options.changelogFrom, this.getSpecSource());
+  }
+
+  /**
+   * Get the output file name, honouring a configured outputFile override
+   * @param {string} defaultName - Generator's default output file name
+   * @returns {string} Output file name (relative to outputDir or absolute)
+   */
+  getOutputFileName(defaultName) {
+    return this.options.outputFile || defaultName;
   }
 
   /**
@@ -182,9 +182,11 @@ export class OpenAPIGeneratorBase extends BaseGenerator {
 
   /**
    * Load server configuration
+   * @param {string} configPath - Path to server config file
+   * @param {string} source - File to name in messages when configPath is a temporary copy of it
    */
-  loadServerConfig(configPath) {
-    return FileManager.loadServerConfig(configPath, this.name);
+  loadServerConfig(configPath, source) {
+    return FileManager.loadServerConfig(configPath, this.name, source);
   }
 }
 
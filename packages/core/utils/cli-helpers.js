@@ -9,31 +9,56 @@ import path from 'node:path';
 import { GeneratorFactory } from '../services/GeneratorFactory.js';
 import { getOutputDir } from '../constants.js';
 import { ConfytomeConfig } from './confytome-config.js';
+import { ConfigMerger } from './config-merger.js';
+import { withJsonSpec, serializeSpec, validateSpecFormat } from './spec-format.js';
+import { convertSpecVersion } from './spec-version.js';
+import { mergeSpecFiles, normalizeMergeSources } from './spec-merger.js';
+import { applyOverlayFiles } from './spec-overlay.js';
+import { FileManager } from './file-manager.js';
+import { routeFilePath, ROUTE_FILE_OPTIONS } from './route-file-options.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+export const MERGED_SPEC_NAME = 'merged';
 
 /**
  * Run generators for OpenAPI generation (requires JSDoc files)
  * @param {string} configPath - Path to server config file
  * @param {Array<string>} files - JSDoc files to process
  * @param {string} outputDir - Output directory
+ * @param {Object} options - Generation options
+ * @param {string} options.serverConfigSource - File named in messages when configPath is a temporary copy of it
+ * @param {boolean} options.failOnErrors - Fail instead of skipping @swagger blocks with YAML errors
+ * @param {string} options.specFormat - Write api-spec.json ('json'), api-spec.yaml ('yaml') or 'both'
+ * @param {string} options.openapiTarget - Convert the spec to OpenAPI '3.0' or '3.1'
+ * @param {Array<string>} options.overlays - OpenAPI Overlay files to apply
+ * @param {boolean} options.sourceLocations - Record "x-confytome-source" on operations and components (default: true)
+ * @param {string} options.sourceUrl - Link template for the source locations ({file}, {line})
  * @returns {Promise<Object>} Generation result
  */
-export async function generateOpenAPI(configPath, files, outputDir) {
+export async function generateOpenAPI(configPath, files, outputDir, options = {}) {
   outputDir = getOutputDir(outputDir);
   await GeneratorFactory.initialize();
 
   // For OpenAPI generation, we need to use the core OpenAPI generator
   const { OpenAPIGenerator } = await import('../generate-openapi.js');
-  const generator = new OpenAPIGenerator();
+  const generator = new OpenAPIGenerator(outputDir);
 
   // Set up environment for the generator
-  process.argv = ['node', 'generate-openapi.js', configPath, ...files];
+  process.argv = ['node', 'generate-openapi.js', configPath, ...files.map(routeFilePath)];
   process.env.OUTPUT_DIR = outputDir;
 
   // Create args object for the generator
   const args = {
     serverConfigPath: configPath,
+    serverConfigSource: options.serverConfigSource,
     jsdocFiles: files,
-    outputDir
+    outputDir,
+    failOnErrors: options.failOnErrors,
+    specFormat: options.specFormat,
+    openapiTarget: options.openapiTarget,
+    overlays: options.overlays,
+    sourceLocations: options.sourceLocations,
+    sourceUrl: options.sourceUrl
   };
 
   return await generator.generate(args);
@@ -44,23 +69,77 @@ export async function generateOpenAPI(configPath, files, outputDir) {
  * @param {string} configPath - Path to server config file
  * @param {Array<string>} files - JSDoc files to process
  * @param {string} outputDir - Output directory
+ * @param {Object} options - Generation options
+ * @param {boolean} options.excludeBrand - Exclude branding from all outputs
+ * @param {Array<string>} options.generators - Consumers to run (default: every spec consumer)
+ * @param {Object} options.generatorOptions - Per-generator options keyed by generator name
+ * @param {string} options.specFormat - Spec format; api-spec.json is always kept for the consumers
+ * @param {string} options.openapiTarget - Convert the spec to OpenAPI '3.0' or '3.1'
+ * @param {Array<string>} options.overlays - OpenAPI Overlay files to apply to the spec
  * @returns {Promise<Array<Object>>} Array of generation results
  */
 export async function generateAllDocs(configPath, files, outputDir, options = {}) {
   outputDir = getOutputDir(outputDir);
-  // First generate OpenAPI spec
-  await generateOpenAPI(configPath, files, outputDir);
+  // First generate OpenAPI spec - consumers cannot run without it
+  const specResult = await generateOpenAPI(configPath, files, outputDir, {
+    specFormat: withJsonSpec(options.specFormat),
+    openapiTarget: options.openapiTarget,
+    overlays: options.overlays
+  });
+  if (!specResult.success) {
+    throw new Error(specResult.stats?.error || 'OpenAPI spec generation failed');
+  }
 
-  // Then run all spec consumer generators
-  const allGenerators = await GeneratorFactory.listGenerators();
-  const specConsumers = allGenerators.filter(gen => gen.type === 'spec-consumer');
-  const generatorNames = specConsumers.map(gen => gen.name);
-  const results = await GeneratorFactory.executeGenerators(generatorNames, outputDir, {
+  return await runSpecConsumers(outputDir, options);
+}
+
+/**
+ * Run spec consumer generators on an existing OpenAPI spec
+ * @param {string} outputDir - Output directory containing the spec
+ * @param {Object} options - Generation options (see generateAllDocs)
+ * @returns {Promise<Array<Object>>} Array of generation results
+ */
+export async function runSpecConsumers(outputDir, options = {}) {
+  // Run the configured consumers, or every spec consumer generator
+  let generatorNames = options.generators;
+  if (!generatorNames) {
+    const allGenerators = await GeneratorFactory.listGenerators();
+    generatorNames = allGenerators
+      .filter(gen => gen.type === 'spec-consumer')
+      .map(gen => gen.name);
+  }
+
+  return await GeneratorFactory.executeGenerators(generatorNames, outputDir, {
     excludeBrand: options.excludeBrand || false,
+    generatorOptions: options.generatorOptions || {},
+    failFast: options.failFast || false,
     contextUrl: import.meta.url
   });
+}
 
-  return results;
+/**
+ * Print spec consumer results and fail when any generator failed
+ * @param {Array<Object>} results - Results from GeneratorFactory.executeGenerators
+ */
+export function reportGeneratorResults(results) {
+  let currentSpec = null;
+  results.forEach(result => {
+    // Results of a "specs" configuration are grouped under their spec
+    if (result.spec && result.spec.name !== currentSpec) {
+      currentSpec = result.spec.name;
+      const counts = result.spec.endpoints === undefined ? '' : ` (${result.spec.endpoints} endpoints, ${result.spec.paths} paths)`;
+      console.log(`📦 ${result.spec.name}${counts}: ${result.spec.outputDir}`);
+    }
+    console.log(`${result.spec ? '   ' : ''}${result.success
+      ? `✅ ${result.generatorName}: ${result.result?.outputPath || 'completed'}`
+      : `❌ ${result.generatorName}: ${result.error}`}`);
+  });
+
+  const failed = results.filter(result => !result.success);
+  if (failed.length > 0) {
+    const names = failed.map(result => result.spec ? `${result.spec.name}/${result.generatorName}` : result.generatorName);
+    throw new Error(`${failed.length} generator(s) failed: ${names.join(', ')}`);
+  }
 }
 
 /**
@@ -151,13 +230,220 @@ export async function generateFromConfytomeConfig(configPathOrObject, outputDir,
     confytomeConfig = configPathOrObject;
   }
 
-  const routeFileNames = ConfytomeConfig.getRouteFileNames(confytomeConfig);
+  const specEntries = ConfytomeConfig.getSpecEntries(confytomeConfig, outputDir);
+  if (!specEntries) {
+    return await generateDocsForSpec(confytomeConfig, outputDir, options);
+  }
+
+  // One spec (and one set of docs) per "specs" entry, each in its own directory;
+  // a "merge" section then combines them into the top-level output directory
+  const entries = confytomeConfig.merge
+    ? [...specEntries, { name: MERGED_SPEC_NAME, outputDir, config: confytomeConfig }]
+    : specEntries;
+  const results = [];
+  for (const entry of entries) {
+    console.log(`📦 Generating spec "${entry.name}" into ${entry.outputDir}`);
+    try {
+      results.push(...await generateDocsForSpec(entry.config, entry.outputDir, options, entry));
+    } catch (error) {
+      if (options.failFast) {
+        throw new Error(`Spec "${entry.name}": ${error.message}`);
+      }
+      results.push({ generatorName: 'openapi', success: false, error: error.message, spec: { name: entry.name, outputDir: entry.outputDir } });
+    }
+  }
+  return results;
+}
+
+/**
+ * Describe a routeFiles entry with its per-file options
+ * @param {string|Object} entry - routeFiles entry
+ * @returns {string} "path" or "path (basePath /auth, tags Auth)"
+ */
+function describeRouteFile(entry) {
+  const options = ROUTE_FILE_OPTIONS
+    .filter(option => typeof entry === 'object' && entry[option] !== undefined)
+    .map(option => `${option} ${typeof entry[option] === 'string' ? entry[option] : JSON.stringify(entry[option])}`);
+  return options.length > 0 ? `${routeFilePath(entry)} (${options.join(', ')})` : routeFilePath(entry);
+}
+
+/**
+ * Print the route files each spec of a confytome config is generated from
+ * Glob patterns are expanded exactly as generation expands them.
+ * @param {Object} confytomeConfig - confytome.json merged with CLI options
+ * @returns {Array<Object>} { name, files } per spec (name is null without "specs")
+ */
+export function listRouteFiles(confytomeConfig) {
+  const specEntries = ConfytomeConfig.getSpecEntries(confytomeConfig, getOutputDir(confytomeConfig.outputDir));
+  const entries = specEntries || (confytomeConfig.merge ? [] : [{ name: null, config: confytomeConfig }]);
+
+  const lists = entries.map(({ name, config }) => ({ name, files: ConfytomeConfig.getRouteFileNames(config) }));
+  for (const { name, files } of lists) {
+    console.log(`📄 ${name ? `Spec "${name}": ` : ''}${files.length} route file(s)`);
+    files.forEach(file => console.log(`   ${describeRouteFile(file)}`));
+  }
+  if (lists.length === 0) {
+    console.log('📄 No route files: the spec is merged from other specs');
+  }
+  return lists;
+}
+
+/**
+ * Generate one spec and run its consumers
+ * @param {Object} confytomeConfig - Configuration of a single spec
+ * @param {string} outputDir - Output directory of the spec
+ * @param {Object} options - CLI overrides (see resolveGenerationOptions)
+ * @param {Object} entry - "specs" entry from ConfytomeConfig.getSpecEntries, if any
+ * @returns {Promise<Array<Object>>} Consumer results, tagged with the spec they belong to
+ */
+async function generateDocsForSpec(confytomeConfig, outputDir, options, entry = null) {
+  const generationOptions = await resolveGenerationOptions(confytomeConfig, options);
+
+  const specResult = await generateSpecFromConfytomeConfig(confytomeConfig, outputDir, {
+    specFormat: withJsonSpec(confytomeConfig.specFormat)
+  });
+  if (!specResult.success) {
+    throw new Error(specResult.stats?.error || 'OpenAPI spec generation failed');
+  }
+
+  const results = await runSpecConsumers(outputDir, generationOptions);
+  if (!entry) {
+    return results;
+  }
+
+  const paths = Object.values(specResult.stats.spec.paths || {});
+  const spec = {
+    name: entry.name,
+    outputDir,
+    paths: paths.length,
+    endpoints: paths.reduce((count, pathItem) => count + Object.keys(pathItem).filter(key => HTTP_METHODS.includes(key)).length, 0)
+  };
+  return results.map(result => ({ ...result, spec }));
+}
+
+/**
+ * Work out which consumers run, and with which options, for a confytome.json
+ * @param {Object} confytomeConfig - Loaded confytome.json configuration
+ * @param {Object} options - CLI overrides (excludeBrand, failFast, only, specOnly)
+ * @param {Array<string>} options.defaultGenerators - Consumers to run when confytome.json has no "generators" section
+ * @param {Object} options.generatorDefaults - Per-generator options that confytome.json may override
+ * @returns {Promise<Object>} Options for runSpecConsumers
+ */
+export async function resolveGenerationOptions(confytomeConfig, options = {}) {
+  // Register external plugins before any generator lookup initializes the registry
+  await GeneratorFactory.initialize({ plugins: confytomeConfig.plugins });
+
+  // The "generators" section selects consumers and their options
+  const configuredGenerators = ConfigMerger.resolveGenerators(confytomeConfig, {
+    excludeBrand: options.excludeBrand
+  });
+  const generatorOptions = { ...configuredGenerators?.options };
+  for (const [name, defaults] of Object.entries(options.generatorDefaults || {})) {
+    generatorOptions[name] = { ...defaults, ...generatorOptions[name] };
+  }
+
+  const generationOptions = {
+    excludeBrand: options.excludeBrand ?? confytomeConfig.excludeBrand,
+    failFast: options.failFast,
+    generators: configuredGenerators?.names ?? options.defaultGenerators,
+    generatorOptions
+  };
+
+  if (options.only) {
+    generationOptions.generators = options.only;
+  }
+  if (options.specOnly) {
+    generationOptions.generators = [];
+  }
+
+  return generationOptions;
+}
+
+/**
+ * Generate only the OpenAPI spec described by a confytome.json
+ * A "merge" section merges its sources instead of reading JSDoc.
+ * @param {Object} confytomeConfig - Loaded confytome.json configuration
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Generation options passed to generateOpenAPI
+ *   (specFormat, openapiTarget, overlays, sourceLocations and sourceUrl default to the keys of the same name in confytome.json)
+ * @returns {Promise<Object>} OpenAPI generation result
+ */
+export async function generateSpecFromConfytomeConfig(confytomeConfig, outputDir, options = {}) {
+  outputDir = getOutputDir(outputDir);
+  if (confytomeConfig.merge) {
+    return await generateMergedSpec(normalizeMergeSources(confytomeConfig.merge), outputDir, {
+      onConflict: confytomeConfig.merge.onConflict,
+      info: confytomeConfig.merge.info,
+      servers: confytomeConfig.merge.servers,
+      specFormat: confytomeConfig.specFormat,
+      openapiTarget: confytomeConfig.openapiTarget,
+      overlays: confytomeConfig.overlays,
+      ...options
+    });
+  }
+
+  const routeFileNames = await ConfytomeConfig.resolveRouteFiles(
+    confytomeConfig.routeFiles || [],
+    confytomeConfig.exclude,
+    ConfytomeConfig.getNetworkOptions(confytomeConfig)
+  );
   const modifiedServerConfig = ConfytomeConfig.createModifiedServerConfig(confytomeConfig);
   const tempConfigPath = createTempConfig(outputDir, modifiedServerConfig);
 
   try {
-    return await generateAllDocs(tempConfigPath, routeFileNames, outputDir, options);
+    return await generateOpenAPI(tempConfigPath, routeFileNames, outputDir, {
+      serverConfigSource: confytomeConfig.serverConfig,
+      specFormat: confytomeConfig.specFormat,
+      openapiTarget: confytomeConfig.openapiTarget,
+      overlays: confytomeConfig.overlays,
+      sourceLocations: confytomeConfig.sourceLocations,
+      sourceUrl: confytomeConfig.sourceUrl,
+      ...options
+    });
   } finally {
     cleanupTempConfig(tempConfigPath);
   }
 }
+
+/**
+ * Merge existing specs into the spec of an output directory
+ * @param {Array<Object>} sources - Merge sources ({spec, name, pathPrefix, tagPrefix})
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Merge options (onConflict, info, servers) plus specFormat, openapiTarget and overlays
+ * @returns {Promise<Object>} Result shaped like generateOpenAPI's
+ */
+export async function generateMergedSpec(sources, outputDir, options = {}) {
+  try {
+    validateSpecFormat(options.specFormat);
+    const { spec } = await mergeSpecFiles(sources, options);
+    return writeSpec(applyOverlayFiles(spec, options.overlays), outputDir, options, 'Merged OpenAPI spec created');
+  } catch (error) {
+    return { success: false, outputs: [], stats: { error: error.message } };
+  }
+}
+
+/**
+ * Write a spec to api-spec.json and/or api-spec.yaml in an output directory
+ * @param {Object} spec - OpenAPI document
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Output options
+ * @param {string} options.specFormat - 'json' (default), 'yaml' or 'both'
+ * @param {string} options.openapiTarget - Convert the spec to OpenAPI '3.0' or '3.1'
+ * @param {string} description - Log message for each written file
+ * @returns {Object} Result shaped like generateOpenAPI's
+ */
+export function writeSpec(spec, outputDir, options, description) {
+  outputDir = getOutputDir(outputDir);
+  if (options.openapiTarget) {
+    spec = convertSpecVersion(spec, options.openapiTarget).spec;
+    console.log(`🎯 Targeting OpenAPI ${spec.openapi}`);
+  }
+
+  const outputs = serializeSpec(spec, options.specFormat).map(({ fileName, content }) => {
+    const filePath = path.join(outputDir, fileName);
+    FileManager.writeFile(filePath, content, 'confytome', description);
+    return filePath;
+  });
+
+  return { success: true, outputs, stats: { spec, outputPath: outputs[0] } };
+}
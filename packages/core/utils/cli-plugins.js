@@ -6,14 +6,24 @@
 
 import { GeneratorFactory } from '../services/GeneratorFactory.js';
 import { SimpleErrorHandler } from './error-handler-simple.js';
+import { ConfytomeConfig } from './confytome-config.js';
 import { DEFAULT_OUTPUT_DIR } from '../constants.js';
 
+/**
+ * Initialize the generator registry with plugins listed in confytome.json
+ * @param {Object} options - Commander options (uses options.config when given)
+ */
+async function initializeRegistry(options = {}) {
+  const plugins = await ConfytomeConfig.getPlugins(options.config);
+  await GeneratorFactory.initialize({ plugins });
+}
+
 /**
  * List all available generators
  */
 export async function listGenerators(options = {}) {
   try {
-    await GeneratorFactory.initialize();
+    await initializeRegistry(options);
     const generators = await GeneratorFactory.listGeneratorsWithStatus();
 
     if (options.json) {
@@ -45,10 +55,12 @@ export async function listGenerators(options = {}) {
 
         console.log(`   ${status} ${gen.name}${external}`);
         console.log(`      ${gen.description}`);
-        console.log(`      Version: ${gen.version}, Package: ${gen.packageName}`);
+        if (gen.packageName) {
+          console.log(`      Version: ${gen.version}, Package: ${gen.packageName}`);
+        }
 
-        if (!gen.available && gen.errors.length > 0) {
-          console.log(`      Issues: ${gen.errors.join(', ')}`);
+        if (!gen.available && gen.validation.errors.length > 0) {
+          console.log(`      Issues: ${gen.validation.errors.join(', ')}`);
         }
         console.log('');
       });
@@ -65,7 +77,7 @@ export async function listGenerators(options = {}) {
 export async function showGeneratorInfo(generatorName, options = {}) {
 
   try {
-    await GeneratorFactory.initialize();
+    await initializeRegistry(options);
     const info = await GeneratorFactory.getGeneratorInfo(generatorName);
 
     if (!info.metadata) {
@@ -90,7 +102,7 @@ export async function showGeneratorInfo(generatorName, options = {}) {
     console.log(`   Version: ${meta.version}`);
     console.log(`   Package: ${meta.packageName}`);
     console.log(`   JSDoc Required: ${meta.requiresJSDocFiles ? 'Yes' : 'No'}`);
-    console.log(`   External Plugin: ${meta.isExternalPlugin ? 'Yes' : 'No'}`);
+    console.log(`   External Plugin: ${info.isExternal ? 'Yes' : 'No'}`);
 
     if (meta.filePath) {
       console.log(`   File Path: ${meta.filePath}`);
@@ -107,8 +119,8 @@ export async function showGeneratorInfo(generatorName, options = {}) {
     }
 
     // Show dependencies
-    const deps = Object.keys(meta.dependencies);
-    const peerDeps = Object.keys(meta.peerDependencies);
+    const deps = Object.keys(meta.dependencies || {});
+    const peerDeps = Object.keys(meta.peerDependencies || {});
 
     if (deps.length > 0) {
       console.log('');
@@ -133,7 +145,7 @@ export async function showGeneratorInfo(generatorName, options = {}) {
 export async function showRecommendedGenerators(options = {}) {
 
   try {
-    await GeneratorFactory.initialize();
+    await initializeRegistry(options);
     const recommended = await GeneratorFactory.getRecommendedGenerators();
 
     if (options.json) {
@@ -168,7 +180,7 @@ export async function showRecommendedGenerators(options = {}) {
 export async function validateGenerators(generatorNames, options = {}) {
 
   try {
-    await GeneratorFactory.initialize();
+    await initializeRegistry(options);
 
     let generators = generatorNames;
     if (generators.length === 0) {
@@ -219,7 +231,7 @@ export async function validateGenerators(generatorNames, options = {}) {
 export async function executeGenerators(generatorNames, options = {}) {
 
   try {
-    await GeneratorFactory.initialize();
+    await initializeRegistry(options);
 
     const outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
     const executionOptions = {
@@ -269,7 +281,7 @@ export async function executeGenerators(generatorNames, options = {}) {
 export async function executeAllSpecConsumers(options = {}) {
 
   try {
-    await GeneratorFactory.initialize();
+    await initializeRegistry(options);
 
     const specConsumers = await GeneratorFactory.getGeneratorsByGeneratorType('spec-consumer');
     const generatorNames = specConsumers.map(gen => gen.name);
@@ -0,0 +1,178 @@
+/**
+ * confytome Configuration Loader
+ *
+ * Finds and reads the project configuration from, in order:
+ *   confytome.config.js / confytome.config.mjs   default export: an object or an (async) function returning one
+ *   confytome.yaml / confytome.yml
+ *   confytome.json
+ *   package.json                                 "confytome" key
+ *
+ * "extends" names one or more base configs (relative paths from the extending
+ * file, or package names) that are deep-merged underneath: objects merge,
+ * arrays and other values are replaced. JSON and YAML values have their
+ * ${VAR}s expanded.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import yaml from 'js-yaml';
+import { interpolateEnv } from './env-interpolation.js';
+import { DEFAULT_CONFIG_FILES } from '../constants.js';
+
+export const CONFIG_FILE_NAMES = [
+  'confytome.config.js',
+  'confytome.config.mjs',
+  'confytome.yaml',
+  'confytome.yml',
+  'confytome.json'
+];
+
+export const PACKAGE_JSON_KEY = 'confytome';
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Check whether a file is a package.json (whose "confytome" key holds the config)
+ * @param {string} configPath - Config file
+ * @returns {boolean} True for package.json
+ */
+function isPackageJson(configPath) {
+  return path.basename(configPath) === 'package.json';
+}
+
+/**
+ * Find the project configuration in a directory
+ * @param {string} cwd - Directory to search (default: working directory)
+ * @returns {string|null} Config file, or null when there is none
+ */
+export function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILE_NAMES) {
+    if (fs.existsSync(path.join(cwd, name))) {
+      return path.join(cwd, name);
+    }
+  }
+
+  const packagePath = path.join(cwd, 'package.json');
+  try {
+    if (JSON.parse(fs.readFileSync(packagePath, 'utf8'))[PACKAGE_JSON_KEY]) {
+      return packagePath;
+    }
+  } catch {
+    // No package.json, or not one we can read
+  }
+  return null;
+}
+
+/**
+ * The config file to use: the one given, the one found, or ./confytome.json
+ * @param {string} configPath - Path from --config, if any
+ * @returns {string} Config file (which may not exist)
+ */
+export function resolveConfigPath(configPath) {
+  return configPath || findConfigFile() || DEFAULT_CONFIG_FILES.CONFYTOME;
+}
+
+/**
+ * Read one config file without resolving "extends"
+ * @param {string} file - Absolute config file path
+ * @param {string} label - Path as given (for errors)
+ * @returns {Promise<Object>} Configuration object
+ */
+async function readConfigSource(file, label) {
+  const extension = path.extname(file).toLowerCase();
+  let config;
+
+  if (JS_EXTENSIONS.includes(extension)) {
+    // The query string makes watch mode pick up edits instead of the cached module
+    const module = await import(`${pathToFileURL(file).href}?mtime=${fs.statSync(file).mtimeMs}`);
+    config = typeof module.default === 'function' ? await module.default() : module.default;
+  } else {
+    const text = fs.readFileSync(file, 'utf8');
+    config = YAML_EXTENSIONS.includes(extension)
+      ? yaml.load(text, { schema: yaml.CORE_SCHEMA })
+      : JSON.parse(text);
+    if (isPackageJson(file)) {
+      config = config[PACKAGE_JSON_KEY];
+      if (config === undefined) {
+        throw new Error(`${label} has no "${PACKAGE_JSON_KEY}" key`);
+      }
+    }
+    config = interpolateEnv(config, { source: label });
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${label} must ${JS_EXTENSIONS.includes(extension) ? 'export' : 'contain'} a configuration object`);
+  }
+  return config;
+}
+
+/**
+ * Deep-merge a config over its base
+ * @param {Object} base - Inherited configuration
+ * @param {Object} override - Configuration that wins
+ * @returns {Object} Merged configuration
+ */
+export function mergeConfigObjects(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const current = merged[key];
+    const bothObjects = [current, value].every(item => item && typeof item === 'object' && !Array.isArray(item));
+    merged[key] = bothObjects ? mergeConfigObjects(current, value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Locate a base config named by "extends"
+ * @param {string} reference - Relative path or package name
+ * @param {string} from - Config file that extends it
+ * @returns {string} Absolute base config path
+ */
+function resolveExtends(reference, from) {
+  if (reference.startsWith('.') || path.isAbsolute(reference)) {
+    return path.resolve(path.dirname(from), reference);
+  }
+  try {
+    return createRequire(from).resolve(reference);
+  } catch {
+    throw new Error(`Cannot find base config "${reference}" extended by ${from}`);
+  }
+}
+
+/**
+ * Read a config file and the configs it extends
+ * @param {string} configPath - Config file (confytome.json, confytome.yaml, confytome.config.js, package.json, ...)
+ * @param {Array<string>} chain - Files already being read (to detect cycles)
+ * @returns {Promise<{config: Object, files: Array<string>}>} Merged configuration and every file it came from
+ */
+export async function readConfig(configPath, chain = []) {
+  const file = path.resolve(configPath);
+  if (chain.includes(file)) {
+    throw new Error(`Circular "extends": ${[...chain, file].map(item => path.relative(process.cwd(), item)).join(' → ')}`);
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(chain.length > 0 ? `Base config not found: ${configPath}` : `confytome config not found: ${configPath}`);
+  }
+
+  const { extends: parents, ...own } = await readConfigSource(file, configPath);
+  if (parents === undefined) {
+    return { config: own, files: [file] };
+  }
+
+  const references = Array.isArray(parents) ? parents : [parents];
+  if (!references.every(reference => typeof reference === 'string')) {
+    throw new Error(`"extends" must be a path or package name, or an array of them, in ${configPath}`);
+  }
+
+  let config = {};
+  const files = [file];
+  for (const reference of references) {
+    const base = await readConfig(resolveExtends(reference, file), [...chain, file]);
+    config = mergeConfigObjects(config, base.config);
+    files.push(...base.files);
+  }
+  return { config: mergeConfigObjects(config, own), files };
+}
@@ -6,21 +6,23 @@
  */
 
 import fs from 'node:fs';
+import { readConfig, resolveConfigPath } from './config-loader.js';
 
 export class ConfigMerger {
   /**
    * Merge CLI options with a configuration file
-   * @param {string} configPath - Path to the base configuration file
+   * @param {string} configPath - Path to the base configuration file (default: the first one found)
    * @param {Object} cliOptions - CLI options to merge/override
-   * @returns {Object} Merged configuration object
+   * @returns {Promise<Object>} Merged configuration object
    */
-  static mergeWithConfig(configPath, cliOptions) {
+  static async mergeWithConfig(configPath, cliOptions) {
+    configPath = resolveConfigPath(configPath);
+
     // Read the base configuration
     let baseConfig = {};
     if (fs.existsSync(configPath)) {
       try {
-        const configContent = fs.readFileSync(configPath, 'utf8');
-        baseConfig = JSON.parse(configContent);
+        ({ config: baseConfig } = await readConfig(configPath));
       } catch (error) {
         throw new Error(`Failed to parse config file ${configPath}: ${error.message}`);
       }
@@ -45,7 +47,11 @@ export class ConfigMerger {
       spec: 'specPath',
       files: 'routeFiles',
       serverConfig: 'serverConfig',
-      noBrand: 'excludeBrand'
+      noBrand: 'excludeBrand',
+      format: 'specFormat',
+      target: 'openapiTarget',
+      overlay: 'overlays',
+      sourceUrl: 'sourceUrl'
     };
 
     // Apply CLI overrides
@@ -60,6 +66,16 @@ export class ConfigMerger {
       merged.excludeBrand = true;
     }
 
+    // Handle Commander.js --no-source-locations option
+    if (cliOptions.sourceLocations === false) {
+      merged.sourceLocations = false;
+    }
+
+    // --offline only uses cached network route files
+    if (cliOptions.offline === true) {
+      merged.network = { ...merged.network, offline: true };
+    }
+
     // Basic validation
     if (merged.routeFiles && !Array.isArray(merged.routeFiles)) {
       merged.routeFiles = [merged.routeFiles];
@@ -68,6 +84,59 @@ export class ConfigMerger {
     return merged;
   }
 
+  /**
+   * Resolve the "generators" section of confytome.json into run order and per-generator options
+   *
+   * The section is either an array of generator names or an object keyed by generator
+   * name whose values are `true`, `false` (skip) or an options object such as
+   * { "tagOrder": [...], "urlEncodeAnchors": false, "outputFile": "docs.md", "clipboard": false }.
+   *
+   * @param {Object} config - Merged confytome configuration
+   * @param {Object} overrides - Command line overrides
+   * @param {boolean} overrides.excludeBrand - --no-brand given; overrides every generator
+   * @returns {{names: Array<string>, options: Object}|null} Generators to run, or null when not configured
+   */
+  static resolveGenerators(config, overrides = {}) {
+    const section = config.generators;
+    if (section === undefined || section === null) {
+      return null;
+    }
+
+    const entries = Array.isArray(section)
+      ? section.map(name => [name, true])
+      : Object.entries(section);
+
+    const names = [];
+    const options = {};
+
+    for (const [name, value] of entries) {
+      if (typeof name !== 'string' || value === false) {
+        continue;
+      }
+
+      if (value !== true && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new Error(`Invalid options for generator '${name}' in confytome.json: expected true, false or an object`);
+      }
+
+      const generatorOptions = value === true ? {} : { ...value };
+
+      // Config uses "clipboard" to match the --no-clipboard CLI flag
+      if (generatorOptions.clipboard !== undefined) {
+        generatorOptions.copyToClipboard = generatorOptions.clipboard;
+        delete generatorOptions.clipboard;
+      }
+
+      if (overrides.excludeBrand === true) {
+        generatorOptions.excludeBrand = true;
+      }
+
+      names.push(name);
+      options[name] = generatorOptions;
+    }
+
+    return { names, options };
+  }
+
   /**
    * Extract CLI options from commander options object
    * @param {Object} commanderOptions - Commander.js options object
@@ -7,9 +7,17 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import https from 'node:https';
-import http from 'node:http';
-import { DEFAULT_CONFIG_FILES } from '../constants.js';
+import { globSync, hasMagic } from 'glob';
+import { DEFAULT_OUTPUT_DIR } from '../constants.js';
+import { SPEC_FORMATS } from './spec-format.js';
+import { resolveOpenAPITarget } from './spec-version.js';
+import { normalizeMergeSources } from './spec-merger.js';
+import { loadOverlay } from './spec-overlay.js';
+import { readConfigFile } from './env-interpolation.js';
+import { readConfig, resolveConfigPath } from './config-loader.js';
+import { routeFilePath, hasRouteFileOptions, validateRouteFileEntry } from './route-file-options.js';
+import { requestUrl, fetchToCache, NETWORK_CACHE_DIR, DEFAULT_TIMEOUT_MS } from './network-fetch.js';
+import { validateSourceUrl } from './source-locations.js';
 
 export class ConfytomeConfig {
   /**
@@ -28,131 +36,353 @@ export class ConfytomeConfig {
 
   /**
    * Fetch content from a network URL
+   * Redirects are followed and credentials come from CONFYTOME_FETCH_* variables (see network-fetch.js).
    * @param {string} url - URL to fetch
+   * @param {Object} options - Request options (timeout in milliseconds)
    * @returns {Promise<string>} File content
    */
-  static async fetchNetworkFile(url) {
-    return new Promise((resolve, reject) => {
-      const client = url.startsWith('https:') ? https : http;
-
-      client.get(url, (response) => {
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to fetch ${url}: HTTP ${response.statusCode}`));
-          return;
-        }
-
-        let data = '';
-        response.on('data', chunk => data += chunk);
-        response.on('end', () => resolve(data));
-      }).on('error', reject);
-    });
+  static async fetchNetworkFile(url, options = {}) {
+    const response = await requestUrl(url, options);
+    if (response.statusCode !== 200) {
+      throw new Error(`Failed to fetch ${url}: HTTP ${response.statusCode}`);
+    }
+    return response.body;
   }
 
   /**
    * Download and cache a network file locally
+   * Unchanged files are revalidated with their ETag instead of downloaded again.
    * @param {string} url - URL to download
    * @param {string} cacheDir - Directory to cache downloaded files
+   * @param {Object} options - Cache options (ttl, offline, sha256, timeout; see getNetworkOptions)
    * @returns {Promise<string>} Path to cached file
    */
-  static async cacheNetworkFile(url, cacheDir = './confytome-cache') {
-    // Create cache directory if it doesn't exist
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
-      console.log(`📁 Created cache directory: ${cacheDir}`);
-    }
-
-    // Generate cache filename from URL
-    const urlHash = Buffer.from(url).toString('base64').replace(/[/+=]/g, '-');
-    const cacheFile = path.join(cacheDir, `${urlHash}.js`);
+  static async cacheNetworkFile(url, cacheDir = NETWORK_CACHE_DIR, options = {}) {
+    return await fetchToCache(url, { ...options, cacheDir });
+  }
 
-    console.log(`📡 Downloading: ${url}`);
+  /**
+   * Read the "network" section of confytome.json
+   *
+   *   "network": { "timeout": 10000, "cacheTtl": 3600, "offline": false }
+   *
+   * @param {Object} config - confytome.json configuration
+   * @param {Object} overrides - Command line overrides (offline)
+   * @returns {{timeout: number, ttl: number, offline: boolean}} Options for cacheNetworkFile
+   */
+  static getNetworkOptions(config, overrides = {}) {
+    const network = config.network ?? {};
+    if (typeof network !== 'object' || Array.isArray(network)) {
+      throw new Error('network must be an object in confytome.json');
+    }
 
-    try {
-      const content = await this.fetchNetworkFile(url);
-      fs.writeFileSync(cacheFile, content);
-      console.log(`✅ Cached as: ${cacheFile}`);
-      return cacheFile;
-    } catch (error) {
-      throw new Error(`Failed to download ${url}: ${error.message}`);
+    const { timeout = DEFAULT_TIMEOUT_MS, cacheTtl = 0 } = network;
+    const offline = overrides.offline ?? network.offline ?? false;
+    if (typeof timeout !== 'number' || timeout <= 0) {
+      throw new Error('network.timeout must be a number of milliseconds in confytome.json');
     }
+    if (typeof cacheTtl !== 'number' || cacheTtl < 0) {
+      throw new Error('network.cacheTtl must be a number of seconds in confytome.json');
+    }
+    if (typeof offline !== 'boolean') {
+      throw new Error('network.offline must be true or false in confytome.json');
+    }
+    return { timeout, ttl: cacheTtl, offline };
   }
 
   /**
-   * Load and parse confytome.json configuration
-   * @param {string} configPath - Path to confytome.json (default: DEFAULT_CONFIG_FILES.CONFYTOME)
+   * Load and parse the confytome configuration
+   * Reads confytome.json, confytome.yaml, confytome.config.js or package.json
+   * (see config-loader.js) with its "extends" chain merged in.
+   * ${VAR} and ${VAR:-default} in its values are expanded from the environment.
+   * @param {string} configPath - Config file (default: the first one found in the working directory)
+   * @param {Object} options - Load options
+   * @param {boolean} options.offline - Use cached network route files without fetching (--offline)
    * @returns {Promise<Object>} Configuration object with resolved file paths
    */
-  static async load(configPath = DEFAULT_CONFIG_FILES.CONFYTOME) {
+  static async load(configPath, options = {}) {
+    configPath = resolveConfigPath(configPath);
     if (!fs.existsSync(configPath)) {
       throw new Error(`confytome config not found: ${configPath}`);
     }
 
     try {
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      const config = JSON.parse(configContent);
+      const { config } = await readConfig(configPath);
+
+      const specEntries = this.getSpecEntries(config, config.outputDir || DEFAULT_OUTPUT_DIR);
+
+      // A "merge" section builds the top-level spec from other specs instead of JSDoc
+      const mergeSources = config.merge === undefined ? null : normalizeMergeSources(config.merge);
+      if (mergeSources && !specEntries && (config.serverConfig || config.routeFiles)) {
+        throw new Error('merge cannot be combined with serverConfig/routeFiles in confytome.json; list the JSDoc API under "specs" and merge its output');
+      }
 
       // Validate required fields
-      if (!config.serverConfig) {
+      if (!specEntries && !mergeSources && !config.serverConfig) {
         throw new Error('serverConfig is required in confytome.json');
       }
 
-      if (!config.routeFiles || !Array.isArray(config.routeFiles)) {
+      if (!specEntries && !mergeSources && (!config.routeFiles || !Array.isArray(config.routeFiles))) {
         throw new Error('routeFiles array is required in confytome.json');
       }
 
-      // Validate files exist
-      const serverConfigPath = config.serverConfig;
-      if (!fs.existsSync(serverConfigPath)) {
-        throw new Error(`Server config file not found: ${serverConfigPath}`);
+      if (config.plugins !== undefined && !this.isStringArray(config.plugins)) {
+        throw new Error('plugins must be an array of package names or paths in confytome.json');
       }
 
-      // All route files are now simple strings
-      const routeFileNames = config.routeFiles;
+      if (config.specFormat !== undefined && !SPEC_FORMATS.includes(config.specFormat)) {
+        throw new Error(`specFormat must be one of ${SPEC_FORMATS.join(', ')} in confytome.json`);
+      }
 
-      // Separate network paths from local paths
-      const networkFiles = routeFileNames.filter(file => this.isNetworkPath(file));
-      const localFiles = routeFileNames.filter(file => !this.isNetworkPath(file));
+      if (config.openapiTarget !== undefined) {
+        resolveOpenAPITarget(config.openapiTarget);
+      }
 
-      // Validate local files exist
-      const missingLocalFiles = localFiles.filter(file => !fs.existsSync(file));
-      if (missingLocalFiles.length > 0) {
-        throw new Error(`Local route files not found: ${missingLocalFiles.join(', ')}`);
+      if (config.sourceLocations !== undefined && typeof config.sourceLocations !== 'boolean') {
+        throw new Error('sourceLocations must be true or false in confytome.json');
+      }
+      if (config.sourceUrl !== undefined) {
+        validateSourceUrl(config.sourceUrl, 'sourceUrl in confytome.json');
       }
 
-      // Download and cache network files
-      const cachedNetworkFiles = {};
-      if (networkFiles.length > 0) {
-        console.log(`📡 Found ${networkFiles.length} network route file(s)`);
+      // Overlays are read now so a broken one fails before any spec is written
+      for (const { overlays } of [config, ...(specEntries || []).map(entry => entry.config)]) {
+        if (overlays !== undefined && !this.isStringArray(overlays)) {
+          throw new Error('overlays must be an array of overlay files in confytome.json');
+        }
+        (overlays || []).forEach(file => loadOverlay(file));
+      }
 
-        for (const url of networkFiles) {
-          try {
-            const cachedPath = await this.cacheNetworkFile(url);
-            cachedNetworkFiles[url] = cachedPath;
-          } catch (error) {
-            throw new Error(`Failed to fetch network file ${url}: ${error.message}`);
-          }
+      // Validate files exist
+      for (const { config: specConfig } of specEntries || (mergeSources ? [] : [{ config }])) {
+        if (!fs.existsSync(specConfig.serverConfig)) {
+          throw new Error(`Server config file not found: ${specConfig.serverConfig}`);
         }
       }
 
-      // Update route files with cached paths for network files
-      config.routeFiles = config.routeFiles.map(route => {
-        return this.isNetworkPath(route) ? cachedNetworkFiles[route] : route;
-      });
+      // Local route files must exist; network route files are downloaded and cached
+      for (const { exclude } of [config, ...(config.specs || [])]) {
+        if (exclude !== undefined && !this.isStringArray(exclude)) {
+          throw new Error('exclude must be an array of glob patterns in confytome.json');
+        }
+      }
+      const network = this.getNetworkOptions(config, { offline: options.offline });
+      if (config.routeFiles) {
+        config.routeFiles = await this.resolveRouteFiles(config.routeFiles, config.exclude, network);
+      }
+      for (const entry of config.specs || []) {
+        if (entry.routeFiles) {
+          entry.routeFiles = await this.resolveRouteFiles(entry.routeFiles, entry.exclude ?? config.exclude, network);
+        }
+      }
 
-      console.log('✅ Loaded confytome.json configuration');
-      console.log(`   Server config: ${serverConfigPath}`);
-      console.log(`   Route files: ${config.routeFiles.length} files`);
+      console.log(`✅ Loaded ${path.basename(configPath)} configuration`);
+      if (specEntries) {
+        console.log(`   Specs: ${specEntries.map(entry => entry.name).join(', ')}`);
+      }
+      if (mergeSources) {
+        console.log(`   Merge: ${mergeSources.map(source => source.name).join(', ')}`);
+      }
+      if (!specEntries && !mergeSources) {
+        console.log(`   Server config: ${config.serverConfig}`);
+        console.log(`   Route files: ${config.routeFiles.length} files`);
+      }
       console.log('   💡 Server overrides: Use standard OpenAPI "servers:" in JSDoc comments');
 
       return config;
     } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON in confytome.json: ${error.message}`);
+      if (error instanceof SyntaxError && path.extname(configPath) === '.json') {
+        throw new Error(`Invalid JSON in ${path.basename(configPath)}: ${error.message}`);
       }
       throw error;
     }
   }
 
+  /**
+   * Expand the glob patterns in routeFiles into the files they match
+   * Entries keep their order and each pattern's matches are sorted, so the spec
+   * comes out the same on every machine. "!pattern" entries and the exclude
+   * list drop files from every pattern; node_modules is never searched.
+   * Literal paths that do not exist and URLs are passed through unchanged.
+   * Object entries ({ path, basePath, tags, security, servers }) pass their
+   * options to every file their path matches, and a file listed again with
+   * options takes them in the place it was first listed.
+   * @param {Array<string|Object>} routeFiles - Route files, glob patterns and URLs from confytome.json
+   * @param {Array<string>} exclude - Glob patterns of files to leave out
+   * @returns {Array<string|Object>} Route files with every pattern expanded
+   */
+  static expandRouteFiles(routeFiles, exclude = []) {
+    routeFiles.forEach((entry, index) => validateRouteFileEntry(entry, `routeFiles[${index}]`));
+
+    const isNegation = entry => typeof entry === 'string' && entry.startsWith('!');
+    const patterns = routeFiles.filter(entry => !isNegation(entry));
+    const ignore = [
+      'node_modules/**',
+      '**/node_modules/**',
+      ...routeFiles.filter(isNegation).map(entry => entry.slice(1)),
+      ...(exclude || [])
+    ];
+    const positions = new Map();
+    const files = [];
+    const add = entry => {
+      const file = routeFilePath(entry);
+      const key = this.isNetworkPath(file) ? file : path.resolve(file);
+      if (!positions.has(key)) {
+        positions.set(key, files.length);
+        files.push(entry);
+      } else if (hasRouteFileOptions(entry)) {
+        files[positions.get(key)] = entry;
+      }
+    };
+
+    for (const entry of patterns) {
+      const pattern = routeFilePath(entry);
+      const withPath = file => hasRouteFileOptions(entry) ? { ...entry, path: file } : file;
+      if (this.isNetworkPath(pattern)) {
+        add(entry);
+        continue;
+      }
+
+      const matches = globSync(pattern, { ignore, nodir: true, posix: true }).sort();
+      if (!hasMagic(pattern)) {
+        // A literal path keeps its spelling; a missing one is reported by resolveRouteFiles
+        if (matches.length > 0 || !fs.existsSync(pattern)) {
+          add(entry);
+        }
+      } else if (matches.length === 0) {
+        console.log(`⚠️  routeFiles pattern ${pattern} matched no files`);
+      } else {
+        matches.forEach(file => add(withPath(file)));
+      }
+    }
+
+    if (patterns.length > 0 && files.length === 0) {
+      throw new Error(`No route files matched ${patterns.map(routeFilePath).join(', ')}`);
+    }
+    return files;
+  }
+
+  /**
+   * Expand route file patterns, check local route files exist and download network route files
+   * @param {Array<string|Object>} routeFileNames - Route files from confytome.json
+   * @param {Array<string>} exclude - Glob patterns of files to leave out
+   * @param {Object} network - Options from getNetworkOptions
+   * @returns {Promise<Array<string|Object>>} Route files with network files replaced by their cached copies
+   */
+  static async resolveRouteFiles(routeFileNames, exclude = [], network = {}) {
+    routeFileNames = this.expandRouteFiles(routeFileNames, exclude);
+    const filePaths = routeFileNames.map(routeFilePath);
+
+    // Validate local files exist
+    const missingLocalFiles = filePaths.filter(file => !this.isNetworkPath(file) && !fs.existsSync(file));
+    if (missingLocalFiles.length > 0) {
+      throw new Error(`Local route files not found: ${missingLocalFiles.join(', ')}`);
+    }
+
+    const networkCount = filePaths.filter(file => this.isNetworkPath(file)).length;
+    if (networkCount > 0) {
+      console.log(`📡 Found ${networkCount} network route file(s)`);
+    }
+
+    // Download and cache network files, checking pinned hashes
+    const resolved = [];
+    for (const route of routeFileNames) {
+      const url = routeFilePath(route);
+      if (!this.isNetworkPath(url)) {
+        resolved.push(route);
+        continue;
+      }
+
+      let cachedPath;
+      try {
+        cachedPath = await this.cacheNetworkFile(url, NETWORK_CACHE_DIR, { ...network, sha256: route.sha256 });
+      } catch (error) {
+        throw new Error(`Failed to fetch network file ${url}: ${error.message}`);
+      }
+
+      const { path: _path, sha256: _sha256, ...options } = hasRouteFileOptions(route) ? route : {};
+      resolved.push(Object.keys(options).length > 0 ? { ...options, path: cachedPath } : cachedPath);
+    }
+    return resolved;
+  }
+
+  /**
+   * Split a confytome.json with a "specs" array into one configuration per API
+   * Each entry inherits the top-level settings (generators, excludeBrand,
+   * specFormat, ...) and overrides them with its own keys. Its outputs go to
+   * <outputDir>/<name> unless the entry sets its own "outputDir".
+   *
+   *   "specs": [
+   *     { "name": "billing", "serverConfig": "./billing/serverConfig.json", "routeFiles": ["./billing/routes.js"] },
+   *     { "name": "auth", "serverConfig": "./auth/serverConfig.json", "routeFiles": ["./auth/routes.js"], "generators": ["html"] }
+   *   ]
+   *
+   * @param {Object} config - confytome.json configuration
+   * @param {string} outputDir - Top-level output directory
+   * @returns {Array<{name: string, outputDir: string, config: Object}>|null} One entry per spec, or null without "specs"
+   */
+  static getSpecEntries(config, outputDir) {
+    if (config.specs === undefined) {
+      return null;
+    }
+    if (!Array.isArray(config.specs) || config.specs.length === 0) {
+      throw new Error('specs must be a non-empty array in confytome.json');
+    }
+
+    const { specs, merge: _merge, outputDir: _outputDir, ...shared } = config;
+    const names = new Set();
+
+    return specs.map((entry, index) => {
+      if (typeof entry?.name !== 'string' || !/^[\w.-]+$/.test(entry.name)) {
+        throw new Error(`specs[${index}] needs a "name" made of letters, digits, ".", "-" or "_" in confytome.json`);
+      }
+      if (names.has(entry.name)) {
+        throw new Error(`Duplicate spec name "${entry.name}" in confytome.json`);
+      }
+      names.add(entry.name);
+
+      const { name, outputDir: entryOutputDir, ...overrides } = entry;
+      const specConfig = { ...shared, ...overrides };
+      if (!specConfig.serverConfig) {
+        throw new Error(`serverConfig is required for spec "${name}" in confytome.json`);
+      }
+      if (!Array.isArray(specConfig.routeFiles)) {
+        throw new Error(`routeFiles array is required for spec "${name}" in confytome.json`);
+      }
+
+      return { name, outputDir: entryOutputDir || path.join(outputDir, name), config: specConfig };
+    });
+  }
+
+  /**
+   * Read the external plugin list from the confytome config without validating the rest of it
+   * Used by plugin management commands that do not need server config or route files.
+   * @param {string} configPath - Config file (default: the first one found in the working directory)
+   * @returns {Promise<Array<string>>} Plugin package names or paths (empty when not configured)
+   */
+  static async getPlugins(configPath) {
+    configPath = resolveConfigPath(configPath);
+    if (!fs.existsSync(configPath)) {
+      return [];
+    }
+
+    try {
+      const { config } = await readConfig(configPath);
+      return this.isStringArray(config.plugins) ? config.plugins : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Check that a value is an array of strings
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a string array
+   */
+  static isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+
   /**
    * Get the server URL for a specific route file
    * Server overrides are now handled directly in JSDoc @swagger servers: field
@@ -162,7 +392,7 @@ export class ConfytomeConfig {
    */
   static getServerForRoute(config, _routeFileName) {
     // Server overrides handled in JSDoc - return default server
-    const serverConfig = JSON.parse(fs.readFileSync(config.serverConfig, 'utf8'));
+    const serverConfig = readConfigFile(config.serverConfig);
     if (serverConfig.servers && serverConfig.servers.length > 0) {
       return serverConfig.servers[serverConfig.servers.length - 1].url;
     }
@@ -172,11 +402,13 @@ export class ConfytomeConfig {
 
   /**
    * Get array of route file names from the configuration
+   * Glob patterns that load() has not already expanded are expanded here.
+   * Entries with per-file options stay objects with a "path".
    * @param {Object} config - Configuration object from load()
-   * @returns {Array<string>} Array of route file paths
+   * @returns {Array<string|Object>} Array of route file paths
    */
   static getRouteFileNames(config) {
-    return config.routeFiles;
+    return this.expandRouteFiles(config.routeFiles || [], config.exclude);
   }
 
   /**
@@ -185,6 +417,8 @@ export class ConfytomeConfig {
    * @returns {Object} Server configuration (no custom extensions - operation.servers used instead)
    */
   static createModifiedServerConfig(config) {
+    // Read verbatim: ${VAR}s are expanded once, when the generator loads the written copy
+    // (as serverConfigSource, so errors still name config.serverConfig)
     const serverConfig = JSON.parse(fs.readFileSync(config.serverConfig, 'utf8'));
 
     // Return clean server config - server overrides will be applied at operation level
@@ -0,0 +1,324 @@
+/**
+ * Contract Test Runner
+ *
+ * Sends one request per operation in an OpenAPI spec to a running server for
+ * `confytome test`, using the same parameter and request body examples as the
+ * generated curl samples, and checks the status code, response headers and
+ * response body against the spec. Results can be reported as JSON or JUnit XML.
+ */
+
+import { OpenApiProcessor } from './OpenApiProcessor.js';
+import { SchemaValidator } from './schema-validator.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class ContractTester {
+  /**
+   * @param {Object} spec - OpenAPI specification
+   * @param {Object} options - Runner options
+   * @param {string} options.baseUrl - Server base URL (required)
+   * @param {Object} options.headers - Extra headers sent with every request (e.g. Authorization)
+   * @param {Array<string>} options.tags - Only test operations with one of these tags
+   * @param {number} options.timeout - Request timeout in milliseconds (default: 10000)
+   */
+  constructor(spec, options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('A base URL is required to run contract tests');
+    }
+
+    this.spec = spec;
+    this.baseUrl = options.baseUrl.replace(/\/$/, '');
+    this.headers = options.headers || {};
+    this.tags = options.tags || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.processor = new OpenApiProcessor();
+    this.processor.openApiSpec = spec;
+    this.validator = new SchemaValidator(spec);
+  }
+
+  /**
+   * List the operations to test
+   * @returns {Array<Object>} Operations with method, path, operation and merged parameters
+   */
+  getOperations() {
+    const operations = [];
+
+    for (const [path, pathItem] of Object.entries(this.spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+        if (this.tags && !(operation.tags || []).some(tag => this.tags.includes(tag))) continue;
+
+        operations.push({
+          method,
+          path,
+          operation,
+          parameters: this.processor.mergeParameters(pathItem.parameters || [], operation.parameters || [], this.spec)
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Run every contract test
+   * @param {Function} onResult - Called with each result as it completes
+   * @returns {Promise<Object>} Summary with results, counts and duration
+   */
+  async run(onResult = () => {}) {
+    const startTime = Date.now();
+    const results = [];
+
+    for (const entry of this.getOperations()) {
+      const result = await this.testOperation(entry);
+      results.push(result);
+      onResult(result);
+    }
+
+    return {
+      title: this.spec.info?.title || 'API',
+      baseUrl: this.baseUrl,
+      total: results.length,
+      passed: results.filter(result => result.errors.length === 0).length,
+      failed: results.filter(result => result.errors.length > 0).length,
+      durationMs: Date.now() - startTime,
+      results
+    };
+  }
+
+  /**
+   * Build the request for an operation from its documented examples
+   * @param {Object} entry - Operation entry from getOperations()
+   * @returns {Object} { url, init }
+   */
+  buildRequest({ method, path, operation, parameters }) {
+    const resolvedPath = path.replace(/\{([^}]+)\}/g, (match, name) => {
+      const param = parameters.find(p => p.in === 'path' && p.name === name);
+      return param ? encodeURIComponent(this.processor.getParameterExampleValue(param)) : match;
+    });
+
+    const query = new URLSearchParams();
+    parameters
+      .filter(param => param.in === 'query')
+      .forEach(param => query.append(param.name, String(this.processor.getParameterExampleValue(param))));
+
+    const headers = {};
+    parameters
+      .filter(param => param.in === 'header')
+      .forEach(param => {
+        headers[param.name] = String(this.processor.getParameterExampleValue(param));
+      });
+    Object.assign(headers, this.headers);
+
+    let body;
+    const requestBody = operation.requestBody && this.deref(operation.requestBody);
+    const media = requestBody?.content?.['application/json'];
+    if (media && method !== 'get' && method !== 'head') {
+      body = this.processor.getRequestBodyExample({
+        content: { 'application/json': { ...media, schema: media.schema && this.processor.expandSchema(media.schema) } }
+      });
+      if (body) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    const queryString = query.toString();
+    return {
+      url: `${this.baseUrl}${resolvedPath}${queryString ? `?${queryString}` : ''}`,
+      init: { method: method.toUpperCase(), headers, body: body || undefined }
+    };
+  }
+
+  /**
+   * Send the request for one operation and validate the response
+   * @param {Object} entry - Operation entry from getOperations()
+   * @returns {Promise<Object>} Result with errors (empty when the contract holds)
+   */
+  async testOperation(entry) {
+    const name = `${entry.method.toUpperCase()} ${entry.path}`;
+    const { url, init } = this.buildRequest(entry);
+    const startTime = Date.now();
+    const result = {
+      name,
+      method: entry.method.toUpperCase(),
+      path: entry.path,
+      tag: entry.operation.tags?.[0] || 'default',
+      url,
+      status: null,
+      durationMs: 0,
+      errors: []
+    };
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(this.timeout) });
+      text = await response.text();
+    } catch (error) {
+      result.durationMs = Date.now() - startTime;
+      result.errors.push(`Request failed: ${error.cause?.message || error.message}`);
+      return result;
+    }
+
+    result.durationMs = Date.now() - startTime;
+    result.status = response.status;
+    result.errors.push(...this.validateResponse(entry.operation, response, text));
+    return result;
+  }
+
+  /**
+   * Check a response against the operation's documented responses
+   * @param {Object} operation - OpenAPI operation
+   * @param {Response} response - Fetch response
+   * @param {string} text - Response body text
+   * @returns {Array<string>} Contract violations
+   */
+  validateResponse(operation, response, text) {
+    const responses = operation.responses || {};
+    const key = this.findResponseKey(responses, response.status);
+    if (!key) {
+      return [`Undocumented status ${response.status} (documented: ${Object.keys(responses).join(', ') || 'none'})`];
+    }
+
+    const errors = [];
+    const documented = this.deref(responses[key]);
+
+    for (const [headerName, headerObject] of Object.entries(documented.headers || {})) {
+      const header = this.deref(headerObject);
+      const value = response.headers.get(headerName);
+      if (value === null) {
+        if (header.required) {
+          errors.push(`Missing required response header ${headerName}`);
+        }
+        continue;
+      }
+      if (header.schema) {
+        errors.push(...this.validator.validate(header.schema, this.coerceHeader(value, header.schema), `header ${headerName}`, { direction: 'response' }));
+      }
+    }
+
+    const content = documented.content || {};
+    const contentTypes = Object.keys(content);
+    if (contentTypes.length === 0 || !text) {
+      return errors;
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    const mediaType = contentTypes.find(type => type === contentType) ||
+      contentTypes.find(type => type.endsWith('/*') && contentType.startsWith(type.slice(0, -1)));
+    if (!mediaType) {
+      errors.push(`Undocumented content type "${contentType || 'none'}" for ${key} (documented: ${contentTypes.join(', ')})`);
+      return errors;
+    }
+
+    const schema = content[mediaType].schema;
+    if (schema && mediaType.includes('json')) {
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        errors.push(`Response body is not valid JSON: ${error.message}`);
+        return errors;
+      }
+      errors.push(...this.validator.validate(schema, body, 'body', { direction: 'response' }));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find the documented response for a status (exact, range like 4XX, then default)
+   * @param {Object} responses - Operation responses
+   * @param {number} status - Received status
+   * @returns {string|null} Response key
+   */
+  findResponseKey(responses, status) {
+    const code = String(status);
+    const range = `${code[0]}XX`;
+    if (responses[code]) return code;
+    if (responses[range]) return range;
+    if (responses[range.toLowerCase()]) return range.toLowerCase();
+    if (responses.default) return 'default';
+    return null;
+  }
+
+  /**
+   * Convert a header string to the type its schema declares
+   * @param {string} value - Header value
+   * @param {Object} schema - Header schema
+   * @returns {*} Coerced value
+   */
+  coerceHeader(value, schema) {
+    const resolved = this.processor.resolveSchemaRef(schema) || {};
+    if ((resolved.type === 'integer' || resolved.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (resolved.type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    return value;
+  }
+
+  /**
+   * Resolve a $ref'd response, header or request body
+   * @param {Object} object - Possibly referenced object
+   * @returns {Object} Resolved object
+   */
+  deref(object) {
+    let current = object;
+    while (current?.$ref) {
+      current = this.validator.resolveRef(current.$ref);
+    }
+    return current || {};
+  }
+
+  /**
+   * Format a run summary as JSON
+   * @param {Object} summary - Result of run()
+   * @returns {string} JSON report
+   */
+  static toJson(summary) {
+    return JSON.stringify(summary, null, 2);
+  }
+
+  /**
+   * Format a run summary as JUnit XML (one testcase per operation)
+   * @param {Object} summary - Result of run()
+   * @returns {string} JUnit XML report
+   */
+  static toJUnitXml(summary) {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const testcases = summary.results.map(result => {
+      const open = `    <testcase classname="${escapeXml(result.tag)}" name="${escapeXml(result.name)}" time="${seconds(result.durationMs)}"`;
+      if (result.errors.length === 0) {
+        return `${open}/>`;
+      }
+      return `${open}>
+      <failure message="${escapeXml(result.errors[0])}">${escapeXml(`${result.url}\n${result.errors.join('\n')}`)}</failure>
+    </testcase>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="confytome contract tests" tests="${summary.total}" failures="${summary.failed}" time="${seconds(summary.durationMs)}">
+  <testsuite name="${escapeXml(summary.title)}" tests="${summary.total}" failures="${summary.failed}" time="${seconds(summary.durationMs)}">
+${testcases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Local Documentation Server
+ *
+ * Serves the generated output directory over HTTP for `confytome serve`:
+ * an index page linking every artifact, the raw OpenAPI spec (so Swagger UI
+ * can load it by URL) and a Server-Sent Events channel that tells open pages
+ * to reload after the watcher regenerates.
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { OUTPUT_FILES, SERVE_DEFAULTS } from '../constants.js';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.yaml': 'application/yaml; charset=utf-8',
+  '.yml': 'application/yaml; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+const ARTIFACT_LABELS = {
+  [OUTPUT_FILES.OPENAPI_SPEC]: 'OpenAPI specification',
+  [OUTPUT_FILES.HTML_DOCS]: 'HTML documentation',
+  [OUTPUT_FILES.MARKDOWN_DOCS]: 'Markdown documentation',
+  [OUTPUT_FILES.CONFLUENCE_DOCS]: 'Confluence Markdown',
+  'swagger-ui.html': 'Swagger UI',
+  'postman-collection.json': 'Postman collection',
+  'postman-environment.json': 'Postman environment'
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class DocsServer {
+  /**
+   * @param {string} outputDir - Directory with the generated documentation
+   * @param {Object} options - Server options
+   * @param {boolean} options.liveReload - Inject the live reload client into HTML pages (default: true)
+   */
+  constructor(outputDir, options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.liveReload = options.liveReload !== false;
+    this.clients = new Set();
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @param {string} host - Host to bind
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  start(port = SERVE_DEFAULTS.PORT, host = SERVE_DEFAULTS.HOST) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        reject(error.code === 'EADDRINUSE'
+          ? new Error(`Port ${port} is already in use. Pick another one with --port`)
+          : error);
+      });
+
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve(`http://${host}:${address.port}`);
+      });
+    });
+  }
+
+  /**
+   * Tell every connected page to reload
+   */
+  reload() {
+    for (const client of this.clients) {
+      client.write('data: reload\n\n');
+    }
+  }
+
+  /**
+   * Stop the server and disconnect live reload clients
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Route a request to the index page, live reload channel or a static file
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response
+   */
+  handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname === SERVE_DEFAULTS.RELOAD_PATH) {
+      this.openReloadChannel(request, response);
+      return;
+    }
+
+    if (pathname === '/' || pathname === '/index.html') {
+      this.send(response, 200, CONTENT_TYPES['.html'], this.injectReloadClient(this.renderIndex()));
+      return;
+    }
+
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(pathname);
+    } catch {
+      this.send(response, 400, 'text/plain; charset=utf-8', `Malformed URL: ${pathname}`);
+      return;
+    }
+
+    const filePath = this.resolveFile(decodedPath);
+    if (!filePath) {
+      this.send(response, 404, 'text/plain; charset=utf-8', `Not found: ${pathname}`);
+      return;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const contentType = CONTENT_TYPES[extension] || 'application/octet-stream';
+    let body = fs.readFileSync(filePath);
+
+    if (extension === '.html') {
+      body = this.injectReloadClient(body.toString('utf8'));
+    }
+
+    // The raw spec may be loaded by tools running on other origins
+    const headers = path.basename(filePath) === OUTPUT_FILES.OPENAPI_SPEC
+      ? { 'Access-Control-Allow-Origin': '*' }
+      : {};
+
+    this.send(response, 200, contentType, body, headers);
+  }
+
+  /**
+   * Map a URL path onto a file inside the output directory
+   * @param {string} urlPath - Decoded URL path
+   * @returns {string|null} Absolute file path, or null when missing or outside outputDir
+   */
+  resolveFile(urlPath) {
+    const filePath = path.resolve(this.outputDir, `.${urlPath}`);
+    const relative = path.relative(this.outputDir, filePath);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return null;
+    }
+    return filePath;
+  }
+
+  /**
+   * Keep a Server-Sent Events connection open for reload notifications
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response kept open
+   */
+  openReloadChannel(request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    response.write('retry: 1000\n\n');
+
+    this.clients.add(response);
+    request.on('close', () => this.clients.delete(response));
+  }
+
+  /**
+   * Add the live reload client before </body>
+   * @param {string} html - HTML page
+   * @returns {string} HTML with the reload script when live reload is enabled
+   */
+  injectReloadClient(html) {
+    if (!this.liveReload) {
+      return html;
+    }
+
+    const script = `<script>new EventSource('${SERVE_DEFAULTS.RELOAD_PATH}').onmessage = () => location.reload();</script>`;
+    return html.includes('</body>') ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${script}\n</body>`) : `${html}\n${script}`;
+  }
+
+  /**
+   * List the generated artifacts (hidden files excluded)
+   * @returns {Array<Object>} Artifacts with name, label and size
+   */
+  listArtifacts() {
+    if (!fs.existsSync(this.outputDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.outputDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => ({
+        name: entry.name,
+        label: ARTIFACT_LABELS[entry.name] || entry.name,
+        size: fs.statSync(path.join(this.outputDir, entry.name)).size
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Render the index page linking each artifact
+   * @returns {string} HTML page
+   */
+  renderIndex() {
+    const specPath = path.join(this.outputDir, OUTPUT_FILES.OPENAPI_SPEC);
+    let title = 'API Documentation';
+    try {
+      const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+      title = `${spec.info?.title || title} ${spec.info?.version ? `v${spec.info.version}` : ''}`.trim();
+    } catch {
+      // No spec yet (or mid-write) - keep the generic title
+    }
+
+    const artifacts = this.listArtifacts();
+    const items = artifacts.length > 0
+      ? artifacts.map(artifact => `    <li><a href="/${encodeURIComponent(artifact.name)}">${escapeHtml(artifact.label)}</a> <small>${escapeHtml(artifact.name)} · ${(artifact.size / 1024).toFixed(1)} KB</small></li>`).join('\n')
+      : '    <li>No documentation generated yet</li>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 3rem auto; color: #2c3e50; }
+    li { margin: 0.5rem 0; }
+    small { color: #6c757d; margin-left: 0.5rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <ul>
+${items}
+  </ul>
+</body>
+</html>`;
+  }
+
+  /**
+   * Write a complete response
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status code
+   * @param {string} contentType - Content-Type header
+   * @param {string|Buffer} body - Response body
+   * @param {Object} headers - Extra headers
+   */
+  send(response, status, contentType, body, headers = {}) {
+    response.writeHead(status, {
+      'Content-Type': contentType,
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    response.end(body);
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Environment Variable Interpolation
+ *
+ * Expands ${VAR} and ${VAR:-default} in the string values of serverConfig.json
+ * and confytome.json, so CI can stamp versions and staging URLs into the docs:
+ *
+ *   "servers": [{ "url": "${API_URL:-http://localhost:3000}" }],
+ *   "info": { "version": "${npm_package_version}" }
+ *
+ * npm_package_<field> variables fall back to the string fields of the
+ * package.json in the working directory, so they also work outside npm scripts.
+ * $${VAR} is written as a literal ${VAR}. As in the shell, an empty variable
+ * is used as is by ${VAR} and only replaced by the default of ${VAR:-default}.
+ * A default ends at the first "}", so it cannot contain one.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const VARIABLE_PATTERN = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const PACKAGE_PREFIX = 'npm_package_';
+
+/**
+ * Read the string fields of the project's package.json
+ * @param {string} cwd - Project directory
+ * @returns {Object} package.json, or an empty object when there is none
+ */
+function readProjectPackage(cwd) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Expand environment variables in every string of a parsed config
+ * @param {*} value - Parsed JSON value
+ * @param {Object} options - Interpolation options
+ * @param {Object} options.env - Variables (default: process.env)
+ * @param {string} options.cwd - Directory of the package.json for npm_package_* (default: process.cwd())
+ * @param {string} options.source - Config file name (for errors)
+ * @returns {*} Copy with variables expanded
+ */
+export function interpolateEnv(value, options = {}) {
+  const { env = process.env, cwd = process.cwd(), source = 'config' } = options;
+  let projectPackage;
+
+  const lookup = name => {
+    if (env[name] !== undefined) {
+      return env[name];
+    }
+    if (name.startsWith(PACKAGE_PREFIX)) {
+      projectPackage ??= readProjectPackage(cwd);
+      const field = projectPackage[name.slice(PACKAGE_PREFIX.length)];
+      return typeof field === 'string' ? field : undefined;
+    }
+    return undefined;
+  };
+
+  const expand = (text, location) => text.replace(VARIABLE_PATTERN, (match, escaped, name, fallback) => {
+    if (escaped) {
+      return match.slice(1);
+    }
+    const resolved = lookup(name);
+    if (fallback !== undefined && !resolved) {
+      return fallback;
+    }
+    if (resolved !== undefined) {
+      return resolved;
+    }
+    throw new Error(`Environment variable ${name} is not set (${source}: ${location || 'root'}); set it or use \${${name}:-default}`);
+  });
+
+  const walk = (node, location) => {
+    if (typeof node === 'string') {
+      return expand(node, location);
+    }
+    if (Array.isArray(node)) {
+      return node.map((item, index) => walk(item, `${location}[${index}]`));
+    }
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, item]) => [key, walk(item, location ? `${location}.${key}` : key)]));
+    }
+    return node;
+  };
+
+  return walk(value, '');
+}
+
+/**
+ * Read a JSON config file and expand its environment variables
+ * JSON syntax errors are thrown as the original SyntaxError.
+ * @param {string} configPath - serverConfig.json or confytome.json
+ * @param {string} source - File named in errors, when configPath is a copy of it (default: configPath)
+ * @returns {Object} Parsed configuration
+ */
+export function readConfigFile(configPath, source = configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return interpolateEnv(config, { source });
+}
@@ -8,6 +8,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { SimpleErrorHandler } from './error-handler-simple.js';
+import { readConfigFile } from './env-interpolation.js';
 import { OUTPUT_FILES, DEFAULT_OUTPUT_DIR } from '../constants.js';
 
 export class FileManager {
@@ -28,22 +29,23 @@ export class FileManager {
 
   /**
    * Read and validate server configuration
+   * ${VAR} and ${VAR:-default} in its values are expanded from the environment.
    * @param {string} configPath - Path to server config file
    * @param {string} generator - Generator name for error context
+   * @param {string} source - File to name in messages when configPath is a temporary copy of it
    * @returns {Object} Parsed and validated configuration
    */
-  static loadServerConfig(configPath, generator) {
+  static loadServerConfig(configPath, generator, source = configPath) {
     try {
       // Normalize path for cross-platform compatibility
       const normalizedPath = path.normalize(configPath);
-      console.log(`📁 Server config loaded from: ${normalizedPath}`);
+      console.log(`📁 Server config loaded from: ${path.normalize(source)}`);
 
       if (!fs.existsSync(normalizedPath)) {
         throw new Error(`Config file not found: ${configPath}`);
       }
 
-      const configContent = fs.readFileSync(normalizedPath, 'utf8');
-      const config = JSON.parse(configContent);
+      const config = readConfigFile(normalizedPath, source);
 
       // Basic validation
       this.validateServerConfig(config, normalizedPath, generator);
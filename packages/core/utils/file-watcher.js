@@ -0,0 +1,207 @@
+/**
+ * File Watcher Utility
+ *
+ * Debounced file watching for the --watch modes. Parent directories are
+ * watched instead of the files themselves so editors that save by writing a
+ * temporary file and renaming it over the original are still picked up.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export const DEFAULT_DEBOUNCE_MS = 200;
+
+export class FileWatcher {
+  /**
+   * @param {Function} onChange - Async callback receiving the absolute paths that changed
+   * @param {Object} options - Watcher options
+   * @param {number} options.debounceMs - Quiet period before onChange runs (default: 200)
+   */
+  constructor(onChange, options = {}) {
+    this.onChange = onChange;
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.targets = new Map();
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.running = false;
+    this.closed = false;
+  }
+
+  /**
+   * Replace the set of watched paths
+   * Files are matched by name inside their directory; directories match any file below them.
+   * @param {Array<string>} paths - Files or directories to watch
+   */
+  setPaths(paths) {
+    const targets = new Map();
+
+    for (const filePath of paths.filter(Boolean)) {
+      const absolutePath = path.resolve(filePath);
+      const isDirectory = fs.existsSync(absolutePath) && fs.statSync(absolutePath).isDirectory();
+      const watchDir = isDirectory ? absolutePath : path.dirname(absolutePath);
+
+      if (!targets.has(watchDir)) {
+        targets.set(watchDir, { files: new Set(), wholeDir: false });
+      }
+
+      const target = targets.get(watchDir);
+      if (isDirectory) {
+        target.wholeDir = true;
+      } else {
+        target.files.add(absolutePath);
+      }
+    }
+
+    // Close watchers for directories that are no longer needed
+    for (const [dir, watcher] of this.watchers) {
+      if (!targets.has(dir)) {
+        watcher.close();
+        this.watchers.delete(dir);
+      }
+    }
+
+    this.targets = targets;
+
+    for (const dir of targets.keys()) {
+      if (!this.watchers.has(dir)) {
+        this.watchDirectory(dir);
+      }
+    }
+  }
+
+  /**
+   * Start watching a single directory
+   * @param {string} dir - Absolute directory path
+   */
+  watchDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      console.warn(`⚠️  Cannot watch missing directory: ${dir}`);
+      return;
+    }
+
+    const watcher = fs.watch(dir, (_eventType, filename) => {
+      const target = this.targets.get(dir);
+      if (!target || !filename) {
+        return;
+      }
+
+      const changedPath = path.join(dir, filename.toString());
+      if (target.wholeDir || target.files.has(changedPath)) {
+        this.queue(changedPath);
+      }
+    });
+
+    watcher.on('error', (error) => {
+      console.warn(`⚠️  Stopped watching ${dir}: ${error.message}`);
+      watcher.close();
+      this.watchers.delete(dir);
+    });
+
+    this.watchers.set(dir, watcher);
+  }
+
+  /**
+   * Record a change and (re)start the debounce timer
+   * @param {string} changedPath - Absolute path of the changed file
+   */
+  queue(changedPath) {
+    if (this.closed) {
+      return;
+    }
+
+    this.pending.add(changedPath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Run onChange with every change collected since the last run
+   * Changes arriving while onChange is running are batched into the next run.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.running || this.closed) {
+      return;
+    }
+
+    this.running = true;
+    const changedPaths = [...this.pending];
+    this.pending.clear();
+
+    try {
+      await this.onChange(changedPaths);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    } finally {
+      this.running = false;
+      if (this.pending.size > 0 && !this.closed) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounceMs);
+      }
+    }
+  }
+
+  /**
+   * Get every file and directory currently watched
+   * @returns {Array<string>} Absolute paths
+   */
+  getWatchedPaths() {
+    const watched = [];
+    for (const [dir, target] of this.targets) {
+      if (target.wholeDir) {
+        watched.push(dir);
+      }
+      watched.push(...target.files);
+    }
+    return watched;
+  }
+
+  /**
+   * Stop watching and cancel any pending run
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+
+  /**
+   * Close the watcher on Ctrl+C so the process exits cleanly
+   * @param {FileWatcher} watcher - Watcher to close
+   */
+  static closeOnExit(watcher) {
+    process.once('SIGINT', () => {
+      watcher.close();
+      console.log('\n👋 Stopped watching');
+      process.exit(0);
+    });
+  }
+
+  /**
+   * Hash a file's contents so unchanged outputs can be detected
+   * @param {string} filePath - File to hash
+   * @returns {string|null} SHA-1 hex digest, or null when the file does not exist
+   */
+  static contentHash(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  /**
+   * Check whether a path is inside a directory
+   * @param {string} filePath - Path to check
+   * @param {string} dir - Directory
+   * @returns {boolean} True if filePath is dir or below it
+   */
+  static isInside(filePath, dir) {
+    const relative = path.relative(path.resolve(dir), path.resolve(filePath));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+}
@@ -1,8 +1,24 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { readConfig } from './config-loader.js';
+
+// The CLI of this package, so the spec is built by the same version (npx may resolve another one)
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
 
 export async function generateOpenApiSpec(configPath, files, outputDir) {
+  // A confytome config (JSON, YAML, JS or package.json) lists its own route files
+  let config = null;
+  let configError = null;
+  if (configPath && fs.existsSync(configPath)) {
+    try {
+      ({ config } = await readConfig(configPath));
+    } catch (error) {
+      configError = error;
+    }
+  }
+
   return new Promise((resolve, reject) => {
     const absoluteOutputDir = path.resolve(outputDir);
     const specPath = path.join(absoluteOutputDir, 'api-spec.json');
@@ -13,19 +29,17 @@ export async function generateOpenApiSpec(configPath, files, outputDir) {
 
     let args;
 
-    if (configPath && fs.existsSync(configPath)) {
-      try {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        if (config.serverConfig && config.routeFiles) {
-          args = ['generate', '--config', configPath, '--output', absoluteOutputDir];
-          console.log(`📖 Running: npx @confytome/core ${args.join(' ')}`);
-        } else {
-          args = ['openapi', '-c', configPath, '-f', ...(files || []), '-o', absoluteOutputDir];
-          console.log(`📖 Running: npx @confytome/core ${args.join(' ')}`);
-        }
-      } catch (error) {
-        reject(new Error(`Invalid config file: ${error.message}`));
-        return;
+    if (configError) {
+      reject(new Error(`Invalid config file: ${configError.message}`));
+      return;
+    } else if (config) {
+      if (config.serverConfig && config.routeFiles) {
+        // Only the spec: the standalone generator renders its own format from it
+        args = ['generate', '--config', configPath, '--output', absoluteOutputDir, '--spec-only'];
+        console.log(`📖 Running: confytome ${args.join(' ')}`);
+      } else {
+        args = ['openapi', '-c', configPath, '-f', ...(files || []), '-o', absoluteOutputDir];
+        console.log(`📖 Running: confytome ${args.join(' ')}`);
       }
     } else if (files && files.length > 0) {
       reject(new Error('Config file is required when providing JSDoc files'));
@@ -35,9 +49,8 @@ export async function generateOpenApiSpec(configPath, files, outputDir) {
       return;
     }
 
-    const child = spawn('npx', ['@confytome/core', ...args], {
-      stdio: 'inherit',
-      shell: true
+    const child = spawn(process.execPath, [CLI_PATH, ...args], {
+      stdio: 'inherit'
     });
 
     child.on('close', (code) => {
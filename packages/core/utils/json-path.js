@@ -0,0 +1,381 @@
+/**
+ * JSONPath Queries
+ *
+ * A JSONPath (RFC 9535) evaluator for the targets of OpenAPI Overlay actions.
+ * Supports names ($.info, $['x-tag']), wildcards, indexes and slices,
+ * descendants ($..description), unions and filters with comparisons and
+ * logic ($.paths.*[?@.tags[0] == 'Internal' && !@.deprecated]).
+ * Function extensions such as length() are not supported.
+ *
+ * Results carry their parent and key so callers can update or remove them.
+ */
+
+/**
+ * Parse error with the position in the expression
+ * @param {string} expression - JSONPath expression
+ * @param {number} index - Position of the problem
+ * @param {string} message - What was expected
+ * @returns {Error} Error to throw
+ */
+function syntaxError(expression, index, message) {
+  return new Error(`Invalid JSONPath "${expression}" at position ${index}: ${message}`);
+}
+
+/**
+ * Recursive descent parser producing a list of segments
+ */
+class JsonPathParser {
+  constructor(expression) {
+    this.expression = expression;
+    this.index = 0;
+  }
+
+  peek(text) {
+    return this.expression.startsWith(text, this.index);
+  }
+
+  skipSpaces() {
+    while (/\s/.test(this.expression[this.index] || '')) {
+      this.index++;
+    }
+  }
+
+  expect(text) {
+    this.skipSpaces();
+    if (!this.peek(text)) {
+      throw syntaxError(this.expression, this.index, `expected "${text}"`);
+    }
+    this.index += text.length;
+  }
+
+  /**
+   * Parse a query: "$" or "@" followed by segments
+   * @param {string} rootChar - "$" or "@"
+   * @param {boolean} nested - True inside a filter (stops at operators)
+   * @returns {{root: string, segments: Array<Object>}} Parsed query
+   */
+  parseQuery(rootChar, nested = false) {
+    this.expect(rootChar);
+    const segments = [];
+
+    while (this.index < this.expression.length) {
+      if (this.peek('..')) {
+        this.index += 2;
+        const selectors = this.peek('[') ? this.parseBracket() : [this.parseShorthand()];
+        segments.push({ descendant: true, selectors });
+      } else if (this.peek('.')) {
+        this.index++;
+        segments.push({ descendant: false, selectors: [this.parseShorthand()] });
+      } else if (this.peek('[')) {
+        segments.push({ descendant: false, selectors: this.parseBracket() });
+      } else if (nested) {
+        break;
+      } else {
+        throw syntaxError(this.expression, this.index, 'expected ".", ".." or "["');
+      }
+    }
+    return { root: rootChar, segments };
+  }
+
+  parseShorthand() {
+    if (this.peek('*')) {
+      this.index++;
+      return { type: 'wildcard' };
+    }
+    const match = this.expression.slice(this.index).match(/^[A-Za-z_$][\w$-]*/);
+    if (!match) {
+      throw syntaxError(this.expression, this.index, 'expected a member name or "*"');
+    }
+    this.index += match[0].length;
+    return { type: 'name', name: match[0] };
+  }
+
+  parseBracket() {
+    this.expect('[');
+    const selectors = [];
+    do {
+      this.skipSpaces();
+      selectors.push(this.parseSelector());
+      this.skipSpaces();
+    } while (this.peek(',') && ++this.index);
+    this.expect(']');
+    return selectors;
+  }
+
+  parseSelector() {
+    if (this.peek('\'') || this.peek('"')) {
+      return { type: 'name', name: this.parseString() };
+    }
+    if (this.peek('*')) {
+      this.index++;
+      return { type: 'wildcard' };
+    }
+    if (this.peek('?')) {
+      this.index++;
+      return { type: 'filter', expression: this.parseOr() };
+    }
+
+    const match = this.expression.slice(this.index).match(/^(-?\d+)?\s*(:\s*(-?\d+)?\s*(:\s*(-?\d+)?)?)?/);
+    if (!match || match[0].trim() === '') {
+      throw syntaxError(this.expression, this.index, 'expected a name, index, slice, "*" or filter');
+    }
+    this.index += match[0].length;
+    if (match[2] === undefined) {
+      return { type: 'index', index: Number(match[1]) };
+    }
+    return {
+      type: 'slice',
+      start: match[1] === undefined ? undefined : Number(match[1]),
+      end: match[3] === undefined ? undefined : Number(match[3]),
+      step: match[5] === undefined ? 1 : Number(match[5])
+    };
+  }
+
+  parseString() {
+    const quote = this.expression[this.index];
+    let value = '';
+    this.index++;
+    while (this.index < this.expression.length && this.expression[this.index] !== quote) {
+      if (this.expression[this.index] === '\\') {
+        this.index++;
+      }
+      value += this.expression[this.index++];
+    }
+    if (this.expression[this.index] !== quote) {
+      throw syntaxError(this.expression, this.index, 'unterminated string');
+    }
+    this.index++;
+    return value;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    this.skipSpaces();
+    while (this.peek('||')) {
+      this.index += 2;
+      left = { type: 'or', left, right: this.parseAnd() };
+      this.skipSpaces();
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    this.skipSpaces();
+    while (this.peek('&&')) {
+      this.index += 2;
+      left = { type: 'and', left, right: this.parseUnary() };
+      this.skipSpaces();
+    }
+    return left;
+  }
+
+  parseUnary() {
+    this.skipSpaces();
+    if (this.peek('!') && !this.peek('!=')) {
+      this.index++;
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    if (this.peek('(')) {
+      this.index++;
+      const inner = this.parseOr();
+      this.expect(')');
+      return inner;
+    }
+
+    const left = this.parseOperand();
+    this.skipSpaces();
+    const operator = ['==', '!=', '<=', '>=', '<', '>'].find(candidate => this.peek(candidate));
+    if (!operator) {
+      if (left.type !== 'query') {
+        throw syntaxError(this.expression, this.index, 'expected a comparison operator');
+      }
+      return { type: 'exists', query: left.query };
+    }
+    this.index += operator.length;
+    return { type: 'compare', operator, left, right: this.parseOperand() };
+  }
+
+  parseOperand() {
+    this.skipSpaces();
+    if (this.peek('@') || this.peek('$')) {
+      return { type: 'query', query: this.parseQuery(this.expression[this.index], true) };
+    }
+    if (this.peek('\'') || this.peek('"')) {
+      return { type: 'literal', value: this.parseString() };
+    }
+    const match = this.expression.slice(this.index).match(/^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)/);
+    if (!match) {
+      throw syntaxError(this.expression, this.index, 'expected a query or a literal');
+    }
+    this.index += match[0].length;
+    return { type: 'literal', value: JSON.parse(match[0]) };
+  }
+}
+
+/**
+ * Parse a JSONPath expression
+ * @param {string} expression - Expression starting with "$"
+ * @returns {Object} Parsed query
+ */
+export function parseJsonPath(expression) {
+  const parser = new JsonPathParser(expression.trim());
+  const query = parser.parseQuery('$');
+  parser.skipSpaces();
+  if (parser.index < parser.expression.length) {
+    throw syntaxError(expression, parser.index, 'unexpected characters');
+  }
+  return query;
+}
+
+/**
+ * Child nodes of a node
+ * @param {Object} node - {value, parent, key}
+ * @returns {Array<Object>} Children in document order
+ */
+function children(node) {
+  if (Array.isArray(node.value)) {
+    return node.value.map((value, key) => ({ value, parent: node.value, key }));
+  }
+  if (node.value && typeof node.value === 'object') {
+    return Object.entries(node.value).map(([key, value]) => ({ value, parent: node.value, key }));
+  }
+  return [];
+}
+
+/**
+ * A node and all nodes below it
+ * @param {Object} node - Start node
+ * @returns {Array<Object>} Nodes in document order
+ */
+function descendants(node) {
+  return [node, ...children(node).flatMap(descendants)];
+}
+
+/**
+ * Compare two filter values
+ * @param {*} left - Left value (undefined when a query found nothing)
+ * @param {string} operator - Comparison operator
+ * @param {*} right - Right value
+ * @returns {boolean} Result
+ */
+function compare(left, operator, right) {
+  const equal = JSON.stringify(left) === JSON.stringify(right);
+  switch (operator) {
+  case '==':
+    return equal;
+  case '!=':
+    return !equal;
+  default: {
+    const comparable = (typeof left === 'number' && typeof right === 'number') || (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) {
+      return (operator === '<=' || operator === '>=') && equal;
+    }
+    return { '<': left < right, '<=': left <= right, '>': left > right, '>=': left >= right }[operator];
+  }
+  }
+}
+
+/**
+ * Evaluate a filter expression for one candidate node
+ * @param {Object} expression - Parsed filter expression
+ * @param {Object} current - Candidate ("@")
+ * @param {Object} root - Document root ("$")
+ * @returns {boolean} True when the candidate matches
+ */
+function evaluateFilter(expression, current, root) {
+  const run = query => evaluate(query, query.root === '@' ? current : root, root);
+  const valueOf = operand => {
+    if (operand.type === 'literal') {
+      return operand.value;
+    }
+    const nodes = run(operand.query);
+    return nodes.length === 1 ? nodes[0].value : undefined;
+  };
+
+  switch (expression.type) {
+  case 'or':
+    return evaluateFilter(expression.left, current, root) || evaluateFilter(expression.right, current, root);
+  case 'and':
+    return evaluateFilter(expression.left, current, root) && evaluateFilter(expression.right, current, root);
+  case 'not':
+    return !evaluateFilter(expression.operand, current, root);
+  case 'exists':
+    return run(expression.query).length > 0;
+  default:
+    return compare(valueOf(expression.left), expression.operator, valueOf(expression.right));
+  }
+}
+
+/**
+ * Apply one selector to a node
+ * @param {Object} selector - Parsed selector
+ * @param {Object} node - Node to select from
+ * @param {Object} root - Document root
+ * @returns {Array<Object>} Selected nodes
+ */
+function select(selector, node, root) {
+  const { value } = node;
+  switch (selector.type) {
+  case 'name':
+    return value && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, selector.name)
+      ? [{ value: value[selector.name], parent: value, key: selector.name }]
+      : [];
+  case 'wildcard':
+    return children(node);
+  case 'index': {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+    const index = selector.index < 0 ? value.length + selector.index : selector.index;
+    return index >= 0 && index < value.length ? [{ value: value[index], parent: value, key: index }] : [];
+  }
+  case 'slice': {
+    if (!Array.isArray(value) || selector.step === 0) {
+      return [];
+    }
+    const { length } = value;
+    const normalize = (index, fallback) => index === undefined ? fallback : index < 0 ? Math.max(length + index, -1) : Math.min(index, length);
+    const selected = [];
+    if (selector.step > 0) {
+      for (let index = Math.max(normalize(selector.start, 0), 0); index < normalize(selector.end, length); index += selector.step) {
+        selected.push({ value: value[index], parent: value, key: index });
+      }
+    } else {
+      for (let index = Math.min(normalize(selector.start, length - 1), length - 1); index > normalize(selector.end, -1); index += selector.step) {
+        selected.push({ value: value[index], parent: value, key: index });
+      }
+    }
+    return selected;
+  }
+  default:
+    return children(node).filter(child => evaluateFilter(selector.expression, child, root));
+  }
+}
+
+/**
+ * Evaluate a parsed query
+ * @param {Object} query - Parsed query
+ * @param {Object} start - Node the query starts at
+ * @param {Object} root - Document root
+ * @returns {Array<Object>} Matching nodes
+ */
+function evaluate(query, start, root) {
+  let nodes = [start];
+  for (const segment of query.segments) {
+    const bases = segment.descendant ? nodes.flatMap(descendants) : nodes;
+    nodes = bases.flatMap(node => segment.selectors.flatMap(selector => select(selector, node, root)));
+  }
+  return nodes;
+}
+
+/**
+ * Find the nodes a JSONPath expression selects
+ * @param {Object} document - JSON document
+ * @param {string} expression - JSONPath expression such as "$.paths['/users'].get"
+ * @returns {Array<{value: *, parent: Object|Array|null, key: string|number|null}>} Matching nodes
+ */
+export function queryJsonPath(document, expression) {
+  const root = { value: document, parent: null, key: null };
+  return evaluate(parseJsonPath(expression), root, root);
+}
@@ -0,0 +1,224 @@
+/**
+ * JSON Source Map
+ *
+ * Maps JSON pointers to line and column positions in a JSON document so
+ * findings about the parsed object (lint problems, schema errors) can point
+ * at the exact place in the file. YamlSourceMap does the same for YAML specs.
+ */
+
+// A line of block-style YAML: indentation, "- " sequence item markers and an optional mapping key
+const YAML_LINE_PATTERN = /^([ \t]*)((?:-(?:[ \t]+|$))*)(?:("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[-][^#]*?)[ \t]*:(?:[ \t]|$))?/;
+
+/**
+ * Encode a path of keys as a JSON pointer
+ * @param {Array<string|number>} path - Keys from the document root
+ * @returns {string} JSON pointer ("" for the root)
+ */
+export function toJsonPointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Decode a JSON pointer into a path of keys
+ * @param {string} pointer - JSON pointer, optionally prefixed with "#"
+ * @returns {Array<string>} Keys from the document root
+ */
+export function fromJsonPointer(pointer) {
+  const normalized = pointer.startsWith('#') ? pointer.slice(1) : pointer;
+  if (!normalized) {
+    return [];
+  }
+  return normalized.slice(1).split('/').map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+export class JsonSourceMap {
+  /**
+   * @param {string} text - JSON document
+   */
+  constructor(text) {
+    this.text = text;
+    this.offsets = new Map();
+    this.lineStarts = [0];
+    this.index = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') {
+        this.lineStarts.push(i + 1);
+      }
+    }
+
+    try {
+      this.parse();
+    } catch {
+      // Invalid JSON - every lookup falls back to the start of the file
+      this.offsets.clear();
+    }
+  }
+
+  parse() {
+    this.parseValue('');
+  }
+
+  /**
+   * Find the position of a value (object members point at their key)
+   * Missing paths fall back to their closest existing ancestor.
+   * @param {Array<string|number>} path - Keys from the document root
+   * @returns {{line: number, column: number}} 1-based position
+   */
+  locate(path = []) {
+    for (let length = path.length; length >= 0; length--) {
+      const offset = this.offsets.get(toJsonPointer(path.slice(0, length)));
+      if (offset !== undefined) {
+        return this.toPosition(offset);
+      }
+    }
+    return { line: 1, column: 1 };
+  }
+
+  toPosition(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  skipWhitespace() {
+    while (/\s/.test(this.text[this.index] || '')) {
+      this.index++;
+    }
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.text[this.index] !== char) {
+      throw new Error(`Expected "${char}" at offset ${this.index}`);
+    }
+    this.index++;
+  }
+
+  parseValue(pointer) {
+    this.skipWhitespace();
+    if (!this.offsets.has(pointer)) {
+      this.offsets.set(pointer, this.index);
+    }
+
+    const char = this.text[this.index];
+    if (char === '{') {
+      this.parseObject(pointer);
+    } else if (char === '[') {
+      this.parseArray(pointer);
+    } else if (char === '"') {
+      this.parseString();
+    } else {
+      const match = /^[^\s,\]}]+/.exec(this.text.slice(this.index, this.index + 64));
+      if (!match) {
+        throw new Error(`Unexpected token at offset ${this.index}`);
+      }
+      this.index += match[0].length;
+    }
+  }
+
+  parseObject(pointer) {
+    this.expect('{');
+    this.skipWhitespace();
+    if (this.text[this.index] === '}') {
+      this.index++;
+      return;
+    }
+
+    for (;;) {
+      this.skipWhitespace();
+      const keyOffset = this.index;
+      const childPointer = `${pointer}${toJsonPointer([this.parseString()])}`;
+      this.offsets.set(childPointer, keyOffset);
+      this.expect(':');
+      this.parseValue(childPointer);
+      this.skipWhitespace();
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      this.expect('}');
+      return;
+    }
+  }
+
+  parseArray(pointer) {
+    this.expect('[');
+    this.skipWhitespace();
+    if (this.text[this.index] === ']') {
+      this.index++;
+      return;
+    }
+
+    for (let item = 0; ; item++) {
+      this.parseValue(`${pointer}/${item}`);
+      this.skipWhitespace();
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      this.expect(']');
+      return;
+    }
+  }
+
+  parseString() {
+    const start = this.index;
+    this.expect('"');
+    while (this.index < this.text.length && this.text[this.index] !== '"') {
+      this.index += this.text[this.index] === '\\' ? 2 : 1;
+    }
+    this.index++;
+    return JSON.parse(this.text.slice(start, this.index));
+  }
+}
+
+export class YamlSourceMap extends JsonSourceMap {
+  /**
+   * Record the position of every block-style key and sequence item from its indentation
+   * Values written in flow style ({...}, [...]) fall back to their key.
+   */
+  parse() {
+    const stack = [];
+    const itemCounts = new Map();
+    let offset = 0;
+
+    const enter = (column, key) => {
+      while (stack.length > 0 && stack[stack.length - 1].column >= column) {
+        stack.pop();
+      }
+      if (key === undefined) {
+        const parent = toJsonPointer(stack.map(entry => entry.key));
+        key = itemCounts.get(parent) || 0;
+        itemCounts.set(parent, key + 1);
+      }
+      stack.push({ column, key });
+
+      const pointer = toJsonPointer(stack.map(entry => entry.key));
+      if (!this.offsets.has(pointer)) {
+        this.offsets.set(pointer, offset + column);
+      }
+    };
+
+    for (const line of this.text.split('\n')) {
+      const [, indent, items, key] = line.match(YAML_LINE_PATTERN);
+      let column = indent.length;
+      for (const item of items.match(/-[ \t]*/g) || []) {
+        enter(column, undefined);
+        column += item.length;
+      }
+      if (key) {
+        enter(column, key.startsWith('"') ? JSON.parse(key) : key.replace(/^'(.*)'$/, '$1').replace(/''/g, '\''));
+      }
+      offset += line.length + 1;
+    }
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Built-in Lint Rules
+ *
+ * Rules used by `confytome lint`. Each rule has a name, a default severity
+ * ('error', 'warn' or 'off'), a description and a check(context) function
+ * that calls context.report({ path, message }) for every problem. Custom
+ * rules loaded from confytome.json use the same shape.
+ */
+
+import SwaggerParser from '@apidevtools/swagger-parser';
+import { fromJsonPointer } from './json-source-map.js';
+
+const COMPONENT_TYPES = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'links', 'callbacks', 'pathItems'];
+const MAX_EXAMPLE_DEPTH = 10;
+
+/**
+ * Turn an Ajv error into a readable message
+ * @param {Object} error - Ajv error object
+ * @returns {string} Message
+ */
+function describeSchemaError(error) {
+  if (error.keyword === 'additionalProperties' || error.keyword === 'unevaluatedProperties') {
+    return `unexpected property "${error.params.additionalProperty ?? error.params.unevaluatedProperty}"`;
+  }
+  if (error.keyword === 'required') {
+    return `missing required property "${error.params.missingProperty}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${error.message}: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+  return error.message;
+}
+
+/**
+ * Check whether Ajv reported an error for a branch the document did not take
+ * The OpenAPI schemas allow most objects to be a Reference instead, so every
+ * mistake also reports the unmatched "$ref" branch and the failed oneOf.
+ * @param {Object} error - Ajv error object
+ * @returns {boolean} True for noise that hides the real error
+ */
+function isAlternativeBranchError(error) {
+  return error.keyword === 'oneOf' ||
+    error.keyword === 'anyOf' ||
+    error.keyword === 'if' ||
+    (error.keyword === 'required' && error.params.missingProperty === '$ref');
+}
+
+/**
+ * Check whether a schema, or every property of it, carries an example
+ * @param {Object} schema - OpenAPI schema
+ * @param {Object} context - Rule context (for $ref resolution)
+ * @param {number} depth - Recursion depth
+ * @returns {boolean} True when an example can be shown without guessing
+ */
+function hasSchemaExample(schema, context, depth = 0) {
+  const resolved = context.deref(schema);
+  if (!resolved || depth > MAX_EXAMPLE_DEPTH) {
+    return false;
+  }
+  if (resolved.example !== undefined || resolved.examples !== undefined || resolved.default !== undefined) {
+    return true;
+  }
+  if (resolved.properties && Object.keys(resolved.properties).length > 0) {
+    return Object.values(resolved.properties).every(property => hasSchemaExample(property, context, depth + 1));
+  }
+  if (resolved.items) {
+    return hasSchemaExample(resolved.items, context, depth + 1);
+  }
+  return Array.isArray(resolved.enum);
+}
+
+/**
+ * Percent-decode a $ref, keeping it as written when its escapes are malformed
+ * @param {string} ref - $ref value
+ * @returns {string} Decoded reference
+ */
+function decodeRef(ref) {
+  try {
+    return decodeURIComponent(ref);
+  } catch {
+    return ref;
+  }
+}
+
+/**
+ * Collect every local $ref target in the spec
+ * @param {*} node - Current node
+ * @param {Set<string>} refs - Collected references
+ * @returns {Set<string>} References such as "#/components/schemas/User"
+ */
+function collectRefs(node, refs = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectRefs(item, refs));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        refs.add(decodeRef(value));
+      } else {
+        collectRefs(value, refs);
+      }
+    }
+  }
+  return refs;
+}
+
+export const BUILTIN_RULES = [
+  {
+    name: 'openapi-schema',
+    severity: 'error',
+    description: 'The document is valid against the OpenAPI 3.0/3.1 JSON Schema',
+    async check(context) {
+      try {
+        await SwaggerParser.validate(structuredClone(context.spec), {
+          resolve: { external: false },
+          validate: { spec: false }
+        });
+      } catch (error) {
+        if (!Array.isArray(error.details)) {
+          context.report({ path: [], message: error.message });
+          return;
+        }
+
+        const seen = new Set();
+        for (const detail of error.details.filter(item => !isAlternativeBranchError(item))) {
+          const message = describeSchemaError(detail);
+          const key = `${detail.instancePath} ${message}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            context.report({ path: fromJsonPointer(detail.instancePath), message });
+          }
+        }
+      }
+    }
+  },
+  {
+    name: 'operation-tags',
+    severity: 'error',
+    description: 'Every operation has at least one tag (generators group operations by their first tag)',
+    check(context) {
+      for (const { label, path, operation } of context.operations()) {
+        if (!Array.isArray(operation.tags) || operation.tags.length === 0) {
+          context.report({ path, message: `${label} has no tags` });
+        }
+      }
+    }
+  },
+  {
+    name: 'operation-operationId',
+    severity: 'warn',
+    description: 'Every operation has a unique operationId',
+    check(context) {
+      const seen = new Map();
+      for (const { label, path, operation } of context.operations()) {
+        if (!operation.operationId) {
+          context.report({ path, message: `${label} has no operationId` });
+        } else if (seen.has(operation.operationId)) {
+          context.report({
+            path: [...path, 'operationId'],
+            message: `${label} reuses operationId "${operation.operationId}" from ${seen.get(operation.operationId)}`
+          });
+        } else {
+          seen.set(operation.operationId, label);
+        }
+      }
+    }
+  },
+  {
+    name: 'no-unused-components',
+    severity: 'warn',
+    description: 'Every reusable component is referenced somewhere',
+    check(context) {
+      const components = context.spec.components || {};
+      const refs = collectRefs({ ...context.spec, components: undefined });
+      // References between components count, so only the top of an unused tree is reported
+      for (const type of COMPONENT_TYPES) {
+        for (const [name, value] of Object.entries(components[type] || {})) {
+          const nested = collectRefs(value);
+          nested.delete(`#/components/${type}/${name}`);
+          nested.forEach(ref => refs.add(ref));
+        }
+      }
+
+      for (const type of COMPONENT_TYPES) {
+        for (const name of Object.keys(components[type] || {})) {
+          if (!refs.has(`#/components/${type}/${name}`)) {
+            context.report({ path: ['components', type, name], message: `components.${type}.${name} is never referenced` });
+          }
+        }
+      }
+
+      const usedSchemes = new Set();
+      const addRequirements = requirements => (requirements || []).forEach(requirement => {
+        Object.keys(requirement).forEach(name => usedSchemes.add(name));
+      });
+      addRequirements(context.spec.security);
+      context.operations().forEach(({ operation }) => addRequirements(operation.security));
+
+      for (const name of Object.keys(components.securitySchemes || {})) {
+        if (!usedSchemes.has(name)) {
+          context.report({
+            path: ['components', 'securitySchemes', name],
+            message: `Security scheme "${name}" is not used by any security requirement`
+          });
+        }
+      }
+    }
+  },
+  {
+    name: 'operation-error-responses',
+    severity: 'warn',
+    description: 'Every operation documents at least one error response (4XX, 5XX or default)',
+    check(context) {
+      for (const { label, path, operation } of context.operations()) {
+        const codes = Object.keys(operation.responses || {});
+        if (!codes.some(code => code === 'default' || /^[45]/.test(code))) {
+          context.report({ path: [...path, 'responses'], message: `${label} documents no error responses` });
+        }
+      }
+    }
+  },
+  {
+    name: 'operation-examples',
+    severity: 'warn',
+    description: 'Parameters, request bodies and JSON responses have examples',
+    check(context) {
+      for (const { label, path, operation, parameters } of context.operations()) {
+        parameters.forEach(({ parameter, path: parameterPath }) => {
+          if (parameter.example === undefined && parameter.examples === undefined && !hasSchemaExample(parameter.schema, context)) {
+            context.report({ path: parameterPath, message: `${label} parameter "${parameter.name}" has no example` });
+          }
+        });
+
+        const mediaTypes = [];
+        const requestBody = context.deref(operation.requestBody);
+        for (const [type, media] of Object.entries(requestBody?.content || {})) {
+          mediaTypes.push({ type, media, path: [...path, 'requestBody', 'content', type], what: 'request body' });
+        }
+        for (const [code, response] of Object.entries(operation.responses || {})) {
+          for (const [type, media] of Object.entries(context.deref(response)?.content || {})) {
+            mediaTypes.push({ type, media, path: [...path, 'responses', code, 'content', type], what: `${code} response` });
+          }
+        }
+
+        for (const { type, media, path: mediaPath, what } of mediaTypes) {
+          if (!type.includes('json') || !media) continue;
+          if (media.example === undefined && media.examples === undefined && !hasSchemaExample(media.schema, context)) {
+            context.report({ path: mediaPath, message: `${label} ${what} (${type}) has no example` });
+          }
+        }
+      }
+    }
+  }
+];
@@ -0,0 +1,456 @@
+/**
+ * Mock API Server
+ *
+ * Answers every operation in an OpenAPI spec for `confytome mock`. Responses
+ * use the declared examples, falling back to examples generated from the
+ * response schema. Clients pick a response with the Prefer header
+ * (`Prefer: code=404`, `Prefer: example=notFound`) and request bodies are
+ * validated against their schemas.
+ */
+
+import http from 'node:http';
+import { OpenApiProcessor } from './OpenApiProcessor.js';
+import { SchemaValidator } from './schema-validator.js';
+import { MOCK_DEFAULTS } from '../constants.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 10;
+
+export class MockServer {
+  /**
+   * @param {Object} spec - OpenAPI specification
+   * @param {Object} options - Server options
+   * @param {boolean} options.validateRequests - Validate request bodies (default: true)
+   * @param {Function} options.log - Request logger (default: console.log)
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.validateRequests = options.validateRequests !== false;
+    this.log = options.log || console.log;
+    this.processor = new OpenApiProcessor();
+    this.processor.openApiSpec = spec;
+    this.validator = new SchemaValidator(spec);
+    this.routes = this.buildRoutes(spec.paths || {});
+    this.basePaths = this.getServerBasePaths(spec.servers || []);
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch(error => {
+        this.sendJson(response, 500, { error: 'Mock server error', message: error.message });
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @param {string} host - Host to bind
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  start(port = MOCK_DEFAULTS.PORT, host = MOCK_DEFAULTS.HOST) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        reject(error.code === 'EADDRINUSE'
+          ? new Error(`Port ${port} is already in use. Pick another one with --port`)
+          : error);
+      });
+
+      this.server.listen(port, host, () => {
+        resolve(`http://${host}:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Compile spec paths into matchers; literal paths win over templated ones
+   * @param {Object} paths - OpenAPI paths object
+   * @returns {Array<Object>} Routes with regex, parameter names and path item
+   */
+  buildRoutes(paths) {
+    return Object.entries(paths)
+      .map(([template, pathItem]) => {
+        const paramNames = [];
+        const pattern = template
+          .split('/')
+          .map(segment => segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (_match, name) => {
+            paramNames.push(name);
+            return '([^/]+)';
+          }))
+          .join('/');
+
+        return { template, pathItem, paramNames, regex: new RegExp(`^${pattern}/?$`) };
+      })
+      .sort((a, b) => a.paramNames.length - b.paramNames.length);
+  }
+
+  /**
+   * Collect path prefixes from server URLs ("https://api.example.com/v1" -> "/v1")
+   * @param {Array<Object>} servers - OpenAPI servers
+   * @returns {Array<string>} Base paths, longest first
+   */
+  getServerBasePaths(servers) {
+    const basePaths = servers
+      .map(server => {
+        try {
+          return new URL(server.url.replace(/\{[^}]+\}/g, 'x'), 'http://localhost').pathname.replace(/\/$/, '');
+        } catch {
+          return '';
+        }
+      })
+      .filter(Boolean);
+
+    return [...new Set(basePaths)].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Find the route matching a request path, with or without a server base path
+   * @param {string} pathname - Request path
+   * @returns {Object|null} Matched route and path parameters
+   */
+  matchRoute(pathname) {
+    const candidates = [pathname, ...this.basePaths
+      .filter(basePath => pathname === basePath || pathname.startsWith(`${basePath}/`))
+      .map(basePath => pathname.slice(basePath.length) || '/')];
+
+    for (const candidate of candidates) {
+      for (const route of this.routes) {
+        const match = candidate.match(route.regex);
+        if (match) {
+          const params = {};
+          route.paramNames.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+          });
+          return { route, params };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a request: route, validate, pick a response and send it
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const method = request.method.toLowerCase();
+
+    // Let browsers call the mock from any dev server origin
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    if (method === 'options' && request.headers['access-control-request-method']) {
+      response.writeHead(204, {
+        'Access-Control-Allow-Methods': HTTP_METHODS.join(', ').toUpperCase(),
+        'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || '*'
+      });
+      response.end();
+      return;
+    }
+
+    let matched;
+    try {
+      matched = this.matchRoute(url.pathname);
+    } catch {
+      // Path parameters with a malformed percent-escape cannot be decoded
+      this.logRequest(request, 400);
+      this.sendJson(response, 400, { error: `Malformed URL: ${url.pathname}` });
+      return;
+    }
+    if (!matched) {
+      this.logRequest(request, 404);
+      this.sendJson(response, 404, { error: `No operation matches ${request.method} ${url.pathname}` });
+      return;
+    }
+
+    const operation = matched.route.pathItem[method];
+    if (!operation || !HTTP_METHODS.includes(method)) {
+      const allowed = HTTP_METHODS.filter(name => matched.route.pathItem[name]).map(name => name.toUpperCase());
+      this.logRequest(request, 405);
+      this.sendJson(response, 405, { error: `${request.method} is not defined for ${matched.route.template}`, allowed }, {
+        Allow: allowed.join(', ')
+      });
+      return;
+    }
+
+    const body = await this.readBody(request);
+    if (this.validateRequests) {
+      const errors = this.validateRequestBody(operation, request.headers['content-type'], body);
+      if (errors.length > 0) {
+        this.logRequest(request, 400);
+        this.sendJson(response, 400, { error: 'Request validation failed', details: errors });
+        return;
+      }
+    }
+
+    const prefer = this.parsePrefer(request.headers.prefer);
+    const mock = this.buildResponse(operation, prefer, request.headers.accept);
+
+    this.logRequest(request, mock.status, matched.route.template);
+    if (mock.body === undefined || method === 'head') {
+      response.writeHead(mock.status, mock.headers);
+      response.end();
+      return;
+    }
+
+    response.writeHead(mock.status, { 'Content-Type': mock.contentType, ...mock.headers });
+    response.end(typeof mock.body === 'string' ? mock.body : JSON.stringify(mock.body, null, 2));
+  }
+
+  /**
+   * Parse the Prefer header ("code=404, example=notFound")
+   * @param {string} header - Prefer header value
+   * @returns {Object} Preferences by name
+   */
+  parsePrefer(header) {
+    const preferences = {};
+    for (const part of (header || '').split(/[,;]/)) {
+      const [name, ...rest] = part.trim().split('=');
+      if (name && rest.length > 0) {
+        preferences[name.toLowerCase()] = rest.join('=').trim().replace(/^"|"$/g, '');
+      }
+    }
+    return preferences;
+  }
+
+  /**
+   * Pick the response status: Prefer code, else lowest 2xx, else default, else first declared
+   * @param {Object} responses - Operation responses
+   * @param {Object} prefer - Parsed Prefer header
+   * @returns {string} Response key
+   * @throws {Error} When the preferred code is not declared
+   */
+  selectResponseKey(responses, prefer) {
+    const keys = Object.keys(responses);
+
+    if (prefer.code) {
+      if (responses[prefer.code]) {
+        return prefer.code;
+      }
+      const range = `${prefer.code[0]}XX`;
+      if (responses[range] || responses[range.toLowerCase()]) {
+        return responses[range] ? range : range.toLowerCase();
+      }
+      throw new Error(`No ${prefer.code} response is declared for this operation`);
+    }
+
+    const success = keys.filter(key => /^2\d\d$/.test(key)).sort();
+    if (success.length > 0) return success[0];
+    if (responses.default) return 'default';
+    return keys[0];
+  }
+
+  /**
+   * Build the status, headers and body of the mock response
+   * @param {Object} operation - OpenAPI operation
+   * @param {Object} prefer - Parsed Prefer header
+   * @param {string} accept - Accept header
+   * @returns {Object} { status, contentType, headers, body }
+   */
+  buildResponse(operation, prefer, accept) {
+    const responses = operation.responses || {};
+    let key;
+    try {
+      key = this.selectResponseKey(responses, prefer);
+    } catch (error) {
+      return { status: 400, contentType: 'application/json', headers: {}, body: { error: error.message } };
+    }
+
+    if (!key) {
+      return { status: 204, headers: {} };
+    }
+
+    const responseObject = this.deref(responses[key]);
+    const status = this.toStatusCode(key, prefer.code);
+    const headers = this.buildHeaders(responseObject.headers || {});
+    const content = responseObject.content || {};
+    const contentType = this.selectContentType(Object.keys(content), accept);
+
+    if (!contentType) {
+      return { status, headers };
+    }
+
+    const media = content[contentType];
+    let body;
+    try {
+      body = this.selectExample(media, prefer.example);
+    } catch (error) {
+      return { status: 400, contentType: 'application/json', headers: {}, body: { error: error.message } };
+    }
+
+    return { status, contentType, headers, body };
+  }
+
+  /**
+   * Convert a response key to a numeric status ("2XX" -> 200, "default" -> 200)
+   * @param {string} key - Response key
+   * @param {string} preferredCode - Code requested with Prefer
+   * @returns {number} HTTP status
+   */
+  toStatusCode(key, preferredCode) {
+    if (/^\d{3}$/.test(key)) return Number(key);
+    if (preferredCode && /^\d{3}$/.test(preferredCode)) return Number(preferredCode);
+    if (/^\dXX$/i.test(key)) return Number(key[0]) * 100;
+    return 200;
+  }
+
+  /**
+   * Choose a media type honouring Accept, preferring JSON
+   * @param {Array<string>} contentTypes - Declared media types
+   * @param {string} accept - Accept header
+   * @returns {string|undefined} Media type
+   */
+  selectContentType(contentTypes, accept) {
+    const accepted = (accept || '').split(',').map(type => type.split(';')[0].trim()).filter(type => type && type !== '*/*');
+    return contentTypes.find(type => accepted.includes(type)) ||
+      contentTypes.find(type => type.includes('json')) ||
+      contentTypes[0];
+  }
+
+  /**
+   * Pick the example body: named example, example, first of examples, schema example, generated
+   * @param {Object} media - OpenAPI media type object
+   * @param {string} exampleName - Example requested with Prefer
+   * @returns {*} Response body
+   */
+  selectExample(media, exampleName) {
+    const examples = media.examples || {};
+
+    if (exampleName) {
+      if (!examples[exampleName]) {
+        const available = Object.keys(examples);
+        throw new Error(`No example named "${exampleName}"${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+      }
+      return this.deref(examples[exampleName]).value;
+    }
+
+    if (media.example !== undefined) {
+      return media.example;
+    }
+
+    const first = Object.values(examples)[0];
+    if (first) {
+      return this.deref(first).value;
+    }
+
+    if (!media.schema) {
+      return undefined;
+    }
+
+    const schema = this.processor.expandSchema(media.schema);
+    return schema.example !== undefined ? schema.example : this.processor.generateExampleFromSchema(schema, 0);
+  }
+
+  /**
+   * Build response headers from their examples or schemas
+   * @param {Object} headerObjects - OpenAPI response headers
+   * @returns {Object} Header values
+   */
+  buildHeaders(headerObjects) {
+    const headers = {};
+    for (const [name, headerObject] of Object.entries(headerObjects)) {
+      const header = this.deref(headerObject);
+      const value = header.example ?? header.schema?.example ?? (header.schema ? this.processor.generateExampleFromSchema(this.processor.expandSchema(header.schema), 0) : undefined);
+      if (value !== undefined && value !== null && name.toLowerCase() !== 'content-type') {
+        headers[name] = String(value);
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Validate a request body against the operation's requestBody schema
+   * @param {Object} operation - OpenAPI operation
+   * @param {string} contentTypeHeader - Request Content-Type
+   * @param {string} rawBody - Raw request body
+   * @returns {Array<string>} Validation errors
+   */
+  validateRequestBody(operation, contentTypeHeader, rawBody) {
+    if (!operation.requestBody) {
+      return [];
+    }
+
+    const requestBody = this.deref(operation.requestBody);
+    if (!rawBody) {
+      return requestBody.required ? ['body: request body is required'] : [];
+    }
+
+    const contentType = (contentTypeHeader || '').split(';')[0].trim();
+    const declaredTypes = Object.keys(requestBody.content || {});
+    if (declaredTypes.length > 0 && !declaredTypes.includes(contentType)) {
+      return [`body: unsupported content type "${contentType || 'none'}" (expected ${declaredTypes.join(', ')})`];
+    }
+
+    const schema = requestBody.content?.[contentType]?.schema;
+    if (!schema || !contentType.includes('json')) {
+      return [];
+    }
+
+    let value;
+    try {
+      value = JSON.parse(rawBody);
+    } catch (error) {
+      return [`body: invalid JSON (${error.message})`];
+    }
+
+    return this.validator.validate(schema, value, 'body', { direction: 'request' });
+  }
+
+  /**
+   * Resolve a $ref'd object (response, example, header, requestBody)
+   * @param {Object} object - Possibly referenced object
+   * @returns {Object} Resolved object
+   */
+  deref(object) {
+    let current = object;
+    for (let depth = 0; current?.$ref && depth < MAX_SCHEMA_DEPTH; depth++) {
+      current = this.validator.resolveRef(current.$ref);
+    }
+    return current || {};
+  }
+
+  /**
+   * Read the full request body
+   * @param {http.IncomingMessage} request - Incoming request
+   * @returns {Promise<string>} Body text
+   */
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      request.setEncoding('utf8');
+      request.on('data', chunk => data += chunk);
+      request.on('end', () => resolve(data));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Log a handled request
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {number} status - Response status
+   * @param {string} template - Matched path template
+   */
+  logRequest(request, status, template) {
+    const icon = status < 400 ? '✅' : '⚠️ ';
+    this.log(`${icon} ${request.method} ${request.url} → ${status}${template ? ` (${template})` : ''}`);
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body
+   * @param {Object} headers - Extra headers
+   */
+  sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body, null, 2));
+  }
+}
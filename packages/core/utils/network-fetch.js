@@ -0,0 +1,228 @@
+/**
+ * Network File Fetching
+ *
+ * Downloads route files and remote specs over http(s), following redirects,
+ * with a timeout and credentials for private repositories read from the
+ * environment:
+ *
+ *   CONFYTOME_FETCH_TOKEN                         Bearer token
+ *   CONFYTOME_FETCH_USERNAME / _PASSWORD          Basic auth
+ *   CONFYTOME_FETCH_TOKEN_<HOST> (and so on)      Only for one host, e.g. _RAW_GITHUBUSERCONTENT_COM
+ *
+ * Credentials are only sent to the host of the requested URL, never to a host
+ * a redirect leads to. Cached files keep their ETag and Last-Modified, so an
+ * unchanged file costs a 304 instead of a download.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import https from 'node:https';
+
+export const NETWORK_CACHE_DIR = './confytome-cache';
+export const DEFAULT_TIMEOUT_MS = 30000;
+export const MAX_REDIRECTS = 5;
+
+const ENV_PREFIX = 'CONFYTOME_FETCH_';
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Build the Authorization header for a URL from the environment
+ * Host-specific variables win over the generic ones; a token wins over basic auth.
+ * @param {string} url - URL to fetch
+ * @param {Object} env - Variables (default: process.env)
+ * @returns {Object} Headers (empty without credentials)
+ */
+export function getAuthHeaders(url, env = process.env) {
+  const host = new URL(url).hostname.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+  for (const suffix of [`_${host}`, '']) {
+    const token = env[`${ENV_PREFIX}TOKEN${suffix}`];
+    if (token) {
+      return { Authorization: `Bearer ${token}` };
+    }
+    const username = env[`${ENV_PREFIX}USERNAME${suffix}`];
+    if (username) {
+      const password = env[`${ENV_PREFIX}PASSWORD${suffix}`] || '';
+      return { Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` };
+    }
+  }
+  return {};
+}
+
+/**
+ * GET a URL, following redirects
+ * @param {string} url - http(s) URL
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Milliseconds without data before giving up (default: 30000)
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.maxRedirects - Redirects to follow (default: 5)
+ * @param {Object} options.env - Variables holding credentials (default: process.env)
+ * @returns {Promise<{statusCode: number, headers: Object, body: string, url: string}>} Final response
+ */
+export function requestUrl(url, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS, headers = {}, maxRedirects = MAX_REDIRECTS, env = process.env } = options;
+  const origin = new URL(url).host;
+
+  const send = (current, redirects) => new Promise((resolve, reject) => {
+    const target = new URL(current);
+    const client = target.protocol === 'https:' ? https : http;
+    const auth = target.host === origin ? getAuthHeaders(current, env) : {};
+
+    const request = client.get(target, { headers: { 'User-Agent': 'confytome', ...headers, ...auth }, timeout }, (response) => {
+      const { statusCode } = response;
+
+      if (REDIRECT_CODES.includes(statusCode) && response.headers.location) {
+        response.resume();
+        const next = new URL(response.headers.location, target);
+        if (redirects >= maxRedirects) {
+          reject(new Error(`Too many redirects (more than ${maxRedirects})`));
+        } else if (target.protocol === 'https:' && next.protocol !== 'https:') {
+          reject(new Error(`Refusing to follow a redirect from https to ${next.href}`));
+        } else {
+          resolve(send(next.href, redirects + 1));
+        }
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ statusCode, headers: response.headers, body: Buffer.concat(chunks).toString('utf8'), url: current }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response within ${timeout} ms`)));
+    request.on('error', reject);
+  });
+
+  return send(url, 0);
+}
+
+/**
+ * SHA-256 of a text, hex encoded
+ * @param {string} content - File content
+ * @returns {string} Hash
+ */
+export function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Fail when content does not have the pinned hash
+ * @param {string} url - Where the content came from
+ * @param {string} content - File content
+ * @param {string} expected - Pinned sha256, if any
+ */
+function verifyIntegrity(url, content, expected) {
+  if (!expected) {
+    return;
+  }
+  const actual = sha256(content);
+  if (actual !== expected.toLowerCase()) {
+    throw new Error(`Integrity check failed for ${url}: expected sha256 ${expected}, got ${actual}. Update "sha256" if the change is expected`);
+  }
+}
+
+/**
+ * Cache file and metadata file for a URL
+ * @param {string} url - Downloaded URL
+ * @param {string} cacheDir - Cache directory
+ * @returns {{file: string, metaFile: string}} Paths
+ */
+export function getCachePaths(url, cacheDir = NETWORK_CACHE_DIR) {
+  const hash = sha256(url).slice(0, 16);
+  const extension = path.extname(new URL(url).pathname).toLowerCase() || '.js';
+  const file = path.join(cacheDir, `${hash}${extension}`);
+  return { file, metaFile: `${file}.meta.json` };
+}
+
+function readCacheMeta(file, metaFile) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+  } catch {
+    return { fetchedAt: fs.statSync(file).mtimeMs };
+  }
+}
+
+/**
+ * Download a URL into the cache, or reuse the cached copy
+ * The cached copy is used without a request while it is younger than "ttl",
+ * and when the server answers 304 Not Modified, fails or cannot be reached.
+ * @param {string} url - http(s) URL
+ * @param {Object} options - Cache options
+ * @param {string} options.cacheDir - Cache directory (default: ./confytome-cache)
+ * @param {number} options.ttl - Seconds a cached copy is used without asking the server (default: 0)
+ * @param {boolean} options.offline - Only use the cache
+ * @param {string} options.sha256 - Expected sha256 of the file
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<string>} Cached file path
+ */
+export async function fetchToCache(url, options = {}) {
+  const { cacheDir = NETWORK_CACHE_DIR, ttl = 0, offline = false, timeout } = options;
+  const { file, metaFile } = getCachePaths(url, cacheDir);
+  const cached = readCacheMeta(file, metaFile);
+  const useCached = (reason) => {
+    verifyIntegrity(url, fs.readFileSync(file, 'utf8'), options.sha256);
+    console.log(`📦 Using cached ${url} (${reason})`);
+    return file;
+  };
+
+  if (offline) {
+    if (!cached) {
+      throw new Error('not cached; run once without --offline to download it');
+    }
+    return useCached('offline');
+  }
+  if (cached && ttl > 0 && Date.now() - cached.fetchedAt < ttl * 1000) {
+    return useCached(`fetched ${new Date(cached.fetchedAt).toISOString()}`);
+  }
+
+  const headers = {};
+  if (cached?.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  console.log(`📡 Downloading: ${url}`);
+  let response;
+  try {
+    response = await requestUrl(url, { timeout, headers });
+  } catch (error) {
+    if (!cached) {
+      throw error;
+    }
+    console.log(`⚠️  Could not fetch ${url} (${error.message})`);
+    return useCached(`fetched ${new Date(cached.fetchedAt).toISOString()}`);
+  }
+
+  if (response.statusCode === 304 && cached) {
+    fs.writeFileSync(metaFile, JSON.stringify({ ...cached, fetchedAt: Date.now() }, null, 2));
+    return useCached('not modified');
+  }
+  if (response.statusCode >= 500 && cached) {
+    console.log(`⚠️  Could not fetch ${url} (HTTP ${response.statusCode})`);
+    return useCached(`fetched ${new Date(cached.fetchedAt).toISOString()}`);
+  }
+  if (response.statusCode !== 200) {
+    throw new Error(`HTTP ${response.statusCode}`);
+  }
+
+  verifyIntegrity(url, response.body, options.sha256);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(file, response.body);
+  fs.writeFileSync(metaFile, JSON.stringify({
+    url,
+    etag: response.headers.etag,
+    lastModified: response.headers['last-modified'],
+    fetchedAt: Date.now(),
+    sha256: sha256(response.body)
+  }, null, 2));
+  console.log(`✅ Cached as: ${file}`);
+  return file;
+}
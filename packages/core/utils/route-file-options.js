@@ -0,0 +1,124 @@
+/**
+ * Per-Route-File Options
+ *
+ * routeFiles entries may be objects that give the operations of one file
+ * defaults, so routers mounted under a prefix do not repeat it in every
+ * @swagger path:
+ *
+ *   { "path": "src/routes/auth.js", "basePath": "/auth", "tags": ["Auth"], "security": [] }
+ *
+ * basePath is prefixed to every path the file documents; tags, security and
+ * servers are set on its operations that do not declare their own. URLs may
+ * also pin their content with "sha256".
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+export const ROUTE_FILE_OPTIONS = ['basePath', 'tags', 'security', 'servers'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Path of a routeFiles entry
+ * @param {string|Object} entry - Path, glob pattern or URL, or an object with a "path"
+ * @returns {string} The path
+ */
+export function routeFilePath(entry) {
+  return typeof entry === 'string' ? entry : entry.path;
+}
+
+/**
+ * Check whether a routeFiles entry carries options
+ * @param {string|Object} entry - routeFiles entry
+ * @returns {boolean} True for object entries
+ */
+export function hasRouteFileOptions(entry) {
+  return isPlainObject(entry);
+}
+
+/**
+ * Check a routeFiles entry
+ * @param {string|Object} entry - routeFiles entry
+ * @param {string} label - Where the entry is (for errors)
+ */
+export function validateRouteFileEntry(entry, label) {
+  if (typeof entry === 'string') {
+    return;
+  }
+  if (!isPlainObject(entry) || typeof entry.path !== 'string') {
+    throw new Error(`${label} must be a path or an object with a "path"`);
+  }
+
+  const unknown = Object.keys(entry).filter(key => !['path', 'sha256', ...ROUTE_FILE_OPTIONS].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown option(s) ${unknown.join(', ')}; use ${[...ROUTE_FILE_OPTIONS, 'sha256'].join(', ')}`);
+  }
+  if (entry.sha256 !== undefined) {
+    if (!/^https?:\/\//i.test(entry.path)) {
+      throw new Error(`${label}: "sha256" pins the content of a URL; ${entry.path} is not one`);
+    }
+    if (typeof entry.sha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(entry.sha256)) {
+      throw new Error(`${label}: "sha256" must be a hex SHA-256 hash`);
+    }
+  }
+  if (entry.basePath !== undefined && (typeof entry.basePath !== 'string' || !entry.basePath.startsWith('/'))) {
+    throw new Error(`${label}: "basePath" must be a path starting with "/"`);
+  }
+  if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string'))) {
+    throw new Error(`${label}: "tags" must be an array of tag names`);
+  }
+  if (entry.security !== undefined && !(Array.isArray(entry.security) && entry.security.every(isPlainObject))) {
+    throw new Error(`${label}: "security" must be an array of security requirements`);
+  }
+  if (entry.servers !== undefined && !(Array.isArray(entry.servers) && entry.servers.every(server => typeof server?.url === 'string'))) {
+    throw new Error(`${label}: "servers" must be an array of servers with a "url"`);
+  }
+}
+
+/**
+ * Prefix a spec path with a base path
+ * @param {string} basePath - Mount path such as "/auth"
+ * @param {string} pathKey - Path from @swagger, such as "/login"
+ * @returns {string} Joined path ("/auth/login")
+ */
+export function joinBasePath(basePath, pathKey) {
+  const prefix = basePath.replace(/\/+$/, '');
+  if (pathKey === '/') {
+    return prefix || '/';
+  }
+  return `${prefix}${pathKey.startsWith('/') ? '' : '/'}${pathKey}`;
+}
+
+/**
+ * Give an operation the defaults of its route file
+ * @param {Object} operation - OpenAPI operation (changed in place)
+ * @param {Object} entry - routeFiles entry
+ */
+function applyOperationDefaults(operation, entry) {
+  if (entry.tags && !(operation.tags?.length > 0)) {
+    operation.tags = [...entry.tags];
+  }
+  for (const key of ['security', 'servers']) {
+    if (entry[key] !== undefined && operation[key] === undefined) {
+      operation[key] = structuredClone(entry[key]);
+    }
+  }
+}
+
+/**
+ * Apply the options of one route file to the spec generated from that file alone
+ * Each file with options is read on its own and merged with the others
+ * afterwards, so two routers documenting the same relative path ("/{id}")
+ * under different base paths stay apart.
+ * @param {Object} spec - Spec generated from the route file (changed in place)
+ * @param {Object} entry - routeFiles entry with options
+ */
+export function applyRouteFileOptions(spec, entry) {
+  const paths = {};
+
+  for (const [pathKey, item] of Object.entries(spec.paths || {})) {
+    HTTP_METHODS.filter(method => item[method]).forEach(method => applyOperationDefaults(item[method], entry));
+    paths[entry.basePath ? joinBasePath(entry.basePath, pathKey) : pathKey] = item;
+  }
+
+  spec.paths = paths;
+}
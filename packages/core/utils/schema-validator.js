@@ -0,0 +1,267 @@
+/**
+ * JSON Schema Validator for OpenAPI Schemas
+ *
+ * Validates values against OpenAPI 3.0/3.1 schema objects (the JSON Schema
+ * subset used in specs, plus `nullable`). Local $refs are resolved against the
+ * spec. Used by the mock server for request bodies and by contract tests for
+ * response bodies.
+ */
+
+const FORMAT_PATTERNS = {
+  'date': /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i,
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+const MAX_DEPTH = 50;
+
+export class SchemaValidator {
+  /**
+   * @param {Object} spec - OpenAPI specification used to resolve $refs
+   */
+  constructor(spec = {}) {
+    this.spec = spec;
+    this.direction = null;
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {Object} schema - OpenAPI schema object
+   * @param {*} value - Value to validate
+   * @param {string} pointer - Name of the value used in error messages (default: 'body')
+   * @param {Object} options - Validation options
+   * @param {string} options.direction - 'request' ignores readOnly properties, 'response' ignores writeOnly ones
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(schema, value, pointer = 'body', options = {}) {
+    this.direction = options.direction || null;
+    const errors = [];
+    this.validateNode(schema, value, pointer, errors, 0);
+    return errors;
+  }
+
+  /**
+   * Resolve a local $ref ("#/components/schemas/User")
+   * @param {string} ref - Reference string
+   * @returns {Object} Referenced schema
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local $refs are supported: ${ref}`);
+    }
+
+    let current = this.spec;
+    for (const part of ref.substring(2).split('/')) {
+      current = current?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+
+    if (current === undefined) {
+      throw new Error(`Unresolved $ref: ${ref}`);
+    }
+    return current;
+  }
+
+  validateNode(schema, value, pointer, errors, depth) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) {
+      return;
+    }
+
+    if (schema.$ref) {
+      this.validateNode(this.resolveRef(schema.$ref), value, pointer, errors, depth + 1);
+      return;
+    }
+
+    if (value === null && (schema.nullable === true || this.getTypes(schema).includes('null'))) {
+      return;
+    }
+
+    this.validateComposition(schema, value, pointer, errors, depth);
+
+    const types = this.getTypes(schema);
+    if (types.length > 0 && !types.some(type => this.matchesType(type, value))) {
+      errors.push(`${pointer}: expected ${types.join(' or ')} but got ${this.describeType(value)}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => this.isEqual(option, value))) {
+      errors.push(`${pointer}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+      errors.push(`${pointer}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(schema, value, pointer, errors);
+    } else if (typeof value === 'number') {
+      this.validateNumber(schema, value, pointer, errors);
+    } else if (Array.isArray(value)) {
+      this.validateArray(schema, value, pointer, errors, depth);
+    } else if (value !== null && typeof value === 'object') {
+      this.validateObject(schema, value, pointer, errors, depth);
+    }
+  }
+
+  validateComposition(schema, value, pointer, errors, depth) {
+    if (schema.allOf) {
+      schema.allOf.forEach(subSchema => this.validateNode(subSchema, value, pointer, errors, depth + 1));
+    }
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.filter(subSchema => this.matches(subSchema, value, pointer, depth));
+      if (matches.length === 0) {
+        errors.push(`${pointer}: does not match any schema in anyOf`);
+      }
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(subSchema => this.matches(subSchema, value, pointer, depth));
+      if (matches.length !== 1) {
+        errors.push(`${pointer}: must match exactly one schema in oneOf (matched ${matches.length})`);
+      }
+    }
+
+    if (schema.not && this.matches(schema.not, value, pointer, depth)) {
+      errors.push(`${pointer}: must not match the schema in not`);
+    }
+  }
+
+  matches(schema, value, pointer, depth) {
+    const errors = [];
+    this.validateNode(schema, value, pointer, errors, depth + 1);
+    return errors.length === 0;
+  }
+
+  validateString(schema, value, pointer, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${pointer}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${pointer}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${pointer}: must match pattern ${schema.pattern}`);
+    }
+    if (FORMAT_PATTERNS[schema.format] && !FORMAT_PATTERNS[schema.format].test(value)) {
+      errors.push(`${pointer}: must be a valid ${schema.format}`);
+    }
+  }
+
+  validateNumber(schema, value, pointer, errors) {
+    // OpenAPI 3.0 uses boolean exclusive flags, 3.1 uses numeric bounds
+    const exclusiveMinimum = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : null;
+    const exclusiveMaximum = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : null;
+
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum)) {
+      errors.push(`${pointer}: must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum)) {
+      errors.push(`${pointer}: must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}`);
+    }
+    if (exclusiveMinimum !== null && value <= exclusiveMinimum) {
+      errors.push(`${pointer}: must be > ${exclusiveMinimum}`);
+    }
+    if (exclusiveMaximum !== null && value >= exclusiveMaximum) {
+      errors.push(`${pointer}: must be < ${exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push(`${pointer}: must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  validateArray(schema, value, pointer, errors, depth) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer}: must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${pointer}: must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${pointer}: items must be unique`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => this.validateNode(schema.items, item, `${pointer}[${index}]`, errors, depth + 1));
+    }
+  }
+
+  validateObject(schema, value, pointer, errors, depth) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined && !this.isSkipped(properties[name])) {
+        errors.push(`${pointer}.${name}: is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        if (this.isSkipped(properties[name])) {
+          continue;
+        }
+        this.validateNode(properties[name], propertyValue, `${pointer}.${name}`, errors, depth + 1);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}.${name}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        this.validateNode(schema.additionalProperties, propertyValue, `${pointer}.${name}`, errors, depth + 1);
+      }
+    }
+  }
+
+  /**
+   * Check whether a property does not apply to the current direction
+   * @param {Object} propertySchema - Property schema
+   * @returns {boolean} True for readOnly properties in requests and writeOnly ones in responses
+   */
+  isSkipped(propertySchema) {
+    if (!propertySchema) {
+      return false;
+    }
+    return (this.direction === 'request' && propertySchema.readOnly === true) ||
+      (this.direction === 'response' && propertySchema.writeOnly === true);
+  }
+
+  /**
+   * Get the declared types of a schema (OpenAPI 3.1 allows an array)
+   * @param {Object} schema - Schema object
+   * @returns {Array<string>} Declared types
+   */
+  getTypes(schema) {
+    if (Array.isArray(schema.type)) {
+      return schema.type;
+    }
+    return schema.type ? [schema.type] : [];
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+    }
+  }
+
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
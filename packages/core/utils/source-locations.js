@@ -0,0 +1,225 @@
+/**
+ * Source Locations
+ *
+ * Records where every operation and component of a generated spec was
+ * written, as an "x-confytome-source" extension:
+ *
+ *   "get": { "summary": "List users", "x-confytome-source": { "file": "src/routes/users.js", "line": 42 } }
+ *
+ * The line is the one of the method (or component name) in its @swagger
+ * block. A "sourceUrl" template such as
+ * "https://github.com/acme/api/blob/main/{file}#L{line}" adds a "url", which
+ * the Markdown and HTML docs link as "Defined in src/routes/users.js:42".
+ * Lint and diff reports use the extension to point at the JSDoc to edit.
+ *
+ * confytome.json:
+ *   "sourceLocations": false                      Leave the extension out of the spec
+ *   "sourceUrl": "https://github.com/acme/api/blob/main/{file}#L{line}"
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { readSwaggerBlocks } from './swagger-diagnostics.js';
+import { toJsonPointer } from './json-source-map.js';
+import { NETWORK_CACHE_DIR } from './network-fetch.js';
+
+export const SOURCE_EXTENSION = 'x-confytome-source';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const COMPONENT_TYPES = [
+  'schemas', 'responses', 'parameters', 'examples', 'requestBodies',
+  'headers', 'securitySchemes', 'links', 'callbacks', 'pathItems'
+];
+
+// A mapping key at the start of a line ("- " of sequence items counts as indentation)
+const KEY_PATTERN = /^([ \t]*(?:-[ \t]+)*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[][^#]*?)[ \t]*:(?:[ \t]|$)/;
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a sourceUrl template
+ * @param {string} template - URL with {file} and {line} placeholders
+ * @param {string} label - Where the template is set (for errors)
+ */
+export function validateSourceUrl(template, label = 'sourceUrl') {
+  if (typeof template !== 'string' || !template.includes('{file}')) {
+    throw new Error(`${label} must be a URL template containing {file} (and optionally {line})`);
+  }
+}
+
+/**
+ * Build the link of a source location
+ * @param {string} template - URL with {file} and {line} placeholders
+ * @param {{file: string, line: number}} location - Source location
+ * @returns {string} URL
+ */
+export function formatSourceUrl(template, location) {
+  return template.replace(/\{file\}/g, encodeURI(location.file)).replace(/\{line\}/g, String(location.line));
+}
+
+/**
+ * Format a source location as "file:line"
+ * @param {{file: string, line: number}} location - Source location
+ * @returns {string} Label
+ */
+export function formatSourceLocation(location) {
+  return `${location.file}:${location.line}`;
+}
+
+function parseKey(text) {
+  if (text.startsWith('"')) {
+    return JSON.parse(text);
+  }
+  if (text.startsWith('\'')) {
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+  return text;
+}
+
+/**
+ * Find the line of every block-style mapping key of a @swagger block
+ * @param {{yaml: string, locate: Function}} block - Block from readSwaggerBlocks
+ * @returns {Map<string, number>} JSON pointer (within the block) -> file line
+ */
+function locateKeys(block) {
+  const lines = new Map();
+  const stack = [];
+  let offset = 0;
+
+  for (const text of block.yaml.split('\n')) {
+    const match = text.match(KEY_PATTERN);
+    if (match) {
+      const indent = match[1].length;
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      stack.push({ indent, key: parseKey(match[2]) });
+
+      const pointer = toJsonPointer(stack.map(entry => entry.key));
+      if (!lines.has(pointer)) {
+        lines.set(pointer, block.locate(offset + indent).line);
+      }
+    }
+    offset += text.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Find the lines of the operations and components one route file documents
+ * Flow-style YAML falls back to the line of the closest enclosing key.
+ * @param {string} file - Route file
+ * @returns {Map<string, number>} JSON pointer in the spec ("/paths/~1users/get") -> line
+ */
+function collectFileLocations(file) {
+  const locations = new Map();
+
+  for (const block of readSwaggerBlocks(file)) {
+    let document;
+    try {
+      document = yaml.load(block.yaml, { schema: yaml.CORE_SCHEMA });
+    } catch {
+      continue;
+    }
+    if (!isPlainObject(document)) {
+      continue;
+    }
+
+    const lines = locateKeys(block);
+    const add = (specKeys, blockKeys) => {
+      const pointer = toJsonPointer(specKeys);
+      for (let length = blockKeys.length; length > 0 && !locations.has(pointer); length--) {
+        const line = lines.get(toJsonPointer(blockKeys.slice(0, length)));
+        if (line) {
+          locations.set(pointer, line);
+        }
+      }
+    };
+
+    // swagger-jsdoc reads "/path" keys as paths, next to "paths" and "components"
+    for (const [key, value] of Object.entries(document)) {
+      if (key === 'components') {
+        for (const type of COMPONENT_TYPES) {
+          Object.keys(isPlainObject(value?.[type]) ? value[type] : {})
+            .forEach(name => add(['components', type, name], ['components', type, name]));
+        }
+      } else if (key === 'paths' || key.startsWith('/')) {
+        const prefix = key === 'paths' ? ['paths'] : [];
+        for (const [route, pathItem] of Object.entries(key === 'paths' ? value || {} : { [key]: value })) {
+          HTTP_METHODS.filter(method => pathItem?.[method])
+            .forEach(method => add(['paths', route, method], [...prefix, route, method]));
+        }
+      }
+    }
+  }
+  return locations;
+}
+
+/**
+ * Add "x-confytome-source" to the operations and components of a spec
+ * Files downloaded into the network cache are skipped: their cached path
+ * says nothing about where to edit them.
+ * @param {Object} spec - Spec generated from the route files (changed in place)
+ * @param {Array<string>} files - Route files the spec was generated from
+ * @param {Object} options - Options
+ * @param {string} options.sourceUrl - URL template for links ({file}, {line})
+ * @returns {number} Number of annotated operations and components
+ */
+export function annotateSourceLocations(spec, files, options = {}) {
+  const cacheDir = path.resolve(NETWORK_CACHE_DIR) + path.sep;
+  const locations = new Map();
+
+  for (const file of files) {
+    if (!fs.existsSync(file) || path.resolve(file).startsWith(cacheDir)) {
+      continue;
+    }
+    const relativeFile = path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+    for (const [pointer, line] of collectFileLocations(file)) {
+      if (!locations.has(pointer)) {
+        locations.set(pointer, { file: relativeFile, line });
+      }
+    }
+  }
+
+  let count = 0;
+  const annotate = (object, keys) => {
+    const location = locations.get(toJsonPointer(keys));
+    if (!location || !isPlainObject(object) || object.$ref) {
+      return;
+    }
+    object[SOURCE_EXTENSION] = options.sourceUrl
+      ? { ...location, url: formatSourceUrl(options.sourceUrl, location) }
+      : { ...location };
+    count++;
+  };
+
+  for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+    HTTP_METHODS.forEach(method => annotate(pathItem?.[method], ['paths', route, method]));
+  }
+  for (const type of COMPONENT_TYPES) {
+    for (const [name, component] of Object.entries(spec.components?.[type] || {})) {
+      annotate(component, ['components', type, name]);
+    }
+  }
+  return count;
+}
+
+/**
+ * Find the source location of a value, from the closest annotated object containing it
+ * @param {Object} spec - OpenAPI document
+ * @param {Array<string>} keys - Path of the value from the document root
+ * @returns {{file: string, line: number, url: string}|null} Source location
+ */
+export function findSourceLocation(spec, keys) {
+  let node = spec;
+  let location = null;
+  for (const key of keys) {
+    node = node?.[key];
+    if (!isPlainObject(node)) {
+      break;
+    }
+    location = node[SOURCE_EXTENSION] || location;
+  }
+  return location;
+}
@@ -0,0 +1,230 @@
+/**
+ * External $ref Bundler
+ *
+ * Resolves $refs to other files (./schemas/User.yaml#/User) and URLs into
+ * the spec's own components, so the generators - which only follow local
+ * #/... pointers - see every schema. A component is named after the pointer's
+ * last segment or the file name, and gets its type (schemas, responses,
+ * parameters, ...) from where it is referenced. External path items are
+ * inlined. Specs written by `confytome split` bundle back to the original.
+ */
+
+import path from 'node:path';
+import { isRemoteSpec, readLocalSpec, fetchRemoteSpec, STDIN_SPEC } from './spec-loader.js';
+
+const COMPONENT_TYPES = [
+  'schemas', 'responses', 'parameters', 'examples', 'requestBodies',
+  'headers', 'securitySchemes', 'links', 'callbacks', 'pathItems'
+];
+
+// Parents whose entries are components of the type of the same name
+const COMPONENT_PARENTS = ['responses', 'parameters', 'examples', 'headers', 'links', 'callbacks', 'securitySchemes', 'pathItems'];
+
+/**
+ * Check whether a spec references other files or URLs
+ * @param {*} node - Spec or part of it
+ * @returns {boolean} True when a $ref does not start with "#"
+ */
+export function hasExternalRefs(node) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+    return true;
+  }
+  return Object.entries(node).some(([key, value]) => key !== 'example' && hasExternalRefs(value));
+}
+
+/**
+ * Split a $ref into an absolute document location and a JSON pointer
+ * @param {string} ref - Reference such as "../schemas/User.yaml#/User"
+ * @param {string} base - Location of the document containing the reference
+ * @returns {{file: string, pointer: string}} Resolved reference
+ */
+function resolveLocation(ref, base) {
+  const hashIndex = ref.indexOf('#');
+  const target = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+  if (!target) {
+    return { file: base, pointer };
+  }
+  if (isRemoteSpec(target)) {
+    return { file: target, pointer };
+  }
+  if (isRemoteSpec(base)) {
+    return { file: new URL(target, base).href, pointer };
+  }
+  return { file: path.resolve(path.dirname(base), decodeURIComponent(target)), pointer };
+}
+
+/**
+ * Read the value a JSON pointer points at
+ * @param {Object} document - Parsed document
+ * @param {string} pointer - Pointer such as "/components/schemas/User" ("" for the document)
+ * @param {string} file - Document location (for errors)
+ * @returns {*} Value
+ */
+function getPointer(document, pointer, file) {
+  const segments = pointer.split('/').slice(1)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  let current = document;
+  for (const segment of segments.filter(Boolean)) {
+    if (!current || typeof current !== 'object' || !(segment in current)) {
+      throw new Error(`$ref target #${pointer} not found in ${file}`);
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Work out the component type of an external $ref from where it appears
+ * @param {Array<string>} keys - Keys leading to the $ref object
+ * @param {boolean} inSchema - True inside a schema
+ * @param {string} pointer - JSON pointer of the target
+ * @returns {string|null} Component type, or null for path items (which are inlined)
+ */
+function getComponentType(keys, inSchema, pointer) {
+  const [, pointedType] = pointer.match(/^\/components\/([^/]+)\/[^/]+$/) || [];
+  if (COMPONENT_TYPES.includes(pointedType)) {
+    return pointedType;
+  }
+  if (inSchema) {
+    return 'schemas';
+  }
+
+  const parent = keys[keys.length - 2];
+  const isPathItem = (keys.length === 2 && (keys[0] === 'paths' || keys[0] === 'webhooks')) || keys[keys.length - 3] === 'callbacks';
+  if (isPathItem) {
+    return null;
+  }
+  if (keys[keys.length - 1] === 'requestBody' || parent === 'requestBodies') {
+    return 'requestBodies';
+  }
+  return COMPONENT_PARENTS.includes(parent) ? parent : 'schemas';
+}
+
+/**
+ * Bundle the external $refs of a spec into its components
+ * @param {Object} spec - OpenAPI document
+ * @param {string} source - Where the spec was read from: file path, URL or "-" (relative refs resolve from here)
+ * @param {Object} options - Options passed to fetchRemoteSpec for URL refs
+ * @returns {Promise<{spec: Object, files: Array<string>}>} Bundled copy and the documents that were read
+ */
+export async function bundleSpec(spec, source, options = {}) {
+  const root = isRemoteSpec(source) ? source : path.resolve(source === STDIN_SPEC ? path.join(process.cwd(), STDIN_SPEC) : source);
+  const documents = new Map([[root, spec]]);
+  const registered = new Map();
+  const bundled = {};
+  const usedNames = new Set(COMPONENT_TYPES.flatMap(type => Object.keys(spec.components?.[type] || {}).map(name => `${type}/${name}`)));
+
+  const loadDocument = async(file, from, ref) => {
+    if (!documents.has(file)) {
+      try {
+        documents.set(file, isRemoteSpec(file) ? await fetchRemoteSpec(file, options) : readLocalSpec(file));
+      } catch (error) {
+        throw new Error(`Cannot resolve $ref "${ref}" in ${from}: ${error.message}`);
+      }
+    }
+    return documents.get(file);
+  };
+
+  const register = (key, type, name) => {
+    registered.set(key, { type, name });
+    usedNames.add(`${type}/${name}`);
+  };
+
+  const pickName = (type, file, pointer) => {
+    const segments = pointer.split('/').filter(Boolean);
+    const base = (segments.length > 0
+      ? decodeURIComponent(segments[segments.length - 1]).replace(/~1/g, '/').replace(/~0/g, '~')
+      : path.basename(isRemoteSpec(file) ? new URL(file).pathname : file).replace(/\.(ya?ml|json)$/i, '')
+    ).replace(/[^\w.-]/g, '_') || 'Component';
+
+    let name = base;
+    for (let index = 2; usedNames.has(`${type}/${name}`); index++) {
+      name = `${base}${index}`;
+    }
+    return name;
+  };
+
+  // Root components that are external refs keep their own name
+  for (const type of COMPONENT_TYPES) {
+    for (const [name, component] of Object.entries(spec.components?.[type] || {})) {
+      if (typeof component?.$ref === 'string' && !component.$ref.startsWith('#')) {
+        const { file, pointer } = resolveLocation(component.$ref, root);
+        register(`${file}#${pointer}`, type, name);
+      }
+    }
+  }
+
+  const walk = async(node, base, keys, inSchema) => {
+    if (Array.isArray(node)) {
+      const items = [];
+      for (const [index, item] of node.entries()) {
+        items.push(await walk(item, base, [...keys, String(index)], inSchema));
+      }
+      return items;
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const { $ref: ref, ...siblings } = node;
+    const copy = {};
+    for (const [key, value] of Object.entries(siblings)) {
+      const isExample = key === 'example' || (key === 'value' && !inSchema);
+      const childInSchema = inSchema || key === 'schema' || (keys.length === 2 && keys[0] === 'components' && keys[1] === 'schemas');
+      copy[key] = isExample ? value : await walk(value, base, [...keys, key], childInSchema);
+    }
+    if (typeof ref !== 'string') {
+      return copy;
+    }
+    if (ref.startsWith('#') && base === root) {
+      return { $ref: ref, ...copy };
+    }
+
+    const { file, pointer } = resolveLocation(ref, base);
+    if (file === root) {
+      return { $ref: `#${pointer}`, ...copy };
+    }
+
+    const key = `${file}#${pointer}`;
+    const wholeFile = registered.get(`${file}#`);
+    const entry = registered.get(key);
+    const isOwnEntry = entry && keys.length === 3 && keys[0] === 'components' && keys[1] === entry.type && keys[2] === entry.name;
+
+    if (entry && !isOwnEntry) {
+      return { $ref: `#/components/${entry.type}/${entry.name}`, ...copy };
+    }
+    if (!entry && wholeFile && pointer) {
+      // A pointer into a file that is already a component
+      return { $ref: `#/components/${wholeFile.type}/${wholeFile.name}${pointer}`, ...copy };
+    }
+
+    const document = await loadDocument(file, base, ref);
+    const target = getPointer(document, pointer, file);
+    const type = isOwnEntry ? entry.type : getComponentType(keys, inSchema, pointer);
+
+    if (isOwnEntry || !type) {
+      // The root's own component entry, or a path item: inline the content
+      return { ...await walk(target, file, keys, inSchema || type === 'schemas'), ...copy };
+    }
+
+    const name = pickName(type, file, pointer);
+    register(key, type, name);
+    bundled[type] ??= {};
+    bundled[type][name] = await walk(target, file, ['components', type, name], type === 'schemas');
+    return { $ref: `#/components/${type}/${name}`, ...copy };
+  };
+
+  const result = await walk(spec, root, [], false);
+  for (const [type, components] of Object.entries(bundled)) {
+    result.components ??= {};
+    result.components[type] = { ...result.components[type], ...components };
+  }
+
+  return { spec: result, files: [...documents.keys()].filter(file => file !== root) };
+}
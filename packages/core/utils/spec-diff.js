@@ -0,0 +1,664 @@
+/**
+ * OpenAPI Spec Diff
+ *
+ * Compares two OpenAPI documents for `confytome diff`: operations,
+ * parameters, request bodies, responses and the schemas they use. Every
+ * change is classified as breaking, non-breaking or informational from the
+ * client's point of view - narrowing what a request may contain or widening
+ * what a response may contain is breaking. Changes inside a shared component
+ * schema are reported once, listing every operation that uses it.
+ * Changes to operations and components generated from JSDoc name the
+ * @swagger block to edit ("x-confytome-source").
+ */
+
+import { SOURCE_EXTENSION, formatSourceLocation } from './source-locations.js';
+
+export const CHANGE_LEVELS = {
+  BREAKING: 'breaking',
+  NON_BREAKING: 'non-breaking',
+  INFO: 'info'
+};
+
+const LEVEL_HEADINGS = {
+  [CHANGE_LEVELS.BREAKING]: '💥 Breaking changes',
+  [CHANGE_LEVELS.NON_BREAKING]: '✨ Non-breaking changes',
+  [CHANGE_LEVELS.INFO]: 'ℹ️  Informational changes'
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_DEPTH = 20;
+const UPPER_BOUNDS = ['maxLength', 'maximum', 'maxItems', 'maxProperties'];
+const LOWER_BOUNDS = ['minLength', 'minimum', 'minItems', 'minProperties'];
+
+export class SpecDiff {
+  /**
+   * @param {Object} oldSpec - Previous OpenAPI document
+   * @param {Object} newSpec - Current OpenAPI document
+   */
+  constructor(oldSpec, newSpec) {
+    this.oldSpec = oldSpec || {};
+    this.newSpec = newSpec || {};
+  }
+
+  /**
+   * Compare the two documents
+   * @returns {Object} { from, to, changes, summary } where each change is
+   *   { level, type, message, operations: [{ method, path, tags, source }], shared, source }
+   */
+  compare() {
+    this.changes = [];
+    this.changesByKey = new Map();
+    this.componentChanges = new Map();
+    this.collector = null;
+
+    this.compareOperations();
+    this.compareComponents();
+
+    return {
+      from: { title: this.oldSpec.info?.title, version: this.oldSpec.info?.version },
+      to: { title: this.newSpec.info?.title, version: this.newSpec.info?.version },
+      changes: this.changes,
+      summary: SpecDiff.summarize(this.changes)
+    };
+  }
+
+  /**
+   * Count changes per level
+   * @param {Array<Object>} changes - Changes from compare()
+   * @returns {{breaking: number, nonBreaking: number, info: number}} Counts
+   */
+  static summarize(changes) {
+    return {
+      breaking: changes.filter(change => change.level === CHANGE_LEVELS.BREAKING).length,
+      nonBreaking: changes.filter(change => change.level === CHANGE_LEVELS.NON_BREAKING).length,
+      info: changes.filter(change => change.level === CHANGE_LEVELS.INFO).length
+    };
+  }
+
+  /**
+   * Record a change (identical messages are merged and collect their operations)
+   * @param {string} level - One of CHANGE_LEVELS
+   * @param {string} type - endpoint-added, endpoint-removed, endpoint-deprecated, endpoint-changed or component
+   * @param {string} message - Human readable description
+   * @param {Object|null} operation - Affected operation { method, path, tags, source }
+   * @param {boolean} shared - Whether the change is inside a shared component schema
+   * @param {Object|null} source - Where the changed component is defined (x-confytome-source)
+   */
+  record(level, type, message, operation = null, shared = false, source = null) {
+    const key = `${level} ${message}`;
+    let change = this.changesByKey.get(key);
+    if (!change) {
+      change = { level, type, message, operations: [], shared };
+      if (source) {
+        change.source = source;
+      }
+      this.changesByKey.set(key, change);
+      this.changes.push(change);
+    }
+
+    this.addOperation(change, operation);
+    if (this.collector && !this.collector.includes(change)) {
+      this.collector.push(change);
+    }
+  }
+
+  addOperation(change, operation) {
+    if (operation && !change.operations.some(existing => existing.method === operation.method && existing.path === operation.path)) {
+      change.operations.push(operation);
+    }
+  }
+
+  /**
+   * List operations keyed by method and path template (parameter names ignored)
+   * @param {Object} spec - OpenAPI document
+   * @returns {Map<string, Object>} Key -> { method, path, operation, pathItem }
+   */
+  getOperations(spec) {
+    const operations = new Map();
+    for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        if (pathItem?.[method]) {
+          operations.set(`${method} ${route.replace(/\{[^}]*\}/g, '{}')}`, { method, path: route, operation: pathItem[method], pathItem });
+        }
+      }
+    }
+    return operations;
+  }
+
+  compareOperations() {
+    const oldOperations = this.getOperations(this.oldSpec);
+    const newOperations = this.getOperations(this.newSpec);
+
+    for (const [key, entry] of oldOperations) {
+      if (!newOperations.has(key)) {
+        const label = `${entry.method.toUpperCase()} ${entry.path}`;
+        this.record(CHANGE_LEVELS.BREAKING, 'endpoint-removed', `Removed endpoint ${label}`, this.describeOperation(entry));
+      }
+    }
+
+    for (const [key, entry] of newOperations) {
+      const oldEntry = oldOperations.get(key);
+      if (!oldEntry) {
+        const label = `${entry.method.toUpperCase()} ${entry.path}`;
+        this.record(CHANGE_LEVELS.NON_BREAKING, 'endpoint-added', `Added endpoint ${label}`, this.describeOperation(entry));
+      } else {
+        this.compareOperation(oldEntry, entry);
+      }
+    }
+  }
+
+  describeOperation(entry) {
+    const operation = { method: entry.method.toUpperCase(), path: entry.path, tags: entry.operation.tags || [] };
+    if (entry.operation[SOURCE_EXTENSION]) {
+      operation.source = entry.operation[SOURCE_EXTENSION];
+    }
+    return operation;
+  }
+
+  compareOperation(oldEntry, newEntry) {
+    const operation = this.describeOperation(newEntry);
+    const label = `${operation.method} ${operation.path}`;
+    const ctx = { label, operation };
+    const before = oldEntry.operation;
+    const after = newEntry.operation;
+
+    if (!before.deprecated && after.deprecated) {
+      this.record(CHANGE_LEVELS.INFO, 'endpoint-deprecated', `Deprecated endpoint ${label}`, operation);
+    } else if (before.deprecated && !after.deprecated) {
+      this.record(CHANGE_LEVELS.INFO, 'endpoint-changed', `${label}: no longer deprecated`, operation);
+    }
+    if (before.operationId !== after.operationId && before.operationId && after.operationId) {
+      this.record(CHANGE_LEVELS.INFO, 'endpoint-changed', `${label}: operationId changed from ${before.operationId} to ${after.operationId}`, operation);
+    }
+    if (before.summary !== after.summary || before.description !== after.description) {
+      this.record(CHANGE_LEVELS.INFO, 'endpoint-changed', `${label}: summary or description changed`, operation);
+    }
+
+    this.compareParameters(oldEntry, newEntry, ctx);
+    this.compareRequestBody(before.requestBody, after.requestBody, ctx);
+    this.compareResponses(before.responses || {}, after.responses || {}, ctx);
+  }
+
+  /**
+   * Merge path-level and operation-level parameters
+   * Path parameters are keyed by their position in the template so renaming
+   * {id} to {userId} is not reported as a removal.
+   * @param {Object} spec - OpenAPI document
+   * @param {Object} entry - Operation entry
+   * @returns {Map<string, Object>} Key -> parameter
+   */
+  getParameters(spec, entry) {
+    const templateNames = [...entry.path.matchAll(/\{([^}]*)\}/g)].map(match => match[1]);
+    const parameters = new Map();
+
+    for (const parameter of [...(entry.pathItem.parameters || []), ...(entry.operation.parameters || [])]) {
+      const resolved = this.deref(spec, parameter);
+      if (!resolved?.name) continue;
+
+      const key = resolved.in === 'path'
+        ? `path:${templateNames.indexOf(resolved.name)}`
+        : `${resolved.in}:${resolved.in === 'header' ? resolved.name.toLowerCase() : resolved.name}`;
+      parameters.set(key, resolved);
+    }
+    return parameters;
+  }
+
+  compareParameters(oldEntry, newEntry, ctx) {
+    const oldParameters = this.getParameters(this.oldSpec, oldEntry);
+    const newParameters = this.getParameters(this.newSpec, newEntry);
+
+    for (const [key, parameter] of oldParameters) {
+      if (!newParameters.has(key)) {
+        this.record(CHANGE_LEVELS.BREAKING, 'endpoint-changed', `${ctx.label}: ${parameter.in} parameter "${parameter.name}" was removed`, ctx.operation);
+      }
+    }
+
+    for (const [key, parameter] of newParameters) {
+      const oldParameter = oldParameters.get(key);
+      const name = `${parameter.in} parameter "${parameter.name}"`;
+
+      if (!oldParameter) {
+        if (parameter.required) {
+          this.record(CHANGE_LEVELS.BREAKING, 'endpoint-changed', `${ctx.label}: added required ${name}`, ctx.operation);
+        } else {
+          this.record(CHANGE_LEVELS.NON_BREAKING, 'endpoint-changed', `${ctx.label}: added optional ${name}`, ctx.operation);
+        }
+        continue;
+      }
+
+      if (!oldParameter.required && parameter.required) {
+        this.record(CHANGE_LEVELS.BREAKING, 'endpoint-changed', `${ctx.label}: ${name} is now required`, ctx.operation);
+      } else if (oldParameter.required && !parameter.required) {
+        this.record(CHANGE_LEVELS.NON_BREAKING, 'endpoint-changed', `${ctx.label}: ${name} is now optional`, ctx.operation);
+      }
+
+      this.compareSchema(oldParameter.schema, parameter.schema, { ...ctx, where: name, direction: 'request' });
+    }
+  }
+
+  compareRequestBody(oldBody, newBody, ctx) {
+    const before = this.deref(this.oldSpec, oldBody);
+    const after = this.deref(this.newSpec, newBody);
+
+    if (!before && !after) {
+      return;
+    }
+    if (!before) {
+      const level = after.required ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.NON_BREAKING;
+      this.record(level, 'endpoint-changed', `${ctx.label}: added ${after.required ? 'required' : 'optional'} request body`, ctx.operation);
+      return;
+    }
+    if (!after) {
+      this.record(CHANGE_LEVELS.BREAKING, 'endpoint-changed', `${ctx.label}: request body was removed`, ctx.operation);
+      return;
+    }
+
+    if (!before.required && after.required) {
+      this.record(CHANGE_LEVELS.BREAKING, 'endpoint-changed', `${ctx.label}: request body is now required`, ctx.operation);
+    }
+
+    this.compareContent(before.content || {}, after.content || {}, { ...ctx, where: 'request body', direction: 'request' });
+  }
+
+  compareResponses(oldResponses, newResponses, ctx) {
+    for (const code of Object.keys(oldResponses)) {
+      if (!newResponses[code]) {
+        const level = /^[23]/.test(code) ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.INFO;
+        this.record(level, 'endpoint-changed', `${ctx.label}: response ${code} was removed`, ctx.operation);
+      }
+    }
+
+    for (const [code, response] of Object.entries(newResponses)) {
+      if (!oldResponses[code]) {
+        this.record(CHANGE_LEVELS.NON_BREAKING, 'endpoint-changed', `${ctx.label}: added response ${code}`, ctx.operation);
+        continue;
+      }
+
+      const before = this.deref(this.oldSpec, oldResponses[code]) || {};
+      const after = this.deref(this.newSpec, response) || {};
+      this.compareContent(before.content || {}, after.content || {}, { ...ctx, where: `response ${code}`, direction: 'response' });
+    }
+  }
+
+  compareContent(oldContent, newContent, ctx) {
+    const newTypes = Object.keys(newContent);
+    for (const type of Object.keys(oldContent)) {
+      if (!newContent[type]) {
+        this.record(CHANGE_LEVELS.BREAKING, 'endpoint-changed', `${ctx.label}: ${ctx.where} no longer supports ${type}`, ctx.operation);
+      }
+    }
+
+    for (const type of newTypes) {
+      if (!oldContent[type]) {
+        this.record(CHANGE_LEVELS.NON_BREAKING, 'endpoint-changed', `${ctx.label}: ${ctx.where} now supports ${type}`, ctx.operation);
+        continue;
+      }
+
+      const where = newTypes.length > 1 ? `${ctx.where} (${type})` : ctx.where;
+      this.compareSchema(oldContent[type].schema, newContent[type].schema, { ...ctx, where });
+    }
+  }
+
+  /**
+   * Compare two schemas in request or response direction
+   * @param {Object} oldSchema - Previous schema
+   * @param {Object} newSchema - Current schema
+   * @param {Object} ctx - { label, operation, where, direction }
+   * @param {number} depth - Recursion depth
+   */
+  compareSchema(oldSchema, newSchema, ctx, depth = 0) {
+    if (!oldSchema || !newSchema || depth > MAX_DEPTH) {
+      return;
+    }
+
+    const oldName = this.refName(oldSchema);
+    if (oldName && oldName === this.refName(newSchema)) {
+      this.compareSharedSchema(oldName, oldSchema, newSchema, ctx, depth);
+      return;
+    }
+
+    const before = this.deref(this.oldSpec, oldSchema);
+    const after = this.deref(this.newSpec, newSchema);
+    if (!before || !after) {
+      return;
+    }
+
+    const report = (level, text) => {
+      const message = ctx.label ? `${ctx.label}: ${ctx.where} ${text}` : `${ctx.where} ${text}`;
+      this.record(level, 'endpoint-changed', message, ctx.operation, !ctx.label, ctx.label ? null : ctx.source);
+    };
+    const isRequest = ctx.direction === 'request';
+
+    if (!this.compareTypes(before, after, isRequest, report)) {
+      return;
+    }
+
+    if (before.format !== after.format && after.format && (before.format || isRequest)) {
+      report(CHANGE_LEVELS.BREAKING, before.format ? `format changed from ${before.format} to ${after.format}` : `now requires format ${after.format}`);
+    }
+
+    this.compareEnums(before.enum, after.enum, isRequest, report);
+
+    if (isRequest) {
+      this.compareConstraints(before, after, report);
+    }
+
+    this.compareProperties(before, after, ctx, isRequest, report, depth);
+
+    if (before.items && after.items) {
+      this.compareSchema(before.items, after.items, { ...ctx, where: `${ctx.where}[]` }, depth + 1);
+    }
+
+    for (const keyword of ['allOf', 'oneOf', 'anyOf']) {
+      const oldList = before[keyword] || [];
+      const newList = after[keyword] || [];
+      if (oldList.length === newList.length) {
+        oldList.forEach((item, index) => this.compareSchema(item, newList[index], ctx, depth + 1));
+      } else if (keyword === 'allOf') {
+        report(CHANGE_LEVELS.INFO, 'allOf composition changed');
+      } else {
+        // Fewer alternatives narrows what is accepted; more widens what may be returned
+        const narrowed = newList.length < oldList.length;
+        report(narrowed === isRequest ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.NON_BREAKING,
+          `${keyword} alternatives changed from ${oldList.length} to ${newList.length}`);
+      }
+    }
+  }
+
+  /**
+   * Compare a component schema referenced from both sides once per direction
+   * Later operations using the same component are added to the recorded changes.
+   */
+  compareSharedSchema(name, oldSchema, newSchema, ctx, depth) {
+    const key = `${name} ${ctx.direction}`;
+    const cached = this.componentChanges.get(key);
+    if (cached) {
+      cached.forEach(change => {
+        this.addOperation(change, ctx.operation);
+        if (this.collector && !this.collector.includes(change)) {
+          this.collector.push(change);
+        }
+      });
+      return;
+    }
+
+    const collected = [];
+    this.componentChanges.set(key, collected);
+    const previous = this.collector;
+    this.collector = collected;
+
+    try {
+      this.compareSchema(
+        this.deref(this.oldSpec, oldSchema),
+        this.deref(this.newSpec, newSchema),
+        { ...ctx, label: null, where: name, source: this.newSpec.components?.schemas?.[name]?.[SOURCE_EXTENSION] },
+        depth + 1
+      );
+    } finally {
+      this.collector = previous;
+    }
+
+    collected.forEach(change => {
+      if (previous && !previous.includes(change)) {
+        previous.push(change);
+      }
+    });
+  }
+
+  /**
+   * Compare declared types (3.0 nullable and 3.1 type arrays)
+   * @returns {boolean} False when the types are incompatible and nothing else is worth comparing
+   */
+  compareTypes(before, after, isRequest, report) {
+    const oldTypes = this.getTypes(before);
+    const newTypes = this.getTypes(after);
+    if (oldTypes.length === 0 || newTypes.length === 0) {
+      return true;
+    }
+
+    const removed = oldTypes.filter(type => !newTypes.includes(type));
+    const added = newTypes.filter(type => !oldTypes.includes(type));
+    if (removed.length === 0 && added.length === 0) {
+      return true;
+    }
+
+    const breaking = isRequest ? removed.length > 0 : added.length > 0;
+    report(breaking ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.NON_BREAKING,
+      `type changed from ${oldTypes.join(' | ')} to ${newTypes.join(' | ')}`);
+    return oldTypes.some(type => newTypes.includes(type));
+  }
+
+  compareEnums(oldEnum, newEnum, isRequest, report) {
+    if (!oldEnum && !newEnum) {
+      return;
+    }
+    if (!oldEnum) {
+      report(isRequest ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.NON_BREAKING, `is now restricted to ${this.formatValues(newEnum)}`);
+      return;
+    }
+    if (!newEnum) {
+      report(isRequest ? CHANGE_LEVELS.NON_BREAKING : CHANGE_LEVELS.BREAKING, 'is no longer restricted to an enum');
+      return;
+    }
+
+    const serialize = value => JSON.stringify(value);
+    const removed = oldEnum.filter(value => !newEnum.map(serialize).includes(serialize(value)));
+    const added = newEnum.filter(value => !oldEnum.map(serialize).includes(serialize(value)));
+
+    if (removed.length > 0) {
+      report(isRequest ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.NON_BREAKING, `enum values removed: ${this.formatValues(removed)}`);
+    }
+    if (added.length > 0) {
+      report(isRequest ? CHANGE_LEVELS.NON_BREAKING : CHANGE_LEVELS.BREAKING, `enum values added: ${this.formatValues(added)}`);
+    }
+  }
+
+  compareConstraints(before, after, report) {
+    for (const keyword of UPPER_BOUNDS) {
+      if (after[keyword] !== undefined && (before[keyword] === undefined || after[keyword] < before[keyword])) {
+        report(CHANGE_LEVELS.BREAKING, `${keyword} narrowed to ${after[keyword]}`);
+      }
+    }
+    for (const keyword of LOWER_BOUNDS) {
+      if (after[keyword] !== undefined && (before[keyword] === undefined || after[keyword] > before[keyword])) {
+        report(CHANGE_LEVELS.BREAKING, `${keyword} narrowed to ${after[keyword]}`);
+      }
+    }
+    if (after.pattern && after.pattern !== before.pattern) {
+      report(CHANGE_LEVELS.BREAKING, `pattern changed to ${after.pattern}`);
+    }
+  }
+
+  compareProperties(before, after, ctx, isRequest, report, depth) {
+    if (!before.properties && !after.properties) {
+      return;
+    }
+
+    const oldProperties = before.properties || {};
+    const newProperties = after.properties || {};
+    const oldRequired = before.required || [];
+    const newRequired = after.required || [];
+
+    for (const name of Object.keys(oldProperties)) {
+      if (!newProperties[name]) {
+        report(CHANGE_LEVELS.BREAKING, `property "${name}" was removed`);
+      }
+    }
+
+    for (const [name, property] of Object.entries(newProperties)) {
+      if (!oldProperties[name]) {
+        const required = newRequired.includes(name);
+        report(isRequest && required ? CHANGE_LEVELS.BREAKING : CHANGE_LEVELS.NON_BREAKING,
+          `added ${required ? 'required' : 'optional'} property "${name}"`);
+        continue;
+      }
+
+      const wasRequired = oldRequired.includes(name);
+      const isRequired = newRequired.includes(name);
+      if (isRequest && !wasRequired && isRequired) {
+        report(CHANGE_LEVELS.BREAKING, `property "${name}" is now required`);
+      } else if (!isRequest && wasRequired && !isRequired) {
+        report(CHANGE_LEVELS.BREAKING, `property "${name}" is no longer always present`);
+      }
+
+      this.compareSchema(oldProperties[name], property, { ...ctx, where: `${ctx.where}.${name}` }, depth + 1);
+    }
+  }
+
+  compareComponents() {
+    const oldSchemas = this.oldSpec.components?.schemas || {};
+    const newSchemas = this.newSpec.components?.schemas || {};
+
+    for (const name of Object.keys(oldSchemas)) {
+      if (!newSchemas[name]) {
+        this.record(CHANGE_LEVELS.INFO, 'component', `Removed schema ${name}`, null, false, oldSchemas[name]?.[SOURCE_EXTENSION]);
+      }
+    }
+    for (const name of Object.keys(newSchemas)) {
+      if (!oldSchemas[name]) {
+        this.record(CHANGE_LEVELS.INFO, 'component', `Added schema ${name}`, null, false, newSchemas[name]?.[SOURCE_EXTENSION]);
+      }
+    }
+  }
+
+  /**
+   * Get the component name of a "#/components/schemas/<name>" reference
+   * @param {Object} schema - Possibly referenced schema
+   * @returns {string|null} Component name
+   */
+  refName(schema) {
+    const match = /^#\/components\/schemas\/([^/]+)$/.exec(schema?.$ref || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Resolve local $refs in a document
+   * @param {Object} spec - Document the reference belongs to
+   * @param {Object} object - Possibly referenced object
+   * @returns {Object|null} Resolved object, or null when unresolvable
+   */
+  deref(spec, object) {
+    let current = object;
+    for (let depth = 0; current?.$ref && depth < MAX_DEPTH; depth++) {
+      if (!current.$ref.startsWith('#/')) return null;
+      current = current.$ref.substring(2).split('/')
+        .reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+    }
+    return current || null;
+  }
+
+  getTypes(schema) {
+    const types = Array.isArray(schema.type) ? [...schema.type] : (schema.type ? [schema.type] : []);
+    if (schema.nullable === true && types.length > 0 && !types.includes('null')) {
+      types.push('null');
+    }
+    return types;
+  }
+
+  formatValues(values) {
+    return values.map(value => JSON.stringify(value)).join(', ');
+  }
+
+  /**
+   * Describe a change, listing affected operations for shared schema changes
+   * @param {Object} change - Change from compare()
+   * @returns {string} Text line
+   */
+  static describeChange(change) {
+    if (!change.shared || change.operations.length === 0) {
+      return change.message;
+    }
+    return `${change.message} (used by ${change.operations.map(operation => `${operation.method} ${operation.path}`).join(', ')})`;
+  }
+
+  /**
+   * Where to edit for a change: the changed component, or the one operation it is about
+   * @param {Object} change - Change from compare()
+   * @returns {Object|null} Source location
+   */
+  static changeSource(change) {
+    if (change.source) {
+      return change.source;
+    }
+    return !change.shared && change.operations.length === 1 ? change.operations[0].source || null : null;
+  }
+
+  /**
+   * Format a comparison as plain text
+   * @param {Object} result - Result of compare()
+   * @returns {string} Report
+   */
+  static toText(result) {
+    const lines = [`📊 ${this.describeVersions(result)}`];
+
+    for (const level of Object.values(CHANGE_LEVELS)) {
+      const changes = result.changes.filter(change => change.level === level);
+      if (changes.length === 0) continue;
+
+      lines.push('', `${LEVEL_HEADINGS[level]} (${changes.length})`);
+      changes.forEach(change => {
+        lines.push(`  - ${this.describeChange(change)}`);
+        const source = this.changeSource(change);
+        if (source) {
+          lines.push(`    ↳ defined in ${formatSourceLocation(source)}`);
+        }
+      });
+    }
+
+    if (result.changes.length === 0) {
+      lines.push('', '✅ No changes');
+    } else {
+      const { breaking, nonBreaking, info } = result.summary;
+      lines.push('', `${breaking} breaking, ${nonBreaking} non-breaking, ${info} informational`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a comparison as JSON
+   * @param {Object} result - Result of compare()
+   * @returns {string} JSON report
+   */
+  static toJson(result) {
+    return JSON.stringify(result, null, 2);
+  }
+
+  /**
+   * Format a comparison as Markdown (e.g. for a pull request comment)
+   * @param {Object} result - Result of compare()
+   * @returns {string} Markdown report
+   */
+  static toMarkdown(result) {
+    const lines = [`## ${this.describeVersions(result)}`];
+
+    if (result.changes.length === 0) {
+      lines.push('', 'No changes.');
+      return `${lines.join('\n')}\n`;
+    }
+
+    const { breaking, nonBreaking, info } = result.summary;
+    lines.push('', `**${breaking}** breaking, **${nonBreaking}** non-breaking, **${info}** informational`);
+
+    for (const level of Object.values(CHANGE_LEVELS)) {
+      const changes = result.changes.filter(change => change.level === level);
+      if (changes.length === 0) continue;
+
+      lines.push('', `### ${LEVEL_HEADINGS[level].replace(/\s+/, ' ')}`, '');
+      changes.forEach(change => {
+        const source = this.changeSource(change);
+        const label = source && `\`${formatSourceLocation(source)}\``;
+        const link = source && (source.url ? ` ([${label}](${source.url}))` : ` (${label})`);
+        lines.push(`- ${this.describeChange(change).replace(/([*_`<>|])/g, '\\$1')}${link || ''}`);
+      });
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  static describeVersions(result) {
+    const title = result.to.title || result.from.title || 'API';
+    if (result.from.version && result.to.version && result.from.version !== result.to.version) {
+      return `${title}: ${result.from.version} → ${result.to.version}`;
+    }
+    return `${title}${result.to.version ? ` ${result.to.version}` : ''}`;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * OpenAPI Spec Output Formats
+ *
+ * Serializes the generated spec as api-spec.json, api-spec.yaml or both.
+ * YAML output keeps multi-line descriptions readable as block scalars and
+ * quotes strings such as "yes" or "1.0" that YAML would otherwise retype.
+ */
+
+import yaml from 'js-yaml';
+import { OUTPUT_FILES } from '../constants.js';
+
+export const SPEC_FORMATS = ['json', 'yaml', 'both'];
+
+const SERIALIZERS = {
+  json: {
+    fileName: OUTPUT_FILES.OPENAPI_SPEC,
+    serialize: spec => JSON.stringify(spec, null, 2)
+  },
+  yaml: {
+    fileName: OUTPUT_FILES.OPENAPI_SPEC_YAML,
+    serialize: spec => yaml.dump(spec, { lineWidth: -1, noRefs: true })
+  }
+};
+
+/**
+ * Validate a spec format setting
+ * @param {string} format - 'json', 'yaml' or 'both' (default: 'json')
+ * @returns {string} The format
+ */
+export function validateSpecFormat(format = 'json') {
+  if (!SPEC_FORMATS.includes(format)) {
+    throw new Error(`Unknown spec format '${format}': expected ${SPEC_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Serialize a spec into every file a format asks for
+ * @param {Object} spec - OpenAPI document
+ * @param {string} format - 'json', 'yaml' or 'both'
+ * @returns {Array<{format: string, fileName: string, content: string}>} Files to write, JSON first
+ */
+export function serializeSpec(spec, format = 'json') {
+  const formats = validateSpecFormat(format) === 'both' ? ['json', 'yaml'] : [format];
+
+  return formats.map(name => ({
+    format: name,
+    fileName: SERIALIZERS[name].fileName,
+    content: SERIALIZERS[name].serialize(spec)
+  }));
+}
+
+/**
+ * Spec format to use when documentation generators run afterwards
+ * The generators read api-spec.json, so a YAML-only setting also keeps the JSON.
+ * @param {string} format - Configured format
+ * @returns {string} Format that includes JSON
+ */
+export function withJsonSpec(format = 'json') {
+  return validateSpecFormat(format) === 'yaml' ? 'both' : format;
+}
@@ -0,0 +1,252 @@
+/**
+ * OpenAPI Spec Linter
+ *
+ * Runs the built-in lint rules plus any custom rules from confytome.json
+ * against an OpenAPI document for `confytome lint`. Severities can be
+ * overridden per rule, and problems are reported with the line and column
+ * of the offending value so editors and CI logs can link straight to it.
+ * Problems inside an operation or component generated from JSDoc also name
+ * the @swagger block it came from ("x-confytome-source").
+ *
+ * confytome.json:
+ *   "lint": {
+ *     "rules": { "operation-examples": "off", "operation-operationId": "error" },
+ *     "customRules": ["./lint/require-summary.js"]
+ *   }
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BUILTIN_RULES } from './lint-rules.js';
+import { toJsonPointer } from './json-source-map.js';
+import { findSourceLocation, formatSourceLocation } from './source-locations.js';
+
+export const LINT_SEVERITIES = ['error', 'warn', 'off'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+export class SpecLinter {
+  /**
+   * @param {Object} options - Linter options
+   * @param {Object} options.rules - Rule name -> severity overrides
+   * @param {Array<Object>} options.customRules - Additional rule objects
+   */
+  constructor(options = {}) {
+    this.rules = [...BUILTIN_RULES, ...(options.customRules || [])];
+    this.severities = {};
+
+    for (const rule of this.rules) {
+      this.severities[rule.name] = rule.severity || 'error';
+    }
+
+    for (const [name, severity] of Object.entries(options.rules || {})) {
+      if (!this.severities[name]) {
+        throw new Error(`Unknown lint rule '${name}' in confytome.json`);
+      }
+      if (!LINT_SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity '${severity}' for lint rule '${name}': expected ${LINT_SEVERITIES.join(', ')}`);
+      }
+      this.severities[name] = severity;
+    }
+  }
+
+  /**
+   * Create a linter from the "lint" section of confytome.json
+   * @param {Object} lintConfig - The "lint" section ({ rules, customRules })
+   * @param {string} baseDir - Directory custom rule paths are relative to
+   * @returns {Promise<SpecLinter>} Configured linter
+   */
+  static async fromConfig(lintConfig = {}, baseDir = process.cwd()) {
+    const customRules = [];
+    for (const file of lintConfig.customRules || []) {
+      customRules.push(...await this.loadRuleModule(file, baseDir));
+    }
+    return new SpecLinter({ rules: lintConfig.rules, customRules });
+  }
+
+  /**
+   * Load custom rules from a module exporting a rule or an array of rules (default export)
+   * @param {string} file - Module path
+   * @param {string} baseDir - Directory the path is relative to
+   * @returns {Promise<Array<Object>>} Rules
+   */
+  static async loadRuleModule(file, baseDir) {
+    const modulePath = path.resolve(baseDir, file);
+    if (!fs.existsSync(modulePath)) {
+      throw new Error(`Custom lint rule file not found: ${file}`);
+    }
+
+    const module = await import(pathToFileURL(modulePath).href);
+    const exported = module.default ?? module.rules;
+    const rules = Array.isArray(exported) ? exported : [exported];
+
+    for (const rule of rules) {
+      if (!rule || typeof rule.name !== 'string' || typeof rule.check !== 'function') {
+        throw new Error(`Custom lint rule in ${file} must export { name, check(context) }`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * List every known rule with its effective severity
+   * @returns {Array<Object>} { name, severity, description }
+   */
+  listRules() {
+    return this.rules.map(rule => ({
+      name: rule.name,
+      severity: this.severities[rule.name],
+      description: rule.description || ''
+    }));
+  }
+
+  /**
+   * Run every enabled rule
+   * @param {Object} spec - OpenAPI document
+   * @returns {Promise<Array<Object>>} Problems { rule, severity, message, path, pointer, source }
+   */
+  async lint(spec) {
+    const problems = [];
+
+    for (const rule of this.rules) {
+      const severity = this.severities[rule.name];
+      if (severity === 'off') continue;
+
+      const context = this.createContext(spec, (problem) => {
+        const problemPath = (problem.path || []).map(String);
+        const source = findSourceLocation(spec, problemPath);
+        problems.push({
+          rule: rule.name,
+          severity,
+          message: problem.message,
+          path: problemPath,
+          pointer: toJsonPointer(problemPath),
+          ...(source && { source })
+        });
+      });
+
+      try {
+        await rule.check(context);
+      } catch (error) {
+        throw new Error(`Lint rule '${rule.name}' failed: ${error.message}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Build the context passed to rule.check()
+   * @param {Object} spec - OpenAPI document
+   * @param {Function} report - Records a problem ({ path, message })
+   * @returns {Object} { spec, report, operations, deref }
+   */
+  createContext(spec, report) {
+    const deref = (object) => {
+      let current = object;
+      for (let depth = 0; current?.$ref && depth < 20; depth++) {
+        if (!current.$ref.startsWith('#/')) return null;
+        current = current.$ref.substring(2).split('/')
+          .reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+      }
+      return current;
+    };
+
+    const operations = () => {
+      const entries = [];
+      for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+        for (const method of HTTP_METHODS) {
+          const operation = pathItem?.[method];
+          if (!operation) continue;
+
+          // Operation-level parameters override path-level ones with the same name and location
+          const parameters = new Map();
+          const addParameters = (list, basePath) => (list || []).forEach((parameter, index) => {
+            const resolved = deref(parameter);
+            if (resolved) {
+              parameters.set(`${resolved.in}:${resolved.name}`, { parameter: resolved, path: [...basePath, 'parameters', String(index)] });
+            }
+          });
+          addParameters(pathItem.parameters, ['paths', route]);
+          addParameters(operation.parameters, ['paths', route, method]);
+
+          entries.push({
+            method,
+            route,
+            label: `${method.toUpperCase()} ${route}`,
+            path: ['paths', route, method],
+            operation,
+            parameters: [...parameters.values()]
+          });
+        }
+      }
+      return entries;
+    };
+
+    return { spec, report, operations, deref };
+  }
+
+  /**
+   * Count problems by severity
+   * @param {Array<Object>} problems - Problems from lint()
+   * @returns {{errorCount: number, warningCount: number}} Counts
+   */
+  static summarize(problems) {
+    return {
+      errorCount: problems.filter(problem => problem.severity === 'error').length,
+      warningCount: problems.filter(problem => problem.severity === 'warn').length
+    };
+  }
+
+  /**
+   * Attach line and column numbers to problems
+   * @param {Array<Object>} problems - Problems from lint()
+   * @param {JsonSourceMap} sourceMap - Source map of the linted file
+   * @returns {Array<Object>} Problems with line and column, sorted by position
+   */
+  static locate(problems, sourceMap) {
+    return problems
+      .map(problem => ({ ...problem, ...sourceMap.locate(problem.path) }))
+      .sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Format located problems as "file:line:column  severity  message  rule" lines
+   * Problems with a source location are followed by the @swagger block to edit.
+   * @param {Array<Object>} problems - Problems from locate()
+   * @param {string} file - Path shown for every problem
+   * @returns {string} Report
+   */
+  static formatText(problems, file) {
+    const rows = problems.map(problem => [
+      `${file}:${problem.line}:${problem.column}`,
+      problem.severity === 'warn' ? 'warning' : problem.severity,
+      problem.message,
+      problem.rule
+    ]);
+    const widths = [0, 1].map(column => Math.max(0, ...rows.map(row => row[column].length)));
+
+    return rows
+      .map((row, index) => {
+        const line = `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}  (${row[3]})`;
+        const { source } = problems[index];
+        return source ? `${line}\n${' '.repeat(widths[0])}  ↳ defined in ${formatSourceLocation(source)}` : line;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Format located problems as JSON
+   * @param {Array<Object>} problems - Problems from locate()
+   * @param {string} file - Linted file
+   * @returns {string} JSON report
+   */
+  static formatJson(problems, file) {
+    return JSON.stringify({
+      file,
+      ...this.summarize(problems),
+      problems: problems.map(({ rule, severity, message, pointer, line, column, source }) => ({ rule, severity, message, pointer, line, column, source }))
+    }, null, 2);
+  }
+}
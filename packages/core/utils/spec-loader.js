@@ -0,0 +1,290 @@
+/**
+ * OpenAPI Spec Loader
+ *
+ * Reads the spec a generator consumes from a JSON or YAML file, from stdin
+ * ("-") or from an http(s) URL. Remote specs are cached on disk, and the
+ * cached copy is used when the URL cannot be reached, so docs for specs owned
+ * by other teams still build offline. Swagger 2.0 documents are converted to
+ * OpenAPI 3.0 as they are read, and $refs to other files are bundled.
+ * Specs to compare against (diff, changelogs) can also come from git: a spec
+ * committed at a revision, or the spec generated from a revision's JSDoc.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+import { ConfytomeConfig } from './confytome-config.js';
+import { isSwagger2, convertSwagger2 } from './swagger2-converter.js';
+import { hasExternalRefs, bundleSpec } from './spec-bundler.js';
+
+export const STDIN_SPEC = '-';
+export const SPEC_CACHE_DIR = './confytome-cache/specs';
+
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+// Generates the spec of another revision with the CLI of this package
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// stdin can only be read once, and remote specs are fetched once per run
+let stdinText = null;
+const remoteTexts = new Map();
+
+/**
+ * Check whether a spec source is an http(s) URL
+ * @param {string} source - Spec source
+ * @returns {boolean} True for remote specs
+ */
+export function isRemoteSpec(source) {
+  return typeof source === 'string' && ConfytomeConfig.isNetworkPath(source);
+}
+
+/**
+ * Resolve a --spec value: local paths become absolute, "-" and URLs are kept
+ * @param {string} source - Spec source from the command line
+ * @returns {string} Spec source for the generator's specPath option
+ */
+export function resolveSpecPath(source) {
+  return source === STDIN_SPEC || isRemoteSpec(source) ? source : path.resolve(source);
+}
+
+/**
+ * Check whether a spec source can be watched for changes
+ * @param {string} source - Spec source
+ * @returns {boolean} True for local files
+ */
+export function isLocalSpec(source) {
+  return source !== STDIN_SPEC && !isRemoteSpec(source);
+}
+
+/**
+ * Parse spec text as JSON or YAML
+ * .json sources are parsed as JSON and .yaml/.yml sources as YAML; anything
+ * else (stdin, extensionless URLs) is read as JSON when it looks like JSON.
+ * Swagger 2.0 documents are converted to OpenAPI 3.0.
+ * @param {string} text - Spec text
+ * @param {string} source - Where the text came from (for format detection and errors)
+ * @returns {Object} Parsed OpenAPI 3.x document
+ */
+export function parseSpecText(text, source = STDIN_SPEC) {
+  const extension = path.extname(isRemoteSpec(source) ? new URL(source).pathname : source).toLowerCase();
+  const isJson = extension === '.json' || (!YAML_EXTENSIONS.includes(extension) && /^\s*[{[]/.test(text));
+
+  const spec = isJson ? JSON.parse(text) : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${source === STDIN_SPEC ? 'stdin' : source} does not contain an OpenAPI document`);
+  }
+
+  if (isSwagger2(spec)) {
+    console.log(`🔄 Converting Swagger 2.0 spec ${source === STDIN_SPEC ? 'from stdin' : source} to OpenAPI 3.0.3`);
+    return convertSwagger2(spec);
+  }
+  return spec;
+}
+
+/**
+ * Read a spec from a local file or stdin
+ * @param {string} source - File path or "-"
+ * @returns {Object} Parsed OpenAPI document
+ */
+export function readLocalSpec(source) {
+  let text;
+  if (source === STDIN_SPEC) {
+    stdinText ??= fs.readFileSync(0, 'utf8');
+    text = stdinText;
+  } else if (!fs.existsSync(source)) {
+    throw new Error(`OpenAPI specification not found: ${source}`);
+  } else {
+    text = fs.readFileSync(source, 'utf8');
+  }
+
+  try {
+    return parseSpecText(text, source);
+  } catch (error) {
+    throw new Error(`Failed to parse OpenAPI specification: ${error.message}`);
+  }
+}
+
+/**
+ * Get the cache file for a remote spec
+ * @param {string} url - Spec URL
+ * @param {string} cacheDir - Cache directory
+ * @returns {string} Cache file path
+ */
+export function getSpecCachePath(url, cacheDir = SPEC_CACHE_DIR) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+  const extension = path.extname(new URL(url).pathname).toLowerCase() || '.json';
+  return path.join(cacheDir, `${hash}${extension}`);
+}
+
+/**
+ * Fetch a remote spec, refreshing its cached copy
+ * Falls back to the cached copy when the URL cannot be fetched.
+ * @param {string} url - Spec URL
+ * @param {Object} options - Fetch options
+ * @param {string} options.cacheDir - Cache directory (default: SPEC_CACHE_DIR)
+ * @returns {Promise<Object>} Parsed OpenAPI document
+ */
+export async function fetchRemoteSpec(url, options = {}) {
+  const cachePath = getSpecCachePath(url, options.cacheDir);
+
+  if (!remoteTexts.has(url)) {
+    let text;
+    try {
+      console.log(`📡 Downloading spec: ${url}`);
+      text = await ConfytomeConfig.fetchNetworkFile(url);
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(cachePath, text);
+    } catch (error) {
+      if (!fs.existsSync(cachePath)) {
+        throw new Error(`Failed to fetch OpenAPI specification ${url}: ${error.message}`);
+      }
+      console.log(`⚠️  Could not fetch ${url} (${error.message}), using cached copy from ${fs.statSync(cachePath).mtime.toISOString()}`);
+      text = fs.readFileSync(cachePath, 'utf8');
+    }
+    remoteTexts.set(url, text);
+  }
+
+  try {
+    return parseSpecText(remoteTexts.get(url), url);
+  } catch (error) {
+    throw new Error(`Failed to parse OpenAPI specification: ${error.message}`);
+  }
+}
+
+/**
+ * Load a spec from a file, stdin ("-") or an http(s) URL
+ * $refs to other files and URLs are bundled into the spec's components.
+ * @param {string} source - Spec source
+ * @param {Object} options - Options passed to fetchRemoteSpec
+ * @returns {Promise<Object>} Parsed OpenAPI document
+ */
+export async function loadSpec(source, options = {}) {
+  const spec = isRemoteSpec(source) ? await fetchRemoteSpec(source, options) : readLocalSpec(source);
+  if (!hasExternalRefs(spec)) {
+    return spec;
+  }
+
+  const { spec: bundled, files } = await bundleSpec(spec, source, options);
+  console.log(`📎 Bundled $refs from ${files.length} external file(s) into components`);
+  return bundled;
+}
+
+/**
+ * Run git and return its output
+ * @param {Array<string>} args - git arguments
+ * @returns {string} Standard output
+ */
+function git(args) {
+  return execFileSync('git', args, {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Last line a failed child process printed
+ * @param {Error} error - Error thrown by execFileSync
+ * @returns {string} Reason to show
+ */
+function failureReason(error) {
+  const output = `${error.stderr || ''}`.trim() || `${error.stdout || ''}`.trim();
+  return output.split('\n').pop() || error.message;
+}
+
+/**
+ * Check whether a name resolves to a git commit
+ * @param {string} revision - Branch, tag or commit
+ * @returns {boolean} True when git knows the revision
+ */
+function isGitRevision(revision) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate the spec from the JSDoc of a git revision
+ * The revision is checked out into a temporary git worktree and
+ * `confytome generate --spec-only` runs there, in the directory matching the
+ * current one, with the confytome config committed at that revision.
+ * @param {string} revision - Branch, tag or commit
+ * @param {string} specPath - Spec path, relative to the current directory, to generate
+ * @returns {string} Generated spec text
+ */
+function generateSpecAtRevision(revision, specPath) {
+  const prefix = git(['rev-parse', '--show-prefix']).trim();
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confytome-revision-'));
+  const worktree = path.join(tempDir, 'worktree');
+
+  try {
+    git(['worktree', 'add', '--detach', '--quiet', worktree, revision]);
+    const cwd = path.join(worktree, prefix);
+    try {
+      execFileSync(process.execPath, [CLI_PATH, 'generate', '--spec-only', '--output', path.dirname(specPath)], {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      throw new Error(`Could not generate the spec at ${revision} (${failureReason(error)}); pass "${revision}:<path>" to read a committed spec instead`);
+    }
+
+    const generatedPath = path.join(cwd, specPath);
+    if (!fs.existsSync(generatedPath)) {
+      throw new Error(`Generating the spec at ${revision} did not write ${specPath}`);
+    }
+    return fs.readFileSync(generatedPath, 'utf8');
+  } finally {
+    try {
+      git(['worktree', 'remove', '--force', worktree]);
+    } catch {
+      // The worktree was never added
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read a JSON or YAML spec from a file, a "<revision>:<path>" git reference, or a bare
+ * git revision (which generates defaultPath from the JSDoc of that revision)
+ * @param {string} source - File path, "<revision>:<path>" or revision
+ * @param {string} defaultPath - Spec path generated with a bare revision
+ * @returns {Object} Parsed OpenAPI document
+ */
+export function readSpecSource(source, defaultPath) {
+  let text;
+  let filePath = source;
+  const separator = source.indexOf(':');
+  if (fs.existsSync(source)) {
+    text = fs.readFileSync(source, 'utf8');
+  } else if (separator < 0 && isGitRevision(source)) {
+    filePath = path.relative(process.cwd(), path.resolve(defaultPath));
+    if (filePath.startsWith('..') || path.isAbsolute(filePath)) {
+      throw new Error(`Cannot generate ${defaultPath} at ${source}: it is outside the current directory`);
+    }
+    text = generateSpecAtRevision(source, filePath);
+  } else if (separator > 0) {
+    filePath = source.slice(separator + 1);
+    try {
+      text = git(['show', `${source.slice(0, separator)}:${filePath}`]);
+    } catch (error) {
+      throw new Error(`Spec not found: ${source} is neither a file nor readable from git (${failureReason(error)})`);
+    }
+  } else {
+    throw new Error(`Spec not found: ${source} is neither a file nor a git revision`);
+  }
+
+  try {
+    return parseSpecText(text, filePath);
+  } catch (error) {
+    throw new Error(`Invalid spec ${source}: ${error.message}`);
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * OpenAPI Spec Merger
+ *
+ * Combines independently generated specs into one gateway spec for
+ * `confytome merge` and the "merge" section of confytome.json:
+ * • Paths get an optional per-source prefix, operation tags a tag prefix
+ * • Same-named components that differ are renamed (User → User_billing)
+ *   with every $ref updated, or reported as a conflict
+ * • A source's servers and security move onto its operations when they differ
+ *   from the merged spec's, so getOperationServerUrl still finds the right URL
+ * The merged spec is an ordinary api-spec.json for every generator.
+ */
+
+import path from 'node:path';
+import { loadSpec } from './spec-loader.js';
+import { convertSpecVersion, resolveOpenAPITarget, OPENAPI_TARGETS } from './spec-version.js';
+
+export const MERGE_CONFLICT_MODES = ['rename', 'fail'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const COMPONENT_TYPES = [
+  'schemas', 'responses', 'parameters', 'examples', 'requestBodies',
+  'headers', 'securitySchemes', 'links', 'callbacks', 'pathItems'
+];
+
+/**
+ * Default name of a merge source: its file name without extension
+ * @param {string} source - File path or URL
+ * @returns {string} Source name
+ */
+export function getSourceName(source) {
+  const fileName = /^https?:\/\//i.test(source) ? new URL(source).pathname : source;
+  return path.basename(fileName, path.extname(fileName)) || 'spec';
+}
+
+/**
+ * Check the "merge" section of confytome.json
+ * @param {Object} merge - Merge configuration
+ * @returns {Array<Object>} Normalized sources ({spec, name, pathPrefix, tagPrefix})
+ */
+export function normalizeMergeSources(merge) {
+  if (!merge || typeof merge !== 'object' || Array.isArray(merge)) {
+    throw new Error('merge must be an object with a "sources" array in confytome.json');
+  }
+  if (!Array.isArray(merge.sources) || merge.sources.length === 0) {
+    throw new Error('merge.sources must be a non-empty array in confytome.json');
+  }
+  if (merge.onConflict !== undefined && !MERGE_CONFLICT_MODES.includes(merge.onConflict)) {
+    throw new Error(`merge.onConflict must be one of ${MERGE_CONFLICT_MODES.join(', ')} in confytome.json`);
+  }
+
+  const sources = merge.sources.map((source, index) => {
+    const entry = typeof source === 'string' ? { spec: source } : source;
+    if (typeof entry?.spec !== 'string') {
+      throw new Error(`merge.sources[${index}] must be a spec path or an object with a "spec" path in confytome.json`);
+    }
+    return { ...entry, name: entry.name || getSourceName(entry.spec) };
+  });
+
+  const names = sources.map(source => source.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate merge source name "${duplicate}" (sources are named after their file unless "name" is set)`);
+  }
+  return sources;
+}
+
+/**
+ * Apply "name=value" options such as --path-prefix billing=/billing to merge sources
+ * @param {Array<Object>} sources - Merge sources
+ * @param {Array<string>} mappings - "name=value" pairs; name is the source name or path
+ * @param {string} key - Source property to set
+ * @returns {Array<Object>} The sources
+ */
+export function applySourceMappings(sources, mappings = [], key) {
+  for (const mapping of mappings) {
+    const separator = mapping.indexOf('=');
+    const name = mapping.slice(0, separator);
+    const source = separator > 0 && sources.find(candidate => candidate.name === name || candidate.spec === name);
+    if (!source) {
+      throw new Error(`Expected <source>=<value> naming one of ${sources.map(candidate => candidate.name).join(', ')}, got "${mapping}"`);
+    }
+    source[key] = mapping.slice(separator + 1);
+  }
+  return sources;
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when both serialize identically
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Rewrite component references after renames
+ * @param {*} node - Part of a spec (modified in place)
+ * @param {Object} renames - type -> {oldName: newName}
+ */
+function rewriteRefs(node, renames) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach(item => rewriteRefs(item, renames));
+    return;
+  }
+
+  const renameRef = ref => {
+    const [, type, name, rest = ''] = ref.match(/^#\/components\/([^/]+)\/([^/]+)(\/.*)?$/) || [];
+    const renamed = type && renames[type]?.[name];
+    return renamed ? `#/components/${type}/${renamed}${rest}` : ref;
+  };
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref' && typeof value === 'string') {
+      node.$ref = renameRef(value);
+    } else if (key === 'discriminator' && value?.mapping) {
+      value.mapping = Object.fromEntries(Object.entries(value.mapping).map(([name, ref]) => [name, renameRef(ref)]));
+    } else {
+      rewriteRefs(value, renames);
+    }
+  }
+}
+
+/**
+ * Rename security scheme keys in security requirements
+ * @param {Array<Object>} security - Security requirements
+ * @param {Object} renames - {oldName: newName}
+ * @returns {Array<Object>} Renamed requirements
+ */
+function renameSecurity(security, renames) {
+  return security?.map(requirement => Object.fromEntries(
+    Object.entries(requirement).map(([name, scopes]) => [renames[name] || name, scopes])
+  ));
+}
+
+/**
+ * Join a path prefix and a path
+ * @param {string} prefix - Prefix such as "/billing" or "billing/"
+ * @param {string} routePath - Path from the source spec
+ * @returns {string} Prefixed path
+ */
+function prefixPath(prefix, routePath) {
+  const normalized = prefix ? `/${prefix.replace(/^\/+|\/+$/g, '')}` : '';
+  if (!normalized || normalized === '/') {
+    return routePath;
+  }
+  return routePath === '/' ? normalized : `${normalized}${routePath}`;
+}
+
+/**
+ * Pick a name not used yet
+ * @param {string} name - Original name
+ * @param {string} sourceName - Name of the source it comes from
+ * @param {Function} isTaken - Returns true for names already in use
+ * @returns {string} Free name such as User_billing
+ */
+function uniqueName(name, sourceName, isTaken) {
+  const base = `${name}_${sourceName.replace(/[^\w.-]/g, '_')}`;
+  let candidate = base;
+  for (let index = 2; isTaken(candidate); index++) {
+    candidate = `${base}${index}`;
+  }
+  return candidate;
+}
+
+/**
+ * Work out which components of a source must be renamed
+ * A component that refers to a renamed one changes too, so renames are
+ * repeated until the set is stable.
+ * @param {Object} components - Source components
+ * @param {Object} merged - Merged components so far
+ * @param {Object} source - Merge source
+ * @param {string} onConflict - 'rename' or 'fail'
+ * @returns {Object} type -> {oldName: newName}
+ */
+function findRenames(components, merged, source, onConflict) {
+  const renames = {};
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const type of COMPONENT_TYPES) {
+      for (const [name, component] of Object.entries(components[type] || {})) {
+        if (renames[type]?.[name] || !merged[type]?.[name]) {
+          continue;
+        }
+
+        const rewritten = structuredClone(component);
+        rewriteRefs(rewritten, renames);
+        if (isEqual(rewritten, merged[type][name].component)) {
+          continue;
+        }
+
+        if (onConflict === 'fail') {
+          throw new Error(`Component conflict: components.${type}.${name} differs between ${merged[type][name].source} and ${source.name}`);
+        }
+        renames[type] ??= {};
+        const assigned = Object.values(renames[type]);
+        renames[type][name] = uniqueName(name, source.name, candidate =>
+          Boolean(merged[type][candidate] || components[type][candidate]) || assigned.includes(candidate));
+        changed = true;
+      }
+    }
+  }
+  return renames;
+}
+
+/**
+ * Combine path-level parameters with an operation's own, which override them
+ * @param {Array<Object>} pathParameters - Parameters of the path item
+ * @param {Array<Object>} parameters - Parameters of the operation
+ * @returns {Array<Object>} Parameters for the operation
+ */
+function withPathParameters(pathParameters, parameters = []) {
+  const inherited = pathParameters.filter(parameter => !parameters.some(candidate => candidate.name === parameter.name && candidate.in === parameter.in));
+  return [...inherited, ...parameters];
+}
+
+/**
+ * Move path-level parameters and servers onto the operations of a path item
+ * Once a second source adds operations to a path, what one source declared
+ * for the whole path must only apply to that source's operations.
+ * @param {Object} pathItem - Merged path item (modified)
+ */
+function moveToOperations(pathItem) {
+  for (const method of HTTP_METHODS.filter(name => pathItem[name])) {
+    const operation = pathItem[method];
+    if (pathItem.parameters) {
+      operation.parameters = withPathParameters(pathItem.parameters, operation.parameters);
+    }
+    if (pathItem.servers && !operation.servers) {
+      operation.servers = pathItem.servers;
+    }
+  }
+  delete pathItem.parameters;
+  delete pathItem.servers;
+}
+
+/**
+ * Merge OpenAPI documents into one
+ * @param {Array<Object>} sources - Sources in order: {spec, name, pathPrefix, tagPrefix}
+ * @param {Object} options - Merge options
+ * @param {string} options.onConflict - 'rename' (default) or 'fail' for differing same-named components
+ * @param {Object} options.info - Fields merged over the first source's info
+ * @param {Array<Object>} options.servers - Servers of the merged spec (default: the first source's)
+ * @param {string} options.prefixOption - Setting named in duplicate operation errors (default: 'pathPrefix')
+ * @returns {{spec: Object, renamed: Array<Object>}} Merged spec and the renamed components and operationIds
+ */
+export function mergeSpecs(sources, options = {}) {
+  const onConflict = options.onConflict || 'rename';
+  if (!MERGE_CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`Unknown conflict mode '${onConflict}': expected ${MERGE_CONFLICT_MODES.join(', ')}`);
+  }
+  if (sources.length === 0) {
+    throw new Error('Nothing to merge: no specs given');
+  }
+
+  // Bring every source to the same OpenAPI version (3.1 if any source uses it)
+  const versions = sources.map(source => resolveOpenAPITarget(source.spec.openapi || '3.0'));
+  const target = versions.includes('3.1') ? '3.1' : '3.0';
+  const specs = sources.map((source, index) => versions[index] === target
+    ? structuredClone(source.spec)
+    : convertSpecVersion(source.spec, target).spec);
+
+  const first = specs[0];
+  const servers = options.servers || specs.find(spec => spec.servers?.length)?.servers;
+  const merged = {
+    openapi: specs.every(spec => spec.openapi === first.openapi) ? first.openapi : OPENAPI_TARGETS[target],
+    info: { ...first.info, ...options.info },
+    ...(servers && { servers }),
+    ...(first.security && { security: first.security }),
+    paths: {}
+  };
+
+  const components = {};
+  const operationIds = new Map();
+  const tags = new Map();
+  const renamed = [];
+
+  sources.forEach((source, index) => {
+    const spec = specs[index];
+
+    // Components
+    const renames = findRenames(spec.components || {}, components, source, onConflict);
+    rewriteRefs(spec, renames);
+    for (const type of COMPONENT_TYPES) {
+      for (const [name, component] of Object.entries(spec.components?.[type] || {})) {
+        const mergedName = renames[type]?.[name] || name;
+        components[type] ??= {};
+        components[type][mergedName] ??= { component, source: source.name };
+        if (mergedName !== name) {
+          renamed.push({ source: source.name, type: `components.${type}`, from: name, to: mergedName });
+        }
+      }
+    }
+    const securityRenames = renames.securitySchemes || {};
+
+    // Servers and security that differ from the merged spec's move onto the operations
+    const sourceServers = spec.servers?.length && !isEqual(spec.servers, merged.servers) ? spec.servers : null;
+    // A source without top-level security must not inherit the first source's
+    const sourceSecurity = renameSecurity(spec.security, securityRenames);
+    const pushedSecurity = isEqual(sourceSecurity, merged.security) ? null : sourceSecurity || [];
+    const tagPrefix = source.tagPrefix || '';
+
+    for (const [routePath, pathItem] of Object.entries(spec.paths || {})) {
+      const mergedPath = prefixPath(source.pathPrefix, routePath);
+      const existing = merged.paths[mergedPath];
+      if (existing) {
+        moveToOperations(existing);
+      }
+      const { parameters: pathParameters, servers: pathServers, ...rest } = pathItem;
+      const mergedItem = existing || (merged.paths[mergedPath] = {
+        ...rest,
+        ...(pathParameters && { parameters: pathParameters }),
+        ...(pathServers && { servers: pathServers })
+      });
+
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) {
+          continue;
+        }
+        if (existing?.[method]) {
+          throw new Error(`Operation ${method.toUpperCase()} ${mergedPath} is defined by more than one source (${source.name} and an earlier one); set a ${options.prefixOption || 'pathPrefix'}`);
+        }
+
+        // Path-level parameters cannot be shared with another source's operations
+        if (existing && pathParameters) {
+          operation.parameters = withPathParameters(pathParameters, operation.parameters);
+        }
+
+        const operationServers = operation.servers || pathServers || sourceServers;
+        if (operationServers) {
+          operation.servers = operationServers;
+        }
+        if (operation.security) {
+          operation.security = renameSecurity(operation.security, securityRenames);
+        } else if (pushedSecurity) {
+          operation.security = pushedSecurity;
+        }
+        if (tagPrefix && operation.tags) {
+          operation.tags = operation.tags.map(tag => `${tagPrefix}${tag}`);
+        }
+
+        if (operation.operationId) {
+          const owner = operationIds.get(operation.operationId);
+          if (owner !== undefined) {
+            if (onConflict === 'fail') {
+              throw new Error(`operationId conflict: "${operation.operationId}" is used by ${owner} and ${source.name}`);
+            }
+            const renamedId = uniqueName(operation.operationId, source.name, candidate => operationIds.has(candidate));
+            renamed.push({ source: source.name, type: 'operationId', from: operation.operationId, to: renamedId });
+            operation.operationId = renamedId;
+          }
+          operationIds.set(operation.operationId, source.name);
+        }
+
+        mergedItem[method] = operation;
+      }
+    }
+
+    for (const tag of spec.tags || []) {
+      const name = `${tagPrefix}${tag.name}`;
+      tags.set(name, { ...tag, ...tags.get(name), name });
+    }
+
+    for (const [name, webhook] of Object.entries(spec.webhooks || {})) {
+      merged.webhooks ??= {};
+      if (merged.webhooks[name] && !isEqual(merged.webhooks[name], webhook)) {
+        throw new Error(`Webhook conflict: "${name}" differs between sources (found again in ${source.name})`);
+      }
+      merged.webhooks[name] = webhook;
+    }
+
+    for (const [key, value] of Object.entries(spec)) {
+      if (key.startsWith('x-') || key === 'externalDocs' || key === 'jsonSchemaDialect') {
+        merged[key] ??= value;
+      }
+    }
+  });
+
+  if (tags.size > 0) {
+    merged.tags = [...tags.values()];
+  }
+  if (Object.keys(components).length > 0) {
+    merged.components = Object.fromEntries(Object.entries(components).map(([type, entries]) => [
+      type,
+      Object.fromEntries(Object.entries(entries).map(([name, { component }]) => [name, component]))
+    ]));
+  }
+
+  return { spec: merged, renamed };
+}
+
+/**
+ * Load merge sources (files, YAML, Swagger 2.0 or URLs) and merge them
+ * @param {Array<Object>} sources - Normalized sources ({spec: path, name, pathPrefix, tagPrefix})
+ * @param {Object} options - Options for mergeSpecs
+ * @returns {Promise<{spec: Object, renamed: Array<Object>}>} Merge result
+ */
+export async function mergeSpecFiles(sources, options = {}) {
+  const loaded = [];
+  for (const source of sources) {
+    console.log(`📥 Merging ${source.name}: ${source.spec}${source.pathPrefix ? ` → ${source.pathPrefix}` : ''}`);
+    loaded.push({ ...source, spec: await loadSpec(source.spec) });
+  }
+
+  const result = mergeSpecs(loaded, options);
+  for (const { source, type, from, to } of result.renamed) {
+    console.log(`🔀 Renamed ${type} ${from} from ${source} to ${to}`);
+  }
+  return result;
+}
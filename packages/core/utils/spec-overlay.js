@@ -0,0 +1,171 @@
+/**
+ * OpenAPI Overlays
+ *
+ * Applies OpenAPI Overlay 1.0 documents to a generated spec, so public,
+ * partner and internal variants can come from the same JSDoc comments:
+ *
+ *   overlay: 1.0.0
+ *   info: {title: Public API, version: 1.0.0}
+ *   actions:
+ *     - target: $.servers
+ *       remove: true
+ *     - target: $
+ *       update: {servers: [{url: https://api.example.com}]}
+ *     - target: $.paths.*[?@.x-internal == true]
+ *       remove: true
+ *
+ * Actions run in order. Each target is a JSONPath expression; "update" is
+ * deep-merged into the objects it selects (arrays are appended to) and
+ * "remove: true" deletes them from their parent.
+ */
+
+import fs from 'node:fs';
+import yaml from 'js-yaml';
+import { queryJsonPath } from './json-path.js';
+
+/**
+ * Read and validate an overlay document
+ * @param {string} file - Overlay file (.yaml, .yml or .json)
+ * @returns {Object} Overlay document
+ */
+export function loadOverlay(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Overlay not found: ${file}`);
+  }
+
+  let overlay;
+  try {
+    // JSON is valid YAML, so one parser reads both
+    overlay = yaml.load(fs.readFileSync(file, 'utf8'), { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw new Error(`Failed to parse overlay ${file}: ${error.message}`);
+  }
+
+  validateOverlay(overlay, file);
+  return overlay;
+}
+
+/**
+ * Check an overlay document against the Overlay 1.0 structure
+ * @param {Object} overlay - Overlay document
+ * @param {string} source - Where it came from (for errors)
+ */
+export function validateOverlay(overlay, source = 'overlay') {
+  if (!overlay || typeof overlay !== 'object' || !/^1\.\d+(\.\d+)?$/.test(String(overlay.overlay))) {
+    throw new Error(`${source} is not an OpenAPI Overlay 1.x document (missing "overlay: 1.0.0")`);
+  }
+  if (!Array.isArray(overlay.actions) || overlay.actions.length === 0) {
+    throw new Error(`${source}: "actions" must be a non-empty array`);
+  }
+
+  overlay.actions.forEach((action, index) => {
+    const label = `${source}: actions[${index}]`;
+    if (!action || typeof action.target !== 'string' || !action.target.trim()) {
+      throw new Error(`${label} needs a JSONPath "target"`);
+    }
+    if (action.remove !== undefined && typeof action.remove !== 'boolean') {
+      throw new Error(`${label}: "remove" must be true or false`);
+    }
+    if (action.update === undefined && action.remove !== true) {
+      throw new Error(`${label} needs "update" or "remove: true"`);
+    }
+  });
+}
+
+/**
+ * Deep-merge an update into an object
+ * Objects merge recursively, arrays are concatenated and other values replace.
+ * @param {Object} target - Object to change in place
+ * @param {Object} update - Properties to merge
+ */
+function mergeInto(target, update) {
+  for (const [key, value] of Object.entries(update)) {
+    const current = target[key];
+    if (Array.isArray(current) && Array.isArray(value)) {
+      current.push(...structuredClone(value));
+    } else if (isPlainObject(current) && isPlainObject(value)) {
+      mergeInto(current, value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply an overlay to a spec
+ * @param {Object} spec - OpenAPI document (not modified)
+ * @param {Object} overlay - Overlay document
+ * @param {string} source - Where the overlay came from (for messages)
+ * @returns {{spec: Object, unmatched: Array<string>}} Changed copy and the targets that selected nothing
+ */
+export function applyOverlay(spec, overlay, source = 'overlay') {
+  validateOverlay(overlay, source);
+  const result = structuredClone(spec);
+  const unmatched = [];
+
+  overlay.actions.forEach((action, index) => {
+    let nodes;
+    try {
+      nodes = queryJsonPath(result, action.target);
+    } catch (error) {
+      throw new Error(`${source}: actions[${index}]: ${error.message}`);
+    }
+    if (nodes.length === 0) {
+      unmatched.push(action.target);
+      return;
+    }
+
+    if (action.remove === true) {
+      // Splice array entries from the back so earlier indexes stay valid
+      const ordered = [...nodes].sort((a, b) => (typeof b.key === 'number' ? b.key : 0) - (typeof a.key === 'number' ? a.key : 0));
+      for (const { parent, key } of ordered) {
+        if (parent === null) {
+          throw new Error(`${source}: actions[${index}] cannot remove the document root`);
+        }
+        if (Array.isArray(parent)) {
+          parent.splice(key, 1);
+        } else {
+          delete parent[key];
+        }
+      }
+      return;
+    }
+
+    for (const { value } of nodes) {
+      if (Array.isArray(value)) {
+        value.push(structuredClone(action.update));
+      } else if (isPlainObject(value) && isPlainObject(action.update)) {
+        mergeInto(value, action.update);
+      } else {
+        throw new Error(`${source}: actions[${index}] target "${action.target}" must select objects or arrays to update with an object`);
+      }
+    }
+  });
+
+  return { spec: result, unmatched };
+}
+
+/**
+ * Apply overlay files to a spec, in order
+ * @param {Object} spec - OpenAPI document
+ * @param {Array<string>} files - Overlay files
+ * @returns {Object} Spec with every overlay applied
+ */
+export function applyOverlayFiles(spec, files = []) {
+  for (const file of files) {
+    const overlay = loadOverlay(file);
+    const applied = applyOverlay(spec, overlay, file);
+    spec = applied.spec;
+
+    const title = overlay.info?.title ? ` (${overlay.info.title})` : '';
+    console.log(`🧩 Applied overlay ${file}${title}: ${overlay.actions.length} action(s)`);
+    applied.unmatched.forEach(target => {
+      console.log(`⚠️  Overlay ${file}: target ${target} matched nothing`);
+    });
+  }
+  return spec;
+}
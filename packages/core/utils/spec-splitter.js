@@ -0,0 +1,150 @@
+/**
+ * OpenAPI Spec Splitter
+ *
+ * Explodes a spec into one file per path and per component for
+ * `confytome split`, for teams that maintain their spec by hand:
+ *
+ *   openapi.yaml                  info, servers, tags, security schemes and $refs
+ *   paths/users_{id}.yaml         one path item per file
+ *   components/schemas/User.yaml  one component per file
+ *
+ * Internal #/components/... refs become relative file refs, so loading
+ * openapi.yaml (or `confytome bundle`) gives back the original spec.
+ */
+
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+export const SPLIT_FORMATS = ['yaml', 'json'];
+
+// Security schemes are referenced by name, so they stay in the root file
+const SPLIT_COMPONENT_TYPES = [
+  'schemas', 'responses', 'parameters', 'examples', 'requestBodies',
+  'headers', 'links', 'callbacks', 'pathItems'
+];
+
+/**
+ * Make a name safe to use as a file name
+ * @param {string} name - Component name or path
+ * @returns {string} File name without extension
+ */
+function toFileName(name) {
+  return name.replace(/[<>:"\\|?*/\s]/g, '_') || 'root';
+}
+
+/**
+ * Relative ref from one split file to another
+ * @param {string} from - File containing the ref (relative to the output directory)
+ * @param {string} to - Referenced file (relative to the output directory)
+ * @param {string} pointer - Pointer inside the referenced file, if any
+ * @returns {string} Ref such as "../components/schemas/User.yaml"
+ */
+function relativeRef(from, to, pointer = '') {
+  const relative = path.posix.relative(path.posix.dirname(from), to) || path.posix.basename(to);
+  return `${relative.startsWith('.') ? relative : `./${relative}`}${pointer ? `#${pointer}` : ''}`;
+}
+
+/**
+ * Split an OpenAPI document into files
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} options - Split options
+ * @param {string} options.format - 'yaml' (default) or 'json'
+ * @returns {Array<{path: string, content: string}>} Files relative to the output directory, root file first
+ */
+export function splitSpec(spec, options = {}) {
+  const format = options.format || 'yaml';
+  if (!SPLIT_FORMATS.includes(format)) {
+    throw new Error(`Unknown split format '${format}': expected ${SPLIT_FORMATS.join(', ')}`);
+  }
+  const extension = format === 'yaml' ? '.yaml' : '.json';
+  const serialize = value => format === 'yaml'
+    ? yaml.dump(value, { lineWidth: -1, noRefs: true })
+    : `${JSON.stringify(value, null, 2)}\n`;
+  const rootFile = `openapi${extension}`;
+
+  // Assign a file to every path and component first, so refs can point at them.
+  // Names that only differ in case or in unsafe characters get a numeric suffix.
+  const usedFiles = new Set();
+  const claimFile = base => {
+    let file = `${base}${extension}`;
+    for (let index = 2; usedFiles.has(file.toLowerCase()); index++) {
+      file = `${base}_${index}${extension}`;
+    }
+    usedFiles.add(file.toLowerCase());
+    return file;
+  };
+
+  const componentFiles = {};
+  for (const type of SPLIT_COMPONENT_TYPES) {
+    for (const name of Object.keys(spec.components?.[type] || {})) {
+      componentFiles[`${type}/${name}`] = claimFile(`components/${type}/${toFileName(name)}`);
+    }
+  }
+
+  const pathFiles = {};
+  for (const routePath of Object.keys(spec.paths || {})) {
+    pathFiles[routePath] = claimFile(`paths/${toFileName(routePath.replace(/^\//, ''))}`);
+  }
+
+  const rewriteRefs = (node, file) => {
+    if (Array.isArray(node)) {
+      return node.map(item => rewriteRefs(item, file));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const rewriteRef = ref => {
+      const [, type, name, rest = ''] = ref.match(/^#\/components\/([^/]+)\/([^/]+)(\/.*)?$/) || [];
+      const target = type && componentFiles[`${type}/${name.replace(/~1/g, '/').replace(/~0/g, '~')}`];
+      if (target) {
+        return relativeRef(file, target, rest);
+      }
+      // Any other internal pointer refers to the root file
+      return ref.startsWith('#') && file !== rootFile ? relativeRef(file, rootFile, ref.slice(1)) : ref;
+    };
+
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        copy.$ref = rewriteRef(value);
+      } else if (key === 'example') {
+        copy[key] = value;
+      } else if (key === 'discriminator' && value?.mapping) {
+        copy[key] = { ...value, mapping: Object.fromEntries(Object.entries(value.mapping).map(([name, ref]) => [name, rewriteRef(ref)])) };
+      } else {
+        copy[key] = rewriteRefs(value, file);
+      }
+    }
+    return copy;
+  };
+
+  const files = [];
+  const root = rewriteRefs({ ...spec, paths: undefined, components: undefined }, rootFile);
+
+  root.paths = {};
+  for (const [routePath, pathItem] of Object.entries(spec.paths || {})) {
+    root.paths[routePath] = { $ref: relativeRef(rootFile, pathFiles[routePath]) };
+    files.push({ path: pathFiles[routePath], content: serialize(rewriteRefs(pathItem, pathFiles[routePath])) });
+  }
+
+  if (spec.components) {
+    root.components = {};
+    for (const [type, components] of Object.entries(spec.components)) {
+      if (!SPLIT_COMPONENT_TYPES.includes(type)) {
+        root.components[type] = rewriteRefs(components, rootFile);
+        continue;
+      }
+      root.components[type] = {};
+      for (const [name, component] of Object.entries(components)) {
+        const file = componentFiles[`${type}/${name}`];
+        root.components[type][name] = { $ref: relativeRef(rootFile, file) };
+        files.push({ path: file, content: serialize(rewriteRefs(component, file)) });
+      }
+    }
+  }
+
+  // Keep the original key order in the root file
+  const ordered = Object.fromEntries(Object.keys(spec).filter(key => root[key] !== undefined).map(key => [key, root[key]]));
+  return [{ path: rootFile, content: serialize(ordered) }, ...files];
+}
@@ -0,0 +1,230 @@
+/**
+ * OpenAPI Version Targeting
+ *
+ * Converts a spec between OpenAPI 3.0 and 3.1 for `confytome openapi --target`.
+ * Some downstream tools only accept 3.0, while @swagger blocks are often
+ * written with 3.1 (JSON Schema 2020-12) syntax:
+ * • 3.0: type [x, "null"] → nullable, schema examples → example, const → enum,
+ *   numeric exclusive bounds → boolean ones, webhooks and other 3.1-only fields dropped
+ * • 3.1: nullable → type [x, "null"], boolean exclusive bounds → numeric ones
+ */
+
+export const OPENAPI_TARGETS = {
+  '3.0': '3.0.3',
+  '3.1': '3.1.0'
+};
+
+// JSON Schema 2020-12 keywords OpenAPI 3.0 schema objects do not allow
+const UNSUPPORTED_IN_30 = [
+  '$schema', '$id', '$anchor', '$comment', '$defs', 'unevaluatedProperties', 'unevaluatedItems',
+  'dependentRequired', 'dependentSchemas', 'if', 'then', 'else', 'propertyNames', 'contains',
+  'minContains', 'maxContains', 'patternProperties', 'contentMediaType', 'contentEncoding', 'prefixItems'
+];
+
+const SUBSCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'unevaluatedProperties', 'contains', 'propertyNames', 'if', 'then', 'else'];
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SUBSCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'dependentSchemas'];
+
+// Example payloads are copied as-is, never searched for schemas
+const EXAMPLE_KEYS = ['example', 'examples', 'value'];
+
+/**
+ * Resolve a --target value such as "3.0" or "3.1.0"
+ * @param {string} target - Requested version
+ * @returns {string} Major.minor target ('3.0' or '3.1')
+ */
+export function resolveOpenAPITarget(target) {
+  const version = String(target).split('.').slice(0, 2).join('.');
+  if (!OPENAPI_TARGETS[version]) {
+    throw new Error(`Unknown OpenAPI target '${target}': expected ${Object.keys(OPENAPI_TARGETS).join(', ')}`);
+  }
+  return version;
+}
+
+/**
+ * Apply a schema conversion to every subschema of a schema
+ * @param {Object} schema - Schema (already copied)
+ * @param {Function} convert - Schema converter
+ */
+function convertSubschemas(schema, convert) {
+  for (const keyword of SUBSCHEMA_KEYWORDS) {
+    if (schema[keyword] && typeof schema[keyword] === 'object') {
+      schema[keyword] = convert(schema[keyword]);
+    }
+  }
+  for (const keyword of SUBSCHEMA_LIST_KEYWORDS) {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword] = schema[keyword].map(convert);
+    }
+  }
+  for (const keyword of SUBSCHEMA_MAP_KEYWORDS) {
+    if (schema[keyword] && typeof schema[keyword] === 'object') {
+      schema[keyword] = Object.fromEntries(Object.entries(schema[keyword]).map(([name, value]) => [name, convert(value)]));
+    }
+  }
+}
+
+/**
+ * Convert a 3.1 (JSON Schema 2020-12) schema to a 3.0 schema object
+ * @param {Object} source - Schema
+ * @param {Set<string>} dropped - Collects keywords that had to be dropped
+ * @returns {Object} OpenAPI 3.0 schema
+ */
+function toSchema30(source, dropped) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return source;
+  }
+
+  const schema = { ...source };
+  convertSubschemas(schema, value => toSchema30(value, dropped));
+
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => type !== 'null');
+    if (types.length < schema.type.length) {
+      schema.nullable = true;
+    }
+    delete schema.type;
+    if (types.length === 1) {
+      schema.type = types[0];
+    } else if (types.length > 1) {
+      schema.anyOf = types.map(type => ({ type }));
+    }
+  } else if (schema.type === 'null') {
+    delete schema.type;
+    schema.nullable = true;
+  }
+
+  if (Array.isArray(schema.examples)) {
+    if (schema.example === undefined && schema.examples.length > 0) {
+      schema.example = schema.examples[0];
+    }
+    delete schema.examples;
+  }
+
+  if (schema.const !== undefined) {
+    schema.enum ??= [schema.const];
+    delete schema.const;
+  }
+
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (typeof schema[exclusive] === 'number') {
+      schema[bound] = schema[exclusive];
+      schema[exclusive] = true;
+    }
+  }
+
+  if (schema.contentEncoding === 'base64' && !schema.format) {
+    schema.format = 'byte';
+  } else if (schema.contentMediaType === 'application/octet-stream' && !schema.format) {
+    schema.format = 'binary';
+  }
+
+  if (Array.isArray(schema.prefixItems) && schema.items === undefined) {
+    schema.items = schema.prefixItems.length === 1 ? schema.prefixItems[0] : { anyOf: schema.prefixItems };
+  }
+
+  for (const keyword of UNSUPPORTED_IN_30) {
+    if (schema[keyword] !== undefined) {
+      dropped.add(keyword);
+      delete schema[keyword];
+    }
+  }
+  return schema;
+}
+
+/**
+ * Convert a 3.0 schema object to a 3.1 (JSON Schema 2020-12) schema
+ * @param {Object} source - Schema
+ * @returns {Object} OpenAPI 3.1 schema
+ */
+function toSchema31(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return source;
+  }
+
+  let schema = { ...source };
+  convertSubschemas(schema, toSchema31);
+
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (schema[exclusive] === true && typeof schema[bound] === 'number') {
+      schema[exclusive] = schema[bound];
+      delete schema[bound];
+    } else if (typeof schema[exclusive] === 'boolean') {
+      delete schema[exclusive];
+    }
+  }
+
+  if (schema.nullable === true) {
+    delete schema.nullable;
+    if (typeof schema.type === 'string') {
+      schema.type = [schema.type, 'null'];
+      if (Array.isArray(schema.enum) && !schema.enum.includes(null)) {
+        schema.enum = [...schema.enum, null];
+      }
+    } else if (!Array.isArray(schema.type)) {
+      schema = { anyOf: [schema, { type: 'null' }] };
+    }
+  } else if (schema.nullable === false) {
+    delete schema.nullable;
+  }
+  return schema;
+}
+
+/**
+ * Copy a document, converting every schema it contains
+ * Schemas are the values of "schema" keys and the entries of components.schemas.
+ * @param {*} node - Current node
+ * @param {Function} convertSchema - Schema converter
+ * @param {Array<string>} path - Path to the node
+ * @returns {*} Converted copy
+ */
+function convertDocument(node, convertSchema, path = []) {
+  if (Array.isArray(node)) {
+    return node.map((item, index) => convertDocument(item, convertSchema, [...path, String(index)]));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  const isSchemaMap = path.length === 2 && path[0] === 'components' && path[1] === 'schemas';
+  const converted = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (isSchemaMap || key === 'schema') {
+      converted[key] = convertSchema(value);
+    } else if (EXAMPLE_KEYS.includes(key) || key.startsWith('x-')) {
+      converted[key] = value;
+    } else {
+      converted[key] = convertDocument(value, convertSchema, [...path, key]);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Convert a spec to the requested OpenAPI version
+ * @param {Object} spec - OpenAPI 3.0 or 3.1 document
+ * @param {string} target - '3.0' or '3.1' (full versions such as '3.0.3' are accepted)
+ * @returns {{spec: Object, dropped: Array<string>}} Converted copy and the JSON Schema keywords 3.0 could not express
+ */
+export function convertSpecVersion(spec, target) {
+  const version = resolveOpenAPITarget(target);
+  const dropped = new Set();
+
+  if (version === '3.0') {
+    const converted = convertDocument(spec, schema => toSchema30(schema, dropped));
+    converted.openapi = OPENAPI_TARGETS['3.0'];
+    delete converted.webhooks;
+    delete converted.jsonSchemaDialect;
+    delete converted.components?.pathItems;
+    if (converted.info) {
+      delete converted.info.summary;
+      delete converted.info.license?.identifier;
+    }
+    converted.paths ??= {};
+    return { spec: converted, dropped: [...dropped] };
+  }
+
+  const converted = convertDocument(spec, toSchema31);
+  converted.openapi = OPENAPI_TARGETS['3.1'];
+  return { spec: converted, dropped: [] };
+}
@@ -0,0 +1,178 @@
+/**
+ * @swagger Block Diagnostics
+ *
+ * Parses every @swagger / @openapi block of the route files on its own,
+ * keeping track of where each line of YAML came from, so a broken block is
+ * reported with its file, line and column and a code frame:
+ *
+ *   📁 src/routes/users.js:14:9
+ *   💥 bad indentation of a mapping entry
+ *     12 |  *   get:
+ *     13 |  *     summary: List users
+ *   > 14 |  *       responses:
+ *        |         ^
+ *
+ * Comments are unwrapped the way swagger-jsdoc (doctrine) does it: the
+ * leading " * " of each line is dropped and a block runs until the next tag.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+const COMMENT_PATTERN = /\/\*\*[\s\S]*?\*\//g;
+const LINE_PREFIX = /^[ \t]*(?:\*[ \t]?)?/;
+const TAG_PATTERN = /^[ \t]*@(\w+)/;
+const SWAGGER_TAGS = ['swagger', 'openapi'];
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Find the @swagger blocks of a source file
+ * @param {string} source - File content
+ * @returns {Array<{yaml: string, locate: Function}>} YAML of each block, and
+ *   locate(position) mapping a character offset in it to a 1-based file { line, column }
+ */
+export function extractSwaggerBlocks(source) {
+  const blocks = [];
+
+  for (const match of source.matchAll(COMMENT_PATTERN)) {
+    const firstLine = source.slice(0, match.index).split('\n').length;
+    const firstColumn = match.index - source.lastIndexOf('\n', match.index - 1) - 1;
+
+    // Unwrap the comment, remembering where each line's text starts in the file
+    const lines = match[0].replace(/^\/\*\*?/, '').replace(/\*\/$/, '').split('\n').map((text, index) => {
+      const prefix = text.match(LINE_PREFIX)[0].length;
+      const column = (index === 0 ? firstColumn + 3 : 0) + prefix;
+      return { text: text.slice(prefix), line: firstLine + index, column };
+    });
+
+    lines.forEach((line, index) => {
+      const tag = line.text.match(TAG_PATTERN);
+      if (!tag || !SWAGGER_TAGS.includes(tag[1])) {
+        return;
+      }
+
+      const skipped = tag[0].length;
+      const end = lines.findIndex((other, otherIndex) => otherIndex > index && TAG_PATTERN.test(other.text));
+      const pieces = [
+        { ...line, text: line.text.slice(skipped), column: line.column + skipped },
+        ...lines.slice(index + 1, end === -1 ? undefined : end)
+      ];
+      blocks.push(createBlock(pieces));
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Join the lines of a block the way doctrine does (trimmed) and map offsets back
+ * @param {Array<{text: string, line: number, column: number}>} pieces - Block lines
+ * @returns {{yaml: string, locate: Function}} Block
+ */
+function createBlock(pieces) {
+  const joined = pieces.map(piece => piece.text).join('\n');
+  const leading = joined.length - joined.trimStart().length;
+
+  const locate = (position) => {
+    let offset = leading + position;
+    for (const piece of pieces) {
+      if (offset <= piece.text.length) {
+        return { line: piece.line, column: piece.column + offset + 1 };
+      }
+      offset -= piece.text.length + 1;
+    }
+    const last = pieces[pieces.length - 1];
+    return { line: last.line, column: last.column + last.text.length + 1 };
+  };
+
+  return { yaml: joined.trim(), locate };
+}
+
+/**
+ * Read the @swagger blocks of a route file
+ * @param {string} file - Route file (JSDoc comments, or a whole .yaml file)
+ * @returns {Array<{yaml: string, locate: Function}>} Blocks (see extractSwaggerBlocks)
+ */
+export function readSwaggerBlocks(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  return YAML_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    ? [{ yaml: source, locate: position => positionToLocation(source, position) }]
+    : extractSwaggerBlocks(source);
+}
+
+/**
+ * Check the @swagger blocks of one file
+ * Aliases of anchors defined in other blocks are left to swagger-jsdoc, which resolves them.
+ * @param {string} file - Route file (JSDoc comments, or a whole .yaml file)
+ * @returns {Array<{file: string, line: number, column: number, message: string}>} YAML errors
+ */
+export function diagnoseSwaggerFile(file) {
+  const problems = [];
+  for (const block of readSwaggerBlocks(file)) {
+    try {
+      yaml.load(block.yaml, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      if (!error.mark || /unidentified alias/.test(error.reason)) {
+        continue;
+      }
+      problems.push({ file, ...block.locate(error.mark.position), message: error.reason });
+    }
+  }
+  return problems;
+}
+
+function positionToLocation(source, position) {
+  const before = source.slice(0, position).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Check the @swagger blocks of every route file
+ * Missing files are skipped; they are reported where they are read.
+ * @param {Array<string>} files - Route files
+ * @returns {Array<Object>} YAML errors of every file (see diagnoseSwaggerFile)
+ */
+export function diagnoseSwaggerFiles(files) {
+  return files.filter(file => fs.existsSync(file)).flatMap(file => diagnoseSwaggerFile(file));
+}
+
+/**
+ * Render the lines around a position with a marker under the column
+ * @param {string} source - File content
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @param {number} context - Lines to show before and after (default: 2)
+ * @returns {string} Code frame
+ */
+export function codeFrame(source, line, column, context = 2) {
+  const lines = source.split('\n');
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, line + context);
+  const width = String(last).length;
+
+  const frame = [];
+  for (let number = first; number <= last; number++) {
+    const gutter = String(number).padStart(width);
+    frame.push(`${number === line ? '>' : ' '} ${gutter} | ${lines[number - 1].replace(/\r$/, '')}`);
+    if (number === line) {
+      frame.push(`  ${' '.repeat(width)} | ${' '.repeat(Math.max(0, column - 1))}^`);
+    }
+  }
+  return frame.join('\n');
+}
+
+/**
+ * Format YAML errors with their code frames
+ * @param {Array<Object>} problems - Errors from diagnoseSwaggerFiles
+ * @returns {string} Report
+ */
+export function formatDiagnostics(problems) {
+  const sources = new Map();
+  return problems.map(({ file, line, column, message }) => {
+    if (!sources.has(file)) {
+      sources.set(file, fs.readFileSync(file, 'utf8'));
+    }
+    return `📁 ${file}:${line}:${column}\n💥 ${message}\n${codeFrame(sources.get(file), line, column)}`;
+  }).join('\n\n');
+}
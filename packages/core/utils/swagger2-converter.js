@@ -0,0 +1,421 @@
+/**
+ * Swagger 2.0 to OpenAPI 3.0 Converter
+ *
+ * Older services publish Swagger 2.0 documents. The spec loader converts them
+ * so OpenApiProcessor and every generator only ever see OpenAPI 3.x:
+ * • host/basePath/schemes become servers
+ * • definitions, parameters, responses and securityDefinitions move to components
+ * • body and formData parameters become request bodies, using consumes
+ * • response schemas and examples are keyed by the produces media types
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const DEFAULT_MEDIA_TYPES = ['application/json'];
+
+// Keywords shared by Swagger 2.0 non-body parameters, headers and items and OpenAPI schemas
+const SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'default', 'enum', 'maximum', 'exclusiveMaximum', 'minimum',
+  'exclusiveMinimum', 'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'multipleOf'
+];
+
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false },
+  multi: { style: 'form', explode: true }
+};
+
+const REF_PREFIXES = {
+  '#/definitions/': '#/components/schemas/',
+  '#/parameters/': '#/components/parameters/',
+  '#/responses/': '#/components/responses/'
+};
+
+/**
+ * Check whether a document is a Swagger 2.0 spec
+ * @param {Object} spec - Parsed document
+ * @returns {boolean} True for Swagger 2.0
+ */
+export function isSwagger2(spec) {
+  return String(spec?.swagger ?? '').startsWith('2');
+}
+
+/**
+ * Rewrite a Swagger 2.0 $ref to its OpenAPI 3.0 location
+ * @param {string} ref - Swagger 2.0 reference
+ * @returns {string} OpenAPI 3.0 reference
+ */
+function convertRef(ref) {
+  for (const [from, to] of Object.entries(REF_PREFIXES)) {
+    if (ref.startsWith(from)) {
+      return to + ref.slice(from.length);
+    }
+  }
+  return ref;
+}
+
+/**
+ * Copy vendor extensions (x-*) from one object to another
+ * @param {Object} source - Swagger 2.0 object
+ * @param {Object} target - OpenAPI 3.0 object
+ * @param {Array<string>} skip - Extensions consumed by the conversion
+ * @returns {Object} The target
+ */
+function copyExtensions(source, target, skip = []) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (key.startsWith('x-') && !skip.includes(key)) {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Convert a Swagger 2.0 schema (rewrites refs, file type, x-nullable and discriminator)
+ * @param {*} schema - Swagger 2.0 schema
+ * @returns {*} OpenAPI 3.0 schema
+ */
+function convertSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(convertSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$ref' && typeof value === 'string') {
+      converted.$ref = convertRef(value);
+    } else if (key === 'x-nullable') {
+      converted.nullable = value;
+    } else if (key === 'discriminator' && typeof value === 'string') {
+      converted.discriminator = { propertyName: value };
+    } else if (key === 'properties' || key === 'patternProperties') {
+      converted[key] = Object.fromEntries(Object.entries(value || {}).map(([name, property]) => [name, convertSchema(property)]));
+    } else if (key === 'example' || key === 'enum' || key === 'default' || key === 'required') {
+      converted[key] = value;
+    } else {
+      converted[key] = convertSchema(value);
+    }
+  }
+
+  if (converted.type === 'file') {
+    converted.type = 'string';
+    converted.format = 'binary';
+  }
+  return converted;
+}
+
+/**
+ * Build a schema from a non-body parameter, header or items object
+ * @param {Object} source - Swagger 2.0 parameter, header or items
+ * @returns {Object} OpenAPI 3.0 schema
+ */
+function schemaFromSimple(source) {
+  const schema = {};
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (source[keyword] !== undefined) {
+      schema[keyword] = keyword === 'items' ? schemaFromSimple(source.items) : source[keyword];
+    }
+  }
+  if (source.$ref) {
+    schema.$ref = convertRef(source.$ref);
+  }
+  if (source['x-nullable']) {
+    schema.nullable = true;
+  }
+  return convertSchema(schema);
+}
+
+/**
+ * Convert a query, header, path or cookie parameter
+ * @param {Object} parameter - Swagger 2.0 parameter
+ * @returns {Object} OpenAPI 3.0 parameter
+ */
+function convertParameter(parameter) {
+  if (parameter.$ref) {
+    return { $ref: convertRef(parameter.$ref) };
+  }
+
+  const converted = { name: parameter.name, in: parameter.in };
+  for (const key of ['description', 'required', 'allowEmptyValue', 'deprecated']) {
+    if (parameter[key] !== undefined) {
+      converted[key] = parameter[key];
+    }
+  }
+  if (parameter.in === 'path') {
+    converted.required = true;
+  }
+
+  const collectionFormat = COLLECTION_FORMATS[parameter.collectionFormat];
+  if (parameter.type === 'array' && collectionFormat) {
+    // Path and header arrays can only be comma separated ("simple")
+    Object.assign(converted, parameter.in === 'path' || parameter.in === 'header'
+      ? { style: 'simple', explode: false }
+      : collectionFormat);
+  }
+
+  converted.schema = schemaFromSimple(parameter);
+  if (parameter['x-example'] !== undefined) {
+    converted.example = parameter['x-example'];
+  }
+  return copyExtensions(parameter, converted, ['x-example', 'x-nullable']);
+}
+
+/**
+ * Convert a body parameter into a request body
+ * @param {Object} parameter - Swagger 2.0 body parameter
+ * @param {Array<string>} consumes - Request media types
+ * @returns {Object} OpenAPI 3.0 request body
+ */
+function convertBodyParameter(parameter, consumes) {
+  const schema = convertSchema(parameter.schema || {});
+  const examples = parameter['x-examples'] || {};
+  const requestBody = {
+    content: Object.fromEntries(consumes.map(type => [
+      type,
+      examples[type] !== undefined ? { schema, example: examples[type] } : { schema }
+    ]))
+  };
+  if (parameter.description) {
+    requestBody.description = parameter.description;
+  }
+  if (parameter.required) {
+    requestBody.required = true;
+  }
+  return copyExtensions(parameter, requestBody, ['x-examples']);
+}
+
+/**
+ * Convert formData parameters into a form request body
+ * multipart/form-data is used when a parameter is a file or the operation consumes it.
+ * @param {Array<Object>} parameters - Swagger 2.0 formData parameters
+ * @param {Array<string>} consumes - Request media types
+ * @returns {Object} OpenAPI 3.0 request body
+ */
+function convertFormParameters(parameters, consumes) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const parameter of parameters) {
+    schema.properties[parameter.name] = {
+      ...schemaFromSimple(parameter),
+      ...(parameter.description ? { description: parameter.description } : {})
+    };
+    if (parameter.required) {
+      required.push(parameter.name);
+    }
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  const formTypes = consumes.filter(type => type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded');
+  if (formTypes.length === 0) {
+    formTypes.push(parameters.some(parameter => parameter.type === 'file') ? 'multipart/form-data' : 'application/x-www-form-urlencoded');
+  }
+
+  return {
+    required: required.length > 0,
+    content: Object.fromEntries(formTypes.map(type => [type, { schema }]))
+  };
+}
+
+/**
+ * Convert a response, keying its schema and examples by the produces media types
+ * @param {Object} response - Swagger 2.0 response
+ * @param {Array<string>} produces - Response media types
+ * @returns {Object} OpenAPI 3.0 response
+ */
+function convertResponse(response, produces) {
+  if (response.$ref) {
+    return { $ref: convertRef(response.$ref) };
+  }
+
+  const converted = { description: response.description ?? '' };
+  const examples = response.examples || {};
+
+  if (response.schema) {
+    const schema = convertSchema(response.schema);
+    const types = [...new Set([...produces, ...Object.keys(examples)])];
+    converted.content = Object.fromEntries(types.map(type => [
+      type,
+      examples[type] !== undefined ? { schema, example: examples[type] } : { schema }
+    ]));
+  }
+
+  if (response.headers) {
+    converted.headers = Object.fromEntries(Object.entries(response.headers).map(([name, header]) => [
+      name,
+      { ...(header.description ? { description: header.description } : {}), schema: schemaFromSimple(header) }
+    ]));
+  }
+  return copyExtensions(response, converted);
+}
+
+/**
+ * Convert security definitions into security schemes
+ * @param {Object} definitions - Swagger 2.0 securityDefinitions
+ * @returns {Object} OpenAPI 3.0 securitySchemes
+ */
+function convertSecurityDefinitions(definitions) {
+  const flowNames = { implicit: 'implicit', password: 'password', application: 'clientCredentials', accessCode: 'authorizationCode' };
+
+  return Object.fromEntries(Object.entries(definitions).map(([name, definition]) => {
+    let scheme;
+    if (definition.type === 'basic') {
+      scheme = { type: 'http', scheme: 'basic' };
+    } else if (definition.type === 'apiKey') {
+      scheme = { type: 'apiKey', name: definition.name, in: definition.in };
+    } else if (definition.type === 'oauth2') {
+      const flow = { scopes: definition.scopes || {} };
+      if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+      if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+      scheme = { type: 'oauth2', flows: { [flowNames[definition.flow] || definition.flow]: flow } };
+    } else {
+      scheme = { ...definition };
+    }
+
+    if (definition.description) {
+      scheme.description = definition.description;
+    }
+    return [name, copyExtensions(definition, scheme)];
+  }));
+}
+
+/**
+ * Build servers from host, basePath and schemes
+ * @param {Object} spec - Swagger 2.0 document
+ * @returns {Array<Object>|undefined} OpenAPI 3.0 servers
+ */
+function convertServers(spec) {
+  const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath : '';
+  if (!spec.host) {
+    return basePath ? [{ url: basePath }] : undefined;
+  }
+  return (spec.schemes?.length ? spec.schemes : ['https']).map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+}
+
+/**
+ * Convert one operation
+ * @param {Object} operation - Swagger 2.0 operation
+ * @param {Array<Object>} pathParameters - Path-level parameters (operation ones override them)
+ * @param {Object} spec - Swagger 2.0 document
+ * @returns {Object} OpenAPI 3.0 operation
+ */
+function convertOperation(operation, pathParameters, spec) {
+  const consumes = operation.consumes || spec.consumes || DEFAULT_MEDIA_TYPES;
+  const produces = operation.produces || spec.produces || DEFAULT_MEDIA_TYPES;
+  const resolve = parameter => parameter.$ref?.startsWith('#/parameters/')
+    ? { ...spec.parameters?.[parameter.$ref.slice('#/parameters/'.length)], $ref: parameter.$ref }
+    : parameter;
+
+  const byKey = new Map();
+  for (const parameter of [...pathParameters, ...(operation.parameters || [])]) {
+    const resolved = resolve(parameter);
+    byKey.set(`${resolved.in}:${resolved.name}`, { parameter, resolved });
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(operation)) {
+    if (!['parameters', 'responses', 'consumes', 'produces', 'schemes'].includes(key)) {
+      converted[key] = value;
+    }
+  }
+
+  const parameters = [];
+  const formParameters = [];
+  for (const { parameter, resolved } of byKey.values()) {
+    if (resolved.in === 'body') {
+      converted.requestBody = parameter.$ref
+        ? { $ref: `#/components/requestBodies/${parameter.$ref.slice('#/parameters/'.length)}` }
+        : convertBodyParameter(resolved, consumes);
+    } else if (resolved.in === 'formData') {
+      formParameters.push(resolved);
+    } else if (!pathParameters.includes(parameter)) {
+      parameters.push(convertParameter(parameter));
+    }
+  }
+  if (formParameters.length > 0) {
+    converted.requestBody = convertFormParameters(formParameters, consumes);
+  }
+  if (parameters.length > 0) {
+    converted.parameters = parameters;
+  }
+
+  converted.responses = Object.fromEntries(Object.entries(operation.responses || {}).map(([code, response]) => [
+    code,
+    code.startsWith('x-') ? response : convertResponse(response, produces)
+  ]));
+  return converted;
+}
+
+/**
+ * Convert a Swagger 2.0 document to OpenAPI 3.0.3
+ * @param {Object} spec - Swagger 2.0 document
+ * @returns {Object} OpenAPI 3.0.3 document
+ */
+export function convertSwagger2(spec) {
+  const converted = { openapi: '3.0.3', info: spec.info || { title: 'API', version: '1.0.0' } };
+
+  const servers = convertServers(spec);
+  if (servers) converted.servers = servers;
+  for (const key of ['tags', 'security', 'externalDocs']) {
+    if (spec[key] !== undefined) converted[key] = spec[key];
+  }
+  copyExtensions(spec, converted);
+
+  converted.paths = {};
+  for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+    if (route.startsWith('x-')) {
+      converted.paths[route] = pathItem;
+      continue;
+    }
+
+    const pathParameters = pathItem.parameters || [];
+    const convertedItem = copyExtensions(pathItem, {});
+    const sharedParameters = pathParameters
+      .filter(parameter => {
+        const target = parameter.$ref ? spec.parameters?.[parameter.$ref.slice('#/parameters/'.length)] : parameter;
+        return target?.in !== 'body' && target?.in !== 'formData';
+      })
+      .map(convertParameter);
+    if (sharedParameters.length > 0) {
+      convertedItem.parameters = sharedParameters;
+    }
+
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method]) {
+        convertedItem[method] = convertOperation(pathItem[method], pathParameters, spec);
+      }
+    }
+    converted.paths[route] = convertedItem;
+  }
+
+  const components = {};
+  if (spec.definitions) {
+    components.schemas = Object.fromEntries(Object.entries(spec.definitions).map(([name, schema]) => [name, convertSchema(schema)]));
+  }
+  for (const [name, parameter] of Object.entries(spec.parameters || {})) {
+    if (parameter.in === 'body') {
+      (components.requestBodies ??= {})[name] = convertBodyParameter(parameter, spec.consumes || DEFAULT_MEDIA_TYPES);
+    } else if (parameter.in !== 'formData') {
+      (components.parameters ??= {})[name] = convertParameter(parameter);
+    }
+  }
+  if (spec.responses) {
+    components.responses = Object.fromEntries(Object.entries(spec.responses).map(([name, response]) => [
+      name,
+      convertResponse(response, spec.produces || DEFAULT_MEDIA_TYPES)
+    ]));
+  }
+  if (spec.securityDefinitions) {
+    components.securitySchemes = convertSecurityDefinitions(spec.securityDefinitions);
+  }
+  if (Object.keys(components).length > 0) {
+    converted.components = components;
+  }
+
+  return converted;
+}
@@ -0,0 +1,422 @@
+/**
+ * Watch Mode Helpers
+ *
+ * Long-running --watch loops for the core CLI and the standalone generator
+ * CLIs. Errors (including YAML mistakes in @swagger blocks) are printed and
+ * the loop keeps running, so the next save recovers.
+ */
+
+import path from 'node:path';
+import { globSync, hasMagic } from 'glob';
+import { FileWatcher } from './file-watcher.js';
+import { ConfigMerger } from './config-merger.js';
+import { ConfytomeConfig } from './confytome-config.js';
+import { generateOpenApiSpec } from './generate-openapi-spec.js';
+import {
+  generateOpenAPI,
+  generateSpecFromConfytomeConfig,
+  resolveGenerationOptions,
+  runSpecConsumers,
+  reportGeneratorResults,
+  MERGED_SPEC_NAME
+} from './cli-helpers.js';
+import { withJsonSpec } from './spec-format.js';
+import { isLocalSpec } from './spec-loader.js';
+import { normalizeMergeSources } from './spec-merger.js';
+import { readConfig, resolveConfigPath } from './config-loader.js';
+import { routeFilePath } from './route-file-options.js';
+import { getOutputDir, OUTPUT_FILES } from '../constants.js';
+
+/**
+ * Print the paths that triggered a rebuild
+ * @param {Array<string>} changedPaths - Absolute paths
+ */
+function logChanges(changedPaths) {
+  if (changedPaths.length > 0) {
+    console.log('');
+    console.log(`🔄 Changed: ${changedPaths.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+  }
+}
+
+/**
+ * Print the idle message after each run
+ * @param {FileWatcher} watcher - Active watcher
+ */
+function logWaiting(watcher) {
+  console.log(`👀 Watching ${watcher.getWatchedPaths().length} path(s) for changes (Ctrl+C to stop)`);
+}
+
+/**
+ * Keep only local paths (network route files cannot be watched)
+ * @param {Array<string>} files - Files from configuration
+ * @returns {Array<string>} Local paths
+ */
+function localPaths(files) {
+  return (files || []).filter(file => typeof file === 'string' && !ConfytomeConfig.isNetworkPath(file));
+}
+
+/**
+ * Route files to watch
+ * Glob patterns are watched through the directories they search, so adding a
+ * router that matches the pattern triggers a rebuild.
+ * @param {Array<string|Object>} routeFiles - routeFiles from configuration
+ * @returns {Array<string>} Files and directories to watch
+ */
+function routeSources(routeFiles) {
+  const entries = localPaths((routeFiles || []).map(routeFilePath)).filter(entry => !entry.startsWith('!'));
+  const dirs = new Set();
+
+  for (const pattern of entries.filter(entry => hasMagic(entry))) {
+    // The path up to the first segment with glob characters
+    const segments = pattern.split('/');
+    const base = segments.slice(0, segments.findIndex(segment => hasMagic(segment))).join('/');
+    dirs.add(base || '.');
+    for (const file of globSync(pattern, { ignore: '**/node_modules/**', nodir: true })) {
+      dirs.add(path.dirname(file));
+    }
+  }
+
+  return [...entries.filter(entry => !hasMagic(entry)), ...dirs];
+}
+
+/**
+ * Collect the template directories configured per generator
+ * @param {Object} generationOptions - Result of resolveGenerationOptions
+ * @returns {Map<string, string>} Generator name -> absolute template directory
+ */
+function getTemplateDirs(generationOptions) {
+  const templateDirs = new Map();
+  for (const [name, options] of Object.entries(generationOptions.generatorOptions || {})) {
+    if (options.templateDir) {
+      templateDirs.set(name, path.resolve(options.templateDir));
+    }
+  }
+  return templateDirs;
+}
+
+/**
+ * Find the generators affected by a change that only touched custom templates
+ * @param {Array<string>} changedPaths - Absolute paths
+ * @param {Map<string, string>} templateDirs - Generator name -> template directory
+ * @returns {Array<string>|null} Generator names, or null when a spec source changed
+ */
+export function getTemplateOnlyGenerators(changedPaths, templateDirs) {
+  if (changedPaths.length === 0) {
+    return null;
+  }
+
+  const affected = new Set();
+  for (const changedPath of changedPaths) {
+    const owners = [...templateDirs].filter(([, dir]) => FileWatcher.isInside(changedPath, dir));
+    if (owners.length === 0) {
+      return null;
+    }
+    owners.forEach(([name]) => affected.add(name));
+  }
+
+  return [...affected];
+}
+
+/**
+ * Print consumer results without stopping the watch loop
+ * @param {Array<Object>} results - Results from runSpecConsumers
+ * @param {Object} target - Target from createWatchTargets
+ */
+function reportWatchResults(results, target) {
+  const spec = target.name ? { name: target.name, outputDir: target.outputDir } : undefined;
+  try {
+    reportGeneratorResults(results.map(result => ({ ...result, spec })));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+  }
+}
+
+/**
+ * Build the watch session for a confytome.json
+ * A "specs" configuration yields one target per entry, each with its own
+ * output directory; otherwise there is a single target.
+ * @param {Object} confytomeConfig - Merged confytome.json configuration
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - CLI overrides (see resolveGenerationOptions)
+ * @returns {Promise<Array<Object>>} Targets to regenerate
+ */
+async function createWatchTargets(confytomeConfig, outputDir, options) {
+  const specEntries = ConfytomeConfig.getSpecEntries(confytomeConfig, outputDir);
+  const entries = specEntries || [{ config: confytomeConfig, outputDir }];
+  if (specEntries && confytomeConfig.merge) {
+    entries.push({ name: MERGED_SPEC_NAME, config: confytomeConfig, outputDir });
+  }
+
+  const targets = [];
+  for (const { name, config, outputDir: targetDir } of entries) {
+    const generationOptions = await resolveGenerationOptions(config, options);
+    targets.push({
+      name,
+      config,
+      outputDir: targetDir,
+      generationOptions,
+      templateDirs: getTemplateDirs(generationOptions),
+      lastSpecHash: null
+    });
+  }
+  return targets;
+}
+
+/**
+ * Regenerate one target after a change
+ * @param {Object} target - Target from createWatchTargets
+ * @param {Array<string>} changedPaths - Absolute paths
+ * @returns {Promise<boolean>} True when documentation was regenerated
+ */
+async function rebuildTarget(target, changedPaths) {
+  const label = target.name ? ` for "${target.name}"` : '';
+
+  const templateOnlyGenerators = getTemplateOnlyGenerators(changedPaths, target.templateDirs);
+  if (templateOnlyGenerators) {
+    console.log(`🎨 Templates changed, regenerating${label}: ${templateOnlyGenerators.join(', ')}`);
+    reportWatchResults(await runSpecConsumers(target.outputDir, {
+      ...target.generationOptions,
+      generators: templateOnlyGenerators
+    }), target);
+    return true;
+  }
+
+  const specResult = await generateSpecFromConfytomeConfig(target.config, target.outputDir, {
+    failOnErrors: true,
+    specFormat: withJsonSpec(target.config.specFormat)
+  });
+  if (!specResult.success) {
+    console.error(`❌ OpenAPI generation failed${label}:\n${specResult.stats?.error}`);
+    console.log('💡 Fix the error and save again - previous outputs are kept');
+    return false;
+  }
+
+  const specHash = FileWatcher.contentHash(path.resolve(target.outputDir, OUTPUT_FILES.OPENAPI_SPEC));
+  if (specHash === target.lastSpecHash) {
+    console.log(`⏭️  OpenAPI spec unchanged${label}, skipping documentation generators`);
+    return false;
+  }
+  target.lastSpecHash = specHash;
+
+  reportWatchResults(await runSpecConsumers(target.outputDir, target.generationOptions), target);
+  return true;
+}
+
+/**
+ * Check whether a change concerns a target
+ * @param {Object} target - Target from createWatchTargets
+ * @param {Array<string>} changedPaths - Absolute paths
+ * @returns {boolean} True when the target has to be rebuilt
+ */
+function isAffected(target, changedPaths) {
+  const sources = getTargetSources(target).map(source => path.resolve(source));
+  return changedPaths.some(changedPath => sources.some(source => FileWatcher.isInside(changedPath, source)));
+}
+
+/**
+ * Files a target is generated from
+ * Merged specs are rebuilt from their source specs, which may be the
+ * outputs of other "specs" entries.
+ * @param {Object} target - Target from createWatchTargets
+ * @returns {Array<string>} Paths to watch
+ */
+function getTargetSources(target) {
+  const specSources = target.config.merge
+    ? localPaths(normalizeMergeSources(target.config.merge).map(source => source.spec))
+    : [target.config.serverConfig, ...routeSources(target.config.routeFiles)];
+  return [...specSources, ...(target.config.overlays || []), ...target.templateDirs.values()];
+}
+
+/**
+ * Regenerate the spec and documentation from confytome.json on every change
+ * Watches confytome.json, the server config, route files and any generator
+ * "templateDir". Template edits only rerun the generator that owns them, and
+ * consumers are skipped when the regenerated spec did not change. With a
+ * "specs" array only the specs whose sources changed are regenerated.
+ * @param {string} configPath - Path to confytome.json
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Watch options
+ * @param {Object} options.cliOptions - CLI options merged over confytome.json
+ * @param {boolean} options.excludeBrand - Exclude branding from all outputs
+ * @param {boolean} options.specOnly - Regenerate only the spec, without spec consumers
+ * @param {number} options.debounceMs - Debounce delay in milliseconds
+ * @param {Function} options.onRebuild - Called after documentation was regenerated
+ * @returns {Promise<FileWatcher>} The running watcher
+ */
+export async function watchConfytomeConfig(configPath, outputDir, options = {}) {
+  outputDir = getOutputDir(outputDir);
+  configPath = resolveConfigPath(configPath);
+  // The config and every base config it extends
+  let configFiles = [path.resolve(configPath)];
+  let targets = null;
+
+  const watcher = new FileWatcher(async(changedPaths) => {
+    logChanges(changedPaths);
+
+    try {
+      let rebuildAll = false;
+      if (!targets || changedPaths.some(changedPath => configFiles.includes(changedPath))) {
+        // Keep watching the config itself even while it is invalid
+        targets = null;
+        watcher.setPaths(configFiles);
+
+        const { config, files } = await readConfig(configPath);
+        configFiles = files;
+        const confytomeConfig = ConfigMerger.mergeConfigurations(config, options.cliOptions || {});
+        targets = await createWatchTargets(confytomeConfig, outputDir, options);
+        rebuildAll = true;
+
+        watcher.setPaths([
+          ...configFiles,
+          ...targets.flatMap(getTargetSources)
+        ]);
+      }
+
+      let rebuilt = false;
+      for (const target of targets) {
+        if (rebuildAll || isAffected(target, changedPaths)) {
+          rebuilt = await rebuildTarget(target, rebuildAll ? [] : changedPaths) || rebuilt;
+        }
+      }
+      if (rebuilt) {
+        options.onRebuild?.();
+      }
+    } finally {
+      logWaiting(watcher);
+    }
+  }, options);
+
+  FileWatcher.closeOnExit(watcher);
+  await watcher.flush();
+  return watcher;
+}
+
+/**
+ * Regenerate the OpenAPI spec whenever the server config or JSDoc files change
+ * @param {string} configPath - Path to server config file
+ * @param {Array<string>} files - JSDoc files to process
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Watch options
+ * @param {number} options.debounceMs - Debounce delay in milliseconds
+ * @param {string} options.specFormat - 'json' (default), 'yaml' or 'both'
+ * @param {string} options.openapiTarget - Convert the spec to OpenAPI '3.0' or '3.1'
+ * @param {Array<string>} options.overlays - OpenAPI Overlay files to apply (also watched)
+ * @param {boolean} options.sourceLocations - Record "x-confytome-source" on operations and components
+ * @param {string} options.sourceUrl - Link template for the source locations
+ * @returns {Promise<FileWatcher>} The running watcher
+ */
+export async function watchOpenAPI(configPath, files, outputDir, options = {}) {
+  const watcher = new FileWatcher(async(changedPaths) => {
+    logChanges(changedPaths);
+
+    try {
+      const result = await generateOpenAPI(configPath, files, outputDir, {
+        failOnErrors: true,
+        specFormat: options.specFormat,
+        openapiTarget: options.openapiTarget,
+        overlays: options.overlays,
+        sourceLocations: options.sourceLocations,
+        sourceUrl: options.sourceUrl
+      });
+      if (!result.success) {
+        console.error(`❌ OpenAPI generation failed:\n${result.stats?.error}`);
+        console.log('💡 Fix the error and save again - the previous spec is kept');
+      }
+    } finally {
+      logWaiting(watcher);
+    }
+  }, options);
+
+  watcher.setPaths([configPath, ...files, ...(options.overlays || [])]);
+  FileWatcher.closeOnExit(watcher);
+  await watcher.flush();
+  return watcher;
+}
+
+/**
+ * Source files a standalone CLI regenerates its spec from
+ * @param {string} configPath - Server config or confytome config
+ * @param {Array<string>} files - JSDoc files
+ * @returns {Promise<Array<string>>} Paths to watch
+ */
+async function getSpecSources(configPath, files) {
+  if (!configPath) {
+    return [];
+  }
+
+  const sources = [configPath, ...(files || [])];
+  try {
+    const { config, files: configFiles } = await readConfig(configPath);
+    sources.push(...configFiles);
+    if (config.serverConfig && config.routeFiles) {
+      sources.push(config.serverConfig, ...routeSources(config.routeFiles));
+    }
+  } catch {
+    // Invalid config is reported by generateOpenApiSpec
+  }
+  return sources;
+}
+
+/**
+ * Re-run a standalone generator whenever its spec or inputs change
+ * When a config is given only the spec is regenerated from JSDoc first, so
+ * other formats are left alone; otherwise the spec file itself is watched.
+ * @param {Object} options - Watch options
+ * @param {string} options.specPath - OpenAPI spec the generator reads
+ * @param {string} options.outputDir - Output directory
+ * @param {string} options.config - Server config or confytome.json to build the spec from
+ * @param {Array<string>} options.files - JSDoc files to build the spec from
+ * @param {Array<string>} options.extraPaths - Additional inputs such as template directories
+ * @param {Function} options.run - Async function running the generator and returning its result
+ * @param {number} options.debounceMs - Debounce delay in milliseconds
+ * @returns {Promise<FileWatcher>} The running watcher
+ */
+export async function watchStandaloneGenerator(options) {
+  if (!isLocalSpec(options.specPath)) {
+    throw new Error(`--watch needs a local spec file; ${options.specPath} cannot be watched`);
+  }
+
+  const specPath = path.resolve(options.specPath);
+  let lastSpecHash = null;
+
+  const watcher = new FileWatcher(async(changedPaths) => {
+    logChanges(changedPaths);
+
+    try {
+      const sources = (await getSpecSources(options.config, options.files)).map(file => path.resolve(file));
+      watcher.setPaths([specPath, ...sources, ...(options.extraPaths || [])]);
+
+      const sourceChanged = changedPaths.length === 0 || changedPaths.some(file => sources.includes(file));
+      if (options.config && sourceChanged) {
+        try {
+          await generateOpenApiSpec(options.config, options.files, options.outputDir);
+        } catch (error) {
+          console.error(`❌ OpenAPI generation failed: ${error.message}`);
+          console.log('💡 Fix the error and save again - previous outputs are kept');
+          return;
+        }
+      }
+
+      // Writing the spec triggers its own change event; skip it when nothing changed
+      const specHash = FileWatcher.contentHash(specPath);
+      const onlySpecChanged = changedPaths.length > 0 && changedPaths.every(file => file === specPath || sources.includes(file));
+      if (onlySpecChanged && specHash === lastSpecHash) {
+        return;
+      }
+      lastSpecHash = specHash;
+
+      const result = await options.run();
+      if (result.success) {
+        console.log(`✅ Generated: ${result.outputPath}${result.size ? ` (${result.size} bytes)` : ''}`);
+      } else {
+        console.error(`❌ Generation failed: ${result.stats?.error || result.error || 'Unknown error'}`);
+      }
+    } finally {
+      logWaiting(watcher);
+    }
+  }, options);
+
+  FileWatcher.closeOnExit(watcher);
+  await watcher.flush();
+  return watcher;
+}
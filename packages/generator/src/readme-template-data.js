@@ -78,7 +78,7 @@ export const README_TEMPLATE_DATA = {
           link: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Modules'
         }
       ],
-      description: 'Core plugin system and OpenAPI 3.0.3 generator from JSDoc comments. Plugin registry, service layer, and CLI for extensible API documentation generation.',
+      description: 'Core plugin system and OpenAPI 3.0 / 3.1 generator from JSDoc comments. Plugin registry, service layer, and CLI for extensible API documentation generation.',
       architectureType: 'Plugin-First',
       architectureDescription: 'plugin-based approach with automatic discovery and dependency injection',
       cliCommand: 'confytome',
@@ -95,7 +95,7 @@ export const README_TEMPLATE_DATA = {
  */
 export function getREADMETemplateData(generatorType) {
   const commonOptions = [
-    { flag: '--spec', short: '-s', description: 'Path to OpenAPI spec file', default: './confytome/api-spec.json' },
+    { flag: '--spec', short: '-s', description: 'OpenAPI spec: JSON/YAML file, `-` for stdin or http(s) URL', default: './confytome/api-spec.json' },
     { flag: '--output', short: '-o', description: 'Output directory for generated files', default: './confytome' },
     { flag: '--version', short: '-V', description: 'Show version number', default: '' },
     { flag: '--help', short: '-h', description: 'Show help information', default: '' }
@@ -121,7 +121,9 @@ export function getREADMETemplateData(generatorType) {
         { name: 'commander', description: 'CLI argument parsing' }
       ],
       additionalOptions: [
-        { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' }
+        { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' },
+        { flag: '--changelog-from', short: '', description: 'Add an "API Changes" section comparing against this spec file, `<revision>:<path>` or git revision', default: '' },
+        { flag: '--watch', short: '-w', description: 'Watch the spec file and regenerate on change', default: '' }
       ],
       outputExamples: {
         fileStructure: [
@@ -161,7 +163,10 @@ export function getREADMETemplateData(generatorType) {
         { flag: '--config', short: '-c', description: 'Server config JSON file (for generating spec from JSDoc)', default: '' },
         { flag: '--files', short: '-f', description: 'JSDoc files to process', default: '' },
         { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' },
-        { flag: '--no-url-encode', short: '', description: 'Disable URL encoding for anchor links', default: '' }
+        { flag: '--no-url-encode', short: '', description: 'Disable URL encoding for anchor links', default: '' },
+        { flag: '--templates', short: '', description: 'Directory with custom Mustache templates (e.g. `main.mustache`)', default: '' },
+        { flag: '--changelog-from', short: '', description: 'Add an "API Changes" section comparing against this spec file, `<revision>:<path>` or git revision', default: '' },
+        { flag: '--watch', short: '-w', description: 'Watch the spec, JSDoc files and templates and regenerate on change', default: '' }
       ],
       outputExamples: {
         fileStructure: [
@@ -204,7 +209,9 @@ export function getREADMETemplateData(generatorType) {
         { name: 'swagger-ui-dist', description: 'Official Swagger UI distribution' }
       ],
       additionalOptions: [
-        { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' }
+        { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' },
+        { flag: '--spec-url', short: '', description: 'Load the spec from this URL at runtime instead of embedding it', default: '' },
+        { flag: '--watch', short: '-w', description: 'Watch the spec file and regenerate on change', default: '' }
       ],
       outputExamples: {
         fileStructure: [
@@ -245,7 +252,10 @@ export function getREADMETemplateData(generatorType) {
       dependencies: [
         { name: 'commander', description: 'CLI argument parsing' }
       ],
-      additionalOptions: [],
+      additionalOptions: [
+        { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' },
+        { flag: '--watch', short: '-w', description: 'Watch the spec file and regenerate on change', default: '' }
+      ],
       outputExamples: {
         fileStructure: [
           { file: 'api-postman.json', description: 'Postman collection (~8KB)' },
@@ -283,7 +293,7 @@ export function getREADMETemplateData(generatorType) {
         '⚡ **Standalone Operation** - Works with existing OpenAPI specs',
         '🕐 **Timestamped Documentation** - Generation metadata included'
       ],
-      outputDescription: 'Creates `api-docs.md` in the specified output directory and copies the content to your clipboard:\n\n- API overview and server information\n- All endpoints with request/response examples\n- Data models and schemas\n- Ready to paste directly into a Confluence page',
+      outputDescription: 'Creates `confluence-docs.md` in the specified output directory and copies the content to your clipboard (unless `--no-clipboard` is given). When run through `confytome generate` or `confytome build` it sits next to the Markdown generator\'s `api-docs.md` and the clipboard is left alone unless `"clipboard": true` is set in its generator config:\n\n- API overview and server information\n- All endpoints with request/response examples\n- Data models and schemas\n- Ready to paste directly into a Confluence page',
       dependencies: [
         { name: 'commander', description: 'CLI argument parsing' },
         { name: 'clipboardy', description: 'Cross-platform clipboard access' }
@@ -293,11 +303,13 @@ export function getREADMETemplateData(generatorType) {
         { flag: '--files', short: '-f', description: 'JSDoc files to process', default: '' },
         { flag: '--no-brand', short: '', description: 'Exclude confytome branding from documentation', default: '' },
         { flag: '--no-url-encode', short: '', description: 'Disable URL encoding for anchor links', default: '' },
-        { flag: '--no-clipboard', short: '', description: 'Skip copying markdown to clipboard', default: '' }
+        { flag: '--no-clipboard', short: '', description: 'Skip copying markdown to clipboard', default: '' },
+        { flag: '--changelog-from', short: '', description: 'Add an "API Changes" section comparing against this spec file, `<revision>:<path>` or git revision', default: '' },
+        { flag: '--watch', short: '-w', description: 'Watch the spec and JSDoc files and regenerate on change', default: '' }
       ],
       outputExamples: {
         fileStructure: [
-          { file: 'api-docs.md', description: 'Confluence-ready Markdown documentation' }
+          { file: 'confluence-docs.md', description: 'Confluence-ready Markdown documentation' }
         ],
         features: [
           '**Quick Reference** - Table of contents with anchor links',
@@ -2,8 +2,9 @@
 
 import { program } from 'commander';
 import fs from 'node:fs';
-import path from 'node:path';
 import { StandaloneHtmlGenerator } from './standalone-generator.js';
+import { watchStandaloneGenerator } from '@confytome/core/utils/watch-mode.js';
+import { resolveSpecPath } from '@confytome/core/utils/spec-loader.js';
 
 const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
@@ -15,17 +16,29 @@ program
 program
   .command('generate')
   .description('Generate HTML documentation from OpenAPI spec')
-  .option('-s, --spec <path>', 'Path to OpenAPI spec file', './confytome/api-spec.json')
+  .option('-s, --spec <path>', 'OpenAPI spec: JSON/YAML file, "-" for stdin or http(s) URL', './confytome/api-spec.json')
   .option('-o, --output <path>', 'Output directory for generated files', './confytome')
   .option('--no-brand', 'Exclude confytome branding from generated documentation')
+  .option('--changelog-from <spec>', 'Add an "API Changes" section comparing against this spec file, "<revision>:<path>" or git revision')
+  .option('-w, --watch', 'Watch the spec file and regenerate on change')
   .action(async(options) => {
     try {
-      const generator = new StandaloneHtmlGenerator(options.output, {
-        specPath: path.resolve(options.spec),
-        excludeBrand: !options.brand
-      });
+      const runGenerator = () => new StandaloneHtmlGenerator(options.output, {
+        specPath: resolveSpecPath(options.spec),
+        excludeBrand: !options.brand,
+        changelogFrom: options.changelogFrom
+      }).generate();
+
+      if (options.watch) {
+        await watchStandaloneGenerator({
+          specPath: options.spec,
+          outputDir: options.output,
+          run: runGenerator
+        });
+        return;
+      }
 
-      const result = await generator.generate();
+      const result = await runGenerator();
       if (result.success) {
         console.log('✅ HTML generation completed successfully');
         console.log(`📄 Generated: ${result.outputPath} (${result.size} bytes)`);
@@ -42,11 +55,11 @@ program
 program
   .command('validate')
   .description('Validate OpenAPI spec file')
-  .option('-s, --spec <path>', 'Path to OpenAPI spec file', './api-spec.json')
+  .option('-s, --spec <path>', 'OpenAPI spec: JSON/YAML file, "-" for stdin or http(s) URL', './api-spec.json')
   .action(async(options) => {
     try {
       const generator = new StandaloneHtmlGenerator('./', {
-        specPath: path.resolve(options.spec)
+        specPath: resolveSpecPath(options.spec)
       });
 
       const result = await generator.validate();
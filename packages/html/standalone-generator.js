@@ -7,6 +7,7 @@
 
 import fs from 'node:fs';
 import { StandaloneBase } from '@confytome/core/utils/StandaloneBase.js';
+import { GeneratorTypes } from '@confytome/core/interfaces/IGenerator.js';
 import { OpenApiProcessor } from '@confytome/core/utils/OpenApiProcessor.js';
 
 const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
@@ -24,6 +25,8 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
   static getMetadata() {
     return {
       name: 'html',
+      type: GeneratorTypes.SPEC_CONSUMER,
+      className: 'StandaloneHtmlGenerator',
       description: 'Professional, responsive HTML documentation generator',
       version: pkg.version,
       packageName: '@confytome/html',
@@ -72,25 +75,27 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
 
     try {
       // Load and parse OpenAPI spec using base class method
-      const spec = this.loadOpenAPISpec();
+      const spec = await this.loadSpecSource();
 
       // Configure processor options
       const processorOptions = {
         excludeBrand: this.options.excludeBrand,
         version: this.getInfo().version,
         baseUrl: this.getBaseUrl(spec.servers),
-        tagOrder: this.options.tagOrder || spec.tags?.map(tag => tag.name) || []
+        tagOrder: this.options.tagOrder || spec.tags?.map(tag => tag.name) || [],
+        previousSpec: this.loadPreviousSpec()
       };
 
       // Process OpenAPI spec into template data
       this.processor = new OpenApiProcessor(processorOptions);
       const data = this.processor.process(spec);
+      data.baseUrl = processorOptions.baseUrl;
 
       // Generate HTML content
       const html = this.generateHtmlContent(data);
 
       // Write output using base class method
-      const result = this.writeOutputFile('api-docs.html', html, 'Professional HTML documentation created');
+      const result = this.writeOutputFile(this.getOutputFileName('api-docs.html'), html, 'Professional HTML documentation created');
 
       // Add additional stats
       if (result.success) {
@@ -125,7 +130,7 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${data.title} v${data.version} - API Documentation</title>
+  <title>${data.info.title} v${data.info.version} - API Documentation</title>
   <style>
     ${this.getCSSStyles()}
   </style>
@@ -133,9 +138,9 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
 <body>
   <div class="container">
     <header class="header">
-      <h1>${data.title}</h1>
-      <p class="version">Version ${data.version}</p>
-      ${data.description ? `<p class="description">${data.description}</p>` : ''}
+      <h1>${data.info.title}</h1>
+      <p class="version">Version ${data.info.version}</p>
+      ${data.info.description ? `<p class="description">${data.info.description}</p>` : ''}
     </header>
 
     ${data.baseUrl ? `<div class="base-url">
@@ -144,6 +149,7 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
     </div>` : ''}
 
     <div class="content">
+      ${this.generateChangelogSection(data.changelog)}
       ${this.generateEndpointsSection(data.endpoints)}
       ${this.generateSchemasSection(data.schemas)}
     </div>
@@ -161,6 +167,45 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
 </html>`;
   }
 
+  /**
+   * Generate the "API Changes" section (empty when no previous spec was given)
+   */
+  generateChangelogSection(changelog) {
+    if (!changelog) {
+      return '';
+    }
+
+    const title = `API Changes${changelog.from ? ` since ${changelog.from}` : ''}`;
+    if (!changelog.hasChanges) {
+      return `<div class="section changelog"><h2>${title}</h2><p>No endpoint changes.</p></div>`;
+    }
+
+    const item = (kind, endpoint, details = '') => `
+          <li>
+            <span class="change-kind change-${kind.toLowerCase()}">${kind}</span>
+            <span class="method method-${endpoint.method.toLowerCase()}">${endpoint.method}</span>
+            <code>${endpoint.path}</code> ${endpoint.summary}${details}
+          </li>`;
+
+    const resourcesHtml = changelog.resources.map(resource => `
+      <h3>${resource.name}</h3>
+      <ul>
+        ${resource.added.map(endpoint => item('Added', endpoint)).join('')}
+        ${resource.removed.map(endpoint => item('Removed', endpoint)).join('')}
+        ${resource.deprecated.map(endpoint => item('Deprecated', endpoint)).join('')}
+        ${resource.changed.map(endpoint => item('Changed', endpoint, `
+            <ul>
+              ${endpoint.changes.map(change => `<li>${change.breaking ? '<strong class="breaking">Breaking:</strong> ' : ''}${change.message}</li>`).join('')}
+            </ul>`)).join('')}
+      </ul>
+    `).join('');
+
+    return `<div class="section changelog">
+      <h2>${title}</h2>
+      ${resourcesHtml}
+    </div>`;
+  }
+
   /**
    * Generate endpoints documentation section
    */
@@ -177,6 +222,7 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
         </div>
         ${endpoint.summary ? `<h4>${endpoint.summary}</h4>` : ''}
         ${endpoint.description ? `<p>${endpoint.description}</p>` : ''}
+        ${this.generateSourceLink(endpoint.source)}
 
         ${endpoint.parameters && endpoint.parameters.length > 0 ? `
           <div class="parameters">
@@ -227,6 +273,17 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
     </div>`;
   }
 
+  /**
+   * Generate the "Defined in" line of an endpoint or schema
+   */
+  generateSourceLink(source) {
+    if (!source) {
+      return '';
+    }
+    const label = source.url ? `<a href="${source.url}">${source.label}</a>` : `<code>${source.label}</code>`;
+    return `<p class="source">Defined in ${label}</p>`;
+  }
+
   /**
    * Generate schemas documentation section
    */
@@ -239,6 +296,7 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
       <div class="schema">
         <h3>${schema.name}</h3>
         ${schema.description ? `<p>${schema.description}</p>` : ''}
+        ${this.generateSourceLink(schema.source)}
 
         ${schema.properties && schema.properties.length > 0 ? `
           <table>
@@ -250,7 +308,7 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
                 <tr>
                   <td>
                     <code>${prop.name}</code>
-                    ${schema.required.includes(prop.name) ? ' <span class="required">*</span>' : ''}
+                    ${(schema.required || []).includes(prop.name) ? ' <span class="required">*</span>' : ''}
                   </td>
                   <td>${prop.type}${prop.format ? ` (${prop.format})` : ''}</td>
                   <td>${prop.description}</td>
@@ -427,6 +485,21 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
         color: #2c3e50;
       }
 
+      .changelog li {
+        margin: 0.5rem 0;
+      }
+
+      .change-kind {
+        display: inline-block;
+        min-width: 6rem;
+        font-weight: 600;
+      }
+
+      .change-added { color: #155724; }
+      .change-removed, .breaking { color: #721c24; }
+      .change-deprecated { color: #856404; }
+      .change-changed { color: #004085; }
+
       .status-code {
         padding: 0.25rem 0.5rem;
         border-radius: 3px;
@@ -456,6 +529,11 @@ export class StandaloneHtmlGenerator extends StandaloneBase {
         font-weight: bold;
       }
 
+      .source {
+        color: #6c757d;
+        font-size: 0.85rem;
+      }
+
       @media (max-width: 768px) {
         .container {
           padding: 1rem;
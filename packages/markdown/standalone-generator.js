@@ -11,6 +11,7 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { default as Mustache } from 'mustache';
 import { StandaloneBase } from '@confytome/core/utils/StandaloneBase.js';
+import { GeneratorTypes } from '@confytome/core/interfaces/IGenerator.js';
 import { OpenApiProcessor } from '@confytome/core/utils/OpenApiProcessor.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -30,6 +31,8 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
   static getMetadata() {
     return {
       name: 'markdown',
+      type: GeneratorTypes.SPEC_CONSUMER,
+      className: 'StandaloneMarkdownGenerator',
       description: 'Confluence-friendly Markdown documentation generator using Mustache templates',
       version: pkg.version,
       packageName: '@confytome/markdown',
@@ -59,13 +62,14 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
     // Validate OpenAPI spec file if specified
     if (this.options.specPath) {
       try {
-        this.loadOpenAPISpec(this.options.specPath);
+        await this.loadSpecSource();
       } catch (error) {
         baseValidation.errors.push(error.message);
       }
     }
 
     return {
+      valid: baseValidation.errors.length === 0,
       success: baseValidation.errors.length === 0,
       errors: baseValidation.errors,
       warnings: baseValidation.warnings
@@ -96,7 +100,7 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
 
     try {
       // Load and parse OpenAPI spec using base class method
-      const spec = this.loadOpenAPISpec(this.options.specPath);
+      const spec = await this.loadSpecSource();
 
       // Configure processor options
       const processorOptions = {
@@ -104,7 +108,8 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
         version: this.getInfo().version,
         baseUrl: this.getBaseUrl(spec.servers),
         urlEncodeAnchors: this.options.urlEncodeAnchors !== false, // Default to true
-        tagOrder: this.options.tagOrder || spec.tags?.map(tag => tag.name) || []
+        tagOrder: this.options.tagOrder || spec.tags?.map(tag => tag.name) || [],
+        previousSpec: this.loadPreviousSpec()
       };
 
       // Process OpenAPI spec into template data
@@ -128,7 +133,7 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
       const markdown = Mustache.render(template, data);
 
       // Write output using base class method
-      const result = this.writeOutputFile('api-docs.md', markdown, 'Confluence-ready Markdown documentation created');
+      const result = this.writeOutputFile(this.getOutputFileName('api-docs.md'), markdown, 'Confluence-ready Markdown documentation created');
 
       // Add additional stats
       if (result.success) {
@@ -154,6 +159,7 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
 
   /**
    * Load template with caching for performance
+   * A file of the same name in options.templateDir overrides the bundled template.
    * @param {string} templateName - Template filename
    * @returns {string} Template content
    */
@@ -162,7 +168,10 @@ export class StandaloneMarkdownGenerator extends StandaloneBase {
       return this._templateCache.get(templateName);
     }
 
-    const templatePath = path.join(__dirname, 'templates', templateName);
+    const customTemplatePath = this.options.templateDir && path.resolve(this.options.templateDir, templateName);
+    const templatePath = customTemplatePath && fs.existsSync(customTemplatePath)
+      ? customTemplatePath
+      : path.join(__dirname, 'templates', templateName);
     this.validateFileExists(templatePath, 'Mustache template');
 
     const template = fs.readFileSync(templatePath, 'utf8');
@@ -118,6 +118,43 @@ describe('StandaloneMarkdownGenerator', () => {
       const result = await generator.generate();
       expect(result.success).toBe(false);
     });
+
+    test('renders an API Changes section when changelogFrom is set', async() => {
+      const previousPath = path.join(testDir, 'previous.json');
+      const specPath = path.join(testDir, 'spec.json');
+      fs.writeFileSync(previousPath, JSON.stringify({
+        ...minimalSpec,
+        paths: {
+          ...minimalSpec.paths,
+          '/legacy': { get: { summary: 'Legacy export', tags: ['Users'], responses: { '200': { description: 'OK' } } } }
+        }
+      }));
+      fs.writeFileSync(specPath, JSON.stringify({ ...minimalSpec, info: { title: 'Test API', version: '1.1.0' } }));
+      generator.options.specPath = specPath;
+      generator.options.changelogFrom = previousPath;
+
+      const result = await generator.generate();
+      const markdown = fs.readFileSync(result.outputPath, 'utf8');
+
+      expect(result.success).toBe(true);
+      expect(markdown).toContain('## API Changes since 1.0.0');
+      expect(markdown).toContain('- **Removed** `GET /legacy` - Legacy export');
+    });
+
+    test('renders "Defined in" links from x-confytome-source', async() => {
+      const specPath = path.join(testDir, 'spec.json');
+      const spec = structuredClone(minimalSpec);
+      spec.paths['/users'].get['x-confytome-source'] = { file: 'src/routes/users.js', line: 42, url: 'https://github.com/acme/api/blob/main/src/routes/users.js#L42' };
+      spec.components = { schemas: { User: { type: 'object', 'x-confytome-source': { file: 'src/routes/users.js', line: 7 } } } };
+      fs.writeFileSync(specPath, JSON.stringify(spec));
+      generator.options.specPath = specPath;
+
+      const result = await generator.generate();
+      const markdown = fs.readFileSync(result.outputPath, 'utf8');
+
+      expect(markdown).toContain('*Defined in [src/routes/users.js:42](https://github.com/acme/api/blob/main/src/routes/users.js#L42)*');
+      expect(markdown).toContain('*Defined in `src/routes/users.js:7`*');
+    });
   });
 
   describe('_loadTemplate()', () => {
@@ -130,5 +167,20 @@ describe('StandaloneMarkdownGenerator', () => {
       const result = await generator.generate();
       expect(result.success).toBe(true);
     });
+
+    test('prefers a template from options.templateDir', async() => {
+      const specPath = path.join(testDir, 'spec.json');
+      const templateDir = path.join(testDir, 'templates');
+      fs.writeFileSync(specPath, JSON.stringify(minimalSpec));
+      fs.mkdirSync(templateDir);
+      fs.writeFileSync(path.join(templateDir, 'main.mustache'), '# Custom {{info.title}}');
+
+      generator.options.specPath = specPath;
+      generator.options.templateDir = templateDir;
+      const result = await generator.generate();
+
+      expect(result.success).toBe(true);
+      expect(fs.readFileSync(result.outputPath, 'utf8')).toBe('# Custom Test API');
+    });
   });
 });
@@ -9,6 +9,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { StandaloneBase } from '@confytome/core/utils/StandaloneBase.js';
+import { GeneratorTypes } from '@confytome/core/interfaces/IGenerator.js';
 
 const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
@@ -24,6 +25,8 @@ export class StandalonePostmanGenerator extends StandaloneBase {
   static getMetadata() {
     return {
       name: 'postman',
+      type: GeneratorTypes.SPEC_CONSUMER,
+      className: 'StandalonePostmanGenerator',
       description: 'Postman collection and environment generator for API testing',
       version: pkg.version,
       packageName: '@confytome/postman',
@@ -57,7 +60,7 @@ export class StandalonePostmanGenerator extends StandaloneBase {
 
     try {
       // Load and parse OpenAPI spec using base class method
-      const spec = this.loadOpenAPISpec();
+      const spec = await this.loadSpecSource();
 
       // Generate collection and environment
       const collection = this.createPostmanCollection(spec);
@@ -65,14 +68,14 @@ export class StandalonePostmanGenerator extends StandaloneBase {
 
       // Write collection file
       const collectionResult = this.writeOutputFile(
-        'postman-collection.json',
+        this.getOutputFileName('postman-collection.json'),
         JSON.stringify(collection, null, 2),
         'Postman collection generated'
       );
 
       // Write environment file
       const environmentResult = this.writeOutputFile(
-        'postman-environment.json',
+        this.options.environmentFile || 'postman-environment.json',
         JSON.stringify(environment, null, 2),
         'Postman environment generated'
       );
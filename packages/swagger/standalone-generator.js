@@ -10,6 +10,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { createRequire } from 'node:module';
 import { StandaloneBase } from '@confytome/core/utils/StandaloneBase.js';
+import { GeneratorTypes } from '@confytome/core/interfaces/IGenerator.js';
 
 const require = createRequire(import.meta.url);
 const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
@@ -29,6 +30,8 @@ export class StandaloneSwaggerGenerator extends StandaloneBase {
   static getMetadata() {
     return {
       name: 'swagger',
+      type: GeneratorTypes.SPEC_CONSUMER,
+      className: 'StandaloneSwaggerGenerator',
       description: 'Interactive, self-contained Swagger UI documentation generator',
       version: pkg.version,
       packageName: '@confytome/swagger',
@@ -81,13 +84,13 @@ export class StandaloneSwaggerGenerator extends StandaloneBase {
 
     try {
       // Load and parse OpenAPI spec using base class method
-      const spec = this.loadOpenAPISpec();
+      const spec = await this.loadSpecSource();
 
       // Generate Swagger UI HTML
       const html = this.generateSwaggerUI(spec);
 
       // Write output using base class method
-      const result = this.writeOutputFile('swagger-ui.html', html, 'Interactive Swagger UI generated');
+      const result = this.writeOutputFile(this.getOutputFileName('swagger-ui.html'), html, 'Interactive Swagger UI generated');
 
       // Add additional stats
       if (result.success) {
@@ -122,6 +125,8 @@ export class StandaloneSwaggerGenerator extends StandaloneBase {
 
   /**
    * Generate Swagger UI HTML content
+   * The spec is embedded inline unless options.specUrl is set, in which case
+   * Swagger UI fetches it from that URL (used by `confytome serve`).
    * @param {Object} openApiSpec - OpenAPI specification
    * @returns {string} Complete HTML document
    */
@@ -131,6 +136,10 @@ export class StandaloneSwaggerGenerator extends StandaloneBase {
 
     const { css, bundleJs, standaloneJs } = assets;
 
+    const specSource = this.options.specUrl
+      ? `url: ${JSON.stringify(this.options.specUrl)}`
+      : `spec: ${JSON.stringify(openApiSpec, null, 2)}`;
+
     const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -200,11 +209,9 @@ export class StandaloneSwaggerGenerator extends StandaloneBase {
 
   <script>
     window.onload = function() {
-      const spec = ${JSON.stringify(openApiSpec, null, 2)};
-
       // Initialize Swagger UI
       const ui = SwaggerUIBundle({
-        spec: spec,
+        ${specSource},
         dom_id: '#swagger-ui',
         deepLinking: true,
         presets: [